@@ -229,6 +229,12 @@ function showErrorToUser(errorInfo) {
       toast.warning(userMessage);
       break;
 
+    case 'LoginThrottledError':
+    case 'InvalidTwoFactorCodeError':
+    case 'NotOnRosterError':
+      toast.warning(userMessage, 8000);
+      break;
+
     case 'ValidationError':
       if (errorInfo.details && Array.isArray(errorInfo.details)) {
         userMessage = 'Validation failed:';
@@ -356,6 +362,9 @@ export async function fetchWithErrorHandling(url, options = {}) {
       await handleApiError(response, data);
       const error = new Error(data.error || `HTTP ${response.status}`);
       error.alreadyHandled = true;
+      error.statusCode = response.status;
+      error.type = data.errorDetails?.type;
+      error.details = data.errorDetails?.details;
       throw error;
     }
 
@@ -6,6 +6,16 @@
 
 import { BASE_PATH } from './BasePath.js';
 
+/**
+ * URL of a quiz image
+ * @param {string} quizId - Quiz ID
+ * @param {string} filename - Image filename
+ * @returns {string} URL
+ */
+function imageUrl(quizId, filename) {
+  return `${BASE_PATH}/api/img?quizId=${quizId}&filename=${encodeURIComponent(filename)}`;
+}
+
 /**
  * Render images array as HTML
  * @param {string} imagesText - Comma-separated image filenames
@@ -18,12 +28,10 @@ export function renderImages(imagesText, quizId, containerClass = 'question-imag
     return '';
   }
   const images = imagesText.split(/,\s*/);
-  const basePath = BASE_PATH;
 
   let html = `<div class="${containerClass}">`;
   images.forEach(filename => {
-    const imageUrl = `${basePath}/api/img?quizId=${quizId}&filename=${encodeURIComponent(filename)}`;
-    html += `<img src="${imageUrl}" alt="${filename}" onerror="this.classList.add('error')" loading="lazy">`;
+    html += `<img src="${imageUrl(quizId, filename)}" alt="${filename}" onerror="this.classList.add('error')" loading="lazy">`;
   });
   html += '</div>';
 
@@ -103,6 +111,25 @@ export function renderOptionWithImages(option, quizId, quizUtil, inputType, inde
   `;
 }
 
+/**
+ * Render option text and images without an input element
+ * (used for sortable items and result lists)
+ * @param {object|string} option - Option object or string
+ * @param {string} quizId - Quiz ID
+ * @param {object} quizUtil - QuizUtils instance
+ * @returns {string} HTML string
+ */
+export function renderOptionContent(option, quizId, quizUtil) {
+  const isString = typeof option === 'string';
+  const text = isString ? option : option.text;
+  const images = isString ? null : option.image;
+
+  const preparedText = quizUtil.prepareMarkdown(text || '');
+  const textHtml = marked.parse(preparedText).replace(/<\/?p[^>]*>/g, '').trim();
+
+  return `${renderImages(images, quizId, 'option-images')}<div class="option-text">${textHtml}</div>`;
+}
+
 /**
  * Render reason with optional images
  * @param {string} reasonText - Reason text (markdown)
@@ -132,3 +159,32 @@ export function renderReasonWithImages(reasonText, reasonImages, quizId, quizUti
     </div>
   `;
 }
+
+/**
+ * URLs of all images a participant may see in a question
+ * (question, options, match items and Markdown images in their texts),
+ * e.g. to load them before the connection is lost
+ * @param {object} question - Question as sent to participants
+ * @param {string} quizId - Quiz ID
+ * @param {object} quizUtil - QuizUtils instance
+ * @returns {string[]} URLs
+ */
+export function listQuestionImageUrls(question, quizId, quizUtil) {
+  const urls = [];
+  const collect = (item) => {
+    if (!item || typeof item === 'string') return;
+    if (item.image) {
+      item.image.split(/,\s*/).forEach(filename => urls.push(imageUrl(quizId, filename)));
+    }
+    const markdown = quizUtil.prepareMarkdown(item.text || '');
+    for (const match of markdown.matchAll(/!\[[^\]]*\]\(([^)\s]+)/g)) {
+      urls.push(match[1]);
+    }
+  };
+
+  collect(question);
+  [question.options, question.leftItems, question.rightItems]
+    .forEach(items => (items || []).forEach(collect));
+
+  return [...new Set(urls)];
+}
@@ -45,3 +45,32 @@ export class QuizUtils {
     );
   }
 }
+
+/**
+ * Gap placeholder in question text: {{1}}, {{city}}, ...
+ * Must match GAP_PLACEHOLDER in server/services/QuizValidationService.js
+ */
+export const GAP_PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+/**
+ * Get the gap ids of a text in order of appearance
+ *
+ * @param {string} text - Question text (Markdown)
+ * @returns {string[]} Gap ids (without duplicates)
+ */
+export function extractGapIds(text) {
+  if (!text) return [];
+  const ids = [...text.matchAll(GAP_PLACEHOLDER)].map(m => m[1]);
+  return [...new Set(ids)];
+}
+
+/**
+ * Replace gap placeholders in rendered HTML
+ *
+ * @param {string} html - Rendered question HTML
+ * @param {function(string): string} renderGap - Returns the HTML for a gap id
+ * @returns {string} HTML with placeholders replaced
+ */
+export function replaceGapPlaceholders(html, renderGap) {
+  return html.replace(GAP_PLACEHOLDER, (match, gapId) => renderGap(gapId));
+}
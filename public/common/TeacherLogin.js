@@ -0,0 +1,60 @@
+/**
+ * TeacherLogin.js - Teacher login for editor, statistics, grading and live page
+ *
+ * Logs in with user name and password and, for accounts with two-factor
+ * authentication, asks for the code of the authenticator app (or a recovery code).
+ */
+
+import { fetchWithErrorHandling, toast } from './ApiHelpers.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Log in as teacher
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} Login response with the teacher, null if the code prompt was cancelled
+ * @throws {Error} From fetchWithErrorHandling (wrong password or code, throttled)
+ */
+export async function loginTeacher(username, password) {
+  const result = await fetchWithErrorHandling('/api/teacher/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!result.twoFactorRequired) {
+    return result;
+  }
+
+  const code = prompt(i18n.t('login_2fa_prompt'));
+  if (code === null || !code.trim()) {
+    return null;
+  }
+
+  const twoFactorResult = await fetchWithErrorHandling('/api/teacher/login/2fa', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: code.trim() })
+  });
+  if (twoFactorResult.recoveryCodesLeft !== undefined) {
+    toast.warning(i18n.t('login_2fa_recovery_used', { count: twoFactorResult.recoveryCodesLeft }), 0);
+  }
+  return twoFactorResult;
+}
+
+/**
+ * Message for the login form after a failed teacher login
+ * @param {Error} err - Error thrown by loginTeacher
+ * @returns {string} Wrong credentials or code, or when to try again after too many failures
+ */
+export function loginErrorMessage(err) {
+  if (err.type === 'InvalidTwoFactorCodeError') {
+    return i18n.t('login_2fa_wrong');
+  }
+  if (err.type !== 'LoginThrottledError') {
+    return i18n.t('editor_password_wrong');
+  }
+  const seconds = err.details?.retryAfterSeconds || 0;
+  return seconds >= 60
+    ? i18n.t('login_throttled_minutes', { count: Math.ceil(seconds / 60) })
+    : i18n.t('login_throttled_seconds', { count: seconds });
+}
@@ -11,9 +11,11 @@ export const TranslationHelper = {
   /**
    * Translate quiz if user's language differs from quiz language
    * @param {Object} quiz - Quiz data with id and language properties
+   * @param {string} [endpoint] - Translation endpoint (default: student projection of the quiz;
+   *   teacher pages and the result page use their own endpoints)
    * @returns {Promise<Object>} Translation result with translated flag and quiz
    */
-  async translateQuizIfNeeded(quiz) {
+  async translateQuizIfNeeded(quiz, endpoint = `/api/translate/quiz/${quiz.id}`) {
     const userLang = LanguageHelper.getPreferredLanguage();
     const quizLang = quiz.language || 'de';
 
@@ -25,7 +27,7 @@ export const TranslationHelper = {
 
     try {
       const result = await fetchWithErrorHandling(
-        `/api/translate/quiz/${quiz.id}?lang=${userLang}`
+        `${endpoint}?lang=${userLang}`
       );
 
       if (result.translated) {
@@ -39,5 +41,39 @@ export const TranslationHelper = {
       console.error('[Translation] Request failed:', err);
       return { translated: false, reason: err.message, quiz };
     }
+  },
+
+  /**
+   * Apply translated texts to a participant's quiz by id, keeping its own
+   * (shuffled or drawn) questions and order
+   * @param {Object} quiz - Quiz from the session (modified in place)
+   * @param {Object} translatedQuiz - Translated student projection
+   * @returns {Object} The quiz
+   */
+  applyTranslation(quiz, translatedQuiz) {
+    const byId = (items, id) => (items || []).find(item => item && item.id === id);
+    const translateItems = (items, translatedItems) => (items || []).map((item, idx) => {
+      if (typeof item === 'string') {
+        // Legacy string options have no id: same position as in the authored order
+        return typeof translatedItems[idx] === 'string' ? translatedItems[idx] : item;
+      }
+      const translated = byId(translatedItems, item.id);
+      return translated ? { ...item, text: translated.text || item.text } : item;
+    });
+
+    if (translatedQuiz.title) {
+      quiz.title = translatedQuiz.title;
+    }
+    quiz.questions.forEach(q => {
+      const translated = byId(translatedQuiz.questions, q.id);
+      if (!translated) return;
+
+      q.text = translated.text || q.text;
+      q.keyword = translated.keyword || q.keyword;
+      if (q.options) q.options = translateItems(q.options, translated.options || []);
+      if (q.leftItems) q.leftItems = translateItems(q.leftItems, translated.leftItems || []);
+      if (q.rightItems) q.rightItems = translateItems(q.rightItems, translated.rightItems || []);
+    });
+    return quiz;
   }
 };
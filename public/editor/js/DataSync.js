@@ -172,6 +172,11 @@ export class DataSync {
         q.keyword = keywordInput.value;
       }
       
+      const tagInput = document.querySelector('.tag-input');
+      if (tagInput) {
+        this.editor.questionEditor.updateTag(idx, tagInput.value);
+      }
+      
       const questionTextInput = document.getElementById(`question-text-input-${idx}`);
       if (questionTextInput) {
         q.text = questionTextInput.value;
@@ -182,7 +187,7 @@ export class DataSync {
         q.reason = questionReasonTextarea.value;
       }
       
-      q.options.forEach((option, cIdx) => {
+      (q.options || []).forEach((option, cIdx) => {
         const textTextarea = document.getElementById(`option-text-${idx}-${cIdx}`);
         const reasonTextarea = document.getElementById(`option-reason-${idx}-${cIdx}`);
         
@@ -193,6 +198,51 @@ export class DataSync {
           option.reason = reasonTextarea.value;
         }
       });
+
+      if (q.type === 'gap') {
+        this.editor.questionEditor.syncGapsWithText(q);
+        q.gaps.forEach((gap, gIdx) => {
+          const answersInput = document.getElementById(`gap-answers-${idx}-${gIdx}`);
+          if (answersInput) {
+            gap.answers = this.editor.questionEditor.parseGapAnswers(answersInput.value);
+          }
+        });
+      }
+
+      if (q.type === 'match') {
+        (q.pairs || []).forEach((pair, pIdx) => {
+          ['left', 'right'].forEach(side => {
+            const textarea = document.getElementById(`pair-${side}-${idx}-${pIdx}`);
+            if (textarea) {
+              pair[side].text = textarea.value;
+            }
+          });
+        });
+      }
+
+      if (q.type === 'numeric') {
+        ['value', 'tolerance', 'unit'].forEach(field => {
+          const input = document.getElementById(`numeric-${field}-${idx}`);
+          if (input) {
+            this.editor.questionEditor.updateNumeric(idx, field, input.value);
+          }
+        });
+        const typeSelect = document.getElementById(`numeric-tolerance-type-${idx}`);
+        if (typeSelect) {
+          this.editor.questionEditor.updateNumeric(idx, 'toleranceType', typeSelect.value);
+        }
+      }
+
+      if (q.type === 'text') {
+        const sampleTextarea = document.getElementById(`text-sample-${idx}`);
+        if (sampleTextarea) {
+          this.editor.questionEditor.updateText(idx, 'sampleAnswer', sampleTextarea.value);
+        }
+        const maxLengthInput = document.getElementById(`text-max-length-${idx}`);
+        if (maxLengthInput) {
+          this.editor.questionEditor.updateText(idx, 'maxLength', maxLengthInput.value);
+        }
+      }
     }
   }
 
@@ -204,10 +254,35 @@ export class DataSync {
   validateQuestion(questionIdx) {
     const q = this.editor.quizData.questions[questionIdx];
     
+    // Gap question: every gap needs at least one accepted answer
+    if (q.type === 'gap') {
+      return (q.gaps || []).every(gap => gap.answers && gap.answers.length > 0);
+    }
+
+    // Numeric question: a target value is required
+    if (q.type === 'numeric') {
+      return Number.isFinite(q.numeric?.value);
+    }
+
+    // Match question: every pair needs both sides
+    if (q.type === 'match') {
+      return (q.pairs || []).every(pair => pair.left.text.trim() && pair.right.text.trim());
+    }
+
+    // Free-text question: graded manually, nothing to mark
+    if (q.type === 'text') {
+      return true;
+    }
+    
     // No options yet - valid (question is being created)
     if (!q.options || q.options.length === 0) {
       return true;
     }
+
+    // Order question: the option order is the answer, no correct flags needed
+    if (q.type === 'order') {
+      return true;
+    }
     
     // NEW FORMAT: Check if at least one option has correct=true
     const hasCorrectAnswer = q.options.some(option => 
@@ -235,7 +310,13 @@ export class DataSync {
     this.syncUIToData();
     
     if (!this.validateQuestion(this.editor.currentQuestionIdx)) {
-      this.editor.sessionManager.showMessage(i18n.t('editor_validation_mark_correct'), true);
+      const q = this.editor.quizData.questions[this.editor.currentQuestionIdx];
+      const messageKey = {
+        gap: 'editor_validation_gap_answers',
+        numeric: 'editor_validation_numeric_value',
+        match: 'editor_validation_match_pairs'
+      }[q.type] || 'editor_validation_mark_correct';
+      this.editor.sessionManager.showMessage(i18n.t(messageKey), true);
       return false;
     }
     
@@ -253,7 +334,7 @@ export class DataSync {
       const q = this.editor.quizData.questions[i];
       
       // Skip questions without options (empty questions)
-      if (!q.options || q.options.length === 0) {
+      if (!['gap', 'numeric', 'match', 'text'].includes(q.type) && (!q.options || q.options.length === 0)) {
         continue;
       }
       
@@ -351,6 +432,26 @@ export class DataSync {
         continue; // Continue to check other questions
       }
 
+      if (q.type === 'gap') {
+        errors.push(...this.validateGapsBeforeSave(q, questionNum));
+        continue;
+      }
+
+      if (q.type === 'numeric') {
+        errors.push(...this.validateNumericBeforeSave(q, questionNum));
+        continue;
+      }
+
+      if (q.type === 'match') {
+        errors.push(...this.validateMatchBeforeSave(q, questionNum));
+        continue;
+      }
+
+      // Free-text question: sample answer and length limit are checked by the Question rules
+      if (q.type === 'text') {
+        continue;
+      }
+
       // Check minimum options
       const options = q.options || [];
       if (options.length < 2) {
@@ -400,6 +501,11 @@ export class DataSync {
         }
       }
 
+      // Order questions: the option order is the answer
+      if (q.type === 'order') {
+        continue;
+      }
+
       // NEW FORMAT: Check at least one correct answer on option level
       const hasCorrect = options.some(option =>
         typeof option === 'object' && option.correct === true
@@ -418,6 +524,115 @@ export class DataSync {
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Validate the gap definitions of a gap question
+   * @param {Object} q - Question with type 'gap'
+   * @param {number} questionNum - 1-based question number for messages
+   * @returns {Array<string>} - Error messages
+   */
+  validateGapsBeforeSave(q, questionNum) {
+    const errors = [];
+    const gaps = q.gaps || [];
+
+    if (gaps.length === 0) {
+      errors.push(i18n.t('editor_validation_no_gaps', { num: questionNum }));
+      return errors;
+    }
+
+    for (const gap of gaps) {
+      if (!gap.answers || gap.answers.length === 0) {
+        errors.push(i18n.t('editor_validation_gap_no_answer', { num: questionNum, gap: gap.id }));
+        continue;
+      }
+
+      if (gap.regex) {
+        const invalid = gap.answers.find(answer => {
+          try {
+            new RegExp(answer);
+            return false;
+          } catch (e) {
+            return true;
+          }
+        });
+        if (invalid) {
+          errors.push(i18n.t('editor_validation_gap_invalid_regex', { num: questionNum, gap: gap.id, pattern: invalid }));
+          continue;
+        }
+      }
+
+      try {
+        validationClient.validate('Gap', gap);
+      } catch (err) {
+        errors.push(i18n.t('editor_validation_question_error', { num: questionNum, error: err.message || String(err) }));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the target value of a numeric question
+   * @param {Object} q - Question with type 'numeric'
+   * @param {number} questionNum - 1-based question number for messages
+   * @returns {Array<string>} - Error messages
+   */
+  validateNumericBeforeSave(q, questionNum) {
+    const numeric = q.numeric || {};
+
+    if (!Number.isFinite(numeric.value)) {
+      return [i18n.t('editor_validation_numeric_no_value', { num: questionNum })];
+    }
+
+    if (numeric.toleranceType === 'relative' && numeric.value === 0 && numeric.tolerance > 0) {
+      return [i18n.t('editor_validation_numeric_relative_zero', { num: questionNum })];
+    }
+
+    try {
+      validationClient.validate('NumericAnswer', numeric);
+    } catch (err) {
+      return [i18n.t('editor_validation_question_error', { num: questionNum, error: err.message || String(err) })];
+    }
+
+    return [];
+  }
+
+  /**
+   * Validate the pairs of a match question
+   * @param {Object} q - Question with type 'match'
+   * @param {number} questionNum - 1-based question number for messages
+   * @returns {Array<string>} - Error messages
+   */
+  validateMatchBeforeSave(q, questionNum) {
+    const errors = [];
+    const pairs = q.pairs || [];
+
+    if (pairs.length < 2) {
+      return [i18n.t('editor_validation_min_pairs', { num: questionNum })];
+    }
+
+    pairs.forEach((pair, pIdx) => {
+      for (const side of ['left', 'right']) {
+        if (!pair[side].text || pair[side].text.trim().length === 0) {
+          errors.push(i18n.t('editor_validation_pair_text_empty', { num: questionNum, pair: pIdx + 1 }));
+          return;
+        }
+        try {
+          validationClient.validate('MatchItem', pair[side]);
+        } catch (err) {
+          errors.push(i18n.t('editor_validation_question_error', { num: questionNum, error: err.message || String(err) }));
+          return;
+        }
+      }
+    });
+
+    const rightTexts = pairs.map(pair => `${pair.right.text.trim()}|${pair.right.image || ''}`);
+    if (new Set(rightTexts).size !== rightTexts.length) {
+      errors.push(i18n.t('editor_validation_pair_duplicate_right', { num: questionNum }));
+    }
+
+    return errors;
+  }
+
   /**
    * Save quiz to server
    */
@@ -462,6 +677,17 @@ export class DataSync {
       return; // Block save
     }
 
+    // Viewers (e.g. the demo account) may try out the editor, but not save
+    const sessionManager = this.editor.sessionManager;
+    const canSave = this.editor.currentQuizId
+      ? sessionManager.canOnQuiz('quiz.edit')
+      : sessionManager.can('quiz.create');
+    if (!canSave) {
+      toast.info(i18n.t('editor_readonly_save_hint'), 5000);
+      sessionManager.showMessage(i18n.t('editor_readonly_save_hint'), false);
+      return;
+    }
+
     try {
       // Auto-detect and add language field from teacher's Google Translate setting
       const detectedLanguage = this.getTeacherLanguage();
@@ -483,14 +709,8 @@ export class DataSync {
       // Mark as saved after successful save
       this.editor.changeTracker.markAsSaved();
 
-      // Check for demo mode response
-      if (result.demoMode) {
-        toast.info(i18n.t('demo_save_hint'), 5000);
-        this.editor.sessionManager.showMessage(i18n.t('demo_save_hint'), false);
-      } else {
-        this.editor.sessionManager.showMessage(i18n.t('editor_quiz_saved_msg'), false);
-        toast.success(i18n.t('editor_quiz_saved_toast'), 3000);
-      }
+      this.editor.sessionManager.showMessage(i18n.t('editor_quiz_saved_msg'), false);
+      toast.success(i18n.t('editor_quiz_saved_toast'), 3000);
       
       if (!document.getElementById('quizSelect').value) {
         await this.editor.sessionManager.loadQuizList();
@@ -5,6 +5,12 @@
 import { toast } from '../../common/ApiHelpers.js';
 import { i18n } from '../../common/i18n.js';
 import { BASE_PATH } from '../../common/BasePath.js';
+import { extractGapIds } from '../../common/QuizHelpers.js';
+
+/**
+ * Question types offered in the type select ('choice' = single/multiple)
+ */
+const QUESTION_TYPES = ['choice', 'gap', 'numeric', 'order', 'match', 'text'];
 
 export class QuestionEditor {
   constructor(editor) {
@@ -36,6 +42,20 @@ export class QuestionEditor {
                  placeholder="${i18n.t('editor_question_keyword_placeholder')}"
                  title="${i18n.t('editor_question_keyword_title')}"
                  onchange="window.quizEditor.navigator.updateQuestion(${idx}, 'keyword', this.value); window.quizEditor.navigator.render();">
+          <input type="text"
+                 class="tag-input"
+                 value="${this.escapeAttribute(q.tag || '')}"
+                 maxlength="50"
+                 placeholder="${i18n.t('editor_question_tag_placeholder')}"
+                 title="${i18n.t('editor_question_tag_title')}"
+                 onchange="window.quizEditor.questionEditor.updateTag(${idx}, this.value)">
+          <select class="question-type-select"
+                  title="${i18n.t('editor_question_type_title')}"
+                  onchange="window.quizEditor.questionEditor.changeType(${idx}, this.value)">
+            ${QUESTION_TYPES.map(type => `
+              <option value="${type}" ${this.getQuestionType(q) === type ? 'selected' : ''}>${i18n.t('editor_question_type_' + type)}</option>
+            `).join('')}
+          </select>
           <button class="btn btn-danger" onclick="window.quizEditor.navigator.deleteQuestion(${idx})">🗑️</button>
         </div>
         
@@ -58,7 +78,7 @@ export class QuestionEditor {
                  class="question-text-input"
                  placeholder="${i18n.t('editor_question_text_placeholder')}"
                  title="${i18n.t('editor_question_text_title')}"
-                 onchange="window.quizEditor.navigator.updateQuestion(${idx}, 'text', this.value)">${this.escapeHtml(q.text || '')}</textarea>
+                 onchange="window.quizEditor.navigator.updateQuestion(${idx}, 'text', this.value); window.quizEditor.questionEditor.renderGaps(${idx})">${this.escapeHtml(q.text || '')}</textarea>
           </div>
           <div id="question-text-preview-${idx}" class="preview-box" style="display: none;"></div>
         </div>
@@ -93,14 +113,17 @@ export class QuestionEditor {
           </div>
         </div>
         
-        <div class="form-group">
-          <div class="options-list" id="options-${idx}"></div>
-          <button class="btn btn-secondary" onclick="window.quizEditor.questionEditor.addOption(${idx})">${i18n.t('editor_add_option')}</button>
-        </div>
+        ${this.renderAnswerSection(q, idx)}
       </div>
     `;
     
-    this.renderOptions(idx);
+    if (q.type === 'gap') {
+      this.renderGaps(idx);
+    } else if (q.type === 'match') {
+      this.renderPairs(idx);
+    } else if (q.type !== 'numeric' && q.type !== 'text') {
+      this.renderOptions(idx);
+    }
     
     const reasonTextarea = document.getElementById(`question-reason-${idx}`);
     if (reasonTextarea) {
@@ -111,6 +134,186 @@ export class QuestionEditor {
     this.setupImageDropZones();
   }
 
+  /**
+   * Editor type of a question ('choice' covers single and multiple)
+   */
+  getQuestionType(q) {
+    return QUESTION_TYPES.includes(q.type) ? q.type : 'choice';
+  }
+
+  /**
+   * Render the type-specific answer section of a question card
+   */
+  renderAnswerSection(q, idx) {
+    if (q.type === 'gap') {
+      return `
+        <div class="form-group">
+          <label>${i18n.t('editor_label_gaps')}</label>
+          <div class="gap-help">${i18n.t('editor_gap_help')}</div>
+          <div class="gaps-list" id="gaps-${idx}"></div>
+        </div>
+      `;
+    }
+
+    if (q.type === 'numeric') {
+      return this.renderNumericSection(q, idx);
+    }
+
+    if (q.type === 'text') {
+      return this.renderTextSection(q, idx);
+    }
+
+    if (q.type === 'match') {
+      return `
+        <div class="form-group">
+          <label>${i18n.t('editor_label_pairs')}</label>
+          <div class="match-help">${i18n.t('editor_match_help')}</div>
+          <div class="pairs-list" id="pairs-${idx}"></div>
+          <button class="btn btn-secondary" onclick="window.quizEditor.questionEditor.addPair(${idx})">${i18n.t('editor_add_pair')}</button>
+        </div>
+      `;
+    }
+
+    const scoringModes = q.type === 'order'
+      ? ['allOrNothing', 'perPosition', 'longestSubsequence']
+      : ['allOrNothing', 'perOption', 'proportional'];
+
+    return `
+      <div class="form-group">
+        ${q.type === 'order' ? `<div class="order-help">${i18n.t('editor_order_help')}</div>` : ''}
+        <div class="scoring-row">
+          <label for="question-scoring-${idx}">${i18n.t('editor_label_scoring')}</label>
+          <select id="question-scoring-${idx}"
+                  class="question-scoring-select"
+                  onchange="window.quizEditor.questionEditor.updateScoring(${idx}, this.value)">
+            <option value="" ${!q.scoring ? 'selected' : ''}>${i18n.t(q.type === 'order' ? 'editor_scoring_default' : 'editor_scoring_quiz_default')}</option>
+            ${scoringModes.map(mode => `
+              <option value="${mode}" ${q.scoring === mode ? 'selected' : ''}>${i18n.t('editor_scoring_' + mode)}</option>
+            `).join('')}
+          </select>
+          ${q.type !== 'order' ? `
+            <label class="pin-options-flag" title="${i18n.t('editor_pin_options_title')}">
+              <input type="checkbox" id="question-pin-options-${idx}" ${q.pinOptions ? 'checked' : ''}
+                     onchange="window.quizEditor.questionEditor.updatePinOptions(${idx}, this.checked)">
+              ${i18n.t('editor_pin_options')}
+            </label>
+          ` : ''}
+        </div>
+        <div class="options-list" id="options-${idx}"></div>
+        <button class="btn btn-secondary" onclick="window.quizEditor.questionEditor.addOption(${idx})">${i18n.t('editor_add_option')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render target value, tolerance and unit of a numeric question
+   */
+  renderNumericSection(q, idx) {
+    const numeric = q.numeric || {};
+
+    return `
+      <div class="form-group">
+        <label>${i18n.t('editor_label_numeric')}</label>
+        <div class="numeric-row">
+          <input type="number" step="any"
+                 id="numeric-value-${idx}"
+                 class="numeric-value-input"
+                 value="${numeric.value ?? ''}"
+                 placeholder="${i18n.t('editor_numeric_value_placeholder')}"
+                 onchange="window.quizEditor.questionEditor.updateNumeric(${idx}, 'value', this.value)">
+          <span>\u00B1</span>
+          <input type="number" step="any" min="0"
+                 id="numeric-tolerance-${idx}"
+                 class="numeric-tolerance-input"
+                 value="${numeric.tolerance ?? ''}"
+                 placeholder="0"
+                 title="${i18n.t('editor_numeric_tolerance_title')}"
+                 onchange="window.quizEditor.questionEditor.updateNumeric(${idx}, 'tolerance', this.value)">
+          <select id="numeric-tolerance-type-${idx}"
+                  class="numeric-tolerance-type"
+                  onchange="window.quizEditor.questionEditor.updateNumeric(${idx}, 'toleranceType', this.value)">
+            <option value="absolute" ${numeric.toleranceType !== 'relative' ? 'selected' : ''}>${i18n.t('editor_numeric_absolute')}</option>
+            <option value="relative" ${numeric.toleranceType === 'relative' ? 'selected' : ''}>%</option>
+          </select>
+          <input type="text"
+                 id="numeric-unit-${idx}"
+                 class="numeric-unit-input"
+                 value="${this.escapeAttribute(numeric.unit || '')}"
+                 maxlength="20"
+                 placeholder="${i18n.t('editor_numeric_unit_placeholder')}"
+                 onchange="window.quizEditor.questionEditor.updateNumeric(${idx}, 'unit', this.value)">
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render sample answer and length limit of a free-text question
+   */
+  renderTextSection(q, idx) {
+    return `
+      <div class="form-group">
+        <div class="text-help">${i18n.t('editor_text_help')}</div>
+        <label for="text-sample-${idx}">${i18n.t('editor_label_sample_answer')}</label>
+        <textarea id="text-sample-${idx}"
+                  class="text-sample-textarea"
+                  maxlength="5000"
+                  placeholder="${i18n.t('editor_text_sample_placeholder')}"
+                  onchange="window.quizEditor.questionEditor.updateText(${idx}, 'sampleAnswer', this.value)">${this.escapeHtml(q.sampleAnswer || '')}</textarea>
+        <div class="text-limit-row">
+          <label for="text-max-length-${idx}">${i18n.t('editor_label_max_length')}</label>
+          <input type="number" min="1" max="5000" step="1"
+                 id="text-max-length-${idx}"
+                 class="text-max-length-input"
+                 value="${q.maxLength ?? ''}"
+                 placeholder="5000"
+                 onchange="window.quizEditor.questionEditor.updateText(${idx}, 'maxLength', this.value)">
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Update sample answer or length limit of a free-text question
+   */
+  updateText(qIdx, field, value) {
+    const q = this.editor.quizData.questions[qIdx];
+
+    if (field === 'maxLength') {
+      const number = parseInt(value, 10);
+      if (Number.isFinite(number)) {
+        q.maxLength = number;
+      } else {
+        delete q.maxLength;
+      }
+    } else if (value.trim()) {
+      q.sampleAnswer = value;
+    } else {
+      delete q.sampleAnswer;
+    }
+  }
+
+  /**
+   * Update a field of a numeric question's answer definition
+   */
+  updateNumeric(qIdx, field, value) {
+    const q = this.editor.quizData.questions[qIdx];
+    q.numeric = q.numeric || {};
+
+    if (field === 'value' || field === 'tolerance') {
+      const number = parseFloat(value);
+      if (Number.isFinite(number)) {
+        q.numeric[field] = number;
+      } else {
+        delete q.numeric[field];
+      }
+    } else if (field === 'unit' && !value.trim()) {
+      delete q.numeric.unit;
+    } else {
+      q.numeric[field] = field === 'unit' ? value.trim() : value;
+    }
+  }
+
   /**
    * Toggle question reason visibility
    */
@@ -166,9 +369,11 @@ export class QuestionEditor {
       card.innerHTML = `
         <div class="option-icons">
           <div class="icon-row">
+            ${q.type === 'order' ? `
+            <span class="order-position" title="${i18n.t('editor_order_position_title')}">${cIdx + 1}.</span>` : `
             <input type="checkbox" ${isCorrect ? 'checked' : ''}
                    onchange="window.quizEditor.questionEditor.toggleCorrect(${qIdx}, '${c.id}', this.checked)"
-                   title="${i18n.t('editor_option_correct_title')}">
+                   title="${i18n.t('editor_option_correct_title')}">`}
             <input type="text" class="option-id-input" placeholder="a" value="${c.id || ''}"
                    onchange="window.quizEditor.questionEditor.updateOption(${qIdx}, ${cIdx}, 'id', this.value)" maxlength="1">
           </div>
@@ -253,6 +458,246 @@ export class QuestionEditor {
     });
   }
 
+  /**
+   * Switch the type of a question (choice, gap fill, numeric, order, match, free text).
+   * Type-specific fields of the previous type are dropped.
+   */
+  changeType(qIdx, type) {
+    this.editor.dataSync.syncUIToData();
+    const q = this.editor.quizData.questions[qIdx];
+
+    if (type !== 'gap') delete q.gaps;
+    if (type !== 'numeric') delete q.numeric;
+    if (type !== 'match') delete q.pairs;
+    if (type !== 'text') {
+      delete q.sampleAnswer;
+      delete q.maxLength;
+    }
+    // Scoring modes differ per type
+    delete q.scoring;
+    if (type !== 'choice') delete q.pinOptions;
+
+    if (type === 'choice') {
+      delete q.type;
+    } else {
+      q.type = type;
+    }
+
+    if (type === 'choice' || type === 'order') {
+      if (!q.options || q.options.length === 0) {
+        q.options = [
+          { id: 'a', text: '', reason: '', correct: false },
+          { id: 'b', text: '', reason: '', correct: false }
+        ];
+      }
+    } else {
+      delete q.options;
+    }
+
+    if (type === 'gap') {
+      q.gaps = q.gaps || [];
+      this.syncGapsWithText(q);
+    } else if (type === 'numeric') {
+      q.numeric = q.numeric || { toleranceType: 'absolute' };
+    } else if (type === 'order') {
+      // The option order is the answer
+      q.options.forEach(option => delete option.correct);
+    } else if (type === 'match') {
+      q.pairs = q.pairs || [
+        { id: '1', left: { text: '' }, right: { text: '' } },
+        { id: '2', left: { text: '' }, right: { text: '' } }
+      ];
+    }
+
+    this.render();
+  }
+
+  /**
+   * Set the partial-credit scoring mode of a choice or order question
+   * ('' = quiz default for choice, all or nothing for order)
+   */
+  updateScoring(qIdx, mode) {
+    const q = this.editor.quizData.questions[qIdx];
+    if (mode) {
+      q.scoring = mode;
+    } else {
+      delete q.scoring;
+    }
+  }
+
+  /**
+   * Set the tag of a question (groups questions for stratified question draws)
+   */
+  updateTag(qIdx, value) {
+    const q = this.editor.quizData.questions[qIdx];
+    const tag = value.trim();
+    if (tag) {
+      q.tag = tag;
+    } else {
+      delete q.tag;
+    }
+  }
+
+  /**
+   * Keep the authored option order of a choice question in shuffled sessions
+   * (e.g. "all of the above" as the last option)
+   */
+  updatePinOptions(qIdx, pinned) {
+    const q = this.editor.quizData.questions[qIdx];
+    if (pinned) {
+      q.pinOptions = true;
+    } else {
+      delete q.pinOptions;
+    }
+  }
+
+  /**
+   * Align q.gaps with the {{id}} placeholders in the question text.
+   * Existing gap definitions are kept, new placeholders get an empty gap.
+   */
+  syncGapsWithText(q) {
+    const existing = new Map((q.gaps || []).map(gap => [gap.id, gap]));
+    q.gaps = extractGapIds(q.text).map(id => existing.get(id) || { id, answers: [] });
+  }
+
+  /**
+   * Render gap definitions (accepted answers per placeholder)
+   */
+  renderGaps(qIdx) {
+    const container = document.getElementById(`gaps-${qIdx}`);
+    const q = this.editor.quizData.questions[qIdx];
+    if (!container || q.type !== 'gap') return;
+
+    this.syncGapsWithText(q);
+
+    if (q.gaps.length === 0) {
+      container.innerHTML = `<p class="gap-empty">${i18n.t('editor_gap_empty')}</p>`;
+      return;
+    }
+
+    container.innerHTML = q.gaps.map((gap, gIdx) => `
+      <div class="gap-card">
+        <span class="gap-id">{{${gap.id}}}</span>
+        <input type="text"
+               id="gap-answers-${qIdx}-${gIdx}"
+               class="gap-answers-input"
+               value="${this.escapeAttribute((gap.answers || []).join('; '))}"
+               placeholder="${i18n.t('editor_gap_answers_placeholder')}"
+               onchange="window.quizEditor.questionEditor.updateGap(${qIdx}, ${gIdx}, 'answers', this.value)">
+        <label class="gap-flag" title="${i18n.t('editor_gap_case_sensitive_title')}">
+          <input type="checkbox" ${gap.caseSensitive ? 'checked' : ''}
+                 onchange="window.quizEditor.questionEditor.updateGap(${qIdx}, ${gIdx}, 'caseSensitive', this.checked)">
+          Aa
+        </label>
+        <label class="gap-flag" title="${i18n.t('editor_gap_regex_title')}">
+          <input type="checkbox" ${gap.regex ? 'checked' : ''}
+                 onchange="window.quizEditor.questionEditor.updateGap(${qIdx}, ${gIdx}, 'regex', this.checked)">
+          .*
+        </label>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Update a gap field (answers are entered separated by ";")
+   */
+  updateGap(qIdx, gIdx, field, value) {
+    const gap = this.editor.quizData.questions[qIdx].gaps[gIdx];
+
+    if (field === 'answers') {
+      gap.answers = this.parseGapAnswers(value);
+    } else if (value) {
+      gap[field] = true;
+    } else {
+      delete gap[field];
+    }
+  }
+
+  /**
+   * Render the left/right pairs of a match question
+   */
+  renderPairs(qIdx) {
+    const container = document.getElementById(`pairs-${qIdx}`);
+    const q = this.editor.quizData.questions[qIdx];
+    if (!container || q.type !== 'match') return;
+
+    const renderSide = (pair, pIdx, side) => `
+      <div class="pair-side">
+        <div class="text-with-images-editor">
+          <div class="editor-image-dropzone editor-image-dropzone-small"
+               data-field-type="match-${side}-image"
+               data-question-idx="${qIdx}"
+               data-option-idx="${pIdx}">
+            ${this.renderImagePreview(pair[side].image, this.editor.currentQuizId, `match-${side}-image`, qIdx, pIdx)}
+          </div>
+          <textarea id="pair-${side}-${qIdx}-${pIdx}" class="option-text-textarea"
+                    placeholder="${i18n.t('editor_pair_' + side + '_placeholder')}"
+                    onchange="window.quizEditor.questionEditor.updatePair(${qIdx}, ${pIdx}, '${side}', this.value)">${this.escapeHtml(pair[side].text || '')}</textarea>
+        </div>
+      </div>
+    `;
+
+    container.innerHTML = q.pairs.map((pair, pIdx) => `
+      <div class="pair-card">
+        ${renderSide(pair, pIdx, 'left')}
+        <span class="pair-arrow">\u2194</span>
+        ${renderSide(pair, pIdx, 'right')}
+        <button class="icon-btn delete-btn"
+                onclick="window.quizEditor.questionEditor.deletePair(${qIdx}, ${pIdx})"
+                title="${i18n.t('editor_pair_delete_title')}">✕</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('textarea').forEach(textarea => this.editor.preview.setupAutoResize(textarea));
+  }
+
+  /**
+   * Add an empty pair to a match question
+   */
+  addPair(qIdx) {
+    const q = this.editor.quizData.questions[qIdx];
+    q.pairs = q.pairs || [];
+
+    // Pair ids only need to be unique within the question
+    const ids = new Set(q.pairs.map(pair => pair.id));
+    let next = q.pairs.length + 1;
+    while (ids.has(String(next))) next++;
+
+    q.pairs.push({ id: String(next), left: { text: '' }, right: { text: '' } });
+    this.renderPairs(qIdx);
+    this.setupImageDropZones();
+  }
+
+  /**
+   * Delete a pair of a match question
+   */
+  deletePair(qIdx, pIdx) {
+    this.editor.quizData.questions[qIdx].pairs.splice(pIdx, 1);
+    this.renderPairs(qIdx);
+    this.setupImageDropZones();
+  }
+
+  /**
+   * Update the left or right text of a pair
+   */
+  updatePair(qIdx, pIdx, side, value) {
+    this.editor.quizData.questions[qIdx].pairs[pIdx][side].text = value;
+  }
+
+  /**
+   * Split the accepted answers input into a list
+   */
+  parseGapAnswers(value) {
+    return value.split(';').map(s => s.trim()).filter(s => s);
+  }
+
+  /**
+   * Escape text for use in an HTML attribute
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   /**
    * Escape HTML for safe insertion
    */
@@ -536,10 +981,14 @@ export class QuestionEditor {
       const current = q.options[optIdx].reasonImage || '';
       q.options[optIdx].reasonImage = current ? `${current}, ${filename}` : filename;
     }
+    else if (fieldType === 'match-left-image' || fieldType === 'match-right-image') {
+      const item = q.pairs[optIdx][fieldType === 'match-left-image' ? 'left' : 'right'];
+      item.image = item.image ? `${item.image}, ${filename}` : filename;
+    }
     
-    // Re-render and save
-    this.renderQuestion(qIdx);
-    this.editor.dataSync.syncFromUI();
+    // Keep typed text, then re-render
+    this.editor.dataSync.syncUIToData();
+    this.render();
     toast.success(i18n.t('editor_image_added', { filename }), 2000);
   }
 
@@ -561,10 +1010,15 @@ export class QuestionEditor {
     else if (fieldType === 'option-reason-image') {
       q.options[optIdx].reasonImage = this.removeFromCommaSeparated(q.options[optIdx].reasonImage, filename);
     }
+    else if (fieldType === 'match-left-image' || fieldType === 'match-right-image') {
+      const item = q.pairs[optIdx][fieldType === 'match-left-image' ? 'left' : 'right'];
+      item.image = this.removeFromCommaSeparated(item.image, filename);
+      if (!item.image) delete item.image;
+    }
     
-    // Re-render and save
-    this.renderQuestion(qIdx);
-    this.editor.dataSync.syncFromUI();
+    // Keep typed text, then re-render
+    this.editor.dataSync.syncUIToData();
+    this.render();
     toast.success(i18n.t('editor_image_removed', { filename }), 2000);
   }
 }
\ No newline at end of file
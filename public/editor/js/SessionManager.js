@@ -4,38 +4,60 @@
 
 import { fetchWithErrorHandling, toast } from '../../common/ApiHelpers.js';
 import { i18n, appReady } from '../../common/i18n.js';
+import { loginTeacher, loginErrorMessage } from '../../common/TeacherLogin.js';
 import { LanguageHelper } from '../../common/LanguageHelper.js';
 import { createQRCodeContainer } from '../../common/QRCodeHelper.js';
+import { BASE_PATH } from '../../common/BasePath.js';
 
 export class SessionManager {
   constructor(editor) {
     this.editor = editor;
-    this.demoMode = false;
+    // Permissions of the account role and per quiz (see server/config/permissions.js)
+    this.permissions = [];
+    this.quizPermissions = {};
+    // Roster import waiting for the student list file ({ name } or { rosterId, name })
+    this.pendingRosterImport = null;
+  }
+
+  /**
+   * Whether the account role has a permission (e.g. 'quiz.create')
+   */
+  can(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  /**
+   * Whether the logged-in account has a permission for the loaded quiz
+   */
+  canOnQuiz(permission) {
+    const permissions = this.quizPermissions[this.editor.currentQuizId] || [];
+    return permissions.includes(permission);
   }
 
   /**
    * Handle teacher login
    */
   async login() {
+    const username = document.getElementById('usernameInput').value.trim();
     const pw = document.getElementById('passwordInput').value;
 
     try {
-      const result = await fetchWithErrorHandling('/api/teacher/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password: pw })
-      });
+      const result = await loginTeacher(username, pw);
+      if (!result) return;
 
-      // Store demo mode flag
-      this.demoMode = result.demoMode === true;
+      this.permissions = result.teacher.permissions;
 
       // Success
       document.getElementById('loginScreen').style.display = 'none';
       document.getElementById('editorScreen').style.display = 'block';
 
-      // Hide create option in demo mode
-      if (this.demoMode) {
-        // Disable create quiz button and session creation
+      document.getElementById('teacherName').textContent = `👤 ${result.teacher.displayName}`;
+      document.getElementById('teachersBtn').style.display = this.can('users.manage') ? '' : 'none';
+      document.getElementById('rostersBtn').style.display = this.can('rosters.manage') ? '' : 'none';
+      document.getElementById('passwordBtn').style.display = result.teacher.builtIn ? 'none' : '';
+
+      // Viewer accounts (e.g. the demo account) cannot create quizzes
+      if (!this.can('quiz.create')) {
         document.getElementById('createBtn')?.setAttribute('disabled', 'disabled');
       }
 
@@ -45,7 +67,7 @@ export class SessionManager {
       // Error already shown as toast by fetchWithErrorHandling
       // Also show inline error
       const errEl = document.getElementById('loginError');
-      errEl.textContent = i18n.t('editor_password_wrong');
+      errEl.textContent = loginErrorMessage(err);
       errEl.style.display = 'block';
     }
   }
@@ -53,8 +75,714 @@ export class SessionManager {
   /**
    * Logout and reload page
    */
-  logout() {
-    location.reload();
+  async logout() {
+    try {
+      await fetchWithErrorHandling('/api/teacher/logout', { method: 'POST' });
+    } finally {
+      location.reload();
+    }
+  }
+
+  /**
+   * Teacher accounts (admins only): list, register, change and delete via prompts.
+   * Entering a user name registers a teacher, "*name" changes the role or
+   * password of one, "-name" deletes one.
+   */
+  async manageTeachers() {
+    const t = i18n.t.bind(i18n);
+
+    try {
+      const { teachers } = await fetchWithErrorHandling('/api/teacher/admin/teachers');
+      const list = teachers.map(teacher =>
+        `${teacher.username}${teacher.twoFactor ? ' 🔐' : ''} (${teacher.displayName}, ${t(`role_${teacher.role}`)}): ` +
+        t('editor_teachers_quiz_count', { count: teacher.quizCount })
+      ).join('\n');
+
+      const input = (prompt(t('editor_teachers_prompt', { list })) || '').trim();
+      if (!input) return;
+
+      if (input.startsWith('-')) {
+        const username = input.slice(1).trim();
+        if (!confirm(t('editor_teacher_delete_confirm', { username }))) return;
+
+        await fetchWithErrorHandling(`/api/teacher/admin/teachers/${encodeURIComponent(username)}`, {
+          method: 'DELETE'
+        });
+        toast.success(t('editor_teacher_deleted', { username }));
+        return;
+      }
+
+      if (input.startsWith('!')) {
+        const username = input.slice(1).trim();
+        await fetchWithErrorHandling(`/api/teacher/admin/teachers/${encodeURIComponent(username)}/2fa`, {
+          method: 'DELETE'
+        });
+        toast.success(t('editor_teacher_2fa_reset', { username }));
+        return;
+      }
+
+      if (input.startsWith('*')) {
+        const username = input.slice(1).trim();
+        const teacher = teachers.find(entry => entry.username === username.toLowerCase());
+        const role = prompt(t('editor_teacher_role_prompt'), teacher ? teacher.role : 'teacher');
+        if (role === null) return;
+        const password = prompt(t('editor_teacher_new_password_prompt'));
+        if (password === null) return;
+
+        const changes = {};
+        if (role.trim() && (!teacher || role.trim() !== teacher.role)) changes.role = role.trim();
+        if (password) changes.password = password;
+        if (Object.keys(changes).length === 0) return;
+
+        await fetchWithErrorHandling(`/api/teacher/admin/teachers/${encodeURIComponent(username)}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(changes)
+        });
+        toast.success(t('editor_teacher_updated', { username }));
+        return;
+      }
+
+      const displayName = prompt(t('editor_teacher_name_prompt'), input);
+      if (displayName === null) return;
+      const password = prompt(t('editor_teacher_password_prompt'));
+      if (!password) return;
+      const role = prompt(t('editor_teacher_role_prompt'), 'teacher');
+      if (!role) return;
+
+      const result = await fetchWithErrorHandling('/api/teacher/admin/teachers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: input, displayName, password, role: role.trim() })
+      });
+      toast.success(t('editor_teacher_registered', { username: result.teacher.username }));
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error managing teachers:', err);
+    }
+  }
+
+  /**
+   * Class rosters of the own account via prompts. Entering a name imports a
+   * student list file (one student per line: name or name;code), the number of
+   * a roster downloads its personal codes, "+number" adds students from a file
+   * and "-number" deletes the roster.
+   */
+  async manageRosters() {
+    const t = i18n.t.bind(i18n);
+
+    try {
+      const { rosters } = await fetchWithErrorHandling('/api/teacher/rosters');
+      const list = rosters.map((roster, idx) =>
+        `${idx + 1}. ${roster.name} (` +
+        t('editor_roster_counts', { students: roster.studentCount, sessions: roster.sessionCount }) + ')'
+      ).join('\n') || t('editor_rosters_none');
+
+      const input = (prompt(t('editor_rosters_prompt', { list })) || '').trim();
+      if (!input) return;
+
+      const match = input.match(/^([+-]?)(\d+)$/);
+      if (!match) {
+        this.pendingRosterImport = { name: input };
+        document.getElementById('rosterFileInput').click();
+        return;
+      }
+
+      const roster = rosters[Number(match[2]) - 1];
+      if (!roster) {
+        toast.warning(t('editor_roster_unknown', { number: match[2] }));
+        return;
+      }
+
+      if (match[1] === '-') {
+        if (!confirm(t('editor_roster_delete_confirm', { name: roster.name }))) return;
+        await fetchWithErrorHandling(`/api/teacher/rosters/${encodeURIComponent(roster.id)}`, { method: 'DELETE' });
+        toast.success(t('editor_roster_deleted', { name: roster.name }));
+      } else if (match[1] === '+') {
+        this.pendingRosterImport = { rosterId: roster.id, name: roster.name };
+        document.getElementById('rosterFileInput').click();
+      } else {
+        this.downloadRosterCodes(roster.id);
+      }
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error managing rosters:', err);
+    }
+  }
+
+  /**
+   * Send the chosen student list file for the import started in manageRosters
+   */
+  async importRosterFile() {
+    const t = i18n.t.bind(i18n);
+    const fileInput = document.getElementById('rosterFileInput');
+    const file = fileInput.files[0];
+    const pending = this.pendingRosterImport;
+
+    fileInput.value = '';
+    this.pendingRosterImport = null;
+    if (!file || !pending) return;
+
+    try {
+      const csv = await file.text();
+      const url = pending.rosterId
+        ? `/api/teacher/rosters/${encodeURIComponent(pending.rosterId)}/students`
+        : '/api/teacher/rosters';
+      const { roster } = await fetchWithErrorHandling(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(pending.rosterId ? { csv } : { name: pending.name, csv })
+      });
+
+      toast.success(t('editor_roster_imported', { name: roster.name, count: roster.students.length }));
+      if (confirm(t('editor_roster_codes_confirm'))) {
+        this.downloadRosterCodes(roster.id);
+      }
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error importing roster:', err);
+    }
+  }
+
+  /**
+   * Download names and personal codes of a roster (CSV, e.g. to hand out the codes)
+   */
+  downloadRosterCodes(rosterId) {
+    window.location.href = `${BASE_PATH || ''}/api/teacher/rosters/${encodeURIComponent(rosterId)}/codes.csv`;
+  }
+
+  /**
+   * Ask whether a new session is restricted to one of the own rosters
+   * @returns {Promise<object|null|undefined>} Roster ({ id, name }), null for an anonymous session,
+   *   undefined if no valid roster was chosen
+   */
+  async chooseRoster() {
+    if (!this.can('rosters.manage')) return null;
+
+    let rosters;
+    try {
+      ({ rosters } = await fetchWithErrorHandling('/api/teacher/rosters'));
+    } catch (err) {
+      // Error already shown as toast
+      return undefined;
+    }
+    if (rosters.length === 0) return null;
+
+    const list = rosters.map((roster, idx) => `${idx + 1}. ${roster.name}`).join('\n');
+    const input = (prompt(i18n.t('editor_session_roster_prompt', { list })) || '').trim();
+    if (!input) return null;
+
+    const roster = rosters[Number(input) - 1];
+    if (!roster) {
+      this.showMessage(i18n.t('editor_roster_unknown', { number: input }), true);
+      return undefined;
+    }
+    return roster;
+  }
+
+  /**
+   * Change the password of the own account via prompts
+   */
+  async changePassword() {
+    const t = i18n.t.bind(i18n);
+
+    const currentPassword = prompt(t('editor_password_current_prompt'));
+    if (!currentPassword) return;
+    const newPassword = prompt(t('editor_password_new_prompt'));
+    if (!newPassword) return;
+    if (prompt(t('editor_password_repeat_prompt')) !== newPassword) {
+      toast.warning(t('editor_password_mismatch'));
+      return;
+    }
+
+    try {
+      await fetchWithErrorHandling('/api/teacher/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+      toast.success(t('editor_password_changed'));
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error changing password:', err);
+    }
+  }
+
+  /**
+   * Two-factor authentication of the own account: shows the setup panel
+   * (QR code for the authenticator app) or turns it off with a code
+   */
+  async manageTwoFactor() {
+    const t = i18n.t.bind(i18n);
+
+    try {
+      const status = await fetchWithErrorHandling('/api/teacher/2fa');
+
+      if (status.enabled) {
+        const code = prompt(t('editor_2fa_disable_prompt', { count: status.recoveryCodesLeft }));
+        if (!code) return;
+
+        await fetchWithErrorHandling('/api/teacher/2fa', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: code.trim() })
+        });
+        toast.success(t('editor_2fa_disabled'));
+        return;
+      }
+
+      const { secret, otpauthUri } = await fetchWithErrorHandling('/api/teacher/2fa/setup', { method: 'POST' });
+
+      const qrContainer = document.getElementById('twoFactorQRCode');
+      qrContainer.innerHTML = '';
+      qrContainer.appendChild(createQRCodeContainer(otpauthUri, 'normal', secret));
+
+      document.getElementById('twoFactorHint').textContent = t('editor_2fa_setup_hint');
+      document.getElementById('twoFactorCodeInput').value = '';
+      document.getElementById('twoFactorConfirm').style.display = '';
+      document.getElementById('twoFactorRecoveryCodes').style.display = 'none';
+      document.getElementById('twoFactorPanel').style.display = 'flex';
+      document.getElementById('twoFactorCodeInput').focus();
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error managing two-factor authentication:', err);
+    }
+  }
+
+  /**
+   * Confirm the setup with the code of the app, then show the recovery codes
+   */
+  async enableTwoFactor() {
+    const t = i18n.t.bind(i18n);
+    const code = document.getElementById('twoFactorCodeInput').value.trim();
+    if (!code) return;
+
+    try {
+      const { recoveryCodes } = await fetchWithErrorHandling('/api/teacher/2fa/enable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+
+      document.getElementById('twoFactorQRCode').innerHTML = '';
+      document.getElementById('twoFactorConfirm').style.display = 'none';
+      document.getElementById('twoFactorHint').textContent = t('editor_2fa_recovery_hint');
+      const codesEl = document.getElementById('twoFactorRecoveryCodes');
+      codesEl.textContent = recoveryCodes.join('\n');
+      codesEl.style.display = '';
+      toast.success(t('editor_2fa_enabled'));
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error enabling two-factor authentication:', err);
+    }
+  }
+
+  closeTwoFactorPanel() {
+    document.getElementById('twoFactorPanel').style.display = 'none';
+    document.getElementById('twoFactorQRCode').innerHTML = '';
+    document.getElementById('twoFactorRecoveryCodes').textContent = '';
+  }
+
+  /**
+   * Sharing of the loaded quiz (owners): list, share and revoke via prompts.
+   * Entering a user name shares the quiz, "-name" revokes the access.
+   */
+  async shareQuiz() {
+    const t = i18n.t.bind(i18n);
+    const quizId = this.editor.currentQuizId;
+
+    if (!quizId) {
+      toast.warning(t('editor_no_quiz_loaded'));
+      return;
+    }
+
+    try {
+      const base = `/api/teacher/quiz/${encodeURIComponent(quizId)}/shares`;
+      const { shares } = await fetchWithErrorHandling(base);
+      const list = shares.length
+        ? shares.map(share => `${share.username} (${share.displayName}): ${t(`role_${share.role}`)}`).join('\n')
+        : t('editor_share_nobody');
+
+      const input = (prompt(t('editor_share_prompt', { list })) || '').trim();
+      if (!input) return;
+
+      if (input.startsWith('-')) {
+        const username = input.slice(1).trim();
+        await fetchWithErrorHandling(`${base}/${encodeURIComponent(username)}`, { method: 'DELETE' });
+        toast.success(t('editor_unshared', { username }));
+        return;
+      }
+
+      const role = confirm(t('editor_share_role_confirm', { username: input })) ? 'coEditor' : 'viewer';
+      await fetchWithErrorHandling(`${base}/${encodeURIComponent(input)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+      });
+      toast.success(t('editor_shared', { username: input }));
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error sharing quiz:', err);
+    }
+  }
+
+  /**
+   * Sessions of the loaded quiz with their participants: change the end, close,
+   * reopen, rename or delete a session; schedules that create sessions every week
+   */
+  async openSessionsPanel() {
+    const quizId = this.editor.currentQuizId;
+    if (!quizId) {
+      toast.warning(i18n.t('editor_no_quiz_loaded'));
+      return;
+    }
+
+    try {
+      const quizPath = `/api/teacher/quiz/${encodeURIComponent(quizId)}`;
+      const [{ sessions }, { schedules }] = await Promise.all([
+        fetchWithErrorHandling(`${quizPath}/sessions`),
+        fetchWithErrorHandling(`${quizPath}/schedules`)
+      ]);
+      this.renderSchedulesList(schedules);
+      this.renderSessionsList(sessions);
+      document.getElementById('newScheduleBtn').style.display = this.canOnQuiz('session.create') ? '' : 'none';
+      document.getElementById('sessionsPanel').style.display = 'flex';
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error loading sessions:', err);
+    }
+  }
+
+  closeSessionsPanel() {
+    document.getElementById('sessionsPanel').style.display = 'none';
+    document.getElementById('sessionsList').innerHTML = '';
+    document.getElementById('schedulesList').innerHTML = '';
+  }
+
+  /**
+   * Schedules of the quiz (weekdays, time, last date, upcoming sessions)
+   */
+  renderSchedulesList(schedules) {
+    const t = i18n.t.bind(i18n);
+    const list = document.getElementById('schedulesList');
+    list.innerHTML = '';
+
+    for (const schedule of schedules) {
+      const item = document.createElement('div');
+      item.className = 'schedule-item';
+      const text = document.createElement('span');
+      text.textContent = '🔁 ' + t('editor_schedule_summary', {
+        days: this.formatWeekdays(schedule.weekdays),
+        start: schedule.startTime,
+        end: schedule.endTime,
+        until: new Date(`${schedule.until}T00:00`).toLocaleDateString(),
+        count: schedule.upcomingSessions
+      });
+      item.appendChild(text);
+
+      if (this.canOnQuiz('session.delete')) {
+        const button = document.createElement('button');
+        button.textContent = '🗑️';
+        button.title = t('editor_schedule_action_delete');
+        button.addEventListener('click', () => this.deleteSchedule(schedule));
+        item.appendChild(button);
+      }
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Short weekday names in the UI language, e.g. "Mon, Wed"
+   * @param {string[]} weekdays - 'mon' ... 'sun'
+   */
+  formatWeekdays(weekdays) {
+    const names = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    // 2024-01-07 was a Sunday
+    return weekdays
+      .map(day => new Date(2024, 0, 7 + names.indexOf(day)).toLocaleDateString(i18n.getLanguage() || undefined, { weekday: 'short' }))
+      .join(', ');
+  }
+
+  /**
+   * Create a schedule for the loaded quiz: a session on the given weekdays at the
+   * same time until a last date (the server creates them two weeks ahead)
+   */
+  async createSchedule() {
+    const t = i18n.t.bind(i18n);
+    const quizId = this.editor.currentQuizId;
+    if (!quizId || !this.canOnQuiz('session.create')) return;
+
+    const daysInput = (prompt(t('editor_schedule_days_prompt')) || '').trim();
+    if (!daysInput) return;
+    const numbers = daysInput.split(/[\s,;]+/).map(Number);
+    if (numbers.some(n => !Number.isInteger(n) || n < 1 || n > 7)) {
+      this.showMessage(t('editor_schedule_days_invalid'), true);
+      return;
+    }
+    const weekdays = numbers.map(n => ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'][n - 1]);
+
+    const timeInput = prompt(t('editor_schedule_time_prompt'), '08:00-08:45');
+    if (timeInput === null) return;
+    const times = timeInput.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    if (!times) {
+      this.showMessage(t('editor_schedule_time_invalid'), true);
+      return;
+    }
+
+    const untilInput = prompt(t('editor_schedule_until_prompt'));
+    if (untilInput === null) return;
+    const until = untilInput.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(until)) {
+      this.showMessage(t('editor_schedule_until_invalid'), true);
+      return;
+    }
+
+    const practice = confirm(t('editor_practice_confirm'));
+    const listed = confirm(t('editor_listed_confirm'));
+    const roster = await this.chooseRoster();
+    if (roster === undefined) return;
+
+    try {
+      const { schedule } = await fetchWithErrorHandling(`/api/teacher/quiz/${encodeURIComponent(quizId)}/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          weekdays,
+          startTime: times[1],
+          endTime: times[2],
+          until,
+          mode: practice ? 'practice' : 'selfPaced',
+          listed,
+          rosterId: roster ? roster.id : null
+        })
+      });
+      toast.success(t('editor_schedule_created', { count: schedule.sessionNames.length }));
+      await this.openSessionsPanel();
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error creating schedule:', err);
+    }
+  }
+
+  /**
+   * Delete a schedule with its upcoming sessions
+   */
+  async deleteSchedule(schedule) {
+    if (!confirm(i18n.t('editor_schedule_delete_confirm', { count: schedule.upcomingSessions }))) return;
+
+    try {
+      const quizId = encodeURIComponent(this.editor.currentQuizId);
+      await fetchWithErrorHandling(`/api/teacher/quiz/${quizId}/schedules/${encodeURIComponent(schedule.id)}`, {
+        method: 'DELETE'
+      });
+      toast.success(i18n.t('editor_schedule_deleted'));
+      await this.openSessionsPanel();
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error deleting schedule:', err);
+    }
+  }
+
+  /**
+   * Table of the sessions with the actions the role allows
+   */
+  renderSessionsList(sessions) {
+    const t = i18n.t.bind(i18n);
+    const list = document.getElementById('sessionsList');
+    list.innerHTML = '';
+
+    if (sessions.length === 0) {
+      list.textContent = t('editor_sessions_none');
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'sessions-table';
+    const headRow = table.createTHead().insertRow();
+    for (const key of ['editor_sessions_name', 'editor_sessions_status', 'editor_sessions_until', 'editor_sessions_participants', '']) {
+      const th = document.createElement('th');
+      th.textContent = key ? t(key) : '';
+      headRow.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    for (const session of sessions) {
+      const row = body.insertRow();
+
+      const link = document.createElement('a');
+      link.href = `../stats/?session=${encodeURIComponent(session.sessionName)}`;
+      link.target = '_blank';
+      link.textContent = session.sessionName;
+      const nameCell = row.insertCell();
+      nameCell.appendChild(link);
+      if (session.joinCode) {
+        const code = document.createElement('div');
+        code.className = 'session-code';
+        code.textContent = `🔗 ${session.joinCode}` + (session.listed ? '' : ` (${t('editor_sessions_unlisted')})`);
+        nameCell.appendChild(code);
+      }
+
+      row.insertCell().textContent = (session.mode === 'live' ? '📡 ' : '') + (session.scheduleId ? '🔁 ' : '')
+        + t(`editor_session_status_${session.status}`);
+      let until = session.openUntil ? new Date(session.openUntil).toLocaleString() : t('editor_sessions_no_end');
+      if (session.status === 'scheduled') {
+        until = `${new Date(session.openFrom).toLocaleString()} - ${until}`;
+      }
+      row.insertCell().textContent = until;
+      row.insertCell().textContent = t('editor_sessions_counts', {
+        participants: session.participants,
+        submissions: session.submissions
+      });
+
+      const actions = row.insertCell();
+      actions.className = 'session-actions';
+      const addAction = (icon, titleKey, handler) => {
+        const button = document.createElement('button');
+        button.textContent = icon;
+        button.title = t(titleKey);
+        button.addEventListener('click', () => handler.call(this, session));
+        actions.appendChild(button);
+      };
+
+      // Live sessions are started and ended from the presenter view
+      const live = session.mode === 'live';
+      if (this.canOnQuiz('session.run')) {
+        if (!live && session.status === 'scheduled') {
+          addAction('🕗', 'editor_session_action_time', this.changeSessionTime);
+        }
+        if (!live && session.status !== 'closed') {
+          addAction('⏱️', 'editor_session_action_end', this.changeSessionEnd);
+          addAction('⏹️', 'editor_session_action_close', this.closeSession);
+        }
+        if (!live && session.status === 'closed') {
+          addAction('▶️', 'editor_session_action_reopen', this.reopenSession);
+        }
+        if (session.status !== 'closed') {
+          addAction(session.listed ? '🙈' : '👁️',
+            session.listed ? 'editor_session_action_unlist' : 'editor_session_action_list', this.toggleSessionListed);
+        }
+        if (!live || session.status === 'closed') {
+          addAction('✏️', 'editor_session_action_rename', this.renameSession);
+        }
+      }
+      if (this.canOnQuiz('session.delete')) {
+        addAction('🗑️', 'editor_session_action_delete', this.deleteSession);
+      }
+    }
+    list.appendChild(table);
+  }
+
+  /**
+   * Ask for a session end: minutes from now, a time (HH:MM) or 0 for no end
+   * @returns {Date|null|undefined} End, null = no end, undefined if cancelled or invalid
+   */
+  promptSessionEnd() {
+    const input = (prompt(i18n.t('editor_session_end_prompt')) || '').trim();
+    if (!input) return undefined;
+
+    const now = new Date();
+    let end;
+    if (/^\d{1,2}:\d{2}$/.test(input)) {
+      const [hours, minutes] = input.split(':').map(Number);
+      end = new Date(now);
+      end.setHours(hours, minutes, 0, 0);
+    } else {
+      const minutes = Number(input);
+      if (minutes === 0) return null;
+      end = new Date(now.getTime() + minutes * 60000);
+    }
+
+    if (isNaN(end.getTime()) || end <= now) {
+      this.showMessage(i18n.t('editor_session_future_required'), true);
+      return undefined;
+    }
+    return end;
+  }
+
+  async changeSessionEnd(session) {
+    const end = this.promptSessionEnd();
+    if (end === undefined) return;
+    await this.sendSessionChange(session, 'PUT', '', { open_until: end ? end.toISOString() : null });
+  }
+
+  /**
+   * Move a scheduled session to another time on the same day (e.g. one lesson of a schedule)
+   */
+  async changeSessionTime(session) {
+    const start = new Date(session.openFrom);
+    const input = (prompt(i18n.t('editor_session_time_prompt')) || '').trim();
+    if (!input) return;
+
+    const times = input.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const end = new Date(start);
+    if (times) {
+      start.setHours(Number(times[1]), Number(times[2]), 0, 0);
+      end.setHours(Number(times[3]), Number(times[4]), 0, 0);
+    }
+    if (!times || end <= start) {
+      this.showMessage(i18n.t('editor_schedule_time_invalid'), true);
+      return;
+    }
+    await this.sendSessionChange(session, 'PUT', '', { open_from: start.toISOString(), open_until: end.toISOString() });
+  }
+
+  async closeSession(session) {
+    if (!confirm(i18n.t('editor_session_close_confirm', { name: session.sessionName }))) return;
+    await this.sendSessionChange(session, 'POST', '/close');
+  }
+
+  async reopenSession(session) {
+    const end = this.promptSessionEnd();
+    if (end === undefined) return;
+    await this.sendSessionChange(session, 'POST', '/reopen', { open_until: end ? end.toISOString() : null });
+  }
+
+  async renameSession(session) {
+    const name = (prompt(i18n.t('editor_session_rename_prompt'), session.sessionName) || '').trim();
+    if (!name || name === session.sessionName) return;
+    await this.sendSessionChange(session, 'PUT', '', { sessionName: name });
+  }
+
+  async toggleSessionListed(session) {
+    await this.sendSessionChange(session, 'PUT', '', { listed: !session.listed });
+  }
+
+  async deleteSession(session) {
+    if (!confirm(i18n.t('editor_session_delete_confirm', { name: session.sessionName, count: session.submissions }))) return;
+    await this.sendSessionChange(session, 'DELETE', '');
+  }
+
+  /**
+   * Send a change of a session and reload the list
+   * @param {object} session - Session from the list
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after /api/teacher/session/:sessionName
+   * @param {object} [body]
+   */
+  async sendSessionChange(session, method, path, body = null) {
+    try {
+      await fetchWithErrorHandling(`/api/teacher/session/${encodeURIComponent(session.sessionName)}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      toast.success(i18n.t('editor_session_changed'));
+      await this.openSessionsPanel();
+    } catch (err) {
+      // Error already shown as toast by fetchWithErrorHandling
+      console.error('Error changing session:', err);
+    }
+  }
+
+  /**
+   * Show the quiz actions the role allows for the loaded quiz
+   */
+  updateQuizActions() {
+    const loaded = !!this.editor.currentQuizId;
+    document.getElementById('deleteQuizBtn').classList.toggle('visible', loaded && this.canOnQuiz('quiz.delete'));
+    document.getElementById('shareQuizBtn').style.display = loaded && this.canOnQuiz('quiz.share') ? '' : 'none';
+    document.getElementById('sessionsBtn').style.display = loaded && this.canOnQuiz('results.read') ? '' : 'none';
+    this.closeSessionsPanel();
   }
 
   /**
@@ -71,15 +799,19 @@ export class SessionManager {
       // Placeholder option that forces onchange event
       select.innerHTML = `<option value="_placeholder" selected disabled>${i18n.t('quiz_select_placeholder')}</option>`;
 
-      // Hide "create new quiz" option in demo mode
-      if (!this.demoMode) {
+      if (this.can('quiz.create')) {
         select.innerHTML += `<option value="">${i18n.t('quiz_create_new')}</option>`;
       }
 
+      this.quizPermissions = {};
       data.forEach(q => {
+        this.quizPermissions[q.id] = q.permissions;
         const opt = document.createElement('option');
         opt.value = q.id;
-        opt.textContent = q.title;
+        // Quizzes shared with the account show the role
+        opt.textContent = ['coEditor', 'viewer'].includes(q.role)
+          ? `${q.title} (🤝 ${i18n.t(`role_${q.role}`)})`
+          : q.title;
         select.appendChild(opt);
       });
     } catch (err) {
@@ -116,8 +848,8 @@ export class SessionManager {
       // Clear change tracker for new quiz
       this.editor.changeTracker.clear();
       
-      // Hide delete button (no quiz loaded)
-      document.getElementById('deleteQuizBtn').classList.remove('visible');
+      // Hide delete and share buttons (no quiz loaded)
+      this.updateQuizActions();
       
       // Show create section only if not placeholder
       if (id === '') {
@@ -154,8 +886,8 @@ export class SessionManager {
       titleField.value = this.editor.quizData.title || '';
       titleField.disabled = true;
       
-      // Show delete button (quiz loaded)
-      document.getElementById('deleteQuizBtn').classList.add('visible');
+      // Show delete and share buttons if the role allows them
+      this.updateQuizActions();
       
       this.editor.render();
     } catch (err) {
@@ -163,7 +895,7 @@ export class SessionManager {
       console.error('Error loading quiz:', err);
       // Reset to placeholder
       document.getElementById('quizSelect').value = '_placeholder';
-      document.getElementById('deleteQuizBtn').classList.remove('visible');
+      this.updateQuizActions();
     }
   }
 
@@ -192,9 +924,8 @@ export class SessionManager {
    * This happens before the first save
    */
   async createQuiz() {
-    // Block in demo mode
-    if (this.demoMode) {
-      toast.warning(i18n.t('demo_action_blocked'));
+    if (!this.can('quiz.create')) {
+      toast.warning(i18n.t('editor_action_not_allowed'));
       return;
     }
 
@@ -260,6 +991,7 @@ export class SessionManager {
       // Reload quiz list and select the new quiz
       await this.loadQuizList();
       document.getElementById('quizSelect').value = data.quizId;
+      this.updateQuizActions();
       
       // Hide create section
       document.getElementById('createQuizSection').style.display = 'none';
@@ -278,14 +1010,13 @@ export class SessionManager {
    * Create a new session for the current quiz
    */
   async createSession() {
-    // Block in demo mode
-    if (this.demoMode) {
-      toast.warning(i18n.t('demo_action_blocked'));
+    if (!this.editor.currentQuizId) {
+      this.showMessage(i18n.t('editor_load_or_save_first'), true);
       return;
     }
 
-    if (!this.editor.currentQuizId) {
-      this.showMessage(i18n.t('editor_load_or_save_first'), true);
+    if (!this.canOnQuiz('session.create')) {
+      toast.warning(i18n.t('editor_action_not_allowed'));
       return;
     }
 
@@ -318,25 +1049,169 @@ export class SessionManager {
       }
     }
 
+    // Optional time limit per participant, counted from their start
+    const timeLimitInput = prompt(i18n.t('editor_time_limit_prompt'));
+    let timeLimitSeconds = null;
+
+    if (timeLimitInput && timeLimitInput.trim()) {
+      const limitMinutes = Number(timeLimitInput.trim().replace(',', '.'));
+      if (isNaN(limitMinutes) || limitMinutes <= 0) {
+        this.showMessage(i18n.t('editor_time_limit_invalid'), true);
+        return;
+      }
+      timeLimitSeconds = Math.round(limitMinutes * 60);
+    }
+
+    // Exam (1 attempt, default) or practice session with several attempts (0 = unlimited)
+    const attemptsInput = prompt(i18n.t('editor_attempts_prompt'));
+    let maxAttempts = 1;
+    let scorePolicy = 'best';
+
+    if (attemptsInput && attemptsInput.trim()) {
+      maxAttempts = Number(attemptsInput.trim());
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 0 || maxAttempts > 100) {
+        this.showMessage(i18n.t('editor_attempts_invalid'), true);
+        return;
+      }
+    }
+    if (maxAttempts !== 1) {
+      const policyInput = (prompt(i18n.t('editor_score_policy_prompt'), 'best') || 'best').trim().toLowerCase();
+      if (!['best', 'last', 'average'].includes(policyInput)) {
+        this.showMessage(i18n.t('editor_score_policy_invalid'), true);
+        return;
+      }
+      scorePolicy = policyInput;
+    }
+
+    // Practice session: students get feedback after each answer (and see results right away)
+    const practice = confirm(i18n.t('editor_practice_confirm'));
+
+    // Exam style: questions one after another, no going back or skipping
+    const linearNavigation = confirm(i18n.t('editor_linear_confirm'));
+
+    // Optional random subset of the questions per participant
+    const questionCount = this.editor.quizData.questions.length;
+    const drawInput = prompt(i18n.t('editor_draw_prompt', { count: questionCount }));
+    let draw = null;
+
+    if (drawInput && drawInput.trim()) {
+      const drawCount = Number(drawInput.trim());
+      if (!Number.isInteger(drawCount) || drawCount < 1 || drawCount > questionCount) {
+        this.showMessage(i18n.t('editor_draw_invalid', { count: questionCount }), true);
+        return;
+      }
+      if (drawCount < questionCount) {
+        draw = [{ count: drawCount }];
+      }
+    }
+
+    // Each participant gets their own (stable) order
+    const shuffleQuestions = confirm(i18n.t('editor_shuffle_questions_confirm'));
+    const shuffleOptions = confirm(i18n.t('editor_shuffle_options_confirm'));
+
+    // Feedback policy: when and what participants see of their result details
+    // (practice sessions: right away, with solutions and explanations after each answer)
+    let releaseAt = null;
+    let withholdResults = false;
+    let showScoreImmediately = false;
+    let showSolutions = true;
+    let explanationsInput = 'all';
+
+    if (!practice) {
+      const releaseInput = (prompt(i18n.t('editor_release_prompt')) || '').trim();
+      if (releaseInput === '-') {
+        withholdResults = true;
+      } else if (releaseInput) {
+        if (!/^\d{1,2}:\d{2}$/.test(releaseInput)) {
+          this.showMessage(i18n.t('editor_release_invalid'), true);
+          return;
+        }
+        const [hours, minutes] = releaseInput.split(':').map(Number);
+        releaseAt = new Date(now);
+        releaseAt.setHours(hours, minutes, 0, 0);
+        // A time that has passed today means tomorrow
+        if (releaseAt <= now) releaseAt.setDate(releaseAt.getDate() + 1);
+      }
+      showScoreImmediately = confirm(i18n.t('editor_score_immediately_confirm'));
+      showSolutions = confirm(i18n.t('editor_solutions_confirm'));
+      explanationsInput = (prompt(i18n.t('editor_explanations_prompt'), 'all') || 'all').trim().toLowerCase();
+      if (!['all', 'wrong', 'none'].includes(explanationsInput)) {
+        this.showMessage(i18n.t('editor_explanations_invalid'), true);
+        return;
+      }
+    }
+
+    // Unlisted sessions are only found with the join code or link
+    const listed = confirm(i18n.t('editor_listed_confirm'));
+
+    // Optional class roster: only its students take part, with their personal codes
+    const roster = await this.chooseRoster();
+    if (roster === undefined) return;
+
     try {
       const result = await fetchWithErrorHandling('/api/teacher/createSession', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           quizId: this.editor.currentQuizId,
-          open_until: openUntil ? openUntil.toISOString() : null
+          open_until: openUntil ? openUntil.toISOString() : null,
+          mode: practice ? 'practice' : 'selfPaced',
+          timeLimitSeconds,
+          shuffleQuestions,
+          shuffleOptions,
+          draw,
+          maxAttempts,
+          scorePolicy,
+          linearNavigation,
+          rosterId: roster ? roster.id : null,
+          releaseAt: releaseAt ? releaseAt.toISOString() : null,
+          withholdResults,
+          showScoreImmediately,
+          showSolutions,
+          showExplanations: explanationsInput,
+          listed
         })
       });
 
-      document.getElementById('sessionInfo').style.display = 'block';
-      document.getElementById('sessionName').textContent = result.sessionName;
-
-      // Generate quiz URL for participants
-      const quizUrl = `${window.location.origin}/quiz/?session=${result.sessionName}`;
-      this.renderSessionQRCode(quizUrl);
+      this.showSessionInfo(result.sessionName, result.joinCode);
 
       const endTime = new Date(openUntil).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-      this.showMessage(i18n.t('session_created_until', { endTime }), false);
+      let message = i18n.t('session_created_until', { endTime });
+      if (timeLimitSeconds) {
+        message += ' - ' + i18n.t('editor_session_time_limit', { minutes: timeLimitSeconds / 60 });
+      }
+      if (practice) {
+        message += ' - 💡 ' + i18n.t('editor_session_practice');
+      }
+      if (linearNavigation) {
+        message += ' - ➡️ ' + i18n.t('editor_session_linear');
+      }
+      if (maxAttempts !== 1) {
+        message += ' - 🔁 ' + (maxAttempts === 0
+          ? i18n.t('editor_session_attempts_unlimited', { policy: scorePolicy })
+          : i18n.t('editor_session_attempts', { count: maxAttempts, policy: scorePolicy }));
+      }
+      if (draw) {
+        message += ' - 🎲 ' + i18n.t('editor_session_draw', { count: draw[0].count, total: questionCount });
+      }
+      if (shuffleQuestions || shuffleOptions) {
+        message += ' - 🔀 ' + i18n.t('editor_session_shuffled');
+      }
+      if (roster) {
+        message += ' - 🏫 ' + i18n.t('editor_session_roster', { name: roster.name });
+      }
+      if (withholdResults) {
+        message += ' - 🔒 ' + i18n.t('editor_session_withheld');
+      } else if (releaseAt) {
+        message += ' - 📅 ' + i18n.t('editor_session_release', { time: releaseAt.toLocaleString() });
+      }
+      if (!showSolutions) {
+        message += ' - 🙈 ' + i18n.t('editor_session_no_solutions');
+      }
+      if (!listed) {
+        message += ' - 🔗 ' + i18n.t('editor_session_unlisted');
+      }
+      this.showMessage(message, false);
       
     } catch (err) {
       // Error already shown as toast
@@ -345,15 +1220,72 @@ export class SessionManager {
   }
 
   /**
-   * Delete quiz with confirmation and backup option
+   * Create a live session for the current quiz and open the presenter view
    */
-  async deleteQuiz() {
-    // Block in demo mode
-    if (this.demoMode) {
-      toast.warning(i18n.t('demo_action_blocked'));
+  async createLiveSession() {
+    if (!this.editor.currentQuizId) {
+      this.showMessage(i18n.t('editor_load_or_save_first'), true);
+      return;
+    }
+
+    if (!this.canOnQuiz('session.create')) {
+      toast.warning(i18n.t('editor_action_not_allowed'));
       return;
     }
 
+    const roster = await this.chooseRoster();
+    if (roster === undefined) return;
+
+    try {
+      const result = await fetchWithErrorHandling('/api/teacher/createSession', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          quizId: this.editor.currentQuizId,
+          mode: 'live',
+          rosterId: roster ? roster.id : null
+        })
+      });
+
+      this.showSessionInfo(result.sessionName, result.joinCode);
+
+      const presenterUrl = `../live/?session=${encodeURIComponent(result.sessionName)}`;
+      const presenterLink = document.getElementById('presenterLink');
+      presenterLink.href = presenterUrl;
+      presenterLink.textContent = '📡 ' + i18n.t('editor_open_presenter');
+      presenterLink.style.display = 'inline-block';
+
+      window.open(presenterUrl, '_blank');
+      this.showMessage(i18n.t('editor_live_session_created'), false);
+
+    } catch (err) {
+      // Error already shown as toast
+      console.error('Error creating live session:', err);
+    }
+  }
+
+  /**
+   * Show name, join code and QR code of a new session
+   */
+  showSessionInfo(sessionName, joinCode) {
+    document.getElementById('sessionInfo').style.display = 'block';
+    document.getElementById('sessionName').textContent = sessionName;
+    document.getElementById('presenterLink').style.display = 'none';
+
+    // The join link preselects the session, also when it is not in the public list
+    const quizUrl = joinCode
+      ? `${window.location.origin}${BASE_PATH}/join/${joinCode}`
+      : `${window.location.origin}${BASE_PATH}/quiz/?session=${encodeURIComponent(sessionName)}`;
+    document.getElementById('sessionJoinCode').style.display = joinCode ? 'block' : 'none';
+    document.getElementById('sessionJoinCodeValue').textContent = joinCode || '';
+    document.getElementById('sessionJoinLink').textContent = quizUrl;
+    this.renderSessionQRCode(quizUrl);
+  }
+
+  /**
+   * Delete quiz with confirmation and backup option
+   */
+  async deleteQuiz() {
     const quizId = this.editor.currentQuizId;
 
     if (!quizId) {
@@ -361,6 +1293,11 @@ export class SessionManager {
       return;
     }
 
+    if (!this.canOnQuiz('quiz.delete')) {
+      toast.warning(i18n.t('editor_action_not_allowed'));
+      return;
+    }
+
     try {
       // Load quiz for backup display
       const quiz = await fetchWithErrorHandling(`/api/teacher/quiz/${quizId}`);
@@ -409,8 +1346,8 @@ export class SessionManager {
       this.editor.changeTracker.clear();
       this.editor.questionEditor.renderQuestions();
       
-      // Hide delete button
-      document.getElementById('deleteQuizBtn').classList.remove('visible');
+      // Hide delete and share buttons
+      this.updateQuizActions();
       
       await this.loadQuizList();
       
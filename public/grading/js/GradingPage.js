@@ -0,0 +1,316 @@
+/**
+ * GradingPage.js - Manual Grading Page Controller
+ *
+ * Handles teacher login, session selection and manual grading
+ * of free-text answers (points and feedback per answer).
+ */
+
+import { fetchWithErrorHandling, toast } from '../../common/ApiHelpers.js';
+import { i18n, appReady } from '../../common/i18n.js';
+import { loginTeacher, loginErrorMessage } from '../../common/TeacherLogin.js';
+import { QuizUtils } from '../../common/QuizHelpers.js';
+import { renderQuestionWithImages } from '../../common/ImageRendering.js';
+import '../../common/AppHeader.js'; // Auto-initializes header
+
+/**
+ * Grading page controller
+ */
+class GradingPage {
+  constructor() {
+    this.sessionName = null;
+    this.quizData = null;
+    this.submissions = [];
+    // Permissions per session (see server/config/permissions.js)
+    this.sessionPermissions = {};
+    this.readOnly = false;
+  }
+
+  /**
+   * Initialize the page
+   */
+  async init() {
+    this.translateStaticElements();
+    this.setupEventListeners();
+
+    const status = await fetchWithErrorHandling('/api/teacher/status');
+    if (status.authenticated) {
+      await this.showGradingScreen();
+    } else {
+      document.getElementById('loginScreen').style.display = 'block';
+    }
+  }
+
+  /**
+   * Translate static HTML elements
+   */
+  translateStaticElements() {
+    const t = i18n.t.bind(i18n);
+
+    document.title = t('grading_page_title');
+    document.getElementById('loginTitle').textContent = t('grading_login_title');
+    document.getElementById('usernameInput').placeholder = t('login_username_placeholder');
+    document.getElementById('passwordInput').placeholder = t('grading_password_placeholder');
+    document.getElementById('loginButton').textContent = t('grading_btn_login');
+    document.getElementById('gradingMainHeading').innerHTML = '✍️ ' + t('grading_main_heading');
+    document.getElementById('gradingSubtitle').textContent = t('grading_subtitle');
+    document.getElementById('sessionLabel').textContent = t('stats_select_session');
+    document.getElementById('loadBtn').textContent = t('grading_btn_load');
+    document.getElementById('pendingOnlyLabel').textContent = t('grading_pending_only');
+    document.getElementById('loadingText').textContent = t('grading_loading');
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('loginButton').onclick = () => this.login();
+    ['usernameInput', 'passwordInput'].forEach(id => document.getElementById(id).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.login();
+    }));
+    document.getElementById('loadBtn').onclick = () => this.loadAnswers();
+    document.getElementById('pendingOnly').onchange = () => this.displayAnswers();
+
+    // Event delegation for the save buttons of the answer cards
+    document.getElementById('answerList').addEventListener('click', (e) => {
+      const btn = e.target.closest('.grade-save');
+      if (btn) this.saveGrade(btn.closest('.grading-card'));
+    });
+  }
+
+  /**
+   * Handle teacher login
+   */
+  async login() {
+    const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
+
+    try {
+      if (!await loginTeacher(username, password)) return;
+
+      document.getElementById('loginScreen').style.display = 'none';
+      await this.showGradingScreen();
+    } catch (err) {
+      const errEl = document.getElementById('loginError');
+      errEl.textContent = loginErrorMessage(err);
+      errEl.style.display = 'block';
+    }
+  }
+
+  /**
+   * Show the grading screen and fill the session dropdown
+   */
+  async showGradingScreen() {
+    document.getElementById('gradingScreen').style.display = 'block';
+
+    await this.loadAllSessions();
+
+    // Preselect session from URL (?session=...)
+    const requested = new URLSearchParams(window.location.search).get('session');
+    if (requested) {
+      document.getElementById('sessionSelect').value = requested;
+      await this.loadAnswers();
+    }
+  }
+
+  /**
+   * Load all sessions into dropdown
+   */
+  async loadAllSessions() {
+    const sel = document.getElementById('sessionSelect');
+
+    try {
+      const data = await fetchWithErrorHandling('/api/sessions/all?limit=100');
+      sel.innerHTML = '';
+
+      if (!data.sessions || data.sessions.length === 0) {
+        sel.innerHTML = `<option disabled>${i18n.t('stats_no_sessions')}</option>`;
+        return;
+      }
+
+      data.sessions.forEach(s => {
+        this.sessionPermissions[s.session_name] = s.permissions;
+        const opt = document.createElement('option');
+        opt.value = s.session_name;
+        opt.textContent = `${s.title} (${s.session_name})`;
+        sel.appendChild(opt);
+      });
+    } catch (err) {
+      sel.innerHTML = `<option disabled>${i18n.t('stats_error_loading')}</option>`;
+    }
+  }
+
+  /**
+   * Load quiz and submissions of the selected session
+   */
+  async loadAnswers() {
+    const session = document.getElementById('sessionSelect').value.trim();
+
+    if (!session) {
+      toast.warning(i18n.t('stats_select_valid_session'));
+      return;
+    }
+
+    document.getElementById('loading').style.display = 'block';
+    document.getElementById('gradingContent').style.display = 'none';
+
+    try {
+      const encoded = encodeURIComponent(session);
+      const sessionData = await fetchWithErrorHandling(`/api/session/${encoded}`);
+      // Full quiz (teacher endpoint) includes the sample answers
+      this.quizData = await fetchWithErrorHandling(`/api/teacher/quiz/${encodeURIComponent(sessionData.quiz_id)}`);
+      this.quizData.id = sessionData.quiz_id;
+      const data = await fetchWithErrorHandling(`/api/teacher/session/${encoded}/submissions`);
+      this.submissions = data.submissions || [];
+      this.sessionName = session;
+
+      // Viewers see the answers, but cannot grade
+      this.readOnly = !(this.sessionPermissions[session] || []).includes('results.grade');
+      const info = document.getElementById('demoInfo');
+      info.textContent = i18n.t('grading_readonly_hint');
+      info.style.display = this.readOnly ? 'block' : 'none';
+
+      document.getElementById('gradingContent').style.display = 'block';
+      this.displayAnswers();
+    } catch (err) {
+      console.error('Failed to load answers:', err);
+    } finally {
+      document.getElementById('loading').style.display = 'none';
+    }
+  }
+
+  /**
+   * Display free-text answers grouped by question
+   */
+  displayAnswers() {
+    const list = document.getElementById('answerList');
+    const pendingOnly = document.getElementById('pendingOnly').checked;
+    const textQuestions = this.quizData.questions.filter(q => q.type === 'text');
+    const quizUtil = new QuizUtils(this.quizData.id);
+
+    const pendingTotal = this.submissions.reduce((sum, sub) =>
+      sum + sub.details.filter(d => d.type === 'text' && d.pending).length, 0);
+    document.getElementById('gradingSummary').textContent =
+      i18n.t('grading_pending_count', { count: pendingTotal });
+
+    if (textQuestions.length === 0) {
+      list.innerHTML = `<div class="no-data">${i18n.t('grading_no_text_questions')}</div>`;
+      return;
+    }
+
+    let html = '';
+    for (const q of textQuestions) {
+      const answers = [];
+      for (const sub of this.submissions) {
+        const detail = sub.details.find(d => d.questionId === q.id);
+        // Empty answers need no grading
+        if (!detail || (detail.chosen || []).length === 0) continue;
+        if (pendingOnly && !detail.pending) continue;
+        answers.push({ sub, detail });
+      }
+
+      html += `<div class="grading-question">
+        <div class="grading-question-header">
+          <span class="question-keyword">${this.escapeHtml(q.keyword || q.id)}</span>
+          <span class="grading-question-points">${i18n.t('grading_max_points', { points: q.points || 1 })}</span>
+        </div>
+        ${renderQuestionWithImages(q, this.quizData.id, quizUtil)}
+        ${q.sampleAnswer ? `<div class="grading-sample">
+          <strong>${i18n.t('result_text_sample')}</strong>
+          <div>${this.escapeHtml(q.sampleAnswer)}</div>
+        </div>` : ''}
+        ${answers.length === 0
+          ? `<div class="no-data">${i18n.t('grading_no_answers')}</div>`
+          : answers.map(({ sub, detail }) => this.renderAnswerCard(sub, detail)).join('')}
+      </div>`;
+    }
+
+    list.innerHTML = html;
+  }
+
+  /**
+   * Student name (sessions with a class roster) with the code, otherwise the code
+   */
+  participantLabel(sub) {
+    return sub.participant_name ? `${sub.participant_name} (${sub.user_code})` : sub.user_code;
+  }
+
+  /**
+   * Render one student answer with points and feedback inputs
+   */
+  renderAnswerCard(sub, detail) {
+    const disabled = this.readOnly ? 'disabled' : '';
+
+    return `<div class="grading-card ${detail.pending ? 'pending' : 'graded'}"
+                 data-submission="${sub.id}" data-question="${detail.questionId}">
+      <div class="grading-card-header">
+        <strong>👤 ${this.escapeHtml(this.participantLabel(sub))}${sub.attempt_number > 1 ? ` (#${sub.attempt_number})` : ''}</strong>
+        <span class="grading-state">${detail.pending
+          ? '⏳ ' + i18n.t('result_pending')
+          : '✅ ' + i18n.t('grading_graded')}</span>
+      </div>
+      <div class="grading-answer">${this.escapeHtml((detail.chosen || [])[0] || '')}</div>
+      <div class="grading-inputs">
+        <label>${i18n.t('result_table_points')}
+          <input type="number" class="grade-points" min="0" max="${detail.maxPoints}" step="0.5"
+                 value="${detail.pending ? '' : detail.points}" ${disabled}>
+          / ${detail.maxPoints}
+        </label>
+        <textarea class="grade-feedback" rows="2" maxlength="2000"
+                  placeholder="${i18n.t('grading_feedback_placeholder')}" ${disabled}>${this.escapeHtml(detail.feedback || '')}</textarea>
+        <button type="button" class="btn btn-primary grade-save" ${disabled}>${i18n.t('grading_btn_save')}</button>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * Save points and feedback of one answer card
+   */
+  async saveGrade(card) {
+    const submissionId = card.dataset.submission;
+    const questionId = card.dataset.question;
+    const pointsInput = card.querySelector('.grade-points');
+    const points = parseFloat(pointsInput.value);
+
+    if (!Number.isFinite(points) || points < 0 || points > parseFloat(pointsInput.max)) {
+      toast.warning(i18n.t('grading_invalid_points', { max: pointsInput.max }));
+      return;
+    }
+
+    try {
+      const result = await fetchWithErrorHandling(
+        `/api/teacher/session/${encodeURIComponent(this.sessionName)}/submissions/${encodeURIComponent(submissionId)}/grade`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            questionId,
+            points,
+            feedback: card.querySelector('.grade-feedback').value
+          })
+        });
+
+      // Update local state so the filter and summary stay consistent
+      const sub = this.submissions.find(s => s.id === submissionId);
+      const detail = sub.details.find(d => d.questionId === questionId);
+      detail.points = points;
+      detail.pending = false;
+      detail.feedback = card.querySelector('.grade-feedback').value.trim();
+      sub.score = result.score;
+      sub.pendingReview = result.pendingReview;
+
+      toast.success(i18n.t('grading_saved', { user: this.participantLabel(sub), score: result.score, max: result.maxScore }), 3000);
+      this.displayAnswers();
+    } catch (err) {
+      console.error('Failed to save grade:', err);
+    }
+  }
+
+  /**
+   * Escape HTML for safe insertion
+   */
+  escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize when app is ready
+appReady.then(() => new GradingPage().init());
@@ -0,0 +1,336 @@
+/**
+ * LivePage.js - Live Session Presenter Controller
+ *
+ * Handles teacher login, session selection and the presenter view of a
+ * live session: opening questions with a countdown, answer counts and
+ * the answer histogram (updated via Server-Sent Events).
+ */
+
+import { fetchWithErrorHandling, toast } from '../../common/ApiHelpers.js';
+import { i18n, appReady } from '../../common/i18n.js';
+import { loginTeacher, loginErrorMessage } from '../../common/TeacherLogin.js';
+import { BASE_PATH } from '../../common/BasePath.js';
+import { QuizUtils } from '../../common/QuizHelpers.js';
+import { renderQuestionWithImages, renderOptionContent } from '../../common/ImageRendering.js';
+import { createQRCodeContainer } from '../../common/QRCodeHelper.js';
+import '../../common/AppHeader.js'; // Auto-initializes header
+
+/**
+ * Live presenter page controller
+ */
+class LivePage {
+  constructor() {
+    this.sessionName = null;
+    this.quizUtil = null;
+    this.quizId = null;
+    this.events = null;
+    this.countdown = null;
+    // Permissions per session (see server/config/permissions.js)
+    this.sessionPermissions = {};
+    this.readOnly = false;
+  }
+
+  /**
+   * Initialize the page
+   */
+  async init() {
+    this.translateStaticElements();
+    this.setupEventListeners();
+
+    const status = await fetchWithErrorHandling('/api/teacher/status');
+    if (status.authenticated) {
+      await this.showLiveScreen();
+    } else {
+      document.getElementById('loginScreen').style.display = 'block';
+    }
+  }
+
+  /**
+   * Translate static HTML elements
+   */
+  translateStaticElements() {
+    const t = i18n.t.bind(i18n);
+
+    document.title = t('live_page_title');
+    document.getElementById('loginTitle').textContent = t('grading_login_title');
+    document.getElementById('usernameInput').placeholder = t('login_username_placeholder');
+    document.getElementById('passwordInput').placeholder = t('grading_password_placeholder');
+    document.getElementById('loginButton').textContent = t('grading_btn_login');
+    document.getElementById('liveMainHeading').innerHTML = '📡 ' + t('live_main_heading');
+    document.getElementById('liveSubtitle').textContent = t('live_subtitle');
+    document.getElementById('sessionLabel').textContent = t('stats_select_session');
+    document.getElementById('connectBtn').textContent = t('live_btn_connect');
+    document.getElementById('secondsLabel').textContent = t('live_seconds_label');
+    document.getElementById('nextBtn').textContent = t('live_btn_next');
+    document.getElementById('closeBtn').textContent = t('live_btn_close');
+    document.getElementById('finishBtn').textContent = t('live_btn_finish');
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('loginButton').onclick = () => this.login();
+    ['usernameInput', 'passwordInput'].forEach(id => document.getElementById(id).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.login();
+    }));
+    document.getElementById('connectBtn').onclick = () => this.connect();
+    document.getElementById('nextBtn').onclick = () => this.control('next', {
+      seconds: parseInt(document.getElementById('secondsInput').value, 10)
+    });
+    document.getElementById('closeBtn').onclick = () => this.control('close');
+    document.getElementById('finishBtn').onclick = () => {
+      if (confirm(i18n.t('live_finish_confirm'))) this.control('finish');
+    };
+  }
+
+  /**
+   * Handle teacher login
+   */
+  async login() {
+    const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
+
+    try {
+      if (!await loginTeacher(username, password)) return;
+
+      document.getElementById('loginScreen').style.display = 'none';
+      await this.showLiveScreen();
+    } catch (err) {
+      const errEl = document.getElementById('loginError');
+      errEl.textContent = loginErrorMessage(err);
+      errEl.style.display = 'block';
+    }
+  }
+
+  /**
+   * Show the presenter screen and fill the session dropdown
+   */
+  async showLiveScreen() {
+    document.getElementById('liveScreen').style.display = 'block';
+
+    await this.loadLiveSessions();
+
+    // Preselect session from URL (?session=...)
+    const requested = new URLSearchParams(window.location.search).get('session');
+    if (requested) {
+      document.getElementById('sessionSelect').value = requested;
+      await this.connect();
+    }
+  }
+
+  /**
+   * Load live sessions into dropdown
+   */
+  async loadLiveSessions() {
+    const sel = document.getElementById('sessionSelect');
+
+    try {
+      const data = await fetchWithErrorHandling('/api/sessions/all?limit=100');
+      const sessions = (data.sessions || []).filter(s => s.mode === 'live');
+      sel.innerHTML = '';
+
+      if (sessions.length === 0) {
+        sel.innerHTML = `<option disabled>${i18n.t('live_no_sessions')}</option>`;
+        return;
+      }
+
+      sessions.forEach(s => {
+        this.sessionPermissions[s.session_name] = s.permissions;
+        const opt = document.createElement('option');
+        opt.value = s.session_name;
+        opt.textContent = `${s.title} (${s.session_name})`;
+        sel.appendChild(opt);
+      });
+    } catch (err) {
+      sel.innerHTML = `<option disabled>${i18n.t('stats_error_loading')}</option>`;
+    }
+  }
+
+  /**
+   * Connect to the selected live session and follow its state
+   */
+  async connect() {
+    const session = document.getElementById('sessionSelect').value.trim();
+
+    if (!session) {
+      toast.warning(i18n.t('stats_select_valid_session'));
+      return;
+    }
+
+    try {
+      const encoded = encodeURIComponent(session);
+      const sessionData = await fetchWithErrorHandling(`/api/session/${encoded}`);
+      // Fails with a clear message if the session is not live
+      const state = await fetchWithErrorHandling(`/api/teacher/live/${encoded}`);
+
+      this.sessionName = session;
+      this.quizId = sessionData.quiz_id;
+      this.quizUtil = new QuizUtils(this.quizId);
+
+      // Viewers follow the session, but cannot control it
+      this.readOnly = !(this.sessionPermissions[session] || []).includes('session.run');
+      const info = document.getElementById('demoInfo');
+      info.textContent = i18n.t('live_readonly_hint');
+      info.style.display = this.readOnly ? 'block' : 'none';
+
+      if (this.events) this.events.close();
+      this.events = new EventSource(`${BASE_PATH}/api/teacher/live/${encoded}/events`);
+      this.events.onmessage = (e) => this.renderState(JSON.parse(e.data));
+      this.events.onerror = () => {
+        // The browser reconnects by itself unless the stream was refused
+        if (this.events.readyState === EventSource.CLOSED) {
+          toast.error(i18n.t('live_connection_lost'));
+        }
+      };
+
+      document.getElementById('liveContent').style.display = 'block';
+      this.renderState(state);
+    } catch (err) {
+      console.error('Failed to open live session:', err);
+    }
+  }
+
+  /**
+   * Send a control command (next, close, finish)
+   */
+  async control(action, body = {}) {
+    try {
+      await fetchWithErrorHandling(`/api/teacher/live/${encodeURIComponent(this.sessionName)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      // The new state arrives via the event stream
+    } catch (err) {
+      console.error(`Live control "${action}" failed:`, err);
+    }
+  }
+
+  /**
+   * Render the presenter state
+   */
+  renderState(state) {
+    const t = i18n.t.bind(i18n);
+    const isLast = state.questionIndex + 1 >= state.questionCount;
+
+    clearInterval(this.countdown);
+
+    document.getElementById('liveProgress').textContent = state.questionIndex >= 0
+      ? t('quiz_question_counter', { current: state.questionIndex + 1, total: state.questionCount })
+      : t('live_status_lobby');
+    document.getElementById('liveCounts').textContent = state.questionIndex >= 0
+      ? `👥 ${t('live_answered_count', { answered: state.answeredCount, total: state.participantCount })}`
+      : `👥 ${t('live_participant_count', { count: state.participantCount })}`;
+
+    document.getElementById('nextBtn').disabled = this.readOnly || state.status === 'finished' || isLast;
+    document.getElementById('closeBtn').disabled = this.readOnly || state.status !== 'question';
+    document.getElementById('finishBtn').disabled = this.readOnly || state.status === 'finished';
+
+    this.renderJoinInfo(state);
+    this.renderCountdown(state);
+
+    const questionEl = document.getElementById('liveQuestion');
+    const histogramEl = document.getElementById('liveHistogram');
+
+    if (state.status === 'finished') {
+      questionEl.innerHTML = `<div class="no-data">🏁 ${t('live_status_finished')}
+        <a href="../stats/">${t('live_show_stats')}</a></div>`;
+      histogramEl.innerHTML = '';
+      this.events.close();
+      return;
+    }
+
+    questionEl.innerHTML = state.question
+      ? renderQuestionWithImages(state.question, this.quizId, this.quizUtil)
+      : '';
+
+    // Show the distribution only after the question is closed, so it does not influence answers
+    histogramEl.innerHTML = state.status === 'closed' && state.histogram
+      ? this.renderHistogram(state.question, state.histogram, state.answeredCount)
+      : '';
+  }
+
+  /**
+   * Participants join via QR code until the first question is opened
+   */
+  renderJoinInfo(state) {
+    const joinEl = document.getElementById('liveJoin');
+    joinEl.innerHTML = '';
+
+    if (state.status !== 'lobby') return;
+
+    // The join link preselects the session (sessions created before join codes: the session name)
+    const quizUrl = state.joinCode
+      ? `${window.location.origin}${BASE_PATH}/join/${state.joinCode}`
+      : `${window.location.origin}${BASE_PATH}/quiz/?session=${encodeURIComponent(state.sessionName)}`;
+    const text = document.createElement('div');
+    text.textContent = state.joinCode
+      ? i18n.t('live_join_code_hint', { code: state.joinCode })
+      : i18n.t('live_join_hint', { session: state.sessionName });
+    joinEl.appendChild(text);
+
+    const qrContainer = createQRCodeContainer(quizUrl, 'large', quizUrl);
+    if (qrContainer) joinEl.appendChild(qrContainer);
+  }
+
+  /**
+   * Count down locally from the remaining time of the open question
+   */
+  renderCountdown(state) {
+    const el = document.getElementById('liveCountdown');
+
+    if (state.status !== 'question') {
+      el.textContent = state.status === 'closed' ? `⏰ ${i18n.t('live_status_closed')}` : '';
+      return;
+    }
+
+    const deadline = Date.now() + state.remainingMs;
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      el.textContent = `⏱️ ${seconds} s`;
+    };
+    tick();
+    this.countdown = setInterval(tick, 1000);
+  }
+
+  /**
+   * Bars per option (choice questions) and per result (all question types)
+   */
+  renderHistogram(question, histogram, answeredCount) {
+    const t = i18n.t.bind(i18n);
+    const total = Math.max(answeredCount, 1);
+    const bar = (label, count, cssClass = '') => `
+      <div class="live-bar ${cssClass}">
+        <span class="live-bar-label">${label}</span>
+        <div class="live-bar-track"><div class="live-bar-fill" style="width: ${Math.round(count / total * 100)}%"></div></div>
+        <span class="live-bar-count">${count}</span>
+      </div>`;
+
+    if (answeredCount === 0) {
+      return `<div class="no-data">${t('live_no_answers')}</div>`;
+    }
+
+    let html = '';
+
+    for (const option of (question.options || [])) {
+      if (histogram.options[option.id] === undefined) continue;
+      html += bar(renderOptionContent(option, this.quizId, this.quizUtil), histogram.options[option.id]);
+    }
+
+    html += `<h3>${t('live_results_heading')}</h3>`;
+    html += bar(`✅ ${t('live_result_correct')}`, histogram.results.correct, 'correct');
+    if (histogram.results.partial > 0) {
+      html += bar(`◐ ${t('live_result_partial')}`, histogram.results.partial, 'partial');
+    }
+    html += bar(`❌ ${t('live_result_incorrect')}`, histogram.results.incorrect, 'incorrect');
+    if (histogram.results.pending > 0) {
+      html += bar(`⏳ ${t('result_pending')}`, histogram.results.pending, 'pending');
+    }
+
+    return html;
+  }
+}
+
+// Initialize when app is ready
+appReady.then(() => new LivePage().init());
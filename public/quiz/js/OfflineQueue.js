@@ -0,0 +1,77 @@
+/**
+ * OfflineQueue.js - Submissions made while offline
+ *
+ * Keeps final submissions in IndexedDB until the connection is back,
+ * so they survive a closed tab or a reload. One entry per session and
+ * user code (a later submission replaces the queued one).
+ */
+
+const DB_NAME = 'quiz-offline';
+const DB_VERSION = 1;
+const STORE = 'submissions';
+
+/**
+ * Open the database (creates the store on first use)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request on the store in its own transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} action
+ * @returns {Promise<*>} Result of the request
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+/**
+ * Queue a submission
+ * @param {object} submission - { sessionName, userCode, answers, submittedAt }
+ */
+export function queueSubmission(submission) {
+  const entry = {
+    key: `${submission.sessionName}\n${submission.userCode}`,
+    ...submission,
+    queuedAt: new Date().toISOString()
+  };
+  return withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * All queued submissions (oldest first)
+ * @returns {Promise<object[]>}
+ */
+export async function getQueuedSubmissions() {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Remove a submission that was sent (or rejected by the server)
+ * @param {string} key - Entry key
+ */
+export function removeQueuedSubmission(key) {
+  return withStore('readwrite', store => store.delete(key));
+}
@@ -1,19 +1,22 @@
 /**
  * QuizPage.js - Quiz Participation Controller
  *
- * Handles session selection, quiz loading, question navigation,
- * answer collection, and submission.
+ * Handles session selection, quiz loading, question navigation
+ * (with overview, flags and review screen), answer collection, and submission.
+ * A service worker (sw.js) keeps the quiz usable offline; a submission made
+ * offline is queued and sent when the connection is back.
  */
 
-import { fetchWithErrorHandling, toast } from '../../common/ApiHelpers.js';
+import { fetchWithErrorHandling, handleApiError, toast } from '../../common/ApiHelpers.js';
 import { i18n, appReady } from '../../common/i18n.js';
 import { BASE_PATH } from '../../common/BasePath.js';
-import { QuizUtils } from '../../common/QuizHelpers.js';
-import { renderQuestionWithImages, renderOptionWithImages } from '../../common/ImageRendering.js';
+import { QuizUtils, replaceGapPlaceholders } from '../../common/QuizHelpers.js';
+import { renderQuestionWithImages, renderOptionWithImages, renderOptionContent, renderReasonWithImages, listQuestionImageUrls } from '../../common/ImageRendering.js';
 import { validationClient } from '../../common/ValidationClient.js';
 import { TranslationHelper } from '../../common/TranslationHelper.js';
 import { createQRCodeContainer } from '../../common/QRCodeHelper.js';
 import '../../common/AppHeader.js';
+import { queueSubmission, getQueuedSubmissions, removeQueuedSubmission } from './OfflineQueue.js';
 
 /**
  * Quiz page controller
@@ -23,19 +26,85 @@ class QuizPage {
     this.quizData = null;
     this.quizUtil = null;
     this.currentIdx = 0;
+    // Answers by question index (unanswered questions stay empty)
     this.answers = [];
+    // Question indexes flagged for review
+    this.flagged = new Set();
+    // Forward only, submit after the last question (exam sessions)
+    this.linear = false;
+    this.reviewing = false;
     this.sessionName = null;
+    this.openSessions = [];
+    // Countdown of a session with time limit
+    this.timer = null;
+    this.submitted = false;
+    // Live session: { participantId, events, status, questionIndex, countdown }
+    this.live = null;
+    // Practice session: each answer is checked before moving on
+    this.practice = false;
+    this.checked = false;
+    // Server clock minus client clock (submissions queued offline are time-stamped in server time)
+    this.serverOffset = 0;
+    this.sendingQueue = false;
+    this.queueRetry = null;
   }
 
   /**
    * Initialize the page
    */
   async init() {
-    this.translateStaticElements();
     this.generateUserCode();
+    this.translateStaticElements();
     await this.initializeValidation();
     await this.loadOpenSessions();
     this.setupEventListeners();
+
+    // Join link (/join/CODE redirects to ?join=CODE)
+    const joinCode = new URLSearchParams(window.location.search).get('join');
+    if (joinCode) {
+      document.getElementById('joinCode').value = joinCode;
+      await this.applyJoinCode();
+    }
+    this.registerServiceWorker();
+
+    // Submissions queued offline (also from before a reload) are sent as soon as possible
+    window.addEventListener('online', () => this.sendQueuedSubmissions());
+    this.sendQueuedSubmissions();
+  }
+
+  /**
+   * Register the service worker that caches the quiz for offline use
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .catch(err => console.warn('Service worker not registered:', err));
+  }
+
+  /**
+   * Let the service worker cache everything the quiz needs offline:
+   * the page with its resources, the session quiz and the images of all questions
+   */
+  async cacheForOffline(quizUrl) {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      // API requests of the page are POSTs or cached by the service worker already
+      const resources = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => url.startsWith(window.location.origin) && !url.includes('/api/'));
+      const images = this.quizData.questions
+        .flatMap(q => listQuestionImageUrls(q, this.quizData.id, this.quizUtil));
+
+      registration.active.postMessage({
+        type: 'cache',
+        urls: [window.location.href, `${BASE_PATH}/api/sessions/open`, quizUrl, ...resources, ...images]
+      });
+    } catch (err) {
+      console.warn('Quiz not cached for offline use:', err);
+    }
   }
 
   /**
@@ -47,19 +116,27 @@ class QuizPage {
     document.getElementById('quizMainHeading').innerHTML = '\uD83C\uDFAF ' + t('quiz_main_heading');
     document.getElementById('quizSubtitle').textContent = t('quiz_subtitle');
     document.getElementById('sessionLabel').textContent = t('quiz_select_session');
-    document.getElementById('nameLabel').textContent = t('quiz_name_label');
-    document.getElementById('code').placeholder = t('quiz_name_placeholder');
-    document.getElementById('codeInfo').innerHTML = '\uD83D\uDCA1 ' + t('quiz_code_info');
+    document.getElementById('joinCodeLabel').textContent = t('quiz_join_code_label');
+    document.getElementById('joinCode').placeholder = t('quiz_join_code_placeholder');
+    this.updateCodeField();
     document.getElementById('joinBtn').innerHTML = t('quiz_btn_start') + ' \uD83D\uDE80';
     document.getElementById('nextBtn').textContent = t('quiz_btn_next');
+    document.getElementById('prevBtn').textContent = t('quiz_btn_previous');
   }
 
   /**
    * Set up event listeners
    */
   setupEventListeners() {
+    document.getElementById('sessionSelect').onchange = () => this.updateCodeField();
+    document.getElementById('joinCodeBtn').onclick = () => this.applyJoinCode();
+    document.getElementById('joinCode').onkeydown = (event) => {
+      if (event.key === 'Enter') this.applyJoinCode();
+    };
     document.getElementById('joinBtn').onclick = () => this.joinQuiz();
     document.getElementById('nextBtn').onclick = () => this.nextQuestion();
+    document.getElementById('prevBtn').onclick = () => this.previousQuestion();
+    document.getElementById('flagBtn').onclick = () => this.toggleFlag();
   }
 
   /**
@@ -74,6 +151,34 @@ class QuizPage {
       code += 'aeiou'.charAt(Math.floor(Math.random() * 5));
     }
     document.getElementById('code').value = code;
+    this.generatedCode = code;
+  }
+
+  /**
+   * Sessions restricted to a class roster need the personal code from the teacher
+   * instead of a name or the generated code
+   */
+  updateCodeField() {
+    const t = i18n.t.bind(i18n);
+    const codeInput = document.getElementById('code');
+    const session = document.getElementById('sessionSelect').value;
+    const rosterRequired = !!this.openSessions.find(s => s.session_name === session)?.roster_required;
+
+    if (rosterRequired) {
+      if (codeInput.value === this.generatedCode) {
+        codeInput.value = '';
+      }
+      document.getElementById('nameLabel').textContent = t('quiz_roster_code_label');
+      codeInput.placeholder = t('quiz_roster_code_placeholder');
+      document.getElementById('codeInfo').innerHTML = '\uD83D\uDD11 ' + t('quiz_roster_code_info');
+    } else {
+      if (!codeInput.value) {
+        this.generateUserCode();
+      }
+      document.getElementById('nameLabel').textContent = t('quiz_name_label');
+      codeInput.placeholder = t('quiz_name_placeholder');
+      document.getElementById('codeInfo').innerHTML = '\uD83D\uDCA1 ' + t('quiz_code_info');
+    }
   }
 
   /**
@@ -114,6 +219,8 @@ class QuizPage {
         return new Date(s.open_until) > now;
       });
 
+      this.openSessions = activeSessions;
+
       const sel = document.getElementById('sessionSelect');
       sel.innerHTML = '';
 
@@ -123,12 +230,14 @@ class QuizPage {
         opt.disabled = true;
         sel.appendChild(opt);
       } else {
-        activeSessions.forEach(s => {
-          const opt = document.createElement('option');
-          opt.value = s.session_name;
-          opt.textContent = `${s.title} (${s.session_name})`;
-          sel.appendChild(opt);
-        });
+        activeSessions.forEach(s => sel.appendChild(this.createSessionOption(s)));
+
+        // Preselect session from URL (?session=..., e.g. from the QR code)
+        const requested = new URLSearchParams(window.location.search).get('session');
+        if (requested && activeSessions.some(s => s.session_name === requested)) {
+          sel.value = requested;
+        }
+        this.updateCodeField();
       }
     } catch (err) {
       const sel = document.getElementById('sessionSelect');
@@ -136,11 +245,75 @@ class QuizPage {
     }
   }
 
+  /**
+   * Entry of the session dropdown with the session's kind (live, practice, time limit, attempts, roster)
+   */
+  createSessionOption(s) {
+    const opt = document.createElement('option');
+    opt.value = s.session_name;
+    if (s.mode === 'live') {
+      opt.textContent = `\uD83D\uDCE1 ${s.title} (${s.session_name}, ${i18n.t('quiz_live_label')})`;
+    } else if (s.mode === 'practice') {
+      opt.textContent = `\uD83D\uDCA1 ${s.title} (${s.session_name}, ${i18n.t('quiz_practice_label')})`;
+    } else if (s.time_limit_seconds) {
+      const minutes = Math.ceil(s.time_limit_seconds / 60);
+      opt.textContent = `\u23F1\uFE0F ${s.title} (${s.session_name}, ${i18n.t('quiz_time_limit_label', { minutes })})`;
+    } else {
+      opt.textContent = `${s.title} (${s.session_name})`;
+    }
+    // Several attempts allowed
+    if (s.max_attempts !== 1 && s.mode !== 'live') {
+      opt.textContent += ' \uD83D\uDD01';
+    }
+    // Class roster: personal code required
+    if (s.roster_required) {
+      opt.textContent += ' \uD83D\uDD11';
+    }
+    return opt;
+  }
+
+  /**
+   * Select the session of a join code (typed in or from the join link /join/CODE).
+   * Unlisted sessions are only found this way and are added to the dropdown.
+   */
+  async applyJoinCode() {
+    const code = document.getElementById('joinCode').value.trim();
+    if (!code) {
+      toast.warning(i18n.t('quiz_join_code_enter'));
+      return;
+    }
+
+    try {
+      const session = await fetchWithErrorHandling(`/api/join/${encodeURIComponent(code)}`);
+      const sel = document.getElementById('sessionSelect');
+
+      if (!this.openSessions.some(s => s.session_name === session.session_name)) {
+        // Replace the "no sessions" entry
+        if (this.openSessions.length === 0) {
+          sel.innerHTML = '';
+        }
+        this.openSessions.push(session);
+        sel.appendChild(this.createSessionOption(session));
+      }
+      sel.value = session.session_name;
+      this.updateCodeField();
+      toast.success(i18n.t('quiz_join_code_found', { title: session.title }));
+    } catch (err) {
+      // Error already shown as toast (unknown code, session not open)
+      console.error('Join code not found:', err);
+    }
+  }
+
   /**
    * Join quiz session
    */
   async joinQuiz() {
     const session = document.getElementById('sessionSelect').value.trim();
+    const sessionInfo = this.openSessions.find(s => s.session_name === session);
+    // Personal codes of a roster are upper case (the other requests read the code from the field)
+    if (sessionInfo && sessionInfo.roster_required) {
+      document.getElementById('code').value = document.getElementById('code').value.toUpperCase();
+    }
     const userCode = document.getElementById('code').value.trim();
 
     if (!session || session.startsWith('\u26A0')) {
@@ -148,32 +321,282 @@ class QuizPage {
       return;
     }
     if (!userCode) {
-      toast.warning(i18n.t('quiz_enter_name'));
+      toast.warning(i18n.t(sessionInfo && sessionInfo.roster_required ? 'quiz_roster_enter_code' : 'quiz_enter_name'));
+      return;
+    }
+
+    if (sessionInfo && sessionInfo.mode === 'live') {
+      await this.joinLiveSession(sessionInfo, userCode);
       return;
     }
 
     try {
-      this.quizData = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(session)}/quiz`);
+      // Shuffled sessions return this participant's own order (the same on every reload)
+      const quizUrl = `/api/session/${encodeURIComponent(session)}/quiz?userCode=${encodeURIComponent(userCode)}`;
+      this.quizData = await fetchWithErrorHandling(quizUrl);
 
       const translationResult = await TranslationHelper.translateQuizIfNeeded(this.quizData);
-      this.quizData = translationResult.quiz;
+      if (translationResult.translated) {
+        TranslationHelper.applyTranslation(this.quizData, translationResult.quiz);
+      }
 
       this.quizUtil = new QuizUtils(this.quizData.id);
       this.sessionName = session;
+      this.practice = !!sessionInfo && sessionInfo.mode === 'practice';
+
+      // The server counts the time limit from here (a reload keeps the original start)
+      const attempt = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(session)}/start`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ userCode })
+      });
+
+      this.linear = attempt.linearNavigation === true;
+      if (attempt.participantName) {
+        toast.info(i18n.t('quiz_roster_welcome', { name: attempt.participantName }));
+      }
+      this.serverOffset = Date.parse(attempt.serverTime) - Date.now();
 
       document.getElementById('join').style.display = 'none';
       document.getElementById('quiz').style.display = 'block';
       document.getElementById('quizTitle').innerText = this.quizData.title;
 
-      this.updateProgress();
-      this.renderQuestion();
+      if (attempt.remainingSeconds !== null) {
+        this.startTimer(attempt.remainingSeconds);
+      }
+
+      if (attempt.maxAttempts !== 1) {
+        toast.info(attempt.maxAttempts === null
+          ? i18n.t('quiz_attempt_unlimited', { attempt: attempt.attempt })
+          : i18n.t('quiz_attempt_counter', { attempt: attempt.attempt, max: attempt.maxAttempts }));
+      }
+
+      // Resume an attempt in progress (e.g. after a reload or on another device)
+      this.restoreDraft(attempt.draftAnswers || []);
+      if (this.currentIdx < this.quizData.questions.length) {
+        this.showQuestion(this.currentIdx);
+      } else if (this.linear) {
+        this.submit();
+        return;
+      } else {
+        this.showReview();
+      }
 
       toast.success(i18n.t('quiz_loaded_success'));
+      this.cacheForOffline(`${BASE_PATH}${quizUrl}`);
     } catch (err) {
       console.error('Failed to load quiz:', err);
     }
   }
 
+  /**
+   * Continue at the first question without a saved answer
+   * @param {Array} draftAnswers - Autosaved answers of the attempt
+   */
+  restoreDraft(draftAnswers) {
+    const saved = new Map(draftAnswers.map(answer => [answer.questionId, answer]));
+
+    this.answers = this.quizData.questions.map(q => saved.get(q.id));
+    this.flagged.clear();
+    const firstOpen = this.answers.findIndex(answer => !answer);
+    this.currentIdx = firstOpen === -1 ? this.answers.length : firstOpen;
+
+    const restored = this.answers.filter(Boolean).length;
+    if (restored > 0) {
+      toast.info(i18n.t('quiz_draft_resumed', { count: restored }));
+    }
+  }
+
+  /**
+   * Autosave the answers given so far. Failures are only logged:
+   * the answers stay in memory and are submitted at the end anyway.
+   */
+  saveDraft() {
+    const userCode = document.getElementById('code').value.trim();
+    const answers = this.answers.filter(Boolean);
+    if (answers.length === 0) return;
+
+    fetch(`${BASE_PATH}/api/session/${encodeURIComponent(this.sessionName)}/draft`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ userCode, answers })
+    })
+      .then(res => {
+        if (!res.ok) console.warn('Draft not saved:', res.status);
+      })
+      .catch(err => console.warn('Draft not saved:', err));
+  }
+
+  /**
+   * Show the remaining time and submit automatically when it runs out
+   */
+  startTimer(remainingSeconds) {
+    const timerEl = document.getElementById('quizTimer');
+    // Remaining time instead of a deadline, so the client clock does not matter
+    const deadline = Date.now() + remainingSeconds * 1000;
+
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      const mm = Math.floor(seconds / 60);
+      const ss = String(seconds % 60).padStart(2, '0');
+      timerEl.textContent = `\u23F1\uFE0F ${i18n.t('quiz_time_remaining', { time: `${mm}:${ss}` })}`;
+      timerEl.classList.toggle('quiz-timer-warning', seconds <= 60);
+
+      if (seconds === 0) this.timeUp();
+    };
+
+    timerEl.style.display = 'block';
+    tick();
+    this.timer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Time is up: submit the answers given so far (unanswered questions score 0)
+   */
+  timeUp() {
+    clearInterval(this.timer);
+    if (this.submitted) return;
+
+    if (!this.reviewing) {
+      this.answers[this.currentIdx] = this.collectAnswer(this.quizData.questions[this.currentIdx], true);
+    }
+
+    document.getElementById('quizNav').style.display = 'none';
+    document.getElementById('questionGrid').style.display = 'none';
+    document.getElementById('reviewScreen').style.display = 'none';
+    toast.warning(i18n.t('quiz_time_up'));
+    this.submit();
+  }
+
+  /**
+   * Join a live session: the teacher opens the questions one by one,
+   * the current state arrives via Server-Sent Events
+   */
+  async joinLiveSession(sessionInfo, userCode) {
+    const sessionPath = `/api/live/${encodeURIComponent(sessionInfo.session_name)}`;
+
+    try {
+      const { participantId, participantName } = await fetchWithErrorHandling(`${sessionPath}/join`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ userCode })
+      });
+      if (participantName) {
+        toast.info(i18n.t('quiz_roster_welcome', { name: participantName }));
+      }
+
+      // Questions are filled in as the teacher opens them
+      this.quizData = { id: sessionInfo.quiz_id, title: sessionInfo.title, questions: [] };
+      this.quizUtil = new QuizUtils(this.quizData.id);
+      this.sessionName = sessionInfo.session_name;
+      this.live = { participantId, events: null, status: null, questionIndex: -1, countdown: null };
+
+      document.getElementById('join').style.display = 'none';
+      document.getElementById('quiz').style.display = 'block';
+      document.getElementById('quizTitle').innerText = this.quizData.title;
+      document.getElementById('nextBtn').textContent = i18n.t('quiz_live_btn_send');
+
+      const events = new EventSource(`${BASE_PATH}${sessionPath}/events?participant=${encodeURIComponent(participantId)}`);
+      events.onmessage = (e) => this.renderLiveState(JSON.parse(e.data));
+      events.onerror = () => {
+        // The browser reconnects by itself unless the stream was refused
+        if (events.readyState === EventSource.CLOSED) {
+          toast.error(i18n.t('quiz_live_connection_lost'));
+        }
+      };
+      this.live.events = events;
+
+      toast.success(i18n.t('quiz_live_joined'));
+    } catch (err) {
+      console.error('Failed to join live session:', err);
+    }
+  }
+
+  /**
+   * Show the live state sent by the server. The question is only re-rendered when
+   * the teacher opens the next one, so updates do not reset a half-given answer.
+   */
+  renderLiveState(state) {
+    const live = this.live;
+    const questionChanged = state.questionIndex !== live.questionIndex;
+    const t = i18n.t.bind(i18n);
+
+    live.status = state.status;
+    live.questionIndex = state.questionIndex;
+    clearInterval(live.countdown);
+
+    const nextBtn = document.getElementById('nextBtn');
+    const statusEl = document.getElementById('liveStatus');
+    const questionArea = document.getElementById('questionArea');
+
+    if (state.status === 'finished') {
+      live.events.close();
+      nextBtn.style.display = 'none';
+      statusEl.textContent = '';
+      questionArea.innerHTML = `<div class="live-waiting">\uD83C\uDFC1 ${t('quiz_live_ended')}</div>`;
+      if (state.resultLink) {
+        this.showCompletion({ resultLink: state.resultLink });
+      }
+      return;
+    }
+
+    if (state.status === 'lobby') {
+      nextBtn.style.display = 'none';
+      statusEl.textContent = '';
+      document.getElementById('questionCounter').textContent = t('quiz_question_counter', { current: 0, total: state.questionCount });
+      questionArea.innerHTML = `<div class="live-waiting">\u23F3 ${t('quiz_live_waiting')}</div>`;
+      return;
+    }
+
+    if (questionChanged) {
+      this.currentIdx = state.questionIndex;
+      this.quizData.questions.length = state.questionCount;
+      this.quizData.questions[this.currentIdx] = state.question;
+      this.updateProgress();
+      this.renderQuestion();
+      window.scrollTo(0, 0);
+    }
+
+    if (state.status === 'closed') {
+      nextBtn.style.display = 'none';
+      questionArea.classList.add('live-closed');
+      statusEl.textContent = `\u23F0 ${t('quiz_live_time_up')}`;
+      return;
+    }
+
+    // status 'question': count down locally from the remaining time
+    questionArea.classList.remove('live-closed');
+    nextBtn.style.display = '';
+
+    const deadline = Date.now() + state.remainingMs;
+    const answeredText = state.answered ? ` \u2705 ${t('quiz_live_answer_saved')}` : '';
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      statusEl.textContent = `\u23F1\uFE0F ${t('quiz_live_remaining', { seconds })}${answeredText}`;
+    };
+    tick();
+    live.countdown = setInterval(tick, 1000);
+  }
+
+  /**
+   * Send the answer to the open live question (may be changed until time runs out)
+   */
+  async sendLiveAnswer() {
+    const answer = this.collectAnswer(this.quizData.questions[this.currentIdx]);
+    if (!answer) return;
+
+    try {
+      await fetchWithErrorHandling(`/api/live/${encodeURIComponent(this.sessionName)}/answer`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ participantId: this.live.participantId, answer })
+      });
+      toast.success(i18n.t('quiz_live_answer_sent'));
+    } catch (err) {
+      console.error('Sending live answer failed:', err);
+    }
+  }
+
   /**
    * Update progress bar and question info
    */
@@ -195,25 +618,47 @@ class QuizPage {
     const q = this.quizData.questions[this.currentIdx];
     const el = document.getElementById('questionArea');
 
+    if (q.type === 'gap') {
+      this.renderGapQuestion(q, el);
+      return;
+    }
+
+    if (q.type === 'numeric') {
+      this.renderNumericQuestion(q, el);
+      return;
+    }
+
+    if (q.type === 'order') {
+      this.renderOrderQuestion(q, el);
+      return;
+    }
+
+    if (q.type === 'match') {
+      this.renderMatchQuestion(q, el);
+      return;
+    }
+
+    if (q.type === 'text') {
+      this.renderTextQuestion(q, el);
+      return;
+    }
+
     let html = '';
 
     html += renderQuestionWithImages(q, this.quizData.id, this.quizUtil);
 
-    const isMultiple = q.type === 'multiple' || q.multiple;
-    if (isMultiple) {
-      html += `
-        <div class="multiple-hint">
-          <strong>\u26A0\uFE0F ${i18n.t('quiz_multiple_hint_title')}</strong>
-          ${i18n.t('quiz_multiple_hint_text')}
-        </div>
-      `;
-    }
+    // The quiz does not tell how many options are correct, so every choice question takes several ticks
+    html += `
+      <div class="multiple-hint">
+        <strong>\u2611\uFE0F ${i18n.t('quiz_choice_hint_title')}</strong>
+        ${i18n.t('quiz_choice_hint_text')}
+      </div>
+    `;
 
     html += '<div class="options-container">';
 
-    const inputType = isMultiple ? 'checkbox' : 'radio';
     q.options.forEach((option, idx) => {
-      html += renderOptionWithImages(option, this.quizData.id, this.quizUtil, inputType, idx);
+      html += renderOptionWithImages(option, this.quizData.id, this.quizUtil, 'checkbox', idx);
     });
 
     html += '</div>';
@@ -222,6 +667,185 @@ class QuizPage {
     this.setupOptionHandlers();
   }
 
+  /**
+   * Render gap-fill question: placeholders become inline text inputs
+   */
+  renderGapQuestion(q, el) {
+    const questionHtml = renderQuestionWithImages(q, this.quizData.id, this.quizUtil);
+
+    el.innerHTML = `
+      <div class="gap-hint">✏️ ${i18n.t('quiz_gap_hint')}</div>
+      ${replaceGapPlaceholders(questionHtml, gapId =>
+        `<input type="text" class="gap-input" data-gap="${gapId}" maxlength="200" autocomplete="off" spellcheck="false">`
+      )}
+    `;
+
+    const firstInput = el.querySelector('.gap-input');
+    if (firstInput) firstInput.focus();
+  }
+
+  /**
+   * Render numeric question: number input with optional unit
+   */
+  renderNumericQuestion(q, el) {
+    el.innerHTML = `
+      ${renderQuestionWithImages(q, this.quizData.id, this.quizUtil)}
+      <div class="numeric-answer">
+        <input type="text" id="numericInput" class="numeric-input" inputmode="decimal" autocomplete="off"
+               placeholder="${i18n.t('quiz_numeric_placeholder')}">
+        ${q.unit ? `<span class="numeric-unit">${q.unit}</span>` : ''}
+      </div>
+    `;
+
+    document.getElementById('numericInput').focus();
+  }
+
+  /**
+   * Render free-text question: textarea with character counter (graded by the teacher)
+   */
+  renderTextQuestion(q, el) {
+    const maxLength = q.maxLength || 5000;
+
+    el.innerHTML = `
+      ${renderQuestionWithImages(q, this.quizData.id, this.quizUtil)}
+      <div class="text-hint">\u270D\uFE0F ${i18n.t('quiz_text_hint')}</div>
+      <textarea id="textAnswer" class="text-answer" rows="6" maxlength="${maxLength}"
+                placeholder="${i18n.t('quiz_text_placeholder')}"></textarea>
+      <div class="text-counter" id="textCounter">0 / ${maxLength}</div>
+    `;
+
+    const textarea = document.getElementById('textAnswer');
+    const counter = document.getElementById('textCounter');
+    textarea.addEventListener('input', () => {
+      counter.textContent = `${textarea.value.length} / ${maxLength}`;
+    });
+    textarea.focus();
+  }
+
+  /**
+   * Render order question: sortable list (drag & drop or up/down buttons)
+   */
+  renderOrderQuestion(q, el) {
+    el.innerHTML = `
+      ${renderQuestionWithImages(q, this.quizData.id, this.quizUtil)}
+      <div class="order-hint">\u2195\uFE0F ${i18n.t('quiz_order_hint')}</div>
+      <ol class="order-list" id="orderList">
+        ${q.options.map(option => `
+          <li class="order-item" draggable="true" data-option="${option.id}">
+            <span class="order-handle">\u2630</span>
+            <div class="order-content">${renderOptionContent(option, this.quizData.id, this.quizUtil)}</div>
+            <span class="order-buttons">
+              <button type="button" class="order-move" data-direction="-1" title="${i18n.t('quiz_order_up')}">\u25B2</button>
+              <button type="button" class="order-move" data-direction="1" title="${i18n.t('quiz_order_down')}">\u25BC</button>
+            </span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    this.setupOrderHandlers(document.getElementById('orderList'));
+  }
+
+  /**
+   * Set up drag & drop and button handlers for the order list
+   */
+  setupOrderHandlers(list) {
+    let draggedItem = null;
+
+    list.querySelectorAll('.order-item').forEach(item => {
+      item.addEventListener('dragstart', (e) => {
+        draggedItem = item;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (!draggedItem || item === draggedItem) return;
+
+        const rect = item.getBoundingClientRect();
+        const before = e.clientY < rect.top + rect.height / 2;
+        item.classList.toggle('drag-over-top', before);
+        item.classList.toggle('drag-over-bottom', !before);
+      });
+
+      item.addEventListener('dragleave', () => {
+        item.classList.remove('drag-over-top', 'drag-over-bottom');
+      });
+
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (draggedItem && item !== draggedItem) {
+          const before = item.classList.contains('drag-over-top');
+          list.insertBefore(draggedItem, before ? item : item.nextSibling);
+        }
+        item.classList.remove('drag-over-top', 'drag-over-bottom');
+      });
+
+      item.addEventListener('dragend', () => {
+        item.classList.remove('dragging');
+        list.querySelectorAll('.order-item').forEach(i => i.classList.remove('drag-over-top', 'drag-over-bottom'));
+        draggedItem = null;
+      });
+    });
+
+    // Buttons for keyboard and touch devices (no HTML5 drag & drop on mobile)
+    list.querySelectorAll('.order-move').forEach(button => {
+      button.addEventListener('click', () => {
+        const item = button.closest('.order-item');
+        if (button.dataset.direction === '-1' && item.previousElementSibling) {
+          list.insertBefore(item, item.previousElementSibling);
+        } else if (button.dataset.direction === '1' && item.nextElementSibling) {
+          list.insertBefore(item.nextElementSibling, item);
+        }
+        button.focus();
+      });
+    });
+  }
+
+  /**
+   * Render match question: lettered right-hand items, one select per left-hand item
+   */
+  renderMatchQuestion(q, el) {
+    const letter = idx => String.fromCharCode(65 + idx);
+
+    el.innerHTML = `
+      ${renderQuestionWithImages(q, this.quizData.id, this.quizUtil)}
+      <div class="match-hint">\uD83D\uDD17 ${i18n.t('quiz_match_hint')}</div>
+      <div class="match-right-pool">
+        ${q.rightItems.map((item, idx) => `
+          <div class="match-right-item">
+            <span class="match-letter">${letter(idx)}</span>
+            ${renderOptionContent(item, this.quizData.id, this.quizUtil)}
+          </div>
+        `).join('')}
+      </div>
+      <div class="match-rows">
+        ${q.leftItems.map(item => `
+          <div class="match-row">
+            <div class="match-left">${renderOptionContent(item, this.quizData.id, this.quizUtil)}</div>
+            <select class="match-select" data-left="${item.id}">
+              <option value="">\u2014</option>
+              ${q.rightItems.map((right, idx) => `<option value="${right.id}">${letter(idx)}</option>`).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Parse a number entered by a student (accepts decimal comma)
+   * @returns {number|null} Parsed number or null if invalid
+   */
+  parseNumber(text) {
+    const normalized = text.trim().replace(/\s/g, '').replace(',', '.');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized)) return null;
+    const value = Number(normalized);
+    return Number.isFinite(value) ? value : null;
+  }
+
   /**
    * Set up option click handlers
    */
@@ -230,22 +854,9 @@ class QuizPage {
       item.addEventListener('click', function(e) {
         const input = this.querySelector('input');
         if (e.target.tagName !== 'INPUT') {
-          if (input.type === 'radio') {
-            document.querySelectorAll('.option-item').forEach(i => i.classList.remove('selected'));
-            this.classList.add('selected');
-            input.checked = true;
-          } else {
-            input.checked = !input.checked;
-            this.classList.toggle('selected', input.checked);
-          }
-        } else {
-          if (input.type === 'radio') {
-            document.querySelectorAll('.option-item').forEach(i => i.classList.remove('selected'));
-            this.classList.add('selected');
-          } else {
-            this.classList.toggle('selected', input.checked);
-          }
+          input.checked = !input.checked;
         }
+        this.classList.toggle('selected', input.checked);
       });
     });
   }
@@ -254,35 +865,456 @@ class QuizPage {
    * Handle next question button
    */
   nextQuestion() {
+    if (this.live) {
+      this.sendLiveAnswer();
+      return;
+    }
+
     const q = this.quizData.questions[this.currentIdx];
-    let chosen = [];
+    // Linear sessions require an answer, otherwise a question can be skipped and answered later
+    const answer = this.collectAnswer(q, !this.linear);
+    if (!answer && this.linear) return;
 
-    if (q.multiple) {
-      const checks = document.querySelectorAll('input[name="option"]:checked');
-      checks.forEach(c => chosen.push(c.value));
-    } else {
-      const radio = document.querySelector('input[name="option"]:checked');
-      if (radio) chosen = [radio.value];
+    // Practice sessions: feedback first (free-text answers are graded by the teacher later)
+    if (answer && this.needsCheck(q)) {
+      this.checkAnswer(answer);
+      return;
     }
 
-    if (chosen.length === 0 && !q.multiple) {
-      toast.warning(i18n.t('quiz_select_answer'));
-      return;
-    } else if (chosen.length <= 1 && q.multiple) {
-      toast.warning(i18n.t('quiz_select_multiple'));
+    this.answers[this.currentIdx] = answer;
+    const isLast = this.currentIdx + 1 >= this.quizData.questions.length;
+
+    // Linear sessions submit the last answer right away, which discards the draft
+    if (isLast && this.linear) {
+      this.submit();
       return;
     }
 
-    this.answers.push({ questionId: q.id, chosen });
-    this.currentIdx++;
+    this.saveDraft();
+    if (isLast) {
+      this.showReview();
+    } else {
+      this.showQuestion(this.currentIdx + 1);
+    }
+  }
 
-    if (this.currentIdx >= this.quizData.questions.length) {
+  /**
+   * Go back one question (keeps the current answer, complete or not)
+   */
+  previousQuestion() {
+    if (this.currentIdx === 0) return;
+    this.leaveQuestion();
+    this.showQuestion(this.currentIdx - 1);
+  }
+
+  /**
+   * Jump to a question from the overview or the review screen
+   */
+  goToQuestion(idx) {
+    this.leaveQuestion();
+    this.showQuestion(idx);
+  }
+
+  /**
+   * Keep the answer of the question shown (incomplete answers count as unanswered)
+   */
+  leaveQuestion() {
+    if (this.reviewing) return;
+    this.answers[this.currentIdx] = this.collectAnswer(this.quizData.questions[this.currentIdx], true);
+    this.saveDraft();
+  }
+
+  /**
+   * Show a question with its saved answer
+   */
+  showQuestion(idx) {
+    this.currentIdx = idx;
+    this.reviewing = false;
+    document.getElementById('reviewScreen').style.display = 'none';
+    document.getElementById('questionScreen').style.display = 'block';
+
+    this.updateProgress();
+    this.renderQuestion();
+    if (this.answers[idx]) {
+      this.fillAnswer(this.quizData.questions[idx], this.answers[idx]);
+    }
+    this.setChecked(false);
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Put a saved answer back into the form of its question
+   */
+  fillAnswer(q, answer) {
+    if (q.type === 'gap') {
+      document.querySelectorAll('.gap-input').forEach(input => {
+        input.value = (answer.gaps || {})[input.dataset.gap] || '';
+      });
+    } else if (q.type === 'numeric') {
+      document.getElementById('numericInput').value = String(answer.value);
+    } else if (q.type === 'text') {
+      const textarea = document.getElementById('textAnswer');
+      textarea.value = answer.text || '';
+      textarea.dispatchEvent(new Event('input'));
+    } else if (q.type === 'match') {
+      document.querySelectorAll('.match-select').forEach(select => {
+        select.value = (answer.pairs || {})[select.dataset.left] || '';
+      });
+    } else if (q.type === 'order') {
+      const list = document.getElementById('orderList');
+      (answer.chosen || []).forEach(id => {
+        const item = list.querySelector(`.order-item[data-option="${id}"]`);
+        if (item) list.appendChild(item);
+      });
+    } else {
+      document.querySelectorAll('input[name="option"]').forEach(input => {
+        input.checked = (answer.chosen || []).includes(input.value);
+        input.closest('.option-item').classList.toggle('selected', input.checked);
+      });
+    }
+  }
+
+  /**
+   * Practice sessions check an answer before moving on (free-text answers are graded later)
+   */
+  needsCheck(q) {
+    return this.practice && !this.checked && q.type !== 'text';
+  }
+
+  /**
+   * Flag or unflag the current question for review
+   */
+  toggleFlag() {
+    if (this.flagged.has(this.currentIdx)) {
+      this.flagged.delete(this.currentIdx);
+    } else {
+      this.flagged.add(this.currentIdx);
+    }
+    this.updateNavigation();
+  }
+
+  /**
+   * Buttons and question overview for the current question
+   */
+  updateNavigation() {
+    const t = i18n.t.bind(i18n);
+    const free = !this.linear;
+    const isLast = this.currentIdx + 1 >= this.quizData.questions.length;
+    const prevBtn = document.getElementById('prevBtn');
+    const flagBtn = document.getElementById('flagBtn');
+    const isFlagged = this.flagged.has(this.currentIdx);
+
+    prevBtn.style.display = free ? '' : 'none';
+    prevBtn.disabled = this.currentIdx === 0;
+    flagBtn.style.display = free ? '' : 'none';
+    flagBtn.classList.toggle('active', isFlagged);
+    flagBtn.textContent = `\uD83D\uDEA9 ${t(isFlagged ? 'quiz_btn_unflag' : 'quiz_btn_flag')}`;
+
+    let nextLabel = 'quiz_btn_next';
+    if (this.needsCheck(this.quizData.questions[this.currentIdx])) {
+      nextLabel = 'quiz_btn_check';
+    } else if (free && isLast) {
+      nextLabel = 'quiz_btn_review';
+    }
+    document.getElementById('nextBtn').textContent = t(nextLabel);
+
+    this.renderQuestionGrid(free);
+  }
+
+  /**
+   * Overview of all questions: answered, unanswered, flagged; click to jump
+   */
+  renderQuestionGrid(visible) {
+    const grid = document.getElementById('questionGrid');
+    grid.style.display = visible ? '' : 'none';
+    if (!visible) return;
+
+    grid.innerHTML = '';
+    this.quizData.questions.forEach((q, idx) => {
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'grid-cell';
+      cell.classList.toggle('answered', !!this.answers[idx]);
+      cell.classList.toggle('flagged', this.flagged.has(idx));
+      cell.classList.toggle('current', idx === this.currentIdx && !this.reviewing);
+      cell.textContent = idx + 1;
+      cell.title = q.keyword;
+      cell.onclick = () => this.goToQuestion(idx);
+      grid.appendChild(cell);
+    });
+  }
+
+  /**
+   * List all answers before the explicit submit
+   */
+  showReview() {
+    const t = i18n.t.bind(i18n);
+    const questions = this.quizData.questions;
+    const unanswered = questions.filter((q, idx) => !this.answers[idx]).length;
+    const el = document.getElementById('reviewScreen');
+
+    this.reviewing = true;
+    document.getElementById('questionScreen').style.display = 'none';
+
+    el.innerHTML = `
+      <h3>\uD83D\uDCCB ${t('quiz_review_heading')}</h3>
+      <p>${t('quiz_review_summary', { answered: questions.length - unanswered, total: questions.length })}</p>
+      <table class="review-table"><tbody></tbody></table>
+      <div class="review-actions">
+        <button id="reviewBackBtn" class="btn btn-secondary">${t('quiz_btn_back_to_questions')}</button>
+        <button id="reviewSubmitBtn" class="btn btn-success">${t('quiz_btn_submit')}</button>
+      </div>
+    `;
+
+    const body = el.querySelector('tbody');
+    questions.forEach((q, idx) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('unanswered', !this.answers[idx]);
+      row.classList.toggle('flagged', this.flagged.has(idx));
+      row.innerHTML = `
+        <td class="review-number">${idx + 1}</td>
+        <td class="review-keyword">${q.keyword}</td>
+        <td class="review-answer"></td>
+        <td class="review-flag">${this.flagged.has(idx) ? '\uD83D\uDEA9' : ''}</td>
+      `;
+      this.fillAnswerSummary(row.querySelector('.review-answer'), q, this.answers[idx]);
+      row.onclick = () => this.showQuestion(idx);
+      body.appendChild(row);
+    });
+
+    document.getElementById('reviewBackBtn').onclick = () => {
+      const firstOpen = questions.findIndex((q, idx) => !this.answers[idx] || this.flagged.has(idx));
+      this.showQuestion(firstOpen === -1 ? questions.length - 1 : firstOpen);
+    };
+    document.getElementById('reviewSubmitBtn').onclick = () => {
+      if (unanswered > 0 && !confirm(t('quiz_review_confirm_unanswered', { count: unanswered }))) return;
       this.submit();
+    };
+
+    el.style.display = 'block';
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Short form of an answer for the review screen
+   * (typed answers as text, chosen options with their rendered content)
+   */
+  fillAnswerSummary(cell, q, answer) {
+    if (!answer) {
+      cell.textContent = `\u26AA ${i18n.t('quiz_review_unanswered')}`;
+    } else if (q.type === 'gap') {
+      cell.textContent = Object.values(answer.gaps).join(' | ');
+    } else if (q.type === 'numeric') {
+      cell.textContent = `${answer.value}${q.unit ? ' ' + q.unit : ''}`;
+    } else if (q.type === 'text') {
+      cell.textContent = answer.text.length > 80 ? `${answer.text.slice(0, 80)}\u2026` : answer.text;
+    } else if (q.type === 'match') {
+      cell.textContent = i18n.t('quiz_review_pairs', { count: Object.keys(answer.pairs).length });
     } else {
-      this.updateProgress();
-      this.renderQuestion();
-      window.scrollTo(0, 0);
+      cell.innerHTML = answer.chosen.map(id => this.renderOptionById(q, id))
+        .join(q.type === 'order' ? ' \u2192 ' : ', ');
+    }
+  }
+
+  /**
+   * Practice sessions: grade the current answer on the server and show the feedback
+   * @param {boolean} [reveal] - Ask for the solution although the answer is wrong
+   */
+  async checkAnswer(answer, reveal = false) {
+    const userCode = document.getElementById('code').value.trim();
+
+    try {
+      const result = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(this.sessionName)}/check`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ userCode, answer, reveal })
+      });
+
+      this.setChecked(true);
+      this.renderFeedback(this.quizData.questions[this.currentIdx], answer, result);
+    } catch (err) {
+      console.error('Checking the answer failed:', err);
+    }
+  }
+
+  /**
+   * Lock the answer while its feedback is shown, unlock it to try again
+   */
+  setChecked(checked) {
+    this.checked = checked;
+
+    const area = document.getElementById('questionArea');
+    area.classList.toggle('practice-locked', checked);
+    area.querySelectorAll('input, select, textarea, button').forEach(input => {
+      input.disabled = checked;
+    });
+
+    if (!checked) {
+      document.getElementById('practiceFeedback').style.display = 'none';
+    }
+    this.updateNavigation();
+  }
+
+  /**
+   * Show correctness, the explanations and (if available) the solution of a checked answer
+   */
+  renderFeedback(q, answer, result) {
+    const t = i18n.t.bind(i18n);
+    const el = document.getElementById('practiceFeedback');
+    const optionText = id => this.renderOptionById(q, id);
+
+    let status;
+    if (result.isCorrect) {
+      status = `\u2705 ${t('quiz_practice_correct')}`;
+    } else if (result.points > 0) {
+      status = `\u25D0 ${t('quiz_practice_partial', { points: result.points, maxPoints: result.maxPoints })}`;
+    } else {
+      status = `\u274C ${t('quiz_practice_incorrect')}`;
+    }
+
+    let html = `<div class="practice-status">${status}</div>`;
+
+    result.optionReasons.forEach(option => {
+      html += `
+        <div class="practice-reason">
+          <strong>${optionText(option.id)}</strong>
+          ${renderReasonWithImages(option.reason, option.reasonImage, this.quizData.id, this.quizUtil)}
+        </div>`;
+    });
+
+    if (result.solution) {
+      html += `<div class="practice-solution"><strong>${t('quiz_practice_solution')}</strong> ${this.formatSolution(q, result.solution)}</div>`;
+      html += renderReasonWithImages(result.solution.reason, result.solution.reasonImage, this.quizData.id, this.quizUtil);
+    } else {
+      html += `
+        <div class="practice-actions">
+          <button id="practiceRetryBtn" class="btn btn-secondary">${t('quiz_btn_try_again')}</button>
+          <button id="practiceRevealBtn" class="btn btn-secondary">${t('quiz_btn_show_solution')}</button>
+        </div>`;
     }
+
+    el.innerHTML = html;
+    el.className = `practice-feedback ${result.isCorrect ? 'correct' : 'incorrect'}`;
+    el.style.display = 'block';
+
+    if (!result.solution) {
+      document.getElementById('practiceRetryBtn').onclick = () => this.setChecked(false);
+      document.getElementById('practiceRevealBtn').onclick = () => this.checkAnswer(answer, true);
+    }
+  }
+
+  /**
+   * Option content by id (the id itself if the option is unknown)
+   */
+  renderOptionById(q, id) {
+    const option = (q.options || []).find(o => o.id === id);
+    return option ? renderOptionContent(option, this.quizData.id, this.quizUtil) : id;
+  }
+
+  /**
+   * Solution of a checked answer as text
+   */
+  formatSolution(q, solution) {
+    const optionText = id => this.renderOptionById(q, id);
+
+
+    if (q.type === 'gap') {
+      return solution.correct.map(value => `<code>${value}</code>`).join(', ');
+    }
+    if (q.type === 'numeric') {
+      return `${solution.correct[0]}${q.unit ? ' ' + q.unit : ''}`;
+    }
+    if (q.type === 'order') {
+      return `<ol>${solution.correct.map(id => `<li>${optionText(id)}</li>`).join('')}</ol>`;
+    }
+    if (q.type === 'match') {
+      const rightText = id => {
+        const item = q.rightItems.find(right => right.id === id);
+        return item ? renderOptionContent(item, this.quizData.id, this.quizUtil) : id;
+      };
+      return `<ul>${q.leftItems.map((left, idx) => `
+        <li>${renderOptionContent(left, this.quizData.id, this.quizUtil)} \u2192 ${rightText(solution.correct[idx])}</li>`).join('')}
+      </ul>`;
+    }
+    return solution.correct.map(optionText).join(', ');
+  }
+
+  /**
+   * Read the answer to a question from the form
+   * @param {boolean} [silent] - No warning for incomplete answers (time is up)
+   * @returns {object|null} Answer or null (with a warning) if incomplete
+   */
+  collectAnswer(q, silent = false) {
+    const incomplete = (key) => {
+      if (!silent) toast.warning(i18n.t(key));
+      return null;
+    };
+
+    if (q.type === 'gap') {
+      const gaps = {};
+      let hasEmptyGap = false;
+      document.querySelectorAll('.gap-input').forEach(input => {
+        const value = input.value.trim();
+        if (!value) hasEmptyGap = true;
+        gaps[input.dataset.gap] = value;
+      });
+
+      if (hasEmptyGap) {
+        return incomplete('quiz_fill_gaps');
+      }
+
+      return { questionId: q.id, gaps };
+    }
+
+    if (q.type === 'numeric') {
+      const value = this.parseNumber(document.getElementById('numericInput').value);
+
+      if (value === null) {
+        return incomplete('quiz_enter_number');
+      }
+
+      return { questionId: q.id, value };
+    }
+
+    if (q.type === 'match') {
+      const pairs = {};
+      let hasOpenPair = false;
+      document.querySelectorAll('.match-select').forEach(select => {
+        if (!select.value) hasOpenPair = true;
+        pairs[select.dataset.left] = select.value;
+      });
+
+      if (hasOpenPair) {
+        return incomplete('quiz_match_all');
+      }
+
+      return { questionId: q.id, pairs };
+    }
+
+    if (q.type === 'text') {
+      const text = document.getElementById('textAnswer').value.trim();
+
+      if (!text) {
+        return incomplete('quiz_enter_text');
+      }
+
+      return { questionId: q.id, text };
+    }
+
+    if (q.type === 'order') {
+      const chosen = Array.from(document.querySelectorAll('#orderList .order-item'))
+        .map(item => item.dataset.option);
+
+      return { questionId: q.id, chosen };
+    }
+
+    const chosen = Array.from(document.querySelectorAll('input[name="option"]:checked'), c => c.value);
+
+    if (chosen.length === 0) {
+      return incomplete('quiz_select_answer');
+    }
+
+    return { questionId: q.id, chosen };
   }
 
   /**
@@ -290,50 +1322,197 @@ class QuizPage {
    */
   async submit() {
     const userCode = document.getElementById('code').value.trim();
+    // Skipped questions are sent without an answer
+    const answers = this.quizData.questions.map((q, idx) => this.answers[idx] || { questionId: q.id });
+
+    this.submitted = true;
+    clearInterval(this.timer);
+
+    // Time of the submission in server time, checked against the deadline when sent later
+    const submission = {
+      sessionName: this.sessionName,
+      userCode,
+      answers,
+      submittedAt: new Date(Date.now() + this.serverOffset).toISOString()
+    };
+
+    if (!navigator.onLine) {
+      await this.queueOfflineSubmission(submission);
+      return;
+    }
 
     try {
       const obj = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(this.sessionName)}/submit`, {
         method: 'POST',
         headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ userCode, answers: this.answers })
+        body: JSON.stringify({ userCode, answers })
       });
 
-      const fullUrl = `${window.location.origin}${obj.resultLink}`;
-
-      const overlay = document.createElement('div');
-      overlay.className = 'modal-overlay';
-      overlay.innerHTML = `
-        <div class="modal-box">
-          <h3>\uD83C\uDF89 ${i18n.t('quiz_completed_title')}</h3>
-          <p><strong>${i18n.t('quiz_completed_score', { score: obj.score, maxScore: obj.maxScore })}</strong></p>
-          <p>${i18n.t('quiz_completed_link_text')}</p>
-          <input type="text"
-                value="${fullUrl}"
-                onclick="this.select()"
-                readonly>
-          <p style="font-size: 14px; color: #6c757d;">
-            \uD83D\uDCBE ${i18n.t('quiz_completed_save_hint')}
-          </p>
-          <div id="completionQRCode" class="completion-qr-code"></div>
-          <button class="btn btn-primary" onclick="window.location.href='${obj.resultLink}'">
-            ${i18n.t('quiz_btn_view_results')}
-          </button>
-          <button class="btn btn-secondary" onclick="location.reload()" style="margin-left: 8px;">
-            ${i18n.t('quiz_btn_new_quiz')}
-          </button>
-        </div>
-      `;
+      this.showCompletion(obj);
+      toast.success(i18n.t('quiz_completed_success'));
+    } catch (err) {
+      console.error('Submission failed:', err);
+      // No answer from the server (errors it sent are already shown): keep the submission for later
+      if (!err.alreadyHandled) {
+        await this.queueOfflineSubmission(submission);
+      }
+    }
+  }
+
+  /**
+   * Keep a submission on this device until the connection is back
+   */
+  async queueOfflineSubmission(submission) {
+    try {
+      await queueSubmission(submission);
+    } catch (err) {
+      // Without IndexedDB (e.g. private mode) the answers only stay in this page
+      console.warn('Submission not stored on this device:', err);
+    }
+
+    document.getElementById('questionScreen').style.display = 'none';
+    document.getElementById('reviewScreen').style.display = 'none';
+    const info = document.getElementById('offlineQueued');
+    info.textContent = `\uD83D\uDCF4 ${i18n.t('quiz_offline_queued')}`;
+    info.style.display = 'block';
+
+    // Also retry while the browser thinks it is online (e.g. the server was unreachable)
+    if (!this.queueRetry) {
+      this.queueRetry = setInterval(() => this.sendQueuedSubmissions(), 30000);
+    }
+  }
 
-      document.body.appendChild(overlay);
+  /**
+   * Send the submissions queued offline. Entries the server rejects (e.g. too late)
+   * are dropped with the error shown; without an answer or on server errors they
+   * stay queued (no error toast, this runs again when the connection is back).
+   */
+  async sendQueuedSubmissions() {
+    if (this.sendingQueue || !navigator.onLine) return;
+    this.sendingQueue = true;
+
+    try {
+      const entries = await getQueuedSubmissions();
+      for (const entry of entries) {
+        let response;
+        let data;
+        try {
+          response = await fetch(`${BASE_PATH}/api/session/${encodeURIComponent(entry.sessionName)}/submit`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ userCode: entry.userCode, answers: entry.answers, submittedAt: entry.submittedAt })
+          });
+          data = await response.json();
+        } catch (err) {
+          console.warn('Queued submission not sent yet:', err);
+          return;
+        }
+        if (response.status >= 500) {
+          console.warn('Queued submission not sent yet:', response.status);
+          return;
+        }
 
-      // Add QR code to completion dialog
-      const qrContainer = createQRCodeContainer(fullUrl, 'normal', i18n.t('qr_save_result'));
-      if (qrContainer) {
-        document.getElementById('completionQRCode').appendChild(qrContainer);
+        await removeQueuedSubmission(entry.key);
+        if (!response.ok || data.error) {
+          await handleApiError(response, data);
+        } else {
+          this.showQueuedSubmissionSent(entry, data);
+        }
       }
-      toast.success(i18n.t('quiz_completed_success'));
+
+      clearInterval(this.queueRetry);
+      this.queueRetry = null;
     } catch (err) {
-      console.error('Submission failed:', err);
+      console.warn('Queued submissions not sent:', err);
+    } finally {
+      this.sendingQueue = false;
+    }
+  }
+
+  /**
+   * A queued submission was graded: show its result link like after a regular submission
+   */
+  showQueuedSubmissionSent(entry, obj) {
+    document.getElementById('offlineQueued').style.display = 'none';
+    toast.success(i18n.t('quiz_offline_sent', { session: entry.sessionName }));
+
+    // After a reload the page does not know the participant yet (needed for another attempt)
+    if (!this.sessionName) {
+      document.getElementById('sessionSelect').value = entry.sessionName;
+      document.getElementById('code').value = entry.userCode;
+    }
+    this.showCompletion(obj);
+  }
+
+  /**
+   * Start another attempt (sessions with several attempts) with the same user code
+   */
+  retry(overlay) {
+    overlay.remove();
+    this.answers = [];
+    this.flagged.clear();
+    this.currentIdx = 0;
+    this.reviewing = false;
+    this.submitted = false;
+    document.getElementById('quizNav').style.display = '';
+    document.getElementById('quizTimer').style.display = 'none';
+    this.joinQuiz();
+  }
+
+  /**
+   * Show the completion dialog with result link and QR code
+   * @param {object} obj - { resultLink, score?, maxScore?, attemptsLeft? } (live sessions send no score,
+   *   attemptsLeft is null if unlimited)
+   */
+  showCompletion(obj) {
+    const fullUrl = `${window.location.origin}${obj.resultLink}`;
+    const scoreHtml = obj.score !== undefined
+      ? `<p><strong>${i18n.t('quiz_completed_score', { score: obj.score, maxScore: obj.maxScore })}</strong></p>`
+      : '';
+    const canRetry = obj.attemptsLeft === null || obj.attemptsLeft > 0;
+    const retryHtml = canRetry ? `
+        <p>\uD83D\uDD01 ${obj.attemptsLeft === null
+          ? i18n.t('quiz_attempts_left_unlimited')
+          : i18n.t('quiz_attempts_left', { count: obj.attemptsLeft })}</p>
+        <button id="retryAttemptBtn" class="btn btn-success" style="margin-right: 8px;">
+          ${i18n.t('quiz_btn_retry')}
+        </button>` : '';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="modal-box">
+        <h3>\uD83C\uDF89 ${i18n.t('quiz_completed_title')}</h3>
+        ${scoreHtml}
+        <p>${i18n.t('quiz_completed_link_text')}</p>
+        <input type="text"
+              value="${fullUrl}"
+              onclick="this.select()"
+              readonly>
+        <p style="font-size: 14px; color: #6c757d;">
+          \uD83D\uDCBE ${i18n.t('quiz_completed_save_hint')}
+        </p>
+        <div id="completionQRCode" class="completion-qr-code"></div>
+        ${retryHtml}
+        <button class="btn btn-primary" onclick="window.location.href='${obj.resultLink}'">
+          ${i18n.t('quiz_btn_view_results')}
+        </button>
+        <button class="btn btn-secondary" onclick="location.reload()" style="margin-left: 8px;">
+          ${i18n.t('quiz_btn_new_quiz')}
+        </button>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    if (canRetry) {
+      document.getElementById('retryAttemptBtn').onclick = () => this.retry(overlay);
+    }
+
+    // Add QR code to completion dialog
+    const qrContainer = createQRCodeContainer(fullUrl, 'normal', i18n.t('qr_save_result'));
+    if (qrContainer) {
+      document.getElementById('completionQRCode').appendChild(qrContainer);
     }
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * sw.js - Service Worker of the quiz page
+ *
+ * Keeps the quiz usable during connection outages: the page, its scripts,
+ * styles and translations, the session quiz and its images are cached and
+ * served from the cache when the network fails (network first, so an online
+ * page always gets fresh data).
+ *
+ * Only GET requests are cached. Answers, drafts and submissions go to the
+ * network; the quiz page queues a submission made offline itself
+ * (see js/OfflineQueue.js).
+ */
+
+const CACHE_NAME = 'quiz-offline-v1';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Event streams of live sessions never end, so they cannot be cached
+  if (request.method !== 'GET' || url.origin !== self.location.origin ||
+      request.headers.get('accept') === 'text/event-stream') {
+    return;
+  }
+
+  event.respondWith(networkFirst(request));
+});
+
+// The quiz page sends the URLs it will need offline once a quiz is loaded
+// (its own resources and the images of all questions)
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cache' || !Array.isArray(event.data.urls)) {
+    return;
+  }
+
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(event.data.urls.map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        await cache.add(url);
+      } catch (err) {
+        console.warn('[sw.js] Not cached:', url, err);
+      }
+    }));
+  })());
+});
+
+/**
+ * Answer from the network and keep a copy, fall back to the copy while offline
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    // The page itself may be opened with another ?session=...
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
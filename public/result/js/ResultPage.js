@@ -7,8 +7,8 @@
 import { fetchWithErrorHandling, toast } from '../../common/ApiHelpers.js';
 import { i18n, appReady } from '../../common/i18n.js';
 import { BASE_PATH } from '../../common/BasePath.js';
-import { QuizUtils } from '../../common/QuizHelpers.js';
-import { renderQuestionWithImages, renderImages, renderReasonWithImages } from '../../common/ImageRendering.js';
+import { QuizUtils, replaceGapPlaceholders } from '../../common/QuizHelpers.js';
+import { renderQuestionWithImages, renderImages, renderReasonWithImages, renderOptionContent } from '../../common/ImageRendering.js';
 import { GoogleTranslateHelper } from '../../common/GoogleTranslateHelper.js';
 import { TranslationHelper } from '../../common/TranslationHelper.js';
 import '../../common/AppHeader.js';
@@ -56,7 +56,7 @@ class ResultPage {
     const translationResult = await TranslationHelper.translateQuizIfNeeded({
       id: resultData.quizId,
       language: resultData.quizLanguage || 'de'
-    });
+    }, `/api/result/${encodeURIComponent(this.resultId)}/translation`);
 
     if (!translationResult.translated) {
       return resultData;
@@ -75,8 +75,11 @@ class ResultPage {
         detail.reason = translatedQuestion.reason || translatedQuestion.explanation;
 
         if (translatedQuestion.options && detail.options) {
+          // Options may be reordered (order questions without solutions): match objects by id
           detail.options = detail.options.map((option, idx) => {
-            const translatedOption = translatedQuestion.options[idx];
+            const translatedOption = typeof option === 'object'
+              ? translatedQuestion.options.find(translated => translated.id === option.id)
+              : translatedQuestion.options[idx];
             if (typeof option === 'string' && typeof translatedOption === 'string') {
               return translatedOption;
             } else if (typeof option === 'object' && typeof translatedOption === 'object') {
@@ -106,8 +109,8 @@ class ResultPage {
     try {
       let data = await fetchWithErrorHandling('/api/result/' + this.resultId);
 
-      if (data.open_after && data.open_after !== true) {
-        this.displayNotYetAvailable(data.open_after);
+      if (data.released === false) {
+        this.displayNotYetAvailable(data);
         return;
       }
 
@@ -128,20 +131,33 @@ class ResultPage {
   }
 
   /**
-   * Display "not yet available" message
+   * Display "not yet available" message: the release time of the session, or that the
+   * teacher releases the results - with the score if the session shows it right away
    */
-  displayNotYetAvailable(openAfter) {
-    const openDate = new Date(openAfter);
-    document.getElementById('title').innerText = '\u23F0 ' + i18n.t('result_session_active');
+  displayNotYetAvailable(data) {
+    const openDate = data.open_after ? new Date(data.open_after) : null;
+    document.getElementById('title').innerText = '\u23F0 ' + (data.quizTitle || i18n.t('result_session_active'));
+
+    const score = data.score !== undefined
+      ? `<p class="result-score-now">${i18n.t('result_score_now', { score: data.score, maxScore: data.maxScore })}</p>
+        ${data.pendingReview ? `<div class="pending-review-banner">\u23F3 ${i18n.t('result_pending_review')}</div>` : ''}`
+      : '';
+    const release = openDate
+      ? i18n.t('result_available_from', { time: openDate.toLocaleString() })
+      : i18n.t('result_released_by_teacher');
+
     document.getElementById('content').innerHTML = `
       <div style="text-align:center; padding:50px;">
+        ${score}
         <h2>${i18n.t('result_not_yet_available')}</h2>
-        <p style="font-size:1.2em;">${i18n.t('result_available_from', { time: openDate.toLocaleString() })}</p>
+        <p style="font-size:1.2em;">${release}</p>
         <p style="margin-top:30px;">\uD83D\uDCA1 <strong>Tip:</strong> ${i18n.t('result_save_link_tip')}</p>
         <p style="word-break:break-all; background:#f0f0f0; padding:10px; border-radius:5px;">${window.location.href}</p>
       </div>
     `;
-    toast.info(i18n.t('result_available_toast', { time: openDate.toLocaleTimeString() }), 8000);
+    if (openDate) {
+      toast.info(i18n.t('result_available_toast', { time: openDate.toLocaleString() }), 8000);
+    }
   }
 
   /**
@@ -162,6 +178,19 @@ class ResultPage {
       </div>
     </div>`;
 
+    if (data.pendingReview) {
+      html += `<div class="pending-review-banner">\u23F3 ${i18n.t('result_pending_review')}</div>`;
+    }
+
+    if (!this.showsSolutions(data)) {
+      html += `<div class="solutions-hidden-note">\uD83D\uDD12 ${i18n.t('result_solutions_hidden')}</div>`;
+    }
+
+    if (data.attempts) {
+      html += `<h4 class="section-title">\uD83D\uDD01 ${i18n.t('result_attempts')}</h4>`;
+      html += this.renderAttemptHistory(data);
+    }
+
     html += `<h4 class="section-title">\uD83D\uDCCA ${i18n.t('result_summary')}</h4>`;
     html += this.renderSummaryTable(data);
 
@@ -173,28 +202,62 @@ class ResultPage {
     this.showCompletionToast(data.percentage);
   }
 
+  /**
+   * Attempts of the participant (sessions with several attempts) and the score that counts
+   */
+  renderAttemptHistory(data) {
+    let html = `<div class="summary-table attempt-history"><table>
+      <tr>
+        <th>${i18n.t('result_table_attempt')}</th>
+        <th>${i18n.t('result_table_submitted')}</th>
+        <th>${i18n.t('result_table_points')}</th>
+      </tr>`;
+
+    for (const a of data.attempts) {
+      const label = a.current
+        ? `<strong>#${a.attempt}</strong>`
+        : `<a href="${a.resultLink}">#${a.attempt}</a>`;
+      html += `<tr class="${a.current ? 'current-attempt' : ''}">
+        <td>${label}</td>
+        <td>${new Date(a.created_at).toLocaleString()}</td>
+        <td>${a.score} / ${a.maxScore}</td>
+      </tr>`;
+    }
+
+    html += `</table></div>`;
+    html += `<div class="final-score">${i18n.t('result_final_score_' + data.scorePolicy, {
+      score: data.finalScore.score,
+      maxScore: data.finalScore.maxScore
+    })}</div>`;
+    return html;
+  }
+
   /**
    * Render summary table
    */
   renderSummaryTable(data) {
+    const solutions = this.showsSolutions(data);
     let html = `<div class="summary-table"><table>
       <tr>
         <th>${i18n.t('result_table_keyword')}</th>
-        <th>${i18n.t('result_table_correct')}</th>
+        ${solutions ? `<th>${i18n.t('result_table_correct')}</th>` : ''}
         <th>${i18n.t('result_table_your_answer')}</th>
         <th>${i18n.t('result_table_points')}</th>
         <th>${i18n.t('result_table_average')}</th>
       </tr>`;
 
     for (const d of data.details) {
-      const right = (d.correct || []).join(', ');
-      const chosen = (d.chosen || []).join(', ');
+      const right = (d.correct || []).map(c => this.escapeHtml(c)).join(', ');
+      // Free-text answers can be long: the detailed view shows them in full
+      const chosen = d.type === 'text'
+        ? (d.chosen || []).length > 0 ? '\u270D\uFE0F' : ''
+        : (d.chosen || []).map(c => this.escapeHtml(c)).join(', ');
       const avg = d.avgCorrectPercent !== null ? `${d.avgCorrectPercent}%` : '\u2014';
       html += `<tr>
         <td><strong>${d.keyword}</strong></td>
-        <td>${right}</td>
+        ${solutions ? `<td>${right}</td>` : ''}
         <td>${chosen || '\u2014'}</td>
-        <td><strong>${d.points}</strong> / ${d.maxPoints}</td>
+        <td>${d.pending ? '\u23F3' : `<strong>${d.points}</strong>`} / ${d.maxPoints}</td>
         <td>${avg}</td>
       </tr>`;
     }
@@ -207,6 +270,7 @@ class ResultPage {
    * Render detailed results
    */
   renderDetailedResults(data, quizUtil, basePath) {
+    const solutions = this.showsSolutions(data);
     let html = '';
 
     for (const d of data.details) {
@@ -215,25 +279,49 @@ class ResultPage {
       const isFullyCorrect = (d.points === d.maxPoints) && (d.maxPoints > 0);
       const isPartial = d.points > 0 && d.points < d.maxPoints;
 
-      const cardClass = isFullyCorrect ? 'correct' : 'incorrect';
-      const pointsClass = isFullyCorrect ? 'full' : (isPartial ? 'partial' : 'zero');
+      let cardClass = isFullyCorrect ? 'correct' : (isPartial ? 'partial' : 'incorrect');
+      let pointsClass = isFullyCorrect ? 'full' : (isPartial ? 'partial' : 'zero');
+      if (d.pending) {
+        cardClass = 'pending';
+        pointsClass = 'pending';
+      }
 
       html += `<div class="question-card ${cardClass}">`;
 
       html += `<div class="question-header">
         <div class="question-keyword">${d.keyword}</div>
+        ${d.scoring && d.scoring !== 'allOrNothing'
+          ? `<div class="scoring-mode" title="${i18n.t('result_scoring_' + d.scoring + '_hint')}">${i18n.t('result_scoring_' + d.scoring)}</div>`
+          : ''}
         <div class="points-badge ${pointsClass}">
-          ${d.points} / ${d.maxPoints} ${i18n.t('result_points')}
+          ${d.pending ? i18n.t('result_pending') : `${d.points} / ${d.maxPoints} ${i18n.t('result_points')}`}
         </div>
       </div>`;
 
       const questionObj = { text: d.text, image: d.image || [] };
-      html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
 
-      html += `<div class="answers-label">${i18n.t('result_answers')}</div>`;
+      if (d.type === 'gap') {
+        html += this.renderGapResult(d, renderQuestionWithImages(questionObj, data.quizId, quizUtil), solutions);
+      } else if (d.type === 'numeric') {
+        html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
+        html += this.renderNumericResult(d, isFullyCorrect, solutions);
+      } else if (d.type === 'order') {
+        html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
+        html += this.renderOrderResult(d, isFullyCorrect, data.quizId, quizUtil, solutions);
+      } else if (d.type === 'match') {
+        html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
+        html += this.renderMatchResult(d, data.quizId, quizUtil, solutions);
+      } else if (d.type === 'text') {
+        html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
+        html += this.renderTextResult(d);
+      } else {
+        html += renderQuestionWithImages(questionObj, data.quizId, quizUtil);
+        html += `<div class="answers-label">${i18n.t('result_answers')}</div>`;
+      }
 
-      for (let i = 0; i < (d.options || []).length; i++) {
-        const option = d.options[i];
+      const choiceOptions = d.type === 'order' ? [] : (d.options || []);
+      for (let i = 0; i < choiceOptions.length; i++) {
+        const option = choiceOptions[i];
         const optionId = this.getOptionId(option, i);
 
         const isChosen = chosenIds.has(optionId);
@@ -242,7 +330,13 @@ class ResultPage {
         let cssClass = 'answer-not-chosen';
         let marker = '';
 
-        if (isChosen && isCorrect) {
+        if (!solutions) {
+          // Without solutions only the participant's choice is marked
+          if (isChosen) {
+            cssClass = 'answer-chosen';
+            marker = '\u2611\uFE0F';
+          }
+        } else if (isChosen && isCorrect) {
           cssClass = 'answer-chosen-correct';
           marker = '\u2705';
         } else if (isChosen && !isCorrect) {
@@ -296,6 +390,183 @@ class ResultPage {
     return html;
   }
 
+  /**
+   * Render gap question text with the participant's entries filled in
+   */
+  renderGapResult(d, questionHtml, solutions = true) {
+    const gapIds = (d.gaps || []).map(gap => gap.id);
+
+    return replaceGapPlaceholders(questionHtml, gapId => {
+      const idx = gapIds.indexOf(gapId);
+      const entry = this.escapeHtml((d.chosen || [])[idx] || '');
+      if (!solutions) {
+        return `<span class="gap-answer answer-chosen">${entry || '\u2014'}</span>`;
+      }
+      const expected = this.escapeHtml((d.correct || [])[idx] || '');
+
+      if ((d.gapResults || [])[idx]) {
+        return `<span class="gap-answer answer-chosen-correct">${entry} \u2705</span>`;
+      }
+      return `<span class="gap-answer answer-chosen-wrong"><s>${entry || '\u2014'}</s> \u274C</span>` +
+        `<span class="gap-answer answer-correct">${expected} \uD83D\uDCA1</span>`;
+    });
+  }
+
+  /**
+   * Render entered value and target value (with tolerance) of a numeric question
+   */
+  renderNumericResult(d, isCorrect, solutions = true) {
+    const numeric = d.numeric || {};
+    const unit = numeric.unit ? ` ${this.escapeHtml(numeric.unit)}` : '';
+    const entered = (d.chosen || [])[0];
+
+    let tolerance = '';
+    if (numeric.tolerance) {
+      tolerance = numeric.toleranceType === 'relative'
+        ? ` (\u00B1 ${numeric.tolerance} %)`
+        : ` (\u00B1 ${numeric.tolerance}${unit})`;
+    }
+
+    if (!solutions) {
+      return `<div class="answer-item answer-chosen">
+        <span class="answer-label">${i18n.t('result_table_your_answer')}:</span>
+        ${entered !== undefined ? this.escapeHtml(entered) + unit : '\u2014'}
+      </div>`;
+    }
+
+    let html = `<div class="answer-item ${isCorrect ? 'answer-chosen-correct' : 'answer-chosen-wrong'}">
+      <span class="answer-label">${i18n.t('result_table_your_answer')}:</span>
+      ${entered !== undefined ? this.escapeHtml(entered) + unit : '\u2014'}
+      <span class="answer-marker">${isCorrect ? '\u2705' : '\u274C'}</span>
+    </div>`;
+
+    html += `<div class="answer-item answer-correct">
+      <span class="answer-label">${i18n.t('result_table_correct')}:</span>
+      ${numeric.value !== undefined ? numeric.value + unit + tolerance : (d.correct || []).join(', ')}
+    </div>`;
+
+    return html;
+  }
+
+  /**
+   * Render the participant's order (per position right/wrong) and the correct order
+   */
+  renderOrderResult(d, isCorrect, quizId, quizUtil, solutions = true) {
+    const optionsById = new Map((d.options || []).map(option => [option.id, option]));
+    const correct = d.correct || [];
+
+    const renderItem = (id, idx, cssClass, marker) => `
+      <div class="answer-item order-result-item ${cssClass}">
+        <span class="answer-label">${idx + 1}.</span>
+        ${optionsById.has(id) ? renderOptionContent(optionsById.get(id), quizId, quizUtil) : this.escapeHtml(id)}
+        <span class="answer-marker">${marker}</span>
+      </div>`;
+
+    let html = `<div class="answers-label">${i18n.t('result_order_yours')}</div>`;
+    if (!solutions) {
+      (d.chosen || []).forEach((id, idx) => {
+        html += renderItem(id, idx, 'answer-chosen', '');
+      });
+      return html;
+    }
+    (d.chosen || []).forEach((id, idx) => {
+      const atPosition = correct[idx] === id;
+      html += renderItem(id, idx, atPosition ? 'answer-chosen-correct' : 'answer-chosen-wrong', atPosition ? '\u2705' : '\u274C');
+    });
+
+    if (!isCorrect) {
+      html += `<div class="answers-label">${i18n.t('result_order_correct')}</div>`;
+      correct.forEach((id, idx) => {
+        html += renderItem(id, idx, 'answer-correct', '');
+      });
+    }
+
+    return html;
+  }
+
+  /**
+   * Render the participant's pairs next to the expected pairs
+   */
+  renderMatchResult(d, quizId, quizUtil, solutions = true) {
+    const pairs = d.pairs || [];
+    const pairsById = new Map(pairs.map(pair => [pair.id, pair]));
+
+    let html = `<div class="answers-label">${i18n.t('result_match_pairs')}</div>`;
+    if (!solutions) {
+      // Without solutions every pair carries the participant's right-hand item
+      pairs.forEach(pair => {
+        html += `<div class="answer-item match-result-item answer-chosen">
+          <div class="match-result-left">${renderOptionContent(pair.left, quizId, quizUtil)}</div>
+          <span class="match-result-arrow">\u2192</span>
+          <div class="match-result-right">${pair.chosen ? renderOptionContent(pair.chosen, quizId, quizUtil) : '\u2014'}</div>
+        </div>`;
+      });
+      return html;
+    }
+    pairs.forEach((pair, idx) => {
+      const isCorrect = (d.pairResults || [])[idx];
+      const chosenPair = pairsById.get((d.chosen || [])[idx]);
+
+      html += `<div class="answer-item match-result-item ${isCorrect ? 'answer-chosen-correct' : 'answer-chosen-wrong'}">
+        <div class="match-result-left">${renderOptionContent(pair.left, quizId, quizUtil)}</div>
+        <span class="match-result-arrow">\u2192</span>
+        <div class="match-result-right">
+          ${chosenPair ? renderOptionContent(chosenPair.right, quizId, quizUtil) : '\u2014'}
+          ${isCorrect ? '' : `<div class="match-result-expected answer-correct">
+            <span class="answer-label">${i18n.t('result_table_correct')}:</span>
+            ${renderOptionContent(pair.right, quizId, quizUtil)}
+          </div>`}
+        </div>
+        <span class="answer-marker">${isCorrect ? '\u2705' : '\u274C'}</span>
+      </div>`;
+    });
+
+    return html;
+  }
+
+  /**
+   * Render a free-text answer with the teacher's feedback and the sample answer (once graded)
+   */
+  renderTextResult(d) {
+    const text = (d.chosen || [])[0];
+
+    let html = `<div class="answers-label">${i18n.t('result_table_your_answer')}</div>
+      <div class="answer-item text-result-answer">${text ? this.escapeHtml(text) : '\u2014'}</div>`;
+
+    if (d.pending) {
+      html += `<div class="text-result-pending">\u23F3 ${i18n.t('result_text_pending')}</div>`;
+      return html;
+    }
+
+    if (d.feedback) {
+      html += `<div class="text-result-feedback">
+        <strong>\uD83D\uDCAC ${i18n.t('result_text_feedback')}</strong>
+        <div>${this.escapeHtml(d.feedback)}</div>
+      </div>`;
+    }
+
+    if (d.sampleAnswer) {
+      html += `<div class="answers-label">${i18n.t('result_text_sample')}</div>
+        <div class="answer-item answer-correct text-result-answer">${this.escapeHtml(d.sampleAnswer)}</div>`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Whether the session's feedback policy shows the correct answers
+   */
+  showsSolutions(data) {
+    return !data.feedback || data.feedback.showSolutions !== false;
+  }
+
+  /**
+   * Escape HTML for safe insertion
+   */
+  escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
   /**
    * Get option ID
    */
@@ -1,12 +1,13 @@
 /**
  * StatsPage.js - Statistics Page Controller
  *
- * Handles session selection, statistics loading, chart rendering,
- * and question analysis display.
+ * Handles teacher login, session selection, statistics loading, chart rendering,
+ * and question analysis display. Teachers only see statistics of their own sessions.
  */
 
 import { fetchWithErrorHandling, toast, log } from '../../common/ApiHelpers.js';
 import { i18n, appReady } from '../../common/i18n.js';
+import { loginTeacher, loginErrorMessage } from '../../common/TeacherLogin.js';
 import { BASE_PATH } from '../../common/BasePath.js';
 import { QuizUtils } from '../../common/QuizHelpers.js';
 import { renderQuestionWithImages } from '../../common/ImageRendering.js';
@@ -29,10 +30,43 @@ class StatsPage {
    * Initialize the page
    */
   async init() {
-    await this.loadAllSessions();
     this.setupEventListeners();
     this.setupLanguageChangeListener();
     this.translateStaticElements();
+
+    const status = await fetchWithErrorHandling('/api/teacher/status');
+    if (status.authenticated) {
+      await this.showStatsScreen();
+    } else {
+      document.getElementById('loginScreen').style.display = 'block';
+    }
+  }
+
+  /**
+   * Handle teacher login
+   */
+  async login() {
+    const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
+
+    try {
+      if (!await loginTeacher(username, password)) return;
+
+      document.getElementById('loginScreen').style.display = 'none';
+      await this.showStatsScreen();
+    } catch (err) {
+      const errEl = document.getElementById('loginError');
+      errEl.textContent = loginErrorMessage(err);
+      errEl.style.display = 'block';
+    }
+  }
+
+  /**
+   * Show the statistics screen and fill the session dropdown
+   */
+  async showStatsScreen() {
+    document.getElementById('statsScreen').style.display = 'block';
+    await this.loadAllSessions();
   }
 
   /**
@@ -41,6 +75,10 @@ class StatsPage {
   translateStaticElements() {
     const t = i18n.t.bind(i18n);
 
+    document.getElementById('loginTitle').textContent = t('grading_login_title');
+    document.getElementById('usernameInput').placeholder = t('login_username_placeholder');
+    document.getElementById('passwordInput').placeholder = t('grading_password_placeholder');
+    document.getElementById('loginButton').textContent = t('grading_btn_login');
     document.getElementById('statsMainHeading').innerHTML = '📊 ' + t('stats_main_heading');
     document.getElementById('statsSubtitle').textContent = t('stats_subtitle');
     document.getElementById('sessionLabel').textContent = t('stats_select_session');
@@ -58,6 +96,10 @@ class StatsPage {
    * Set up event listeners
    */
   setupEventListeners() {
+    document.getElementById('loginButton').onclick = () => this.login();
+    ['usernameInput', 'passwordInput'].forEach(id => document.getElementById(id).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.login();
+    }));
     document.getElementById('loadBtn').onclick = () => this.loadStatistics();
 
     document.querySelectorAll('.filter-btn').forEach(btn => {
@@ -94,23 +136,8 @@ class StatsPage {
         });
       }
     } catch (err) {
-      console.warn('Failed to load all sessions, trying open sessions:', err);
-      try {
-        const data = await fetchWithErrorHandling('/api/sessions/open');
-        const sel = document.getElementById('sessionSelect');
-        sel.innerHTML = '';
-        if (data && Array.isArray(data)) {
-          data.forEach(s => {
-            const opt = document.createElement('option');
-            opt.value = s.session_name;
-            opt.textContent = `${s.title} (${s.session_name})`;
-            sel.appendChild(opt);
-          });
-        }
-      } catch (fallbackErr) {
-        const sel = document.getElementById('sessionSelect');
-        sel.innerHTML = `<option disabled>${i18n.t('stats_error_loading')}</option>`;
-      }
+      const sel = document.getElementById('sessionSelect');
+      sel.innerHTML = `<option disabled>${i18n.t('stats_error_loading')}</option>`;
     }
   }
 
@@ -131,9 +158,11 @@ class StatsPage {
 
     try {
       this.statsData = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(session)}/stats`);
-      this.quizData = await fetchWithErrorHandling(`/api/session/${encodeURIComponent(session)}/quiz?forStat=true`);
+      // Complete quiz with solutions (the participants' quiz has no correct flags)
+      this.quizData = await fetchWithErrorHandling(`/api/teacher/session/${encodeURIComponent(session)}/quiz`);
 
-      const translationResult = await TranslationHelper.translateQuizIfNeeded(this.quizData);
+      const translationResult = await TranslationHelper.translateQuizIfNeeded(
+        this.quizData, `/api/translate/teacher/quiz/${encodeURIComponent(this.quizData.id)}`);
       this.quizData = translationResult.quiz;
 
       this.displayStatistics(session);
@@ -157,10 +186,103 @@ class StatsPage {
     if (!this.statsData) return;
 
     this.displayOverviewCards();
+    this.displayResultRelease(session);
     this.displayOverviewChart();
+    this.displayRoster();
     this.displayQuestionList();
   }
 
+  /**
+   * Whether participants see their result details yet, with buttons to release
+   * the results now or to withhold them
+   */
+  displayResultRelease(session) {
+    const section = document.getElementById('releaseSection');
+    const release = this.statsData.resultRelease;
+
+    section.innerHTML = '';
+    section.style.display = release ? 'flex' : 'none';
+    if (!release) return;
+
+    let statusKey = 'stats_release_released';
+    if (release.withheld) {
+      statusKey = 'stats_release_withheld';
+    } else if (!release.released) {
+      statusKey = 'stats_release_scheduled';
+    }
+    const status = document.createElement('span');
+    status.className = 'release-status';
+    status.textContent = i18n.t(statusKey, {
+      time: release.releaseAt ? new Date(release.releaseAt).toLocaleString() : ''
+    });
+    section.appendChild(status);
+
+    const addButton = (labelKey, action) => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary';
+      button.textContent = i18n.t(labelKey);
+      button.addEventListener('click', () => this.changeResultRelease(session, action));
+      section.appendChild(button);
+    };
+    if (!release.released) addButton('stats_release_now', 'release');
+    if (!release.withheld) addButton('stats_release_withhold', 'withhold');
+  }
+
+  /**
+   * Release or withhold the session's results
+   * @param {string} action - 'release' or 'withhold'
+   */
+  async changeResultRelease(session, action) {
+    try {
+      const release = await fetchWithErrorHandling(
+        `/api/teacher/session/${encodeURIComponent(session)}/results/${action}`, { method: 'POST' });
+      this.statsData.resultRelease = release;
+      this.displayResultRelease(session);
+      toast.success(i18n.t(release.released ? 'stats_release_done' : 'stats_withhold_done'));
+    } catch (err) {
+      console.error('Failed to change result release:', err);
+    }
+  }
+
+  /**
+   * Students of the class roster with their attempts and latest score
+   * (only for sessions restricted to a roster)
+   */
+  displayRoster() {
+    const section = document.getElementById('rosterSection');
+    const roster = this.statsData.roster;
+
+    section.innerHTML = '';
+    section.style.display = roster ? 'block' : 'none';
+    if (!roster) return;
+
+    const taken = roster.students.filter(student => student.attempts > 0).length;
+    const header = document.createElement('div');
+    header.className = 'question-list-header';
+    header.textContent = i18n.t('stats_roster_header', { name: roster.name, taken, total: roster.students.length });
+    section.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'roster-table';
+    const headRow = table.createTHead().insertRow();
+    for (const key of ['stats_roster_name', 'stats_roster_code', 'stats_roster_attempts', 'stats_roster_score']) {
+      const th = document.createElement('th');
+      th.textContent = i18n.t(key);
+      headRow.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    for (const student of roster.students) {
+      const row = body.insertRow();
+      if (student.attempts === 0) row.className = 'roster-missing';
+      const score = student.attempts > 0 ? `${student.score} / ${student.maxScore}` : i18n.t('stats_roster_not_taken');
+      for (const value of [student.name, student.code, student.attempts, score]) {
+        row.insertCell().textContent = value;
+      }
+    }
+    section.appendChild(table);
+  }
+
   /**
    * Display overview cards
    */
@@ -180,7 +302,9 @@ class StatsPage {
     let mostDifficult = null;
     let lowestRate = 100;
     this.statsData.questionStats.forEach(q => {
-      const rate = q.total > 0 ? (q.correctCount / q.total) * 100 : 0;
+      // With a question draw, some questions may not have been answered by anyone
+      if (q.total === 0) return;
+      const rate = (q.correctCount / q.total) * 100;
       if (rate < lowestRate) {
         lowestRate = rate;
         mostDifficult = q;
@@ -317,8 +441,12 @@ class StatsPage {
       // Extract correct answer IDs - supports both formats
       let correctAnswers = [];
 
+      // Order question: every option counts (bars show correct placements)
+      if (fullQuestion && fullQuestion.type === 'order') {
+        correctAnswers = (fullQuestion.options || []).map(option => option.id);
+      }
       // NEW FORMAT: fullQuestion.options[].correct = true/false
-      if (fullQuestion && fullQuestion.options && Array.isArray(fullQuestion.options)) {
+      else if (fullQuestion && fullQuestion.options && Array.isArray(fullQuestion.options)) {
         correctAnswers = fullQuestion.options
           .filter(option => typeof option === 'object' && option.correct === true)
           .map(option => option.id);
@@ -329,7 +457,27 @@ class StatsPage {
       }
 
       const optionEntries = [];
-      if (fullQuestion && fullQuestion.options) {
+      if (q.gapCorrectCounts) {
+        // Gap question: number of correct entries per gap
+        const gapIds = (fullQuestion && fullQuestion.gaps)
+          ? fullQuestion.gaps.map(gap => gap.id)
+          : Object.keys(q.gapCorrectCounts);
+        gapIds.forEach((gapId, gapIdx) => {
+          const label = `{{${gapId}}}`;
+          optionEntries.push([label, q.gapCorrectCounts[gapId] || 0, (q.correct || [])[gapIdx] || null, null]);
+          correctAnswers.push(label);
+        });
+      } else if (q.pairCorrectCounts) {
+        // Match question: number of correct matches per pair
+        const pairs = (fullQuestion && fullQuestion.pairs)
+          ? fullQuestion.pairs
+          : Object.keys(q.pairCorrectCounts).map(id => ({ id }));
+        pairs.forEach(pair => {
+          const pairText = pair.left && pair.right ? `${pair.left.text} \u2192 ${pair.right.text}` : null;
+          optionEntries.push([pair.id, q.pairCorrectCounts[pair.id] || 0, pairText, null]);
+          correctAnswers.push(pair.id);
+        });
+      } else if (fullQuestion && fullQuestion.options) {
         fullQuestion.options.forEach((option, optionIdx) => {
           const optionId = typeof option === 'string'
             ? String.fromCharCode(97 + optionIdx)
@@ -365,13 +513,28 @@ class StatsPage {
               <span class="question-stat-icon">\uD83D\uDC65</span>
               <span>${q.correctCount}/${q.total}</span>
             </div>
+            ${q.seenCount < this.statsData.submissions ? `
+            <div class="question-stat" title="${i18n.t('stats_seen_by_title')}">
+              <span class="question-stat-icon">\uD83C\uDFB2</span>
+              <span>${i18n.t('stats_seen_by', { seen: q.seenCount, total: this.statsData.submissions })}</span>
+            </div>` : ''}
+            ${q.scoring && q.scoring !== 'allOrNothing' && q.avgPoints !== null ? `
+            <div class="question-stat" title="${i18n.t('stats_partial_count', { count: q.partialCount })}">
+              <span class="question-stat-icon">\u00D8</span>
+              <span>${i18n.t('stats_avg_points', { points: q.avgPoints, max: q.maxPoints })}</span>
+            </div>` : ''}
+            ${q.pendingCount > 0 ? `
+            <a class="question-stat pending-link" href="../grading/?session=${encodeURIComponent(this.statsData.sessionName)}">
+              <span class="question-stat-icon">\u23F3</span>
+              <span>${i18n.t('stats_pending_count', { count: q.pendingCount })}</span>
+            </a>` : ''}
           </div>
         </div>
 
         ${questionHtml}
 
         <div class="answer-distribution">
-          <div class="answer-distribution-title">${i18n.t('stats_answer_distribution')}</div>
+          <div class="answer-distribution-title">${i18n.t(this.getDistributionTitleKey(fullQuestion))}</div>
           ${optionEntries.map(([optionId, count, optionText, optionObj]) => {
             const percentage = q.total > 0 ? Math.round((count / q.total) * 100) : 0;
             const isCorrect = correctAnswers.includes(optionId);
@@ -430,6 +593,17 @@ class StatsPage {
     }
   }
 
+  /**
+   * Title of the answer distribution (order and match bars count correct placements,
+   * free-text answers have no distribution)
+   */
+  getDistributionTitleKey(question) {
+    if (question && question.type === 'order') return 'stats_order_distribution';
+    if (question && question.type === 'match') return 'stats_match_distribution';
+    if (question && question.type === 'text') return 'stats_text_distribution';
+    return 'stats_answer_distribution';
+  }
+
   /**
    * Force Google Translate to re-scan DOM
    */
@@ -53,9 +53,18 @@ const TransactionManager = require('./utils/TransactionManager');
 const QuizRepository = require('./repositories/QuizRepository');
 const SessionRepository = require('./repositories/SessionRepository');
 const SubmissionRepository = require('./repositories/SubmissionRepository');
+const AttemptRepository = require('./repositories/AttemptRepository');
+const DraftRepository = require('./repositories/DraftRepository');
+const TeacherRepository = require('./repositories/TeacherRepository');
+const QuizShareRepository = require('./repositories/QuizShareRepository');
+const LoginAttemptRepository = require('./repositories/LoginAttemptRepository');
+const RosterRepository = require('./repositories/RosterRepository');
+const ScheduleRepository = require('./repositories/ScheduleRepository');
 
 // Services
 const AuthService = require('./services/AuthService');
+const LoginThrottleService = require('./services/LoginThrottleService');
+const TwoFactorService = require('./services/TwoFactorService');
 const QuizService = require('./services/QuizService');
 const SessionService = require('./services/SessionService');
 const GradingService = require('./services/GradingService');
@@ -63,6 +72,9 @@ const MediaService = require('./services/MediaService');
 const ExportService = require('./services/ExportService');
 const SyncService = require('./services/SyncService');
 const TranslationService = require('./services/TranslationService');
+const LiveSessionService = require('./services/LiveSessionService');
+const RosterService = require('./services/RosterService');
+const ScheduleService = require('./services/ScheduleService');
 
 // Routers
 const AuthRouter = require('./routers/AuthRouter');
@@ -72,6 +84,9 @@ const ResultRouter = require('./routers/ResultRouter');
 const SyncRouter = require('./routers/SyncRouter');
 const TestRouter = require('./routers/TestRouter');
 const TranslationRouter = require('./routers/TranslationRouter');
+const LiveRouter = require('./routers/LiveRouter');
+const RosterRouter = require('./routers/RosterRouter');
+const ScheduleRouter = require('./routers/ScheduleRouter');
 
 console.log('✓ All dependencies loaded');
 console.log('');
@@ -110,17 +125,29 @@ class QuizApplication {
     const quizRepo = new QuizRepository(this.db, validator);
     const sessionRepo = new SessionRepository(this.db, validator);
     const submissionRepo = new SubmissionRepository(this.db, validator);
+    const attemptRepo = new AttemptRepository(this.db, validator);
+    const draftRepo = new DraftRepository(this.db, validator);
+    const teacherRepo = new TeacherRepository(this.db, validator);
+    const quizShareRepo = new QuizShareRepository(this.db, validator);
+    const loginAttemptRepo = new LoginAttemptRepository(this.db);
+    const rosterRepo = new RosterRepository(this.db, validator);
+    const scheduleRepo = new ScheduleRepository(this.db);
     logger.info('Repositories initialized with validation rules');
     
     // Initialize services
-    const authService = new AuthService();
-    const quizService = new QuizService(quizRepo, sessionRepo, submissionRepo, txManager);
-    const sessionService = new SessionService(sessionRepo, quizService);
-    const gradingService = new GradingService(submissionRepo, quizService, sessionService, txManager);
+    const loginThrottleService = new LoginThrottleService(loginAttemptRepo);
+    const authService = new AuthService(teacherRepo, quizRepo, sessionRepo, quizShareRepo, txManager, loginThrottleService, scheduleRepo, rosterRepo);
+    const twoFactorService = new TwoFactorService(teacherRepo, loginThrottleService);
+    const quizService = new QuizService(quizRepo, sessionRepo, submissionRepo, txManager, attemptRepo, draftRepo, quizShareRepo, scheduleRepo);
+    const sessionService = new SessionService(sessionRepo, quizService, rosterRepo, submissionRepo, attemptRepo, draftRepo, txManager);
+    const gradingService = new GradingService(submissionRepo, quizService, sessionService, txManager, attemptRepo, draftRepo);
     const mediaService = new MediaService(quizService);
-    const exportService = new ExportService(submissionRepo, sessionService, quizService);
+    const exportService = new ExportService(submissionRepo, sessionService, quizService, rosterRepo, gradingService);
     const syncService = new SyncService(quizRepo);
     const translationService = new TranslationService();
+    const liveSessionService = new LiveSessionService(sessionService, quizService, gradingService, validator, txManager);
+    const rosterService = new RosterService(rosterRepo, sessionRepo, txManager);
+    const scheduleService = new ScheduleService(scheduleRepo, sessionService, sessionRepo, txManager);
 
     // Initialize QuizValidationService (uses rules registered by QuizRepository)
     const QuizValidationService = require('./services/QuizValidationService');
@@ -134,6 +161,12 @@ class QuizApplication {
     // MIDDLEWARE SETUP (ORDER IS IMPORTANT!)
     // ============================================
     
+    // Behind a reverse proxy, take the client IP from X-Forwarded-For
+    // (needed for per-IP login throttling), e.g. TRUST_PROXY=loopback
+    if (Constants.TRUST_PROXY) {
+      this.app.set('trust proxy', Constants.TRUST_PROXY);
+    }
+    
     // 1. Correlation ID (must be first to track all requests)
     this.app.use(correlationId);
     
@@ -200,18 +233,29 @@ class QuizApplication {
         res.redirect(basePath);
       });
     }
+
+    // Join links (/join/CODE, e.g. from the QR code) open the quiz page, which looks up the code
+    this.app.get(`${basePath}/join/:joinCode`, (req, res) => {
+      res.redirect(`${basePath}/quiz/?join=${encodeURIComponent(req.params.joinCode)}`);
+    });
     
     // ============================================
     // ROUTERS
     // ============================================
     
-    const authRouter = new AuthRouter(authService);
+    const authRouter = new AuthRouter(authService, twoFactorService);
     const quizRouter = new QuizRouter(quizService, mediaService, authService, quizValidationService);
     const sessionRouter = new SessionRouter(sessionService, gradingService, exportService, authService);
-    const resultRouter = new ResultRouter(gradingService);
+    const resultRouter = new ResultRouter(gradingService, translationService);
     const syncRouter = new SyncRouter(syncService, authService);
     const testRouter = new TestRouter(validator);
-    const translationRouter = new TranslationRouter(translationService, quizService);
+    const translationRouter = new TranslationRouter(translationService, quizService, authService);
+    const liveRouter = new LiveRouter(liveSessionService, authService);
+    const rosterRouter = new RosterRouter(rosterService, authService);
+    const scheduleRouter = new ScheduleRouter(scheduleService, authService);
+
+    // Logged-in accounts are checked on every request (deleted account, changed role)
+    this.app.use(`${basePath}/api`, authService.refreshTeacherSession());
 
     // Mount routers (with BASE_PATH)
     this.app.use(`${basePath}/api`, authRouter.getRouter());
@@ -220,6 +264,9 @@ class QuizApplication {
     this.app.use(`${basePath}/api`, resultRouter.getRouter());
     this.app.use(`${basePath}/api`, syncRouter.getRouter());
     this.app.use(`${basePath}/api`, testRouter.getRouter());
+    this.app.use(`${basePath}/api`, liveRouter.getRouter());
+    this.app.use(`${basePath}/api`, rosterRouter.getRouter());
+    this.app.use(`${basePath}/api`, scheduleRouter.getRouter());
     this.app.use(`${basePath}/api/translate`, translationRouter.getRouter());
     
     // Validation API (for client-side rule queries)
@@ -234,6 +281,11 @@ class QuizApplication {
     
     // Sync quizzes from disk on startup
     syncService.syncOnStartup();
+    // Create the upcoming sessions of schedules now and every hour
+    scheduleService.start();
+    // The demo account is a viewer of the sample quiz
+    authService.shareDemoQuiz()
+      .catch(err => logger.error('Failed to share demo quiz', { error: err.message }));
     
     // Store services for potential use
     this.services = {
@@ -243,7 +295,10 @@ class QuizApplication {
       gradingService,
       mediaService,
       exportService,
-      syncService
+      syncService,
+      liveSessionService,
+      rosterService,
+      scheduleService
     };
     
     logger.info('Quiz Application initialization complete');
@@ -267,6 +322,10 @@ class QuizApplication {
     const shutdown = (signal) => {
       logger.info(`${signal} received - starting graceful shutdown`);
       
+      // Live event streams never end on their own
+      this.services.liveSessionService.shutdown();
+      this.services.scheduleService.stop();
+      
       server.close(() => {
         logger.info('HTTP server closed');
         
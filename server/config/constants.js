@@ -75,14 +75,57 @@ const Constants = {
   SESSION_SECRET: process.env.SESSION_SECRET || 'localdevsecret',
   SESSION_MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours
   
+  // ======================
+  // QUIZ SESSIONS
+  // ======================
+  
+  // Submissions are accepted this long after an attempt's deadline (network latency, auto-submit)
+  SUBMIT_GRACE_SECONDS: 10,
+  
+  // Submissions queued while offline are checked against the time they were made
+  // (submittedAt), if they arrive within this delay and the client time lies at most
+  // OFFLINE_SUBMIT_MAX_GAP_SECONDS after the last autosaved draft (server time)
+  OFFLINE_SUBMIT_MAX_DELAY_SECONDS: 24 * 60 * 60,
+  OFFLINE_SUBMIT_MAX_GAP_SECONDS: 60,
+  
+  // Schedules create their sessions this many days ahead (checked on startup and
+  // every SCHEDULE_CHECK_INTERVAL_MINUTES) and may run for at most SCHEDULE_MAX_DAYS
+  SCHEDULE_HORIZON_DAYS: 14,
+  SCHEDULE_CHECK_INTERVAL_MINUTES: 60,
+  SCHEDULE_MAX_DAYS: 366,
+  
   // ======================
   // AUTHENTICATION
   // ======================
 
+  // Password of the built-in admin account (set on every start)
   TEACHER_PASSWORD: process.env.TEACHER_PASS || 'ingo',
+  ADMIN_USERNAME: 'admin',
+  TEACHER_PASSWORD_MIN_LENGTH: 8,
   BCRYPT_ROUNDS: 10,
 
-  // Demo mode: read-only access to a specific quiz
+  // Login throttling, counted per account and per client IP (table login_attempts).
+  // After the free attempts every failure doubles the wait for the next attempt;
+  // from the lockout count on, each failure locks logins for LOGIN_LOCKOUT_SECONDS.
+  // A successful login resets the account's count and takes back the IP's failures
+  // on that account; all counts are forgotten after a window without failures.
+  LOGIN_FREE_ATTEMPTS_PER_ACCOUNT: 3,
+  LOGIN_LOCKOUT_ATTEMPTS_PER_ACCOUNT: 10,
+  LOGIN_FREE_ATTEMPTS_PER_IP: 10,
+  LOGIN_LOCKOUT_ATTEMPTS_PER_IP: 50,
+  LOGIN_BACKOFF_BASE_SECONDS: 5,
+  LOGIN_BACKOFF_MAX_SECONDS: 5 * 60,
+  LOGIN_LOCKOUT_SECONDS: 15 * 60,
+  LOGIN_FAILURE_WINDOW_SECONDS: 60 * 60,
+
+  // Two-factor authentication (TOTP): name shown in authenticator apps, number of
+  // recovery codes, and how long the code may take after the password step
+  TWO_FACTOR_ISSUER: 'AIDE Quiz',
+  TWO_FACTOR_RECOVERY_CODES: 10,
+  TWO_FACTOR_LOGIN_TIMEOUT_SECONDS: 5 * 60,
+
+  // Built-in viewer account with read access to the sample quiz
+  DEMO_USERNAME: 'demo',
   DEMO_PASSWORD: 'demo',
   DEMO_QUIZ_PATH: 'Unser_Erdball',
   
@@ -99,7 +142,11 @@ const Constants = {
   // Examples:
   //   Development: BASE_PATH='' (empty, root path)
   //   Production:  BASE_PATH='/quiz-app'
-  BASE_PATH: process.env.BASE_PATH || ''
+  BASE_PATH: process.env.BASE_PATH || '',
+
+  // Express 'trust proxy' setting for reverse proxy setups (e.g. 'loopback'),
+  // so req.ip is the client address instead of the proxy's
+  TRUST_PROXY: process.env.TRUST_PROXY || ''
 };
 
 module.exports = Constants;
\ No newline at end of file
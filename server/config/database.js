@@ -18,6 +18,7 @@ class DatabaseConfig {
   initialize() {
     this.db = new Database(this.dbPath);
     this.createTables();
+    this.migrateTables();
     return this.db;
   }
 
@@ -33,9 +34,30 @@ class DatabaseConfig {
         filename TEXT,
         media_path TEXT,
         quiz_json TEXT,
+        teacher_id TEXT,
         created_at TEXT
       );
 
+      CREATE TABLE IF NOT EXISTS teachers (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE,
+        display_name TEXT,
+        password_hash TEXT,
+        role TEXT DEFAULT 'teacher',
+        totp_secret TEXT,
+        totp_last_step INTEGER,
+        totp_recovery_codes TEXT,
+        created_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS quiz_shares (
+        quiz_id TEXT,
+        teacher_id TEXT,
+        role TEXT,
+        created_at TEXT,
+        PRIMARY KEY (quiz_id, teacher_id)
+      );
+
       CREATE TABLE IF NOT EXISTS quiz_sessions (
         id TEXT PRIMARY KEY,
         session_name TEXT UNIQUE,
@@ -43,6 +65,25 @@ class DatabaseConfig {
         teacher_id TEXT,
         open_from TEXT,
         open_until TEXT,
+        mode TEXT DEFAULT 'selfPaced',
+        time_limit_seconds INTEGER,
+        shuffle_questions INTEGER DEFAULT 0,
+        shuffle_options INTEGER DEFAULT 0,
+        draw_rules TEXT,
+        draw_pool TEXT,
+        max_attempts INTEGER DEFAULT 1,
+        score_policy TEXT DEFAULT 'best',
+        linear_navigation INTEGER DEFAULT 0,
+        roster_id TEXT,
+        release_at TEXT,
+        results_withheld INTEGER DEFAULT 0,
+        show_score_immediately INTEGER DEFAULT 0,
+        show_solutions INTEGER DEFAULT 1,
+        show_explanations TEXT DEFAULT 'all',
+        seed TEXT,
+        join_code TEXT,
+        listed INTEGER DEFAULT 1,
+        schedule_id TEXT,
         created_at TEXT
       );
 
@@ -55,11 +96,124 @@ class DatabaseConfig {
         answers_json TEXT,
         score INTEGER,
         max_score INTEGER,
+        attempt_number INTEGER DEFAULT 1,
         created_at TEXT
       );
+
+      CREATE TABLE IF NOT EXISTS attempts (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        session_name TEXT,
+        user_code TEXT,
+        started_at TEXT,
+        submission_id TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_attempts_session_user ON attempts (session_name, user_code);
+
+      CREATE TABLE IF NOT EXISTS drafts (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        session_name TEXT,
+        user_code TEXT,
+        answers_json TEXT,
+        updated_at TEXT
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_drafts_session_user ON drafts (session_name, user_code);
+
+      CREATE TABLE IF NOT EXISTS rosters (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        teacher_id TEXT,
+        created_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS roster_students (
+        id TEXT PRIMARY KEY,
+        roster_id TEXT,
+        name TEXT,
+        code TEXT,
+        created_at TEXT,
+        UNIQUE (roster_id, code)
+      );
+
+      CREATE TABLE IF NOT EXISTS session_schedules (
+        id TEXT PRIMARY KEY,
+        quiz_id TEXT,
+        teacher_id TEXT,
+        weekdays TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        starts_on TEXT,
+        ends_on TEXT,
+        settings TEXT,
+        generated_until TEXT,
+        created_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key TEXT PRIMARY KEY,
+        failures INTEGER,
+        last_failure_at TEXT
+      );
     `);
   }
 
+  /**
+   * Add columns introduced after the initial schema to existing databases
+   */
+  migrateTables() {
+    // 'selfPaced' (time window), 'practice' (with immediate feedback) or 'live' (teacher-paced)
+    this.addColumnIfMissing('quiz_sessions', 'mode', "TEXT DEFAULT 'selfPaced'");
+    // Per-participant time limit, counted from the attempt start (NULL = none)
+    this.addColumnIfMissing('quiz_sessions', 'time_limit_seconds', 'INTEGER');
+    // Seeded per-participant order of questions / options (0 = authored order)
+    this.addColumnIfMissing('quiz_sessions', 'shuffle_questions', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('quiz_sessions', 'shuffle_options', 'INTEGER DEFAULT 0');
+    // Random question subset per participant (JSON list of draw rules, NULL = all questions)
+    this.addColumnIfMissing('quiz_sessions', 'draw_rules', 'TEXT');
+    // Attempts per participant (1 = exam, 0 = unlimited) and which attempt counts
+    this.addColumnIfMissing('quiz_sessions', 'max_attempts', 'INTEGER DEFAULT 1');
+    this.addColumnIfMissing('quiz_sessions', 'score_policy', "TEXT DEFAULT 'best'");
+    // Forward-only navigation without review screen (1 = exams)
+    this.addColumnIfMissing('quiz_sessions', 'linear_navigation', 'INTEGER DEFAULT 0');
+    // Owning teacher (NULL = synced from disk or created before teacher accounts)
+    this.addColumnIfMissing('quizzes', 'teacher_id', 'TEXT');
+    this.addColumnIfMissing('submissions', 'attempt_number', 'INTEGER DEFAULT 1');
+    // Class roster whose personal codes may take part (NULL = anonymous)
+    this.addColumnIfMissing('quiz_sessions', 'roster_id', 'TEXT');
+    // Feedback policy: when result details are released (NULL = when the session closes),
+    // withheld by the teacher, score before the release, solutions and explanations ('all', 'wrong', 'none')
+    this.addColumnIfMissing('quiz_sessions', 'release_at', 'TEXT');
+    this.addColumnIfMissing('quiz_sessions', 'results_withheld', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('quiz_sessions', 'show_score_immediately', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('quiz_sessions', 'show_solutions', 'INTEGER DEFAULT 1');
+    this.addColumnIfMissing('quiz_sessions', 'show_explanations', "TEXT DEFAULT 'all'");
+    // Original name of a renamed session: keeps each participant's question draw and order
+    this.addColumnIfMissing('quiz_sessions', 'seed', 'TEXT');
+    // Short code for joining (/join/CODE, NULL for older sessions) and whether the session
+    // appears in the public list of open sessions (0 = only with the join code)
+    this.addColumnIfMissing('quiz_sessions', 'join_code', 'TEXT');
+    this.addColumnIfMissing('quiz_sessions', 'listed', 'INTEGER DEFAULT 1');
+    this.db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_join_code ON quiz_sessions (join_code)');
+    // Schedule (session_schedules) that created the session (NULL = created by hand)
+    this.addColumnIfMissing('quiz_sessions', 'schedule_id', 'TEXT');
+    // Questions the draw chooses from (JSON [{ id, tag, keyword }] at session creation,
+    // NULL = older session, draws from the current quiz)
+    this.addColumnIfMissing('quiz_sessions', 'draw_pool', 'TEXT');
+  }
+
+  /**
+   * Add a column unless the table already has it (SQLite has no ADD COLUMN IF NOT EXISTS)
+   */
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(col => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   /**
    * Get database instance
    */
@@ -0,0 +1,71 @@
+/**
+ * Roles and Permissions
+ * What each role may do. Routers check permissions, never roles
+ * (see AuthService.requirePermission and friends).
+ *
+ * Account roles (teachers.role) apply everywhere, share roles
+ * (quiz_shares.role) only to the shared quiz and its sessions.
+ */
+
+const Permission = {
+  USERS_MANAGE: 'users.manage',       // Teacher accounts, sync with the filesystem, translation usage
+  QUIZ_CREATE: 'quiz.create',
+  QUIZ_READ: 'quiz.read',
+  QUIZ_EDIT: 'quiz.edit',             // Content, media, export to file, translation cache
+  QUIZ_DELETE: 'quiz.delete',
+  QUIZ_SHARE: 'quiz.share',
+  SESSION_CREATE: 'session.create',
+  SESSION_RUN: 'session.run',         // Edit, close and reopen sessions, control live sessions, release or withhold results
+  SESSION_DELETE: 'session.delete',   // Delete sessions with their submissions
+  RESULTS_READ: 'results.read',       // Session list, statistics, submissions, CSV export, live presenter
+  RESULTS_GRADE: 'results.grade',
+  ROSTERS_MANAGE: 'rosters.manage'    // Own class rosters (student lists with personal codes)
+};
+
+const Role = {
+  ADMIN: 'admin',
+  TEACHER: 'teacher',
+  CO_EDITOR: 'coEditor',
+  VIEWER: 'viewer'
+};
+
+const ACCOUNT_ROLES = [Role.ADMIN, Role.TEACHER, Role.VIEWER];
+const SHARE_ROLES = [Role.CO_EDITOR, Role.VIEWER];
+
+const ROLE_PERMISSIONS = {
+  [Role.ADMIN]: Object.values(Permission),
+  [Role.TEACHER]: Object.values(Permission).filter(p => p !== Permission.USERS_MANAGE),
+  [Role.CO_EDITOR]: [
+    Permission.QUIZ_READ, Permission.QUIZ_EDIT,
+    Permission.SESSION_CREATE, Permission.SESSION_RUN,
+    Permission.RESULTS_READ, Permission.RESULTS_GRADE
+  ],
+  [Role.VIEWER]: [Permission.QUIZ_READ, Permission.RESULTS_READ]
+};
+
+/**
+ * @param {string|null} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * @param {string|null} role
+ * @returns {string[]} Permissions of the role (empty for unknown roles)
+ */
+function getPermissions(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+module.exports = {
+  Permission,
+  Role,
+  ACCOUNT_ROLES,
+  SHARE_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissions
+};
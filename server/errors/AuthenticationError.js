@@ -21,4 +21,27 @@ class TokenExpiredError extends AuthenticationError {
   }
 }
 
-module.exports = { AuthenticationError, InvalidCredentialsError, TokenExpiredError };
+class InvalidTwoFactorCodeError extends AuthenticationError {
+  constructor() {
+    super('Invalid two-factor code');
+    this.type = 'InvalidTwoFactorCodeError';
+  }
+}
+
+/**
+ * Too many failed logins for the account or client (HTTP 429).
+ * details.retryAfterSeconds tells the client when to try again.
+ */
+class LoginThrottledError extends AuthenticationError {
+  constructor(retryAfterSeconds) {
+    const wait = retryAfterSeconds >= 60
+      ? `${Math.ceil(retryAfterSeconds / 60)} minute(s)`
+      : `${retryAfterSeconds} second(s)`;
+    super(`Too many failed login attempts. Try again in ${wait}.`);
+    this.statusCode = 429;
+    this.type = 'LoginThrottledError';
+    this.details = { retryAfterSeconds };
+  }
+}
+
+module.exports = { AuthenticationError, InvalidCredentialsError, TokenExpiredError, InvalidTwoFactorCodeError, LoginThrottledError };
@@ -27,15 +27,43 @@ class SessionNotYetOpenError extends SessionNotOpenError {
   }
 }
 
-class QuizValidationError extends BusinessLogicError {
-  constructor(errors) {
-    super('Quiz validation failed', errors);
+class AttemptNotStartedError extends BusinessLogicError {
+  constructor() {
+    super('The quiz attempt was not started - please reload the quiz');
+  }
+}
+
+class TimeLimitExceededError extends BusinessLogicError {
+  constructor() {
+    super('The time limit for this quiz has expired');
+  }
+}
+
+class LiveSessionError extends BusinessLogicError {
+  constructor(reason) {
+    super(reason);
   }
 }
 
-class DemoModeRestrictionError extends BusinessLogicError {
-  constructor(action = 'This action') {
-    super(`${action} is not available in demo mode`);
+class PracticeSessionRequiredError extends BusinessLogicError {
+  constructor() {
+    super('Single answers can only be checked in practice sessions');
+  }
+}
+
+/**
+ * Linear sessions: an answer the participant has moved on from cannot be changed
+ */
+class AnswerLockedError extends BusinessLogicError {
+  constructor(questionId) {
+    super(`Question ${questionId} was already answered - this session does not allow going back`);
+    this.questionId = questionId;
+  }
+}
+
+class QuizValidationError extends BusinessLogicError {
+  constructor(errors) {
+    super('Quiz validation failed', errors);
   }
 }
 
@@ -44,6 +72,10 @@ module.exports = {
   SessionNotOpenError,
   SessionClosedError,
   SessionNotYetOpenError,
-  QuizValidationError,
-  DemoModeRestrictionError
+  AttemptNotStartedError,
+  TimeLimitExceededError,
+  LiveSessionError,
+  PracticeSessionRequiredError,
+  AnswerLockedError,
+  QuizValidationError
 };
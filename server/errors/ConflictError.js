@@ -17,6 +17,14 @@ class DuplicateSubmissionError extends ConflictError {
   }
 }
 
+class AttemptLimitReachedError extends ConflictError {
+  constructor(maxAttempts, sessionName) {
+    super(`You have used all ${maxAttempts} attempts for this quiz (${sessionName})`);
+    this.maxAttempts = maxAttempts;
+    this.sessionName = sessionName;
+  }
+}
+
 class QuizAlreadyExistsError extends ConflictError {
   constructor(title) {
     super(`A quiz with the title '${title}' already exists`);
@@ -24,4 +32,31 @@ class QuizAlreadyExistsError extends ConflictError {
   }
 }
 
-module.exports = { ConflictError, DuplicateSubmissionError, QuizAlreadyExistsError };
+class TeacherAlreadyExistsError extends ConflictError {
+  constructor(username) {
+    super(`A teacher with the username '${username}' already exists`);
+    this.username = username;
+  }
+}
+
+class TwoFactorAlreadyEnabledError extends ConflictError {
+  constructor() {
+    super('Two-factor authentication is already enabled');
+  }
+}
+
+class RosterInUseError extends ConflictError {
+  constructor(name, sessionCount) {
+    super(`The roster '${name}' is used by ${sessionCount} session(s) and cannot be deleted`);
+    this.sessionCount = sessionCount;
+  }
+}
+
+class SessionNameTakenError extends ConflictError {
+  constructor(sessionName) {
+    super(`A session named '${sessionName}' already exists`);
+    this.sessionName = sessionName;
+  }
+}
+
+module.exports = { ConflictError, DuplicateSubmissionError, AttemptLimitReachedError, QuizAlreadyExistsError, TeacherAlreadyExistsError, TwoFactorAlreadyEnabledError, RosterInUseError, SessionNameTakenError };
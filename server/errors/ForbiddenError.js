@@ -0,0 +1,41 @@
+/**
+ * ForbiddenError - For authenticated users without permission (HTTP 403)
+ */
+const AppError = require('./AppError');
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Permission denied') {
+    super(message, 403, 'ForbiddenError');
+  }
+}
+
+class PermissionDeniedError extends ForbiddenError {
+  constructor(permission) {
+    super(`Your role does not allow this action (${permission})`);
+    this.permission = permission;
+  }
+}
+
+/**
+ * The user code is not a personal code of the session's class roster
+ */
+class NotOnRosterError extends ForbiddenError {
+  constructor(sessionName) {
+    super('This code is not on the class list of the session - use the personal code from your teacher');
+    this.type = 'NotOnRosterError';
+    this.sessionName = sessionName;
+  }
+}
+
+/**
+ * Two-factor authentication on a shared account (e.g. the demo account) would lock out everyone else
+ */
+class TwoFactorNotAllowedError extends ForbiddenError {
+  constructor(username) {
+    super(`Two-factor authentication cannot be used for the shared account '${username}'`);
+    this.type = 'TwoFactorNotAllowedError';
+    this.username = username;
+  }
+}
+
+module.exports = { ForbiddenError, PermissionDeniedError, NotOnRosterError, TwoFactorNotAllowedError };
@@ -46,10 +46,31 @@ class MediaNotFoundError extends NotFoundError {
   }
 }
 
+class TeacherNotFoundError extends NotFoundError {
+  constructor(username) {
+    super('Teacher', username);
+  }
+}
+
+class RosterNotFoundError extends NotFoundError {
+  constructor(rosterId) {
+    super('Roster', rosterId);
+  }
+}
+
+class ScheduleNotFoundError extends NotFoundError {
+  constructor(scheduleId) {
+    super('Schedule', scheduleId);
+  }
+}
+
 module.exports = { 
   NotFoundError, 
   QuizNotFoundError, 
   SessionNotFoundError, 
   SubmissionNotFoundError,
-  MediaNotFoundError
+  MediaNotFoundError,
+  TeacherNotFoundError,
+  RosterNotFoundError,
+  ScheduleNotFoundError
 };
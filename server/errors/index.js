@@ -3,10 +3,11 @@
  */
 const AppError = require('./AppError');
 const { ValidationError, InvalidInputError, SchemaValidationError } = require('./ValidationError');
-const { NotFoundError, QuizNotFoundError, SessionNotFoundError, SubmissionNotFoundError, MediaNotFoundError } = require('./NotFoundError');
-const { AuthenticationError, InvalidCredentialsError, TokenExpiredError } = require('./AuthenticationError');
-const { ConflictError, DuplicateSubmissionError, QuizAlreadyExistsError } = require('./ConflictError');
-const { BusinessLogicError, SessionNotOpenError, SessionClosedError, SessionNotYetOpenError, QuizValidationError, DemoModeRestrictionError } = require('./BusinessLogicError');
+const { NotFoundError, QuizNotFoundError, SessionNotFoundError, SubmissionNotFoundError, MediaNotFoundError, TeacherNotFoundError, RosterNotFoundError, ScheduleNotFoundError } = require('./NotFoundError');
+const { AuthenticationError, InvalidCredentialsError, TokenExpiredError, InvalidTwoFactorCodeError, LoginThrottledError } = require('./AuthenticationError');
+const { ForbiddenError, PermissionDeniedError, NotOnRosterError, TwoFactorNotAllowedError } = require('./ForbiddenError');
+const { ConflictError, DuplicateSubmissionError, AttemptLimitReachedError, QuizAlreadyExistsError, TeacherAlreadyExistsError, TwoFactorAlreadyEnabledError, RosterInUseError, SessionNameTakenError } = require('./ConflictError');
+const { BusinessLogicError, SessionNotOpenError, SessionClosedError, SessionNotYetOpenError, AttemptNotStartedError, TimeLimitExceededError, LiveSessionError, PracticeSessionRequiredError, AnswerLockedError, QuizValidationError } = require('./BusinessLogicError');
 
 module.exports = {
   // Base
@@ -23,22 +24,42 @@ module.exports = {
   SessionNotFoundError,
   SubmissionNotFoundError,
   MediaNotFoundError,
+  TeacherNotFoundError,
+  RosterNotFoundError,
+  ScheduleNotFoundError,
 
   // Authentication (401)
   AuthenticationError,
   InvalidCredentialsError,
   TokenExpiredError,
+  InvalidTwoFactorCodeError,
+  LoginThrottledError,
+
+  // Forbidden (403)
+  ForbiddenError,
+  PermissionDeniedError,
+  NotOnRosterError,
+  TwoFactorNotAllowedError,
 
   // Conflict (409)
   ConflictError,
   DuplicateSubmissionError,
+  AttemptLimitReachedError,
   QuizAlreadyExistsError,
+  TeacherAlreadyExistsError,
+  TwoFactorAlreadyEnabledError,
+  RosterInUseError,
+  SessionNameTakenError,
 
   // Business Logic (422)
   BusinessLogicError,
   SessionNotOpenError,
   SessionClosedError,
   SessionNotYetOpenError,
-  QuizValidationError,
-  DemoModeRestrictionError
+  AttemptNotStartedError,
+  TimeLimitExceededError,
+  LiveSessionError,
+  PracticeSessionRequiredError,
+  AnswerLockedError,
+  QuizValidationError
 };
@@ -0,0 +1,110 @@
+const logger = require('../utils/logger');
+
+/**
+ * Attempts record when a participant started a quiz session
+ * (needed to enforce per-session time limits on the server).
+ * userCode is validated with the 'Submission' rules of SubmissionRepository.
+ */
+class AttemptRepository {
+  constructor(db, validator) {
+    this.db = db;
+    this.validator = validator;
+  }
+
+  create(id, sessionId, sessionName, userCode, startedAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        const validated = this.validator.validate('Submission', { userCode });
+        userCode = validated.userCode;
+      }
+
+      this.db.prepare(`
+        INSERT INTO attempts (id, session_id, session_name, user_code, started_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(id, sessionId, sessionName, userCode, startedAt);
+
+      logger.debug('Attempt created in repository', { id, userCode, sessionName });
+    } catch (err) {
+      logger.error('Failed to create attempt in database', {
+        id,
+        userCode,
+        sessionName,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * The participant's attempt in progress (started, not yet submitted)
+   */
+  findOpenBySessionAndUser(sessionName, userCode) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM attempts
+        WHERE session_name = ? AND user_code = ? AND submission_id IS NULL
+        ORDER BY started_at DESC
+      `).get(sessionName, userCode);
+    } catch (err) {
+      logger.error('Failed to find attempt by session and user', {
+        sessionName,
+        userCode,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  markSubmitted(id, submissionId) {
+    try {
+      this.db.prepare(`
+        UPDATE attempts SET submission_id = ? WHERE id = ?
+      `).run(submissionId, id);
+    } catch (err) {
+      logger.error('Failed to mark attempt as submitted', { id, submissionId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Move the rows of a renamed session to its new name
+   */
+  renameSession(sessionName, newName) {
+    try {
+      return this.db.prepare(`
+        UPDATE attempts SET session_name = ? WHERE session_name = ?
+      `).run(newName, sessionName).changes;
+    } catch (err) {
+      logger.error('Failed to rename session of attempts', { sessionName, newName, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteBySessionIds(sessionIds) {
+    if (!sessionIds || sessionIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const placeholders = sessionIds.map(() => '?').join(',');
+      const result = this.db.prepare(`
+        DELETE FROM attempts WHERE session_id IN (${placeholders})
+      `).run(...sessionIds);
+
+      logger.info('Attempts deleted by session_ids', {
+        sessionIds,
+        count: result.changes
+      });
+      return result.changes;
+    } catch (err) {
+      logger.error('Failed to delete attempts by session_ids', {
+        sessionIds,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+}
+
+module.exports = AttemptRepository;
@@ -0,0 +1,110 @@
+const logger = require('../utils/logger');
+
+/**
+ * Drafts hold the answers of an attempt in progress (autosaved by the quiz page),
+ * so a participant can resume after a reload or on another device.
+ * One draft per session and user code; it is deleted when the attempt is submitted.
+ * userCode is validated with the 'Submission' rules of SubmissionRepository.
+ */
+class DraftRepository {
+  constructor(db, validator) {
+    this.db = db;
+    this.validator = validator;
+  }
+
+  /**
+   * Create or replace the participant's draft
+   */
+  save(id, sessionId, sessionName, userCode, answersJson, updatedAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        const validated = this.validator.validate('Submission', { userCode });
+        userCode = validated.userCode;
+      }
+
+      this.db.prepare(`
+        INSERT INTO drafts (id, session_id, session_name, user_code, answers_json, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (session_name, user_code)
+        DO UPDATE SET answers_json = excluded.answers_json, updated_at = excluded.updated_at
+      `).run(id, sessionId, sessionName, userCode, answersJson, updatedAt);
+
+      logger.debug('Draft saved in repository', { userCode, sessionName });
+    } catch (err) {
+      logger.error('Failed to save draft in database', {
+        userCode,
+        sessionName,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  findBySessionAndUser(sessionName, userCode) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM drafts WHERE session_name = ? AND user_code = ?
+      `).get(sessionName, userCode);
+    } catch (err) {
+      logger.error('Failed to find draft by session and user', {
+        sessionName,
+        userCode,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  deleteBySessionAndUser(sessionName, userCode) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM drafts WHERE session_name = ? AND user_code = ?
+      `).run(sessionName, userCode).changes;
+    } catch (err) {
+      logger.error('Failed to delete draft', { sessionName, userCode, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Move the rows of a renamed session to its new name
+   */
+  renameSession(sessionName, newName) {
+    try {
+      return this.db.prepare(`
+        UPDATE drafts SET session_name = ? WHERE session_name = ?
+      `).run(newName, sessionName).changes;
+    } catch (err) {
+      logger.error('Failed to rename session of drafts', { sessionName, newName, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteBySessionIds(sessionIds) {
+    if (!sessionIds || sessionIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const placeholders = sessionIds.map(() => '?').join(',');
+      const result = this.db.prepare(`
+        DELETE FROM drafts WHERE session_id IN (${placeholders})
+      `).run(...sessionIds);
+
+      logger.info('Drafts deleted by session_ids', {
+        sessionIds,
+        count: result.changes
+      });
+      return result.changes;
+    } catch (err) {
+      logger.error('Failed to delete drafts by session_ids', {
+        sessionIds,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+}
+
+module.exports = DraftRepository;
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+
+/**
+ * Failed login attempts, one row per throttling key ('account:<username>',
+ * 'ip:<address>' or 'account-ip:<username>:<address>'). Kept in the database so throttling survives restarts;
+ * the policy lives in LoginThrottleService.
+ */
+class LoginAttemptRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findByKey(key) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM login_attempts WHERE key = ?
+      `).get(key);
+    } catch (err) {
+      logger.error('Failed to find login attempts', { key, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Count one more failure for the key (starting at 1 for new keys)
+   * @returns {number} Failures counted now
+   */
+  recordFailure(key, failedAt) {
+    try {
+      return this.db.prepare(`
+        INSERT INTO login_attempts (key, failures, last_failure_at)
+        VALUES (?, 1, ?)
+        ON CONFLICT (key) DO UPDATE SET failures = failures + 1, last_failure_at = excluded.last_failure_at
+        RETURNING failures
+      `).get(key, failedAt).failures;
+    } catch (err) {
+      logger.error('Failed to record login failure', { key, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Take back failures of the key (the row is deleted when none are left)
+   */
+  removeFailures(key, count) {
+    try {
+      this.db.prepare(`
+        UPDATE login_attempts SET failures = failures - ? WHERE key = ?
+      `).run(count, key);
+      this.db.prepare(`
+        DELETE FROM login_attempts WHERE key = ? AND failures <= 0
+      `).run(key);
+    } catch (err) {
+      logger.error('Failed to remove login failures', { key, error: err.message });
+      throw err;
+    }
+  }
+
+  delete(key) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM login_attempts WHERE key = ?
+      `).run(key).changes;
+    } catch (err) {
+      logger.error('Failed to delete login attempts', { key, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Delete keys without failures since the given time
+   */
+  deleteOlderThan(before) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM login_attempts WHERE last_failure_at < ?
+      `).run(before).changes;
+    } catch (err) {
+      logger.error('Failed to delete old login attempts', { error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = LoginAttemptRepository;
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const { ObjectValidator } = require('../../shared/validation');
+const { quizAccessCondition } = require('../utils/ownership');
 
 class QuizRepository {
   constructor(db, validator) {
@@ -36,6 +37,12 @@ class QuizRepository {
         trim: true,
         maxLength: 100,
         pattern: /^[a-zA-Z0-9_-]+$/
+      },
+      scoring: {
+        type: 'string',
+        required: false,
+        enum: ['allOrNothing', 'perOption', 'proportional'],
+        message: 'Quiz scoring must be "allOrNothing", "perOption" or "proportional"'
       }
     });
     
@@ -111,15 +118,149 @@ class QuizRepository {
       type: {
         type: 'string',
         required: true,
-        enum: ['single', 'multiple'],
-        message: 'Question type must be "single" or "multiple"'
+        enum: ['single', 'multiple', 'gap', 'numeric', 'order', 'match', 'text'],
+        message: 'Question type must be "single", "multiple", "gap", "numeric", "order", "match" or "text"'
+      },
+      scoring: {
+        type: 'string',
+        required: false,
+        // Valid modes depend on the question type (checked by QuizValidationService)
+        enum: ['allOrNothing', 'perOption', 'proportional', 'perPosition', 'longestSubsequence'],
+        message: 'Question scoring must be "allOrNothing", "perOption", "proportional", "perPosition" or "longestSubsequence"'
       },
       options: {
         type: 'array',
-        required: true,
+        required: false, // Required for choice and order questions (checked by QuizValidationService)
         minItems: 2,
         maxItems: 10,
         message: 'Question must have 2-10 options'
+      },
+      tag: {
+        type: 'string',
+        required: false, // Groups questions for stratified draws (see SessionService.validateDrawRules)
+        maxLength: 50,
+        message: 'Question tag must be max 50 characters'
+      },
+      pinOptions: {
+        type: 'boolean',
+        required: false, // Choice questions only: keep the authored option order in shuffled sessions
+        message: 'Question pinOptions flag must be true/false'
+      },
+      gaps: {
+        type: 'array',
+        required: false, // Required for gap questions (checked by QuizValidationService)
+        minItems: 1,
+        maxItems: 20,
+        itemType: 'object',
+        message: 'Gap question must have 1-20 gaps'
+      },
+      pairs: {
+        type: 'array',
+        required: false, // Required for match questions (checked by QuizValidationService)
+        minItems: 2,
+        maxItems: 10,
+        itemType: 'object',
+        message: 'Match question must have 2-10 pairs'
+      },
+      sampleAnswer: {
+        type: 'string',
+        required: false, // Free-text questions only: model answer for grading teachers
+        maxLength: 5000,
+        message: 'Sample answer must be max 5000 characters'
+      },
+      maxLength: {
+        type: 'number',
+        required: false, // Free-text questions only
+        min: 1,
+        max: 5000,
+        message: 'Answer length limit must be between 1 and 5000 characters'
+      }
+    });
+    
+    // Gap Rules (one entry per {{id}} placeholder in a gap question's text)
+    this.validator.defineRules('Gap', {
+      id: {
+        type: 'string',
+        required: true,
+        minLength: 1,
+        maxLength: 20,
+        pattern: /^[a-zA-Z0-9_-]+$/,
+        message: 'Gap ID must be alphanumeric (with _ or -) and 1-20 characters'
+      },
+      answers: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 20,
+        itemType: 'string',
+        message: 'Gap must have 1-20 accepted answers'
+      },
+      caseSensitive: {
+        type: 'boolean',
+        required: false,
+        message: 'Gap caseSensitive flag must be true/false'
+      },
+      regex: {
+        type: 'boolean',
+        required: false,
+        message: 'Gap regex flag must be true/false'
+      }
+    });
+    
+    // NumericAnswer Rules (target value of a numeric question)
+    this.validator.defineRules('NumericAnswer', {
+      value: {
+        type: 'number',
+        required: true,
+        message: 'Numeric answer value is required'
+      },
+      tolerance: {
+        type: 'number',
+        required: false,
+        min: 0,
+        message: 'Tolerance must be a number >= 0'
+      },
+      toleranceType: {
+        type: 'string',
+        required: false,
+        enum: ['absolute', 'relative'],
+        message: 'Tolerance type must be "absolute" or "relative" (percent)'
+      },
+      unit: {
+        type: 'string',
+        required: false,
+        maxLength: 20,
+        message: 'Unit must be max 20 characters'
+      }
+    });
+    
+    // MatchPair Rules (one left/right pair of a match question)
+    this.validator.defineRules('MatchPair', {
+      id: {
+        type: 'string',
+        required: true,
+        minLength: 1,
+        maxLength: 20,
+        pattern: /^[a-zA-Z0-9_-]+$/,
+        message: 'Pair ID must be alphanumeric (with _ or -) and 1-20 characters'
+      }
+    });
+    
+    // MatchItem Rules (left or right item of a pair, same image convention as options)
+    this.validator.defineRules('MatchItem', {
+      text: {
+        type: 'string',
+        required: true,
+        minLength: 1,
+        maxLength: 500,
+        message: 'Match item text is required and must be 1-500 characters'
+      },
+      image: {
+        type: 'string',
+        required: false,
+        maxLength: 1000,
+        pattern: /^[a-zA-Z0-9_.,-\s]+$/,
+        message: 'Match item image must be comma-separated filenames (alphanumeric with . _ - , and spaces)'
       }
     });
     
@@ -149,7 +290,7 @@ class QuizRepository {
       },
       correct: {
         type: 'boolean',
-        required: true,
+        required: false, // Order questions use the option order instead
         message: 'Option must have correct flag (true/false)'
       },
       reason: {
@@ -167,10 +308,10 @@ class QuizRepository {
       }
     });
     
-    logger.debug('Quiz validation rules registered (Quiz, QuizContent, Question, Option)');
+    logger.debug('Quiz validation rules registered (Quiz, QuizContent, Question, Gap, NumericAnswer, MatchPair, MatchItem, Option)');
   }
 
-  create(id, title, filename, mediaPath, quizJson, createdAt) {
+  create(id, title, filename, mediaPath, quizJson, createdAt, teacherId = null) {
     try {
       // Validate
       const validated = this.validator.validate('Quiz', {
@@ -180,9 +321,9 @@ class QuizRepository {
 
       // Use validated values (trimmed, transformed)
       this.db.prepare(`
-        INSERT INTO quizzes (id, title, filename, media_path, quiz_json, created_at)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(id, validated.title, filename, validated.imagePath, quizJson, createdAt);
+        INSERT INTO quizzes (id, title, filename, media_path, quiz_json, created_at, teacher_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(id, validated.title, filename, validated.imagePath, quizJson, createdAt, teacherId);
       
       logger.debug('Quiz created in repository', { id, title: validated.title });
     } catch (err) {
@@ -231,13 +372,18 @@ class QuizRepository {
     }
   }
 
-  findAll() {
+  /**
+   * @param {object|null} [scope] - Access scope (see utils/ownership.js), null = all quizzes
+   */
+  findAll(scope = null) {
     try {
+      const access = quizAccessCondition('id', 'teacher_id', scope);
       return this.db.prepare(`
-        SELECT id, title, filename, media_path, created_at 
+        SELECT id, title, filename, media_path, teacher_id, created_at 
         FROM quizzes
+        WHERE ${access.sql}
         ORDER BY created_at DESC
-      `).all();
+      `).all(...access.params);
     } catch (err) {
       logger.error('Failed to find all quizzes', { error: err.message });
       throw err;
@@ -285,6 +431,20 @@ class QuizRepository {
     }
   }
 
+  findByMediaPath(mediaPath) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM quizzes WHERE media_path = ?
+      `).get(mediaPath);
+    } catch (err) {
+      logger.error('Failed to find quiz by media path', {
+        mediaPath,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
   getMediaPath(id) {
     try {
       const row = this.db.prepare(`
@@ -297,6 +457,20 @@ class QuizRepository {
     }
   }
 
+  /**
+   * Quizzes of a deleted teacher become unowned (visible to admins)
+   */
+  clearTeacher(teacherId) {
+    try {
+      return this.db.prepare(`
+        UPDATE quizzes SET teacher_id = NULL WHERE teacher_id = ?
+      `).run(teacherId).changes;
+    } catch (err) {
+      logger.error('Failed to clear quiz owner', { teacherId, error: err.message });
+      throw err;
+    }
+  }
+
   delete(id) {
     try {
       this.db.prepare(`
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const { SHARE_ROLES } = require('../config/permissions');
+
+/**
+ * Quizzes shared with other accounts: one row per quiz and account with the
+ * share role ('coEditor' or 'viewer'), which also applies to the quiz's sessions.
+ */
+class QuizShareRepository {
+  constructor(db, validator) {
+    this.db = db;
+    this.validator = validator;
+
+    // Register validation rules
+    if (this.validator) {
+      this._registerValidationRules();
+    }
+  }
+
+  /**
+   * Register validation rules for QuizShare entity
+   * @private
+   */
+  _registerValidationRules() {
+    // Skip if already registered
+    if (this.validator.hasRules('QuizShare')) {
+      logger.debug('QuizShare validation rules already registered - skipping');
+      return;
+    }
+
+    this.validator.defineRules('QuizShare', {
+      role: {
+        type: 'string',
+        required: true,
+        enum: SHARE_ROLES
+      }
+    });
+
+    logger.debug('QuizShare validation rules registered');
+  }
+
+  /**
+   * Share a quiz or change the role of an existing share
+   */
+  upsert(quizId, teacherId, role, createdAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        role = this.validator.validate('QuizShare', { role }).role;
+      }
+
+      this.db.prepare(`
+        INSERT INTO quiz_shares (quiz_id, teacher_id, role, created_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (quiz_id, teacher_id) DO UPDATE SET role = excluded.role
+      `).run(quizId, teacherId, role, createdAt);
+
+      logger.debug('Quiz share saved in repository', { quizId, teacherId, role });
+    } catch (err) {
+      logger.error('Failed to save quiz share', {
+        quizId,
+        teacherId,
+        role,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Share role of an account for a quiz (undefined = not shared)
+   */
+  findRole(quizId, teacherId) {
+    try {
+      const row = this.db.prepare(`
+        SELECT role FROM quiz_shares WHERE quiz_id = ? AND teacher_id = ?
+      `).get(quizId, teacherId);
+      return row?.role;
+    } catch (err) {
+      logger.error('Failed to find quiz share', { quizId, teacherId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Shares of a quiz with the accounts' usernames
+   */
+  findByQuizId(quizId) {
+    try {
+      return this.db.prepare(`
+        SELECT quiz_shares.role, quiz_shares.created_at, teachers.username, teachers.display_name
+        FROM quiz_shares
+        JOIN teachers ON quiz_shares.teacher_id = teachers.id
+        WHERE quiz_shares.quiz_id = ?
+        ORDER BY teachers.username
+      `).all(quizId);
+    } catch (err) {
+      logger.error('Failed to find quiz shares', { quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  delete(quizId, teacherId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM quiz_shares WHERE quiz_id = ? AND teacher_id = ?
+      `).run(quizId, teacherId).changes;
+    } catch (err) {
+      logger.error('Failed to delete quiz share', { quizId, teacherId, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteByQuizId(quizId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM quiz_shares WHERE quiz_id = ?
+      `).run(quizId).changes;
+    } catch (err) {
+      logger.error('Failed to delete shares of quiz', { quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteByTeacherId(teacherId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM quiz_shares WHERE teacher_id = ?
+      `).run(teacherId).changes;
+    } catch (err) {
+      logger.error('Failed to delete shares of teacher', { teacherId, error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = QuizShareRepository;
@@ -0,0 +1,205 @@
+const logger = require('../utils/logger');
+
+/**
+ * Class rosters: a named list of students per teacher (rosters) with a
+ * persistent personal code per student (roster_students). A session restricted
+ * to a roster (quiz_sessions.roster_id) only accepts these codes as user codes,
+ * so attempts, drafts and submissions are stored exactly as in anonymous sessions.
+ */
+class RosterRepository {
+  constructor(db, validator) {
+    this.db = db;
+    this.validator = validator;
+
+    // Register validation rules
+    if (this.validator) {
+      this._registerValidationRules();
+    }
+  }
+
+  /**
+   * Register validation rules for Roster and RosterStudent entities
+   * @private
+   */
+  _registerValidationRules() {
+    // Skip if already registered
+    if (this.validator.hasRules('Roster')) {
+      logger.debug('Roster validation rules already registered - skipping');
+      return;
+    }
+
+    this.validator.defineRules('Roster', {
+      name: {
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: 1,
+        maxLength: 100
+      }
+    });
+
+    this.validator.defineRules('RosterStudent', {
+      name: {
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: 1,
+        maxLength: 100
+      },
+      code: {
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: 4,
+        maxLength: 32,
+        pattern: /^[A-Z0-9_-]+$/,  // Upper case letters, digits, hyphen, underscore (valid user codes)
+        message: 'Personal code must be 4-32 characters (letters, digits, - _)'
+      }
+    });
+
+    logger.debug('Roster validation rules registered');
+  }
+
+  create(id, name, teacherId, createdAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        name = this.validator.validate('Roster', { name }).name;
+      }
+
+      this.db.prepare(`
+        INSERT INTO rosters (id, name, teacher_id, created_at)
+        VALUES (?, ?, ?, ?)
+      `).run(id, name, teacherId, createdAt);
+
+      logger.debug('Roster created in repository', { id, name });
+    } catch (err) {
+      logger.error('Failed to create roster in database', {
+        id,
+        name,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  findById(id) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM rosters WHERE id = ?
+      `).get(id);
+    } catch (err) {
+      logger.error('Failed to find roster by ID', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Rosters of a teacher with their number of students and sessions
+   */
+  findByTeacher(teacherId) {
+    try {
+      return this.db.prepare(`
+        SELECT rosters.*,
+               (SELECT COUNT(*) FROM roster_students WHERE roster_id = rosters.id) AS student_count,
+               (SELECT COUNT(*) FROM quiz_sessions WHERE roster_id = rosters.id) AS session_count
+        FROM rosters
+        WHERE teacher_id = ?
+        ORDER BY name
+      `).all(teacherId);
+    } catch (err) {
+      logger.error('Failed to find rosters of teacher', { teacherId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Hand all rosters of a teacher to another one (account deleted)
+   * @returns {number} Number of rosters moved
+   */
+  reassignTeacher(fromTeacherId, toTeacherId) {
+    try {
+      return this.db.prepare(`
+        UPDATE rosters SET teacher_id = ? WHERE teacher_id = ?
+      `).run(toTeacherId, fromTeacherId).changes;
+    } catch (err) {
+      logger.error('Failed to reassign rosters', { fromTeacherId, toTeacherId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Delete a roster with its students
+   */
+  delete(id) {
+    try {
+      this.db.prepare(`
+        DELETE FROM roster_students WHERE roster_id = ?
+      `).run(id);
+      return this.db.prepare(`
+        DELETE FROM rosters WHERE id = ?
+      `).run(id).changes;
+    } catch (err) {
+      logger.error('Failed to delete roster', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  addStudent(id, rosterId, name, code, createdAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        const validated = this.validator.validate('RosterStudent', { name, code });
+        name = validated.name;
+        code = validated.code;
+      }
+
+      this.db.prepare(`
+        INSERT INTO roster_students (id, roster_id, name, code, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(id, rosterId, name, code, createdAt);
+    } catch (err) {
+      logger.error('Failed to add student to roster', {
+        rosterId,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  findStudents(rosterId) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM roster_students WHERE roster_id = ?
+        ORDER BY name
+      `).all(rosterId);
+    } catch (err) {
+      logger.error('Failed to find roster students', { rosterId, error: err.message });
+      throw err;
+    }
+  }
+
+  findStudentByCode(rosterId, code) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM roster_students WHERE roster_id = ? AND code = ?
+      `).get(rosterId, code);
+    } catch (err) {
+      logger.error('Failed to find roster student by code', { rosterId, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteStudent(rosterId, studentId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM roster_students WHERE roster_id = ? AND id = ?
+      `).run(rosterId, studentId).changes;
+    } catch (err) {
+      logger.error('Failed to delete roster student', { rosterId, studentId, error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = RosterRepository;
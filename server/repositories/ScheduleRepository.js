@@ -0,0 +1,124 @@
+const logger = require('../utils/logger');
+
+/**
+ * Session schedules: a quiz with a weekly recurrence rule (weekdays, time of day,
+ * date range) and the settings of its sessions. ScheduleService creates the
+ * sessions (quiz_sessions.schedule_id) ahead of time; generated_until is the last
+ * date it has covered, so occurrences deleted by the teacher are not created again.
+ */
+class ScheduleRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(schedule) {
+    const { id, quizId, teacherId, weekdays, startTime, endTime, startsOn, endsOn, settings, generatedUntil, createdAt } = schedule;
+    try {
+      this.db.prepare(`
+        INSERT INTO session_schedules (id, quiz_id, teacher_id, weekdays, start_time, end_time,
+                                       starts_on, ends_on, settings, generated_until, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, quizId, teacherId, weekdays.join(','), startTime, endTime,
+        startsOn, endsOn, JSON.stringify(settings), generatedUntil, createdAt);
+
+      logger.debug('Schedule created in repository', { id, quizId });
+    } catch (err) {
+      logger.error('Failed to create schedule in database', { id, quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  findById(id) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM session_schedules WHERE id = ?
+      `).get(id);
+    } catch (err) {
+      logger.error('Failed to find schedule by ID', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Schedules of a quiz with the number and first start of their upcoming sessions
+   * @param {string} quizId
+   * @param {string} now - ISO time
+   */
+  findByQuizId(quizId, now) {
+    try {
+      return this.db.prepare(`
+        SELECT session_schedules.*,
+               (SELECT COUNT(*) FROM quiz_sessions
+                WHERE schedule_id = session_schedules.id AND open_from > ?) AS upcoming_count,
+               (SELECT MIN(open_from) FROM quiz_sessions
+                WHERE schedule_id = session_schedules.id AND open_from > ?) AS next_open_from
+        FROM session_schedules
+        WHERE quiz_id = ?
+        ORDER BY created_at
+      `).all(now, now, quizId);
+    } catch (err) {
+      logger.error('Failed to find schedules of quiz', { quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Schedules with dates left to cover
+   */
+  findUnfinished() {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM session_schedules WHERE generated_until < ends_on
+      `).all();
+    } catch (err) {
+      logger.error('Failed to find unfinished schedules', { error: err.message });
+      throw err;
+    }
+  }
+
+  updateGeneratedUntil(id, generatedUntil) {
+    try {
+      this.db.prepare(`
+        UPDATE session_schedules SET generated_until = ? WHERE id = ?
+      `).run(generatedUntil, id);
+    } catch (err) {
+      logger.error('Failed to update schedule progress', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  delete(id) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM session_schedules WHERE id = ?
+      `).run(id).changes;
+    } catch (err) {
+      logger.error('Failed to delete schedule', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteByQuizId(quizId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM session_schedules WHERE quiz_id = ?
+      `).run(quizId).changes;
+    } catch (err) {
+      logger.error('Failed to delete schedules of quiz', { quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  deleteByTeacherId(teacherId) {
+    try {
+      return this.db.prepare(`
+        DELETE FROM session_schedules WHERE teacher_id = ?
+      `).run(teacherId).changes;
+    } catch (err) {
+      logger.error('Failed to delete schedules of teacher', { teacherId, error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = ScheduleRepository;
@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { sessionAccessCondition } = require('../utils/ownership');
 
 class SessionRepository {
   constructor(db, validator) {
@@ -27,14 +28,28 @@ class SessionRepository {
         type: 'string',
         required: true,
         trim: true,
-        pattern: /^\d{4}-\d{2}-\d{2}-\d{2}-\d{2}$/  // Format: YYYY-MM-DD-HH-MM
+        // Generated: YYYY-MM-DD-HH-MM[-N], renamed: e.g. "7b-algebra-test" (used in URLs)
+        pattern: /^[A-Za-z0-9][A-Za-z0-9_-]{2,63}$/,
+        message: 'Session name must be 3-64 characters (letters, digits, - _)'
       }
     });
     
     logger.debug('Session validation rules registered');
   }
 
-  create(id, sessionName, quizId, teacherId, openFrom, openUntil, createdAt) {
+  /**
+   * @param {object} [settings] - { mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, drawRules, maxAttempts, scorePolicy,
+   *   linearNavigation, rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations,
+   *   joinCode, listed }
+   */
+  create(id, sessionName, quizId, teacherId, openFrom, openUntil, createdAt, settings = {}) {
+    const {
+      mode = 'selfPaced', timeLimitSeconds = null, shuffleQuestions = false, shuffleOptions = false, drawRules = null, drawPool = null,
+      maxAttempts = 1, scorePolicy = 'best', linearNavigation = false, rosterId = null,
+      releaseAt = null, withholdResults = false, showScoreImmediately = false, showSolutions = true,
+      showExplanations = 'all', joinCode = null, listed = true, scheduleId = null
+    } = settings;
+
     try {
       // Validate if validator available
       if (this.validator) {
@@ -43,9 +58,18 @@ class SessionRepository {
       }
       
       this.db.prepare(`
-        INSERT INTO quiz_sessions (id, session_name, quiz_id, teacher_id, open_from, open_until, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `).run(id, sessionName, quizId, teacherId, openFrom, openUntil, createdAt);
+        INSERT INTO quiz_sessions (id, session_name, quiz_id, teacher_id, open_from, open_until, created_at,
+                                   mode, time_limit_seconds, shuffle_questions, shuffle_options, draw_rules, draw_pool,
+                                   max_attempts, score_policy, linear_navigation, roster_id,
+                                   release_at, results_withheld, show_score_immediately, show_solutions, show_explanations,
+                                   join_code, listed, schedule_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, sessionName, quizId, teacherId, openFrom, openUntil, createdAt,
+        mode, timeLimitSeconds, shuffleQuestions ? 1 : 0, shuffleOptions ? 1 : 0,
+        drawRules ? JSON.stringify(drawRules) : null, drawPool ? JSON.stringify(drawPool) : null,
+        maxAttempts, scorePolicy, linearNavigation ? 1 : 0, rosterId,
+        releaseAt, withholdResults ? 1 : 0, showScoreImmediately ? 1 : 0, showSolutions ? 1 : 0, showExplanations,
+        joinCode, listed ? 1 : 0, scheduleId);
       
       logger.debug('Session created in repository', { id, sessionName });
     } catch (err) {
@@ -72,6 +96,17 @@ class SessionRepository {
     }
   }
 
+  findByJoinCode(joinCode) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM quiz_sessions WHERE join_code = ?
+      `).get(joinCode);
+    } catch (err) {
+      logger.error('Failed to find session by join code', { error: err.message });
+      throw err;
+    }
+  }
+
   findById(id) {
     try {
       return this.db.prepare(`
@@ -83,31 +118,50 @@ class SessionRepository {
     }
   }
 
-  findAll(limit = 100) {
+  /**
+   * @param {number} [limit]
+   * @param {object|null} [scope] - Access scope (see utils/ownership.js), null = all sessions
+   */
+  findAll(limit = 100, scope = null) {
     try {
+      const access = sessionAccessCondition(scope);
       return this.db.prepare(`
-        SELECT session_name, quiz_sessions.id, quiz_sessions.quiz_id, quizzes.title, quiz_sessions.created_at
+        SELECT session_name, quiz_sessions.id, quiz_sessions.quiz_id, quiz_sessions.teacher_id, quizzes.title,
+               quiz_sessions.created_at,
+               quiz_sessions.mode, quiz_sessions.time_limit_seconds,
+               quiz_sessions.shuffle_questions, quiz_sessions.shuffle_options, quiz_sessions.draw_rules,
+               quiz_sessions.max_attempts, quiz_sessions.score_policy, quiz_sessions.linear_navigation,
+               quiz_sessions.roster_id, rosters.name AS roster_name,
+               quiz_sessions.join_code, quiz_sessions.listed, quiz_sessions.schedule_id
         FROM quiz_sessions
+        LEFT JOIN rosters ON quiz_sessions.roster_id = rosters.id
         LEFT JOIN quizzes ON quiz_sessions.quiz_id = quizzes.id
+        WHERE ${access.sql}
         ORDER BY quiz_sessions.created_at DESC
         LIMIT ?
-      `).all(limit);
+      `).all(...access.params, limit);
     } catch (err) {
       logger.error('Failed to find all sessions', { error: err.message });
       throw err;
     }
   }
 
+  /**
+   * Open sessions for the public list on the quiz page (unlisted sessions only via join code)
+   */
   findCurrentlyOpen() {
     try {
       const now = new Date().toISOString();
       return this.db.prepare(`
         SELECT session_name, quiz_sessions.id, quiz_sessions.quiz_id, quizzes.title,
-               quiz_sessions.created_at, quiz_sessions.open_from, quiz_sessions.open_until
+               quiz_sessions.created_at, quiz_sessions.open_from, quiz_sessions.open_until, quiz_sessions.mode,
+               quiz_sessions.time_limit_seconds, quiz_sessions.max_attempts,
+               quiz_sessions.roster_id IS NOT NULL AS roster_required
         FROM quiz_sessions
         LEFT JOIN quizzes ON quiz_sessions.quiz_id = quizzes.id
         WHERE quiz_sessions.open_from <= ?
           AND (quiz_sessions.open_until IS NULL OR quiz_sessions.open_until >= ?)
+          AND quiz_sessions.listed = 1
         ORDER BY quiz_sessions.created_at DESC
       `).all(now, now);
     } catch (err) {
@@ -116,6 +170,80 @@ class SessionRepository {
     }
   }
 
+  /**
+   * Sessions of a quiz with their number of participants and submissions, newest first
+   */
+  findByQuizId(quizId) {
+    try {
+      return this.db.prepare(`
+        SELECT quiz_sessions.*, rosters.name AS roster_name,
+               (SELECT COUNT(DISTINCT user_code) FROM submissions
+                WHERE submissions.session_name = quiz_sessions.session_name) AS participant_count,
+               (SELECT COUNT(*) FROM submissions
+                WHERE submissions.session_name = quiz_sessions.session_name) AS submission_count
+        FROM quiz_sessions
+        LEFT JOIN rosters ON quiz_sessions.roster_id = rosters.id
+        WHERE quiz_sessions.quiz_id = ?
+        ORDER BY quiz_sessions.created_at DESC
+      `).all(quizId);
+    } catch (err) {
+      logger.error('Failed to find sessions of quiz', { quizId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Sessions of a deleted teacher become unowned (visible to admins)
+   */
+  clearTeacher(teacherId) {
+    try {
+      return this.db.prepare(`
+        UPDATE quiz_sessions SET teacher_id = NULL WHERE teacher_id = ?
+      `).run(teacherId).changes;
+    } catch (err) {
+      logger.error('Failed to clear session owner', { teacherId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Number of sessions restricted to a roster
+   */
+  countByRosterId(rosterId) {
+    try {
+      return this.db.prepare(`
+        SELECT COUNT(*) AS count FROM quiz_sessions WHERE roster_id = ?
+      `).get(rosterId).count;
+    } catch (err) {
+      logger.error('Failed to count sessions of roster', { rosterId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Delete the sessions of a schedule that have not started yet (cancelled schedule)
+   * and detach the others from it
+   * @param {string} scheduleId
+   * @param {string} now - ISO time
+   * @returns {number} Number of deleted sessions
+   */
+  deleteUpcomingByScheduleId(scheduleId, now) {
+    try {
+      const result = this.db.prepare(`
+        DELETE FROM quiz_sessions WHERE schedule_id = ? AND open_from > ?
+      `).run(scheduleId, now);
+      this.db.prepare(`
+        UPDATE quiz_sessions SET schedule_id = NULL WHERE schedule_id = ?
+      `).run(scheduleId);
+
+      logger.info('Upcoming sessions of schedule deleted', { scheduleId, count: result.changes });
+      return result.changes;
+    } catch (err) {
+      logger.error('Failed to delete upcoming sessions of schedule', { scheduleId, error: err.message });
+      throw err;
+    }
+  }
+
   update(id, openFrom, openUntil) {
     try {
       this.db.prepare(`
@@ -131,6 +259,64 @@ class SessionRepository {
     }
   }
 
+  /**
+   * Rename a session. The seed (original name) keeps the participants' question draw and order.
+   */
+  rename(id, sessionName, seed) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        sessionName = this.validator.validate('Session', { sessionName }).sessionName;
+      }
+
+      this.db.prepare(`
+        UPDATE quiz_sessions
+        SET session_name = ?, seed = ?
+        WHERE id = ?
+      `).run(sessionName, seed, id);
+
+      logger.debug('Session renamed in repository', { id, sessionName });
+      return sessionName;
+    } catch (err) {
+      logger.error('Failed to rename session', { id, sessionName, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Whether the session appears in the public list of open sessions
+   */
+  updateListed(id, listed) {
+    try {
+      this.db.prepare(`
+        UPDATE quiz_sessions SET listed = ? WHERE id = ?
+      `).run(listed ? 1 : 0, id);
+
+      logger.debug('Session listing updated in repository', { id, listed });
+    } catch (err) {
+      logger.error('Failed to update session listing', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Release time of the result details and whether the teacher withholds them
+   */
+  updateResultRelease(id, releaseAt, withheld) {
+    try {
+      this.db.prepare(`
+        UPDATE quiz_sessions
+        SET release_at = ?, results_withheld = ?
+        WHERE id = ?
+      `).run(releaseAt, withheld ? 1 : 0, id);
+
+      logger.debug('Session result release updated in repository', { id, releaseAt, withheld });
+    } catch (err) {
+      logger.error('Failed to update session result release', { id, error: err.message });
+      throw err;
+    }
+  }
+
   delete(id) {
     try {
       this.db.prepare(`
@@ -35,7 +35,7 @@ class SubmissionRepository {
     logger.debug('Submission validation rules registered');
   }
 
-  create(id, sessionId, sessionName, userCode, resultLink, answersJson, score, maxScore, createdAt) {
+  create(id, sessionId, sessionName, userCode, resultLink, answersJson, score, maxScore, createdAt, attemptNumber = 1) {
     try {
       // Validate if validator available
       if (this.validator) {
@@ -45,11 +45,11 @@ class SubmissionRepository {
       
       this.db.prepare(`
         INSERT INTO submissions 
-        (id, session_id, session_name, user_code, result_link, answers_json, score, max_score, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(id, sessionId, sessionName, userCode, resultLink, answersJson, score, maxScore, createdAt);
+        (id, session_id, session_name, user_code, result_link, answers_json, score, max_score, created_at, attempt_number)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, sessionId, sessionName, userCode, resultLink, answersJson, score, maxScore, createdAt, attemptNumber);
       
-      logger.debug('Submission created in repository', { id, userCode, sessionName });
+      logger.debug('Submission created in repository', { id, userCode, sessionName, attemptNumber });
     } catch (err) {
       logger.error('Failed to create submission in database', {
         id,
@@ -88,11 +88,38 @@ class SubmissionRepository {
     }
   }
 
+  /**
+   * All attempts of a participant, first attempt first
+   */
+  findAllBySessionAndUser(sessionName, userCode) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM submissions 
+        WHERE session_name = ? AND user_code = ?
+        ORDER BY attempt_number ASC
+      `).all(sessionName, userCode);
+    } catch (err) {
+      logger.error('Failed to find submissions by session and user', {
+        sessionName,
+        userCode,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Submissions of a session, newest first. participant_name is the student's
+   * name in sessions restricted to a roster (otherwise NULL).
+   */
   findBySessionName(sessionName) {
     try {
       return this.db.prepare(`
-        SELECT * FROM submissions WHERE session_name = ?
-        ORDER BY created_at DESC
+        SELECT submissions.*, roster_students.name AS participant_name
+        FROM submissions
+        ${this._participantNameJoin()}
+        WHERE submissions.session_name = ?
+        ORDER BY submissions.created_at DESC
       `).all(sessionName);
     } catch (err) {
       logger.error('Failed to find submissions by session name', {
@@ -106,10 +133,12 @@ class SubmissionRepository {
   findSummaryBySessionName(sessionName) {
     try {
       return this.db.prepare(`
-        SELECT id, session_name, user_code, result_link, score, max_score, created_at 
-        FROM submissions 
-        WHERE session_name = ?
-        ORDER BY created_at DESC
+        SELECT submissions.id, submissions.session_name, user_code, result_link, score, max_score, attempt_number,
+               submissions.created_at, roster_students.name AS participant_name
+        FROM submissions
+        ${this._participantNameJoin()}
+        WHERE submissions.session_name = ?
+        ORDER BY submissions.created_at DESC
       `).all(sessionName);
     } catch (err) {
       logger.error('Failed to find submission summary', {
@@ -120,6 +149,22 @@ class SubmissionRepository {
     }
   }
 
+  /**
+   * Store manually graded answers and the recomputed score
+   */
+  updateGrading(id, answersJson, score) {
+    try {
+      this.db.prepare(`
+        UPDATE submissions SET answers_json = ?, score = ? WHERE id = ?
+      `).run(answersJson, score, id);
+      
+      logger.debug('Submission grading updated in repository', { id, score });
+    } catch (err) {
+      logger.error('Failed to update submission grading', { id, error: err.message });
+      throw err;
+    }
+  }
+
   delete(id) {
     try {
       this.db.prepare(`
@@ -133,6 +178,20 @@ class SubmissionRepository {
     }
   }
 
+  /**
+   * Move the rows of a renamed session to its new name
+   */
+  renameSession(sessionName, newName) {
+    try {
+      return this.db.prepare(`
+        UPDATE submissions SET session_name = ? WHERE session_name = ?
+      `).run(newName, sessionName).changes;
+    } catch (err) {
+      logger.error('Failed to rename session of submissions', { sessionName, newName, error: err.message });
+      throw err;
+    }
+  }
+
   deleteBySessionIds(sessionIds) {
     if (!sessionIds || sessionIds.length === 0) {
       return 0;
@@ -157,6 +216,17 @@ class SubmissionRepository {
       throw err;
     }
   }
+
+  /**
+   * Joins the roster student whose personal code is the user code
+   * @private
+   */
+  _participantNameJoin() {
+    return `
+        LEFT JOIN quiz_sessions ON quiz_sessions.session_name = submissions.session_name
+        LEFT JOIN roster_students ON roster_students.roster_id = quiz_sessions.roster_id
+                                 AND roster_students.code = submissions.user_code`;
+  }
 }
 
 module.exports = SubmissionRepository;
\ No newline at end of file
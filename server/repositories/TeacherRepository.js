@@ -0,0 +1,211 @@
+const logger = require('../utils/logger');
+const { ACCOUNT_ROLES } = require('../config/permissions');
+
+/**
+ * Teacher accounts (username + bcrypt password hash + account role).
+ * Admins can register, change and remove accounts; every teacher owns the quizzes
+ * and sessions they create (quizzes.teacher_id, quiz_sessions.teacher_id).
+ */
+class TeacherRepository {
+  constructor(db, validator) {
+    this.db = db;
+    this.validator = validator;
+
+    // Register validation rules
+    if (this.validator) {
+      this._registerValidationRules();
+    }
+  }
+
+  /**
+   * Register validation rules for Teacher entity
+   * @private
+   */
+  _registerValidationRules() {
+    // Skip if already registered
+    if (this.validator.hasRules('Teacher')) {
+      logger.debug('Teacher validation rules already registered - skipping');
+      return;
+    }
+
+    this.validator.defineRules('Teacher', {
+      username: {
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: 3,
+        maxLength: 32,
+        pattern: /^[a-z0-9._-]+$/,  // Lowercase, digits, dot, underscore, hyphen
+        message: 'Username must be 3-32 characters (lowercase letters, digits, . _ -)'
+      },
+      displayName: {
+        type: 'string',
+        required: false,
+        trim: true,
+        maxLength: 100
+      },
+      role: {
+        type: 'string',
+        required: true,
+        enum: ACCOUNT_ROLES
+      }
+    });
+
+    logger.debug('Teacher validation rules registered');
+  }
+
+  create(id, username, displayName, passwordHash, role, createdAt) {
+    try {
+      // Validate if validator available
+      if (this.validator) {
+        const validated = this.validator.validate('Teacher', { username, displayName, role });
+        username = validated.username;
+        displayName = validated.displayName;
+      }
+
+      this.db.prepare(`
+        INSERT INTO teachers (id, username, display_name, password_hash, role, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, username, displayName || username, passwordHash, role, createdAt);
+
+      logger.debug('Teacher created in repository', { id, username, role });
+    } catch (err) {
+      logger.error('Failed to create teacher in database', {
+        id,
+        username,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  findById(id) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM teachers WHERE id = ?
+      `).get(id);
+    } catch (err) {
+      logger.error('Failed to find teacher by ID', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  findByUsername(username) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM teachers WHERE username = ?
+      `).get(username);
+    } catch (err) {
+      logger.error('Failed to find teacher by username', { username, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * All teachers with the number of quizzes they own (without password hashes)
+   */
+  findAll() {
+    try {
+      return this.db.prepare(`
+        SELECT teachers.id, username, display_name, role, teachers.created_at,
+               totp_secret IS NOT NULL AS two_factor,
+               (SELECT COUNT(*) FROM quizzes WHERE quizzes.teacher_id = teachers.id) AS quiz_count
+        FROM teachers
+        ORDER BY username
+      `).all();
+    } catch (err) {
+      logger.error('Failed to find all teachers', { error: err.message });
+      throw err;
+    }
+  }
+
+  count() {
+    try {
+      return this.db.prepare(`
+        SELECT COUNT(*) AS count FROM teachers
+      `).get().count;
+    } catch (err) {
+      logger.error('Failed to count teachers', { error: err.message });
+      throw err;
+    }
+  }
+
+  updatePassword(id, passwordHash) {
+    try {
+      this.db.prepare(`
+        UPDATE teachers SET password_hash = ? WHERE id = ?
+      `).run(passwordHash, id);
+
+      logger.debug('Teacher password updated in repository', { id });
+    } catch (err) {
+      logger.error('Failed to update teacher password', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  updateRole(id, role) {
+    try {
+      this.db.prepare(`
+        UPDATE teachers SET role = ? WHERE id = ?
+      `).run(role, id);
+
+      logger.debug('Teacher role updated in repository', { id, role });
+    } catch (err) {
+      logger.error('Failed to update teacher role', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication on (secret and recovery code hashes) or off (nulls)
+   */
+  updateTwoFactor(id, totpSecret, recoveryCodesJson) {
+    try {
+      this.db.prepare(`
+        UPDATE teachers SET totp_secret = ?, totp_recovery_codes = ?, totp_last_step = NULL WHERE id = ?
+      `).run(totpSecret, recoveryCodesJson, id);
+
+      logger.debug('Teacher two-factor authentication updated in repository', { id, enabled: !!totpSecret });
+    } catch (err) {
+      logger.error('Failed to update teacher two-factor authentication', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  updateTotpLastStep(id, step) {
+    try {
+      this.db.prepare(`
+        UPDATE teachers SET totp_last_step = ? WHERE id = ?
+      `).run(step, id);
+    } catch (err) {
+      logger.error('Failed to update last TOTP step', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  updateRecoveryCodes(id, recoveryCodesJson) {
+    try {
+      this.db.prepare(`
+        UPDATE teachers SET totp_recovery_codes = ? WHERE id = ?
+      `).run(recoveryCodesJson, id);
+    } catch (err) {
+      logger.error('Failed to update recovery codes', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  delete(id) {
+    try {
+      this.db.prepare(`
+        DELETE FROM teachers WHERE id = ?
+      `).run(id);
+
+      logger.info('Teacher deleted from repository', { id });
+    } catch (err) {
+      logger.error('Failed to delete teacher', { id, error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = TeacherRepository;
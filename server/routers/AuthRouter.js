@@ -1,14 +1,18 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { Permission } = require('../config/permissions');
+const { InvalidInputError, LoginThrottledError } = require('../errors');
 
 /**
  * Authentication Router
- * Handles teacher login, logout, and status checks.
+ * Handles teacher login (with optional two-factor step), logout, status checks,
+ * two-factor setup and (for admins) teacher accounts.
  * @module routers/AuthRouter
  */
 class AuthRouter {
-  constructor(authService) {
+  constructor(authService, twoFactorService) {
     this.authService = authService;
+    this.twoFactorService = twoFactorService;
     this.router = express.Router();
     this.setupRoutes();
   }
@@ -18,7 +22,15 @@ class AuthRouter {
      * Teacher Login
      * @name LoginTeacher
      * @route POST /api/teacher/login
-     * @description Authenticate as teacher with password. Sets session cookie on success.
+     * @description Authenticate as teacher with username and password. Sets session cookie on success.
+     * Without username the admin account is used (password = TEACHER_PASS), so existing logins keep working.
+     * The built-in "demo" account (password "demo") is a viewer of the sample quiz.
+     * "permissions" are those of the account role (see config/permissions.js).
+     * Failed logins are throttled per account and client IP: after a few failures the wait
+     * before the next attempt doubles with every failure, after more of them logins are
+     * locked for 15 minutes (429 with Retry-After header, see LoginThrottleService).
+     * Accounts with two-factor authentication are not logged in yet: the response has
+     * "twoFactorRequired": true, and the code is sent to POST /api/teacher/login/2fa.
      *
      * @example
      * // Request
@@ -26,13 +38,25 @@ class AuthRouter {
      * Content-Type: application/json
      *
      * {
+     *   "username": "mueller",
      *   "password": "your-teacher-password"
      * }
      *
      * @example
      * // Response 200 OK
      * {
-     *   "ok": true
+     *   "ok": true,
+     *   "teacher": {
+     *     "username": "mueller", "displayName": "Frau Müller", "role": "teacher",
+     *     "permissions": ["quiz.create", "quiz.read", "quiz.edit", "quiz.delete", "quiz.share", "session.create", "..."]
+     *   }
+     * }
+     *
+     * @example
+     * // Response 200 OK (two-factor authentication enabled)
+     * {
+     *   "ok": true,
+     *   "twoFactorRequired": true
      * }
      *
      * @example
@@ -41,37 +65,106 @@ class AuthRouter {
      *   "error": "Invalid credentials",
      *   "errorDetails": { "type": "InvalidCredentialsError" }
      * }
+     *
+     * @example
+     * // Response 429 Too Many Requests (Retry-After: 300)
+     * {
+     *   "error": "Too many failed login attempts. Try again in 5 minute(s).",
+     *   "errorDetails": { "type": "LoginThrottledError", "details": { "retryAfterSeconds": 300 } }
+     * }
      */
     this.router.post('/teacher/login', async (req, res, next) => {
       try {
-        const { password } = req.body;
-
-        // Check for demo password first
-        if (this.authService.isDemoPassword(password)) {
-          this.authService.setDemoSession(req.session);
-          logger.info('Demo login successful', {
-            correlationId: req.correlationId
-          });
-          return res.json({ ok: true, demoMode: true });
-        }
+        const { username, password } = req.body;
 
-        // Verify regular password (throws on error)
-        await this.authService.verifyTeacherPassword(password);
+        // Verify credentials (throws on error)
+        const teacher = await this.authService.verifyTeacherCredentials(username, password, req.ip);
+
+        if (this.twoFactorService.isEnabled(teacher)) {
+          this.authService.setPendingTwoFactor(req.session, teacher);
+          return res.json({ ok: true, twoFactorRequired: true });
+        }
 
         // Set teacher session
-        this.authService.setTeacherSession(req.session);
+        this.authService.setTeacherSession(req.session, teacher);
 
         logger.info('Teacher login successful', {
+          username: teacher.username,
           correlationId: req.correlationId
         });
 
-        return res.json({ ok: true, demoMode: false });
+        return res.json({
+          ok: true,
+          teacher: this.authService.getSessionTeacher(req.session)
+        });
       } catch (err) {
+        if (err instanceof LoginThrottledError) {
+          res.set('Retry-After', String(err.details.retryAfterSeconds));
+        }
         // Pass error to error handler
         next(err);
       }
     });
 
+    /**
+     * Two-Factor Login Step
+     * @name LoginTeacherTwoFactor
+     * @route POST /api/teacher/login/2fa
+     * @description Second login step for accounts with two-factor authentication, within
+     * 5 minutes after the password step. "code" is the current 6-digit code of the authenticator
+     * app or one of the recovery codes (each works once). Wrong codes count as failed logins
+     * (throttled like passwords).
+     *
+     * @example
+     * // Request
+     * POST /api/teacher/login/2fa
+     * Content-Type: application/json
+     *
+     * {
+     *   "code": "492039"
+     * }
+     *
+     * @example
+     * // Response 200 OK (recoveryCodesLeft only after using a recovery code)
+     * {
+     *   "ok": true,
+     *   "teacher": { "username": "mueller", "displayName": "Frau Müller", "role": "teacher", "permissions": ["..."] },
+     *   "recoveryCodesLeft": 9
+     * }
+     *
+     * @example
+     * // Response 401 Unauthorized
+     * {
+     *   "error": "Invalid two-factor code",
+     *   "errorDetails": { "type": "InvalidTwoFactorCodeError" }
+     * }
+     */
+    this.router.post('/teacher/login/2fa', (req, res, next) => {
+      try {
+        const teacher = this.authService.getPendingTwoFactorTeacher(req.session);
+        const result = this.twoFactorService.verifyLoginCode(teacher, req.body.code, req.ip);
+
+        this.authService.setTeacherSession(req.session, teacher);
+
+        logger.info('Teacher login successful', {
+          username: teacher.username,
+          twoFactor: true,
+          correlationId: req.correlationId
+        });
+
+        return res.json({
+          ok: true,
+          teacher: this.authService.getSessionTeacher(req.session),
+          ...(result.recoveryCodeUsed && { recoveryCodesLeft: result.recoveryCodesLeft })
+        });
+      } catch (err) {
+        if (err instanceof LoginThrottledError) {
+          res.set('Retry-After', String(err.details.retryAfterSeconds));
+        }
+        next(err);
+      }
+    });
+
     /**
      * Teacher Logout
      * @name LogoutTeacher
@@ -102,7 +195,8 @@ class AuthRouter {
      * Check Authentication Status
      * @name GetAuthStatus
      * @route GET /api/teacher/status
-     * @description Check if current session is authenticated as teacher.
+     * @description Check if current session is authenticated as teacher. "builtIn" is true for the
+     * built-in accounts (admin, demo), whose password is set in the server configuration.
      *
      * @example
      * // Request
@@ -111,19 +205,391 @@ class AuthRouter {
      * @example
      * // Response 200 OK (authenticated)
      * {
-     *   "authenticated": true
+     *   "authenticated": true,
+     *   "teacher": { "username": "admin", "displayName": "Admin", "role": "admin", "permissions": ["users.manage", "..."],
+     *     "builtIn": true }
      * }
      *
      * @example
      * // Response 200 OK (not authenticated)
      * {
-     *   "authenticated": false
+     *   "authenticated": false,
+     *   "teacher": null
      * }
      */
     this.router.get('/teacher/status', (req, res) => {
-      const isTeacher = this.authService.isTeacher(req.session);
-      const demoMode = this.authService.isDemoMode(req.session);
-      return res.json({ authenticated: isTeacher, demoMode });
+      const teacher = this.authService.getSessionTeacher(req.session);
+      return res.json({ authenticated: teacher !== null, teacher });
+    });
+
+    const loggedIn = this.authService.requireLogin();
+
+    /**
+     * Change Own Password
+     * @name ChangePassword
+     * @route PUT /api/teacher/password
+     * @authentication Teacher (any role)
+     * @description Change the password of the logged-in account ("newPassword": at least 8 characters).
+     * Wrong current passwords are throttled like failed logins (401, then 429 with Retry-After).
+     * The built-in accounts (admin, demo) get their password from the server configuration (400).
+     *
+     * @example
+     * // Request
+     * PUT /api/teacher/password
+     * Content-Type: application/json
+     *
+     * {
+     *   "currentPassword": "a-long-password",
+     *   "newPassword": "an-even-longer-password"
+     * }
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true
+     * }
+     */
+    this.router.put('/teacher/password', loggedIn, async (req, res, next) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+        await this.authService.changeOwnPassword(req.session.teacherId, currentPassword, newPassword, req.ip);
+
+        logger.info('Teacher password changed', {
+          username: req.session.teacherName,
+          correlationId: req.correlationId
+        });
+
+        return res.json({ ok: true });
+      } catch (err) {
+        if (err instanceof LoginThrottledError) {
+          res.set('Retry-After', String(err.details.retryAfterSeconds));
+        }
+        next(err);
+      }
+    });
+
+    /**
+     * Two-Factor Status
+     * @name GetTwoFactorStatus
+     * @route GET /api/teacher/2fa
+     * @authentication Teacher (any role)
+     * @description Whether the logged-in account uses two-factor authentication.
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "enabled": true,
+     *   "recoveryCodesLeft": 10
+     * }
+     */
+    this.router.get('/teacher/2fa', loggedIn, (req, res, next) => {
+      try {
+        return res.json(this.twoFactorService.getStatus(req.session.teacherId));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Start Two-Factor Setup
+     * @name SetupTwoFactor
+     * @route POST /api/teacher/2fa/setup
+     * @authentication Teacher (any role)
+     * @description Create a new secret for the logged-in account. The editor shows "otpauthUri"
+     * as QR code for the authenticator app ("secret" for manual entry). Two-factor authentication
+     * is only turned on after confirming a code (POST /api/teacher/2fa/enable). Not available for
+     * the shared demo account (403 TwoFactorNotAllowedError).
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "secret": "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+     *   "otpauthUri": "otpauth://totp/AIDE%20Quiz:mueller?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=AIDE%20Quiz&algorithm=SHA1&digits=6&period=30"
+     * }
+     *
+     * @example
+     * // Response 409 Conflict
+     * {
+     *   "error": "Two-factor authentication is already enabled",
+     *   "errorDetails": { "type": "ConflictError" }
+     * }
+     */
+    this.router.post('/teacher/2fa/setup', loggedIn, (req, res, next) => {
+      try {
+        return res.json(this.twoFactorService.startEnrollment(req.session));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Enable Two-Factor Authentication
+     * @name EnableTwoFactor
+     * @route POST /api/teacher/2fa/enable
+     * @authentication Teacher (any role)
+     * @description Confirm the setup with the current code of the authenticator app. Returns
+     * the recovery codes - they are only shown this once.
+     *
+     * @example
+     * // Request
+     * POST /api/teacher/2fa/enable
+     * Content-Type: application/json
+     *
+     * {
+     *   "code": "492039"
+     * }
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true,
+     *   "recoveryCodes": ["k7qm-x2ra", "p3vt-9hwe", "..."]
+     * }
+     */
+    this.router.post('/teacher/2fa/enable', loggedIn, (req, res, next) => {
+      try {
+        const recoveryCodes = this.twoFactorService.enable(req.session, req.body.code);
+        return res.json({ ok: true, recoveryCodes });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Disable Two-Factor Authentication
+     * @name DisableTwoFactor
+     * @route DELETE /api/teacher/2fa
+     * @authentication Teacher (any role)
+     * @description Turn two-factor authentication off. Needs the current code of the app
+     * or a recovery code.
+     *
+     * @example
+     * // Request
+     * DELETE /api/teacher/2fa
+     * Content-Type: application/json
+     *
+     * {
+     *   "code": "492039"
+     * }
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true
+     * }
+     */
+    this.router.delete('/teacher/2fa', loggedIn, (req, res, next) => {
+      try {
+        this.twoFactorService.disable(req.session.teacherId, req.body.code);
+        return res.json({ ok: true });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    const adminOnly = this.authService.requirePermission(Permission.USERS_MANAGE);
+
+    /**
+     * List Teacher Accounts
+     * @name ListTeachers
+     * @route GET /api/teacher/admin/teachers
+     * @authentication Teacher (users.manage)
+     * @description All accounts with their role, the number of quizzes they own and whether they
+     * use two-factor authentication.
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "teachers": [
+     *     { "username": "admin", "displayName": "Admin", "role": "admin", "createdAt": "2025-01-10T08:00:00.000Z", "quizCount": 3, "twoFactor": true },
+     *     { "username": "mueller", "displayName": "Frau Müller", "role": "teacher", "createdAt": "2025-01-12T09:30:00.000Z", "quizCount": 1, "twoFactor": false }
+     *   ]
+     * }
+     *
+     * @example
+     * // Response 403 Forbidden (not an admin)
+     * {
+     *   "error": "Your role does not allow this action (users.manage)",
+     *   "errorDetails": { "type": "ForbiddenError" }
+     * }
+     */
+    this.router.get('/teacher/admin/teachers', adminOnly, (req, res) => {
+      return res.json({ teachers: this.authService.getAllTeachers() });
+    });
+
+    /**
+     * Register Teacher Account
+     * @name RegisterTeacher
+     * @route POST /api/teacher/admin/teachers
+     * @authentication Teacher (users.manage)
+     * @description Create an account. Username: 3-32 characters (lowercase letters, digits, . _ -),
+     * password: at least 8 characters. "role" is "teacher" (default: own quizzes and sessions),
+     * "viewer" (only statistics and exports of quizzes shared with them) or "admin" (also manages
+     * accounts and sees quizzes without owner).
+     *
+     * @example
+     * // Request
+     * POST /api/teacher/admin/teachers
+     * Content-Type: application/json
+     *
+     * {
+     *   "username": "mueller",
+     *   "displayName": "Frau Müller",
+     *   "password": "a-long-password",
+     *   "role": "teacher"
+     * }
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true,
+     *   "teacher": { "username": "mueller", "displayName": "Frau Müller", "role": "teacher", "createdAt": "2025-01-12T09:30:00.000Z" }
+     * }
+     *
+     * @example
+     * // Response 409 Conflict
+     * {
+     *   "error": "A teacher with the username 'mueller' already exists",
+     *   "errorDetails": { "type": "ConflictError" }
+     * }
+     */
+    this.router.post('/teacher/admin/teachers', adminOnly, async (req, res, next) => {
+      try {
+        const { username, displayName, password, role } = req.body;
+        const teacher = await this.authService.registerTeacher(username, displayName, password, role);
+
+        logger.info('Teacher account registered', {
+          username: teacher.username,
+          by: req.session.teacherName,
+          correlationId: req.correlationId
+        });
+
+        return res.json({ ok: true, teacher });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Delete Teacher Account
+     * @name DeleteTeacher
+     * @route DELETE /api/teacher/admin/teachers/:username
+     * @authentication Teacher (users.manage)
+     * @description Delete an account. Their quizzes and sessions are kept without owner
+     * (only visible to admins), quizzes shared with them are unshared, and their class rosters
+     * are handed to the deleting admin. Admins cannot delete their own account.
+     *
+     * @example
+     * // Request
+     * DELETE /api/teacher/admin/teachers/mueller
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true
+     * }
+     */
+    this.router.delete('/teacher/admin/teachers/:username', adminOnly, (req, res, next) => {
+      try {
+        if (this.authService.normalizeUsername(req.params.username) === req.session.teacherName) {
+          throw new InvalidInputError('username', 'You cannot delete your own account');
+        }
+
+        this.authService.deleteTeacher(req.params.username, req.session.teacherId);
+
+        logger.info('Teacher account deleted', {
+          username: req.params.username,
+          by: req.session.teacherName,
+          correlationId: req.correlationId
+        });
+
+        return res.json({ ok: true });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Update Teacher Account
+     * @name UpdateTeacher
+     * @route PATCH /api/teacher/admin/teachers/:username
+     * @authentication Teacher (users.manage)
+     * @description Change the "role" and/or set a new "password" (at least 8 characters) of an account,
+     * e.g. to promote a teacher or when they forgot their password. Their quizzes and sessions stay
+     * theirs; a new role applies to their logged-in sessions with the next request. Admins cannot change
+     * their own role, and the built-in accounts (admin, demo) are set in the server configuration (400).
+     *
+     * @example
+     * // Request
+     * PATCH /api/teacher/admin/teachers/mueller
+     * Content-Type: application/json
+     *
+     * {
+     *   "role": "admin"
+     * }
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true,
+     *   "teacher": { "username": "mueller", "displayName": "Frau Müller", "role": "admin", "createdAt": "2025-01-12T09:30:00.000Z" }
+     * }
+     */
+    this.router.patch('/teacher/admin/teachers/:username', adminOnly, async (req, res, next) => {
+      try {
+        const { role, password } = req.body;
+        if (role !== undefined && this.authService.normalizeUsername(req.params.username) === req.session.teacherName) {
+          throw new InvalidInputError('role', 'You cannot change your own role');
+        }
+
+        const teacher = await this.authService.updateTeacher(req.params.username, { role, password });
+
+        logger.info('Teacher account updated', {
+          username: teacher.username,
+          role: teacher.role,
+          passwordChanged: password !== undefined,
+          by: req.session.teacherName,
+          correlationId: req.correlationId
+        });
+
+        return res.json({ ok: true, teacher });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Reset Two-Factor Authentication
+     * @name ResetTeacherTwoFactor
+     * @route DELETE /api/teacher/admin/teachers/:username/2fa
+     * @authentication Teacher (users.manage)
+     * @description Turn two-factor authentication off for an account whose owner lost their
+     * device and recovery codes. They log in with their password and can set it up again.
+     *
+     * @example
+     * // Request
+     * DELETE /api/teacher/admin/teachers/mueller/2fa
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "ok": true
+     * }
+     */
+    this.router.delete('/teacher/admin/teachers/:username/2fa', adminOnly, (req, res, next) => {
+      try {
+        this.twoFactorService.reset(req.params.username);
+
+        logger.info('Teacher two-factor authentication reset', {
+          username: req.params.username,
+          by: req.session.teacherName,
+          correlationId: req.correlationId
+        });
+
+        return res.json({ ok: true });
+      } catch (err) {
+        next(err);
+      }
     });
   }
 
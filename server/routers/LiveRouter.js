@@ -0,0 +1,240 @@
+const express = require('express');
+const { Permission } = require('../config/permissions');
+
+// Comment line sent periodically so proxies keep idle event streams open
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Live Router
+ * Teacher-paced live sessions: participants and the presenter view receive
+ * state updates via Server-Sent Events (SSE).
+ * @module routers/LiveRouter
+ */
+class LiveRouter {
+  constructor(liveSessionService, authService) {
+    this.liveSessionService = liveSessionService;
+    this.authService = authService;
+    this.router = express.Router();
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Sessions without any role answer 404, missing permissions 403
+    const canOnSession = (permission) => this.authService.requireSessionPermission(permission);
+
+    /**
+     * Join Live Session
+     * @name JoinLiveSession
+     * @route POST /api/live/:sessionName/join
+     * @description Join a live session. Rejoining with the same user code returns the same participant id.
+     * Sessions restricted to a class roster only accept its personal codes (403 NotOnRosterError)
+     * and return the student's name ("participantName", null in anonymous sessions).
+     *
+     * @example
+     * // Request
+     * { "userCode": "student1" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "participantId": "9b2c...", "participantName": null }
+     */
+    this.router.post('/live/:sessionName/join', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const result = this.liveSessionService.join(sessionName, req.body.userCode);
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Participant Event Stream
+     * @name LiveParticipantEvents
+     * @route GET /api/live/:sessionName/events?participant=...
+     * @description Server-Sent Events stream with the participant's live state
+     * (status lobby/question/closed/finished, current question, remaining time, result link).
+     *
+     * @example
+     * // Event
+     * data: { "status": "question", "questionIndex": 0, "questionCount": 5, "question": {...}, "remainingMs": 29500, "answered": false }
+     */
+    this.router.get('/live/:sessionName/events', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const participantId = String(req.query.participant || '');
+        this.openStream(req, res, sessionName,
+          () => this.liveSessionService.getParticipantState(sessionName, participantId));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Answer Live Question
+     * @name AnswerLiveQuestion
+     * @route POST /api/live/:sessionName/answer
+     * @description Answer the currently open question (same answer format as submissions).
+     * A later answer replaces the earlier one until the countdown ends.
+     *
+     * @example
+     * // Request
+     * { "participantId": "9b2c...", "answer": { "questionId": "q1", "chosen": ["a"] } }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true }
+     */
+    this.router.post('/live/:sessionName/answer', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const { participantId, answer } = req.body;
+        const result = this.liveSessionService.answer(sessionName, participantId, answer);
+        return res.json(result);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Get Live Presenter State
+     * @name GetLivePresenterState
+     * @route GET /api/teacher/live/:sessionName
+     * @authentication Teacher (results.read)
+     * @description Current live state with participant count and answer histogram.
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "status": "question", "questionIndex": 0, "questionCount": 5, "question": {...},
+     *   "remainingMs": 12000, "participantCount": 24, "answeredCount": 19,
+     *   "histogram": { "options": { "a": 4, "b": 15 }, "results": { "correct": 15, "partial": 0, "incorrect": 4, "pending": 0 } }
+     * }
+     */
+    this.router.get('/teacher/live/:sessionName', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        return res.json(this.liveSessionService.getPresenterState(sessionName));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Presenter Event Stream
+     * @name LivePresenterEvents
+     * @route GET /api/teacher/live/:sessionName/events
+     * @authentication Teacher (results.read)
+     * @description Server-Sent Events stream with the presenter state (see GetLivePresenterState),
+     * sent on every join, answer and question change.
+     */
+    this.router.get('/teacher/live/:sessionName/events', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        this.openStream(req, res, sessionName,
+          () => this.liveSessionService.getPresenterState(sessionName));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Next Live Question
+     * @name NextLiveQuestion
+     * @route POST /api/teacher/live/:sessionName/next
+     * @authentication Teacher (session.run)
+     * @description Open the next question with a countdown (5-600 seconds, default 30).
+     *
+     * @example
+     * // Request
+     * { "seconds": 30 }
+     */
+    this.router.post('/teacher/live/:sessionName/next', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const { seconds } = req.body;
+        return res.json(this.liveSessionService.nextQuestion(sessionName, seconds));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Close Live Question
+     * @name CloseLiveQuestion
+     * @route POST /api/teacher/live/:sessionName/close
+     * @authentication Teacher (session.run)
+     * @description Stop accepting answers for the current question before the countdown ends.
+     */
+    this.router.post('/teacher/live/:sessionName/close', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        return res.json(this.liveSessionService.closeQuestion(sessionName));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Finish Live Session
+     * @name FinishLiveSession
+     * @route POST /api/teacher/live/:sessionName/finish
+     * @authentication Teacher (session.run)
+     * @description Grade and store all participants' answers and close the session.
+     * Participants receive their result link via the event stream.
+     */
+    this.router.post('/teacher/live/:sessionName/finish', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        return res.json(this.liveSessionService.finish(sessionName));
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  /**
+   * Open an SSE stream that sends getState() now and on every update of the session.
+   * getState() is called once up front so that errors still produce a JSON error response.
+   */
+  openStream(req, res, sessionName, getState) {
+    const initial = getState();
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = state => res.write(`data: ${JSON.stringify(state)}\n\n`);
+    send(initial);
+
+    const onUpdate = updatedSession => {
+      if (updatedSession !== sessionName) return;
+      try {
+        send(getState());
+      } catch (err) {
+        res.end();
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    const onShutdown = () => res.end();
+
+    this.liveSessionService.on('update', onUpdate);
+    this.liveSessionService.on('shutdown', onShutdown);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.liveSessionService.removeListener('update', onUpdate);
+      this.liveSessionService.removeListener('shutdown', onShutdown);
+    });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = LiveRouter;
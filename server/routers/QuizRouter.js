@@ -1,11 +1,12 @@
 const express = require('express');
 const multer = require('multer');
 const Constants = require('../config/constants');
-const { InvalidInputError, DemoModeRestrictionError } = require('../errors');
+const { Permission } = require('../config/permissions');
+const { InvalidInputError } = require('../errors');
 
 /**
  * Quiz Router
- * Quiz CRUD and media management.
+ * Quiz CRUD, media management and sharing.
  * @module routers/QuizRouter
  */
 class QuizRouter {
@@ -40,13 +41,15 @@ class QuizRouter {
   }
 
   setupRoutes() {
-    const teacherOnly = this.authService.requireTeacher();
+    const can = (permission) => this.authService.requirePermission(permission);
+    // Quizzes without any role answer 404, missing permissions 403
+    const canOnQuiz = (permission) => this.authService.requireQuizPermission(permission);
 
     /**
      * Create Quiz
      * @name CreateQuiz
      * @route POST /api/teacher/createQuiz
-     * @authentication Teacher
+     * @authentication Teacher (quiz.create)
      * @description Create a new empty quiz.
      *
      * @example
@@ -57,15 +60,10 @@ class QuizRouter {
      * // Response 200 OK
      * { "ok": true, "quizId": "abc123", "title": "JavaScript Basics" }
      */
-    this.router.post('/teacher/createQuiz', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/createQuiz', can(Permission.QUIZ_CREATE), async (req, res, next) => {
       try {
-        // Block in demo mode
-        if (this.authService.isDemoMode(req.session)) {
-          throw new DemoModeRestrictionError('Creating quizzes');
-        }
-
         const { title, imagePath, language } = req.body;
-        const result = this.quizService.createQuiz(title, imagePath, language);
+        const result = this.quizService.createQuiz(title, imagePath, language, req.session.teacherId);
         return res.json({ ok: true, ...result });
       } catch (err) {
         next(err);
@@ -76,8 +74,8 @@ class QuizRouter {
      * Save Quiz
      * @name SaveQuiz
      * @route POST /api/teacher/saveQuiz
-     * @authentication Teacher
-     * @description Save quiz content (questions, options).
+     * @authentication Teacher (quiz.edit, or quiz.create without quizId)
+     * @description Save quiz content (questions, options). Without "quizId" a new quiz is created.
      *
      * @example
      * // Request
@@ -87,18 +85,17 @@ class QuizRouter {
      * // Response 200 OK
      * { "ok": true, "quizId": "abc123" }
      */
-    this.router.post('/teacher/saveQuiz', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/saveQuiz', can(Permission.QUIZ_READ), async (req, res, next) => {
       try {
         const { quiz, quizId } = req.body;
 
-        // In demo mode: validate but don't save, return success with demoMode flag
-        if (this.authService.isDemoMode(req.session)) {
-          this.quizValidator.validateQuiz(quiz);
-          return res.json({ ok: true, quizId, demoMode: true });
+        if (quizId) {
+          this.authService.checkQuizPermission(req.session, quizId, Permission.QUIZ_EDIT);
+        } else {
+          this.authService.checkPermission(req.session.role, Permission.QUIZ_CREATE);
         }
-
         this.quizValidator.validateQuiz(quiz);
-        const result = this.quizService.saveQuiz(quiz, quizId);
+        const result = this.quizService.saveQuiz(quiz, quizId, req.session.teacherId);
         return res.json({ ok: true, ...result });
       } catch (err) {
         next(err);
@@ -109,18 +106,18 @@ class QuizRouter {
      * Upload Quiz JSON
      * @name UploadQuiz
      * @route POST /api/teacher/uploadQuiz
-     * @authentication Teacher
+     * @authentication Teacher (quiz.create)
      * @description Upload complete quiz as JSON.
      *
      * @example
      * // Request: Full quiz JSON object
      * { "title": "...", "questions": [...] }
      */
-    this.router.post('/teacher/uploadQuiz', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/uploadQuiz', can(Permission.QUIZ_CREATE), async (req, res, next) => {
       try {
         const quiz = req.body;
         this.quizValidator.validateQuiz(quiz);
-        const result = this.quizService.uploadQuiz(quiz);
+        const result = this.quizService.uploadQuiz(quiz, req.session.teacherId);
         return res.json({ ok: true, ...result });
       } catch (err) {
         next(err);
@@ -131,22 +128,23 @@ class QuizRouter {
      * Get All Quizzes
      * @name GetAllQuizzes
      * @route GET /api/teacher/quizzes
-     * @authentication Teacher
-     * @description List all quizzes.
+     * @authentication Teacher (quiz.read)
+     * @description List the quizzes of the logged-in account and the quizzes shared with it
+     * (admins also see quizzes without owner, e.g. synced from disk), each with the account's
+     * role for the quiz and the permissions of that role.
      *
      * @example
      * // Response 200 OK
-     * [{ "id": "abc123", "title": "JavaScript Basics", "questionCount": 10 }]
+     * [{ "id": "abc123", "title": "JavaScript Basics", "role": "coEditor",
+     *    "permissions": ["quiz.read", "quiz.edit", "session.create", "session.run", "results.read", "results.grade"] }]
      */
-    this.router.get('/teacher/quizzes', teacherOnly, async (req, res, next) => {
+    this.router.get('/teacher/quizzes', can(Permission.QUIZ_READ), async (req, res, next) => {
       try {
-        let quizzes = this.quizService.getAllQuizzes();
-
-        // In demo mode: filter to only show demo quiz
-        if (this.authService.isDemoMode(req.session)) {
-          const demoQuizPath = this.authService.getDemoQuizPath(req.session);
-          quizzes = quizzes.filter(q => q.media_path === demoQuizPath || q.id === demoQuizPath);
-        }
+        const quizzes = this.quizService.getAllQuizzes(this.authService.getAccessScope(req.session))
+          .map(({ teacher_id, ...quiz }) => ({
+            ...quiz,
+            ...this.authService.describeRole(this.authService.getQuizRole(req.session, { ...quiz, teacher_id }))
+          }));
 
         return res.json(quizzes);
       } catch (err) {
@@ -158,14 +156,14 @@ class QuizRouter {
      * Get Quiz
      * @name GetQuiz
      * @route GET /api/teacher/quiz/:quizId
-     * @authentication Teacher
+     * @authentication Teacher (quiz.read)
      * @description Get quiz with all questions and options.
      *
      * @example
      * // Response 200 OK
      * { "title": "JavaScript Basics", "questions": [...] }
      */
-    this.router.get('/teacher/quiz/:quizId', teacherOnly, async (req, res, next) => {
+    this.router.get('/teacher/quiz/:quizId', canOnQuiz(Permission.QUIZ_READ), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         const quiz = this.quizService.loadQuiz(quizId);
@@ -179,14 +177,14 @@ class QuizRouter {
      * Validate Quiz
      * @name ValidateQuiz
      * @route POST /api/teacher/quiz/:quizId/validate
-     * @authentication Teacher
+     * @authentication Teacher (quiz.read)
      * @description Validate quiz structure and content.
      *
      * @example
      * // Response 200 OK
      * { "valid": true, "errors": [], "warnings": [] }
      */
-    this.router.post('/teacher/quiz/:quizId/validate', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/quiz/:quizId/validate', canOnQuiz(Permission.QUIZ_READ), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         const quiz = this.quizService.loadQuiz(quizId);
@@ -201,20 +199,15 @@ class QuizRouter {
      * Delete Quiz
      * @name DeleteQuiz
      * @route DELETE /api/teacher/quiz/:quizId
-     * @authentication Teacher
-     * @description Delete quiz and all related sessions/submissions.
+     * @authentication Teacher (quiz.delete)
+     * @description Delete quiz and all related sessions/submissions. Co-editors cannot delete quizzes.
      *
      * @example
      * // Response 200 OK
      * { "ok": true, "message": "Quiz and all related data deleted successfully" }
      */
-    this.router.delete('/teacher/quiz/:quizId', teacherOnly, async (req, res, next) => {
+    this.router.delete('/teacher/quiz/:quizId', canOnQuiz(Permission.QUIZ_DELETE), async (req, res, next) => {
       try {
-        // Block in demo mode
-        if (this.authService.isDemoMode(req.session)) {
-          throw new DemoModeRestrictionError('Deleting quizzes');
-        }
-
         const { quizId } = req.params;
         const result = this.quizService.deleteQuiz(quizId);
         return res.json({ ok: true, ...result, message: 'Quiz and all related data deleted successfully' });
@@ -227,7 +220,7 @@ class QuizRouter {
      * Upload Media
      * @name UploadMedia
      * @route POST /api/teacher/uploadMedia/:quizId
-     * @authentication Teacher
+     * @authentication Teacher (quiz.edit)
      * @description Upload image/video file for quiz.
      *
      * @example
@@ -237,7 +230,7 @@ class QuizRouter {
      * // Response 200 OK
      * { "ok": true, "filename": "image.png", "path": "quizzes/abc123/media/image.png" }
      */
-    this.router.post('/teacher/uploadMedia/:quizId', teacherOnly, this.upload.single('file'), async (req, res, next) => {
+    this.router.post('/teacher/uploadMedia/:quizId', canOnQuiz(Permission.QUIZ_EDIT), this.upload.single('file'), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         const file = req.file;
@@ -252,14 +245,14 @@ class QuizRouter {
      * Get Media Files
      * @name GetMediaFiles
      * @route GET /api/teacher/media/:quizId
-     * @authentication Teacher
+     * @authentication Teacher (quiz.read)
      * @description List all media files for a quiz.
      *
      * @example
      * // Response 200 OK
      * { "files": ["image1.png", "diagram.svg", "video.mp4"] }
      */
-    this.router.get('/teacher/media/:quizId', teacherOnly, async (req, res, next) => {
+    this.router.get('/teacher/media/:quizId', canOnQuiz(Permission.QUIZ_READ), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         const files = this.mediaService.getMediaFiles(quizId);
@@ -273,14 +266,14 @@ class QuizRouter {
      * Delete Media File
      * @name DeleteMediaFile
      * @route DELETE /api/teacher/media/:quizId/:filename
-     * @authentication Teacher
+     * @authentication Teacher (quiz.edit)
      * @description Delete a media file.
      *
      * @example
      * // Response 200 OK
      * { "ok": true, "deleted": "image.png" }
      */
-    this.router.delete('/teacher/media/:quizId/:filename', teacherOnly, async (req, res, next) => {
+    this.router.delete('/teacher/media/:quizId/:filename', canOnQuiz(Permission.QUIZ_EDIT), async (req, res, next) => {
       try {
         const { quizId, filename } = req.params;
         const result = this.mediaService.deleteMediaFile(quizId, filename);
@@ -290,6 +283,73 @@ class QuizRouter {
       }
     });
 
+    /**
+     * Get Quiz Shares
+     * @name GetQuizShares
+     * @route GET /api/teacher/quiz/:quizId/shares
+     * @authentication Teacher (quiz.share)
+     * @description Accounts the quiz is shared with and their role ("coEditor" or "viewer").
+     *
+     * @example
+     * // Response 200 OK
+     * { "shares": [{ "username": "schmidt", "displayName": "Herr Schmidt", "role": "coEditor", "createdAt": "..." }] }
+     */
+    this.router.get('/teacher/quiz/:quizId/shares', canOnQuiz(Permission.QUIZ_SHARE), async (req, res, next) => {
+      try {
+        return res.json({ shares: this.authService.getQuizShares(req.params.quizId) });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Share Quiz
+     * @name ShareQuiz
+     * @route PUT /api/teacher/quiz/:quizId/shares/:username
+     * @authentication Teacher (quiz.share)
+     * @description Share the quiz and its sessions with another account, or change the role of a share.
+     * Co-editors edit the quiz, run sessions and grade, but cannot delete or share the quiz;
+     * viewers only see statistics and exports. Viewer accounts can only get the role "viewer".
+     *
+     * @example
+     * // Request
+     * { "role": "coEditor" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "shares": [{ "username": "schmidt", "displayName": "Herr Schmidt", "role": "coEditor", "createdAt": "..." }] }
+     */
+    this.router.put('/teacher/quiz/:quizId/shares/:username', canOnQuiz(Permission.QUIZ_SHARE), async (req, res, next) => {
+      try {
+        const { quizId, username } = req.params;
+        this.authService.shareQuiz(quizId, username, req.body.role);
+        return res.json({ ok: true, shares: this.authService.getQuizShares(quizId) });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Unshare Quiz
+     * @name UnshareQuiz
+     * @route DELETE /api/teacher/quiz/:quizId/shares/:username
+     * @authentication Teacher (quiz.share)
+     * @description Revoke the access of an account to the quiz. Sessions the account created stay its own.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "shares": [] }
+     */
+    this.router.delete('/teacher/quiz/:quizId/shares/:username', canOnQuiz(Permission.QUIZ_SHARE), async (req, res, next) => {
+      try {
+        const { quizId, username } = req.params;
+        this.authService.unshareQuiz(quizId, username);
+        return res.json({ ok: true, shares: this.authService.getQuizShares(quizId) });
+      } catch (err) {
+        next(err);
+      }
+    });
+
     /**
      * Serve Media File
      * @name ServeMediaFile
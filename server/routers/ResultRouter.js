@@ -6,8 +6,9 @@ const express = require('express');
  * @module routers/ResultRouter
  */
 class ResultRouter {
-  constructor(gradingService) {
+  constructor(gradingService, translationService) {
     this.gradingService = gradingService;
+    this.translationService = translationService;
     this.router = express.Router();
     this.setupRoutes();
   }
@@ -18,6 +19,14 @@ class ResultRouter {
      * @name GetResult
      * @route GET /api/result/:resultId
      * @description Retrieve quiz result by unique result link ID. No authentication required.
+     * In sessions with several attempts the result also lists the participant's attempts
+     * and the score that counts ("finalScore", according to "scorePolicy").
+     * The session's feedback policy decides what is shown: before the release time (or while the
+     * teacher withholds the results) only { "released": false, "open_after": <release time or null>,
+     * "withheld" } is returned, plus "score"/"maxScore" if the session shows the score immediately.
+     * Without solutions ("feedback.showSolutions": false) the details contain the participant's
+     * answers and points, but no correct answers; "feedback.showExplanations" ("all", "wrong", "none")
+     * limits the explanations.
      *
      * @example
      * // Request
@@ -30,8 +39,19 @@ class ResultRouter {
      *   "userCode": "student1",
      *   "score": 8,
      *   "maxScore": 10,
-     *   "answers": [...]
+     *   "released": true,
+     *   "feedback": { "showSolutions": true, "showExplanations": "all" },
+     *   "details": [...],
+     *   "attempt": 2,
+     *   "scorePolicy": "best",
+     *   "finalScore": { "score": 9, "maxScore": 10 },
+     *   "attempts": [{ "attempt": 1, "score": 9, "maxScore": 10, "created_at": "...", "resultLink": "/result/?id=...", "current": false }, ...]
      * }
+     *
+     * @example
+     * // Response 200 OK (not released yet, score shown immediately)
+     * { "released": false, "open_after": "2025-03-01T12:00:00.000Z", "withheld": false,
+     *   "quizTitle": "JavaScript Basics", "userCode": "student1", "score": 8, "maxScore": 10, "pendingReview": false }
      */
     this.router.get('/result/:resultId', async (req, res, next) => {
       try {
@@ -42,6 +62,50 @@ class ResultRouter {
         next(err);
       }
     });
+
+    /**
+     * Translate Result
+     * @name TranslateResult
+     * @route GET /api/result/:resultId/translation?lang=de
+     * @description Texts of the result's questions translated with DeepL (see TranslateQuiz): question text,
+     * keyword, explanation ("reason") and option texts with the explanations the result shows (feedback policy
+     * of the session). Only available once the result is released; before, the response is
+     * { "released": false, "open_after": ... } as for GetResult.
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "translated": true, "cached": true, "sourceLang": "de", "targetLang": "en",
+     *   "quiz": { "title": "Our Earth", "questions": [{ "id": "q1", "keyword": "Oceans", "text": "...", "reason": "...",
+     *             "options": [{ "id": "a", "text": "Pacific", "reason": "..." }] }] }
+     * }
+     */
+    this.router.get('/result/:resultId/translation', async (req, res, next) => {
+      try {
+        const { resultId } = req.params;
+        const { lang } = req.query;
+
+        if (!lang) {
+          return res.status(400).json({
+            error: 'Missing language parameter',
+            message: 'Please provide ?lang=de|en|es'
+          });
+        }
+
+        const { quiz, result } = this.gradingService.getResultQuiz(resultId);
+        if (!quiz) {
+          return res.json({ released: false, open_after: result.open_after });
+        }
+
+        const translation = await this.translationService.translateQuiz(quiz, lang);
+        return res.json({
+          ...translation,
+          quiz: this.gradingService.toResultTexts(translation.quiz, result)
+        });
+      } catch (err) {
+        next(err);
+      }
+    });
   }
 
   getRouter() {
@@ -0,0 +1,195 @@
+const express = require('express');
+const { Permission } = require('../config/permissions');
+
+/**
+ * Roster Router
+ * Class rosters of the logged-in teacher: student lists with personal codes.
+ * @module routers/RosterRouter
+ */
+class RosterRouter {
+  constructor(rosterService, authService) {
+    this.rosterService = rosterService;
+    this.authService = authService;
+    this.router = express.Router();
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    const canManage = this.authService.requirePermission(Permission.ROSTERS_MANAGE);
+
+    /**
+     * List Rosters
+     * @name ListRosters
+     * @route GET /api/teacher/rosters
+     * @authentication Teacher (rosters.manage)
+     * @description Rosters of the logged-in account with the number of students and of sessions using them.
+     *
+     * @example
+     * // Response 200 OK
+     * { "rosters": [{ "id": "r1a2...", "name": "Class 7b", "studentCount": 24, "sessionCount": 2,
+     *                 "createdAt": "2025-02-01T08:00:00.000Z" }] }
+     */
+    this.router.get('/teacher/rosters', canManage, async (req, res, next) => {
+      try {
+        const rosters = this.rosterService.getRosters(req.session.teacherId);
+        return res.json({ rosters });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Import Roster
+     * @name ImportRoster
+     * @route POST /api/teacher/rosters
+     * @authentication Teacher (rosters.manage)
+     * @description Create a roster from a CSV student list: one student per line, "name" or "name;code"
+     * (semicolon, tab or comma separated, optional header line "name;code"). Students without code get a
+     * generated personal code (6 characters); own codes (e.g. a PIN) need 4-32 letters, digits, - or _
+     * and are stored in upper case. Students enter their code instead of a name in sessions restricted
+     * to the roster (see CreateSession, "rosterId").
+     *
+     * @example
+     * // Request
+     * { "name": "Class 7b", "csv": "name;code\nAnna Berger\nBen Cohen;4711" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "roster": { "id": "r1a2...", "name": "Class 7b", "createdAt": "...",
+     *   "students": [{ "id": "s1...", "name": "Anna Berger", "code": "K7QMX2" }, { "id": "s2...", "name": "Ben Cohen", "code": "4711" }] } }
+     */
+    this.router.post('/teacher/rosters', canManage, async (req, res, next) => {
+      try {
+        const { name, csv } = req.body;
+        const roster = this.rosterService.createRoster(name, csv, req.session.teacherId);
+        return res.json({ ok: true, roster });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Get Roster
+     * @name GetRoster
+     * @route GET /api/teacher/rosters/:rosterId
+     * @authentication Teacher (rosters.manage)
+     * @description Roster with its students and their personal codes (404 for rosters of other accounts).
+     *
+     * @example
+     * // Response 200 OK
+     * { "id": "r1a2...", "name": "Class 7b", "createdAt": "...",
+     *   "students": [{ "id": "s1...", "name": "Anna Berger", "code": "K7QMX2" }] }
+     */
+    this.router.get('/teacher/rosters/:rosterId', canManage, async (req, res, next) => {
+      try {
+        const roster = this.rosterService.getRoster(req.params.rosterId, req.session.teacherId);
+        return res.json(roster);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Export Roster Codes
+     * @name ExportRosterCodes
+     * @route GET /api/teacher/rosters/:rosterId/codes.csv
+     * @authentication Teacher (rosters.manage)
+     * @description Download names and personal codes as CSV, e.g. to hand out the codes.
+     *
+     * @example
+     * // Response 200 OK (Content-Type: text/csv)
+     * // name;code
+     * // "Anna Berger";K7QMX2
+     */
+    this.router.get('/teacher/rosters/:rosterId/codes.csv', canManage, async (req, res, next) => {
+      try {
+        const { content, filename, contentType } = this.rosterService.exportCodesCSV(
+          req.params.rosterId, req.session.teacherId);
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(content);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Add Roster Students
+     * @name AddRosterStudents
+     * @route POST /api/teacher/rosters/:rosterId/students
+     * @authentication Teacher (rosters.manage)
+     * @description Add students from a CSV student list (same format as ImportRoster).
+     * Codes already used in the roster are rejected.
+     *
+     * @example
+     * // Request
+     * { "csv": "Clara Diaz" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "roster": { "id": "r1a2...", "name": "Class 7b", "students": [...] } }
+     */
+    this.router.post('/teacher/rosters/:rosterId/students', canManage, async (req, res, next) => {
+      try {
+        const roster = this.rosterService.addStudents(req.params.rosterId, req.body.csv, req.session.teacherId);
+        return res.json({ ok: true, roster });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Remove Roster Student
+     * @name RemoveRosterStudent
+     * @route DELETE /api/teacher/rosters/:rosterId/students/:studentId
+     * @authentication Teacher (rosters.manage)
+     * @description Remove a student. Their submissions are kept, but no longer shown with their name.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true }
+     */
+    this.router.delete('/teacher/rosters/:rosterId/students/:studentId', canManage, async (req, res, next) => {
+      try {
+        const { rosterId, studentId } = req.params;
+        this.rosterService.deleteStudent(rosterId, studentId, req.session.teacherId);
+        return res.json({ ok: true });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Delete Roster
+     * @name DeleteRoster
+     * @route DELETE /api/teacher/rosters/:rosterId
+     * @authentication Teacher (rosters.manage)
+     * @description Delete a roster with its students. Rosters used by a session cannot be deleted
+     * (409), so the results of the session keep the names.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true }
+     *
+     * @example
+     * // Response 409 Conflict
+     * { "error": "The roster 'Class 7b' is used by 2 session(s) and cannot be deleted",
+     *   "errorDetails": { "type": "ConflictError" } }
+     */
+    this.router.delete('/teacher/rosters/:rosterId', canManage, async (req, res, next) => {
+      try {
+        this.rosterService.deleteRoster(req.params.rosterId, req.session.teacherId);
+        return res.json({ ok: true });
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = RosterRouter;
@@ -0,0 +1,112 @@
+const express = require('express');
+const { Permission } = require('../config/permissions');
+
+/**
+ * Schedule Router
+ * Recurring sessions of a quiz (weekdays and time of day), created ahead of time.
+ * @module routers/ScheduleRouter
+ */
+class ScheduleRouter {
+  constructor(scheduleService, authService) {
+    this.scheduleService = scheduleService;
+    this.authService = authService;
+    this.router = express.Router();
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    const canOnQuiz = (permission) => this.authService.requireQuizPermission(permission);
+
+    /**
+     * List Session Schedules
+     * @name ListSessionSchedules
+     * @route GET /api/teacher/quiz/:quizId/schedules
+     * @authentication Teacher (results.read on the quiz)
+     * @description Schedules of a quiz with their rule, session settings and the number and first
+     * start of their upcoming sessions.
+     *
+     * @example
+     * // Response 200 OK
+     * { "schedules": [{ "id": "f3c1...", "weekdays": ["mon", "wed"], "startTime": "08:00", "endTime": "08:45",
+     *   "startsOn": "2025-02-03", "until": "2025-06-27", "settings": { "mode": "selfPaced", "maxAttempts": 1, ... },
+     *   "upcomingSessions": 4, "nextOpenFrom": "2025-02-03T07:00:00.000Z", "createdAt": "..." }] }
+     */
+    this.router.get('/teacher/quiz/:quizId/schedules', canOnQuiz(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const schedules = this.scheduleService.getSchedules(req.params.quizId);
+        return res.json({ schedules });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Create Session Schedule
+     * @name CreateSessionSchedule
+     * @route POST /api/teacher/quiz/:quizId/schedules
+     * @authentication Teacher (session.create on the quiz)
+     * @description Create a session on every given weekday ("mon" ... "sun") from "startTime" to "endTime"
+     * (HH:MM, server time zone), from "startsOn" (YYYY-MM-DD, default today) until "until" (at most one year).
+     * The sessions are created 14 days ahead and named after their start; each one can be changed or
+     * deleted like any other session (see UpdateSession, DeleteSession) without affecting the others.
+     * The other fields are the session settings of CreateSession, except live mode and "releaseAt"
+     * (results are released when each session closes, or withheld with "withholdResults").
+     *
+     * @example
+     * // Request
+     * { "weekdays": ["mon", "wed"], "startTime": "08:00", "endTime": "08:45", "until": "2025-06-27",
+     *   "timeLimitSeconds": 900, "rosterId": "r1a2...", "listed": false }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "schedule": { "id": "f3c1...", "weekdays": ["mon", "wed"], ..., "upcomingSessions": 4,
+     *   "sessionNames": ["2025-02-03-08-00", "2025-02-05-08-00", "2025-02-10-08-00", "2025-02-12-08-00"] } }
+     */
+    this.router.post('/teacher/quiz/:quizId/schedules', canOnQuiz(Permission.SESSION_CREATE), async (req, res, next) => {
+      try {
+        const {
+          weekdays, startTime, endTime, startsOn, until,
+          mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw, maxAttempts, scorePolicy, linearNavigation,
+          rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+        } = req.body;
+        const schedule = this.scheduleService.createSchedule(req.params.quizId, {
+          weekdays, startTime, endTime, startsOn, until,
+          settings: {
+            mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw, maxAttempts, scorePolicy, linearNavigation,
+            rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+          }
+        }, req.session.teacherId);
+        return res.json({ ok: true, schedule });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Delete Session Schedule
+     * @name DeleteSessionSchedule
+     * @route DELETE /api/teacher/quiz/:quizId/schedules/:scheduleId
+     * @authentication Teacher (session.delete on the quiz)
+     * @description Stop the schedule and delete its sessions that have not started yet.
+     * Sessions that have started are kept with their submissions.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "deletedSessions": 4 }
+     */
+    this.router.delete('/teacher/quiz/:quizId/schedules/:scheduleId', canOnQuiz(Permission.SESSION_DELETE), async (req, res, next) => {
+      try {
+        const { deletedSessions } = this.scheduleService.deleteSchedule(req.params.quizId, req.params.scheduleId);
+        return res.json({ ok: true, deletedSessions });
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+module.exports = ScheduleRouter;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { DemoModeRestrictionError } = require('../errors');
+const { Permission } = require('../config/permissions');
 
 /**
  * Session Router
@@ -17,32 +17,67 @@ class SessionRouter {
   }
 
   setupRoutes() {
-    const teacherOnly = this.authService.requireTeacher();
+    const can = (permission) => this.authService.requirePermission(permission);
+    // Sessions without any role answer 404, missing permissions 403
+    const canOnSession = (permission) => this.authService.requireSessionPermission(permission);
+    const canOnQuiz = (permission) => this.authService.requireQuizPermission(permission);
 
     /**
      * Create Session
      * @name CreateSession
      * @route POST /api/teacher/createSession
-     * @authentication Teacher
+     * @authentication Teacher (session.create on the quiz)
      * @description Create a new quiz session with optional time window.
+     * With "mode": "live" the teacher advances the questions (no time window);
+     * "mode": "practice" gives immediate feedback per answer (see CheckAnswer) and shows results right away.
+     * "timeLimitSeconds" limits each participant's attempt (10-86400 seconds, counted from the attempt start).
+     * "shuffleQuestions" / "shuffleOptions" give each participant their own (reproducible) order.
+     * "draw" gives each participant a random subset of the questions: every rule draws "count" questions,
+     * optionally only among questions with the given "tag" or "keyword".
+     * "maxAttempts" allows several attempts per participant (default 1 = exam, 0 = unlimited);
+     * "scorePolicy" ("best", "last" or "average") selects the score that counts.
+     * "linearNavigation" (exams) only lets students move forward and submits after the last question,
+     * without going back or reviewing the answers.
+     * "rosterId" restricts the session to a class roster of the account (see ImportRoster): only the
+     * students' personal codes are accepted as user codes, and results show their names.
+     * Without it the session is anonymous (any user code).
+     * Feedback policy: result details are released at "releaseAt" (default: when the session closes;
+     * practice sessions right away) or, with "withholdResults", only when the teacher releases them
+     * (see ReleaseSessionResults). "showScoreImmediately" shows the score right after submitting,
+     * "showSolutions": false never shows the correct answers, and "showExplanations" ("all", "wrong"
+     * or "none") shows the explanations for all questions, only for questions without full points or never.
+     * Practice sessions show solutions and explanations after each answer, so they reject "showSolutions": false
+     * and "showExplanations" other than "all" (400).
+     * Every session gets a short "joinCode" (6 letters and digits without 0/O, 1/I/L) for the join link
+     * /join/CODE (see JoinSession); "listed": false hides it from the public list of open sessions, so
+     * only students with the code or link can find it.
      *
      * @example
      * // Request
-     * { "quizId": "abc123", "open_from": "2024-01-01T09:00", "open_until": "2024-01-01T17:00" }
+     * { "quizId": "abc123", "open_from": "2024-01-01T09:00", "open_until": "2024-01-01T17:00", "timeLimitSeconds": 900,
+     *   "shuffleQuestions": true, "shuffleOptions": true, "draw": [{ "count": 3, "tag": "algebra" }, { "count": 7 }],
+     *   "releaseAt": "2024-01-02T08:00", "showScoreImmediately": true, "showExplanations": "wrong" }
      *
      * @example
      * // Response 200 OK
-     * { "ok": true, "sessionName": "quiz-2024-01-01", "sessionId": "xyz789" }
+     * { "ok": true, "sessionName": "2024-01-01-09-00", "sessionId": "xyz789", "joinCode": "K7QMX2" }
      */
-    this.router.post('/teacher/createSession', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/createSession', can(Permission.QUIZ_READ), async (req, res, next) => {
       try {
-        // Block in demo mode
-        if (this.authService.isDemoMode(req.session)) {
-          throw new DemoModeRestrictionError('Creating sessions');
+        const {
+          quizId, open_from, open_until, mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw,
+          maxAttempts, scorePolicy, linearNavigation, rosterId,
+          releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+        } = req.body;
+        if (quizId) {
+          this.authService.checkQuizPermission(req.session, quizId, Permission.SESSION_CREATE);
         }
-
-        const { quizId, open_from, open_until } = req.body;
-        const result = this.sessionService.createSession(quizId, open_from, open_until);
+        const result = this.sessionService.createSession(quizId, open_from, open_until,
+          {
+            mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw, maxAttempts, scorePolicy, linearNavigation, rosterId,
+            releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+          },
+          req.session.teacherId);
         return res.json({ ok: true, ...result });
       } catch (err) {
         next(err);
@@ -53,12 +88,14 @@ class SessionRouter {
      * Get Currently Open Sessions
      * @name GetCurrentlyOpenSessions
      * @route GET /api/sessions/open
-     * @description Get all sessions that are currently open (open_from <= now <= open_until).
-     * Public endpoint for students.
+     * @description Get all sessions that are currently open (open_from <= now <= open_until),
+     * except unlisted ones (see CreateSession, "listed"). Public endpoint for students. "roster_required" is 1 for sessions restricted to a class roster
+     * (students enter their personal code).
      *
      * @example
      * // Response 200 OK
-     * [{ "session_name": "2024-01-01-09-00", "title": "JavaScript Basics", "open_until": "2024-01-03T17:00:00Z" }]
+     * [{ "session_name": "2024-01-01-09-00", "title": "JavaScript Basics", "open_until": "2024-01-03T17:00:00Z",
+     *    "roster_required": 0 }]
      */
     this.router.get('/sessions/open', async (req, res, next) => {
       try {
@@ -69,20 +106,54 @@ class SessionRouter {
       }
     });
 
+    /**
+     * Join Session
+     * @name JoinSession
+     * @route GET /api/join/:joinCode
+     * @description Open session for a join code, in the form of GetCurrentlyOpenSessions - also for
+     * unlisted sessions. The code is case-insensitive; spaces and hyphens are ignored. The join link
+     * /join/CODE opens the quiz page, which looks the code up here. Public endpoint for students.
+     *
+     * @example
+     * // Response 200 OK
+     * { "session_name": "2024-01-01-09-00", "title": "JavaScript Basics", "open_until": "2024-01-03T17:00:00Z",
+     *   "mode": "selfPaced", "roster_required": 0 }
+     *
+     * @example
+     * // Response 404 Not Found (unknown code), 422 (session not open yet or closed)
+     * { "error": "Session with ID 'K7QMX3' not found", "errorDetails": { "type": "NotFoundError" } }
+     */
+    this.router.get('/join/:joinCode', async (req, res, next) => {
+      try {
+        const session = this.sessionService.getSessionByJoinCode(req.params.joinCode);
+        return res.json(session);
+      } catch (err) {
+        next(err);
+      }
+    });
+
     /**
      * Get All Sessions
      * @name GetAllSessions
      * @route GET /api/sessions/all?limit=100
-     * @description Get all sessions with optional limit.
+     * @authentication Teacher (results.read)
+     * @description Get the sessions of the logged-in account and of the quizzes it has a role for,
+     * with optional limit (admins also see sessions without owner). Each session has the account's
+     * role for it and the permissions of that role, and the name of its class roster (null = anonymous).
      *
      * @example
      * // Response 200 OK
-     * { "sessions": [{ "sessionName": "...", "quizTitle": "...", "created_at": "..." }] }
+     * { "sessions": [{ "session_name": "...", "title": "...", "created_at": "...", "role": "viewer",
+     *                  "permissions": ["quiz.read", "results.read"] }] }
      */
-    this.router.get('/sessions/all', async (req, res, next) => {
+    this.router.get('/sessions/all', can(Permission.RESULTS_READ), async (req, res, next) => {
       try {
         const limit = parseInt(req.query.limit) || 100;
-        const sessions = this.sessionService.getAllSessions(limit);
+        const sessions = this.sessionService.getAllSessions(limit, this.authService.getAccessScope(req.session))
+          .map(({ teacher_id, ...session }) => ({
+            ...session,
+            ...this.authService.describeRole(this.authService.getSessionRole(req.session, { ...session, teacher_id }))
+          }));
         return res.json({ sessions });
       } catch (err) {
         next(err);
@@ -93,16 +164,18 @@ class SessionRouter {
      * Get Session
      * @name GetSession
      * @route GET /api/session/:sessionName
-     * @description Get session details by name.
+     * @description Public details of a session by name, in the form of JoinSession. Never contains the
+     * join code, the owner, the roster or the question draw, so unlisted sessions stay hidden.
      *
      * @example
      * // Response 200 OK
-     * { "sessionName": "quiz-2024-01-01", "quizId": "abc123", "status": "open" }
+     * { "session_name": "2024-01-01-09-00", "quiz_id": "abc123", "title": "JavaScript Basics",
+     *   "open_until": "2024-01-03T17:00:00Z", "mode": "selfPaced", "roster_required": 0 }
      */
     this.router.get('/session/:sessionName', async (req, res, next) => {
       try {
         const { sessionName } = req.params;
-        const session = this.sessionService.getSession(sessionName);
+        const session = this.sessionService.getPublicSession(sessionName);
         return res.json(session);
       } catch (err) {
         next(err);
@@ -113,42 +186,158 @@ class SessionRouter {
      * Get Session Quiz
      * @name GetSessionQuiz
      * @route GET /api/session/:sessionName/quiz
-     * @description Get quiz for a session (for students taking the quiz).
+     * @description Get quiz for a session (for students taking the quiz). The quiz contains no solutions:
+     * options only have id, text and image - no "correct" flags, explanations ("reason") or hints on the
+     * number of correct options. Solutions are part of the released result (GetResult) and of the
+     * practice feedback (CheckAnswer); teachers get the complete quiz with GetTeacherSessionQuiz.
+     * Pass "userCode" to get the participant's own question/option order in shuffled sessions
+     * (the same user code always gets the same order). Sessions with a question draw require "userCode"
+     * and return only the participant's drawn questions. Sessions restricted to a class roster require
+     * a personal code of the roster as "userCode" (403 NotOnRosterError).
+     *
+     * @example
+     * // Request
+     * GET /api/session/2024-01-01-09-00/quiz?userCode=student1
      *
      * @example
      * // Response 200 OK
-     * { "title": "JavaScript Basics", "questions": [...] }
+     * { "id": "abc123", "title": "JavaScript Basics", "language": "en",
+     *   "questions": [{ "id": "q1", "text": "...", "type": "single", "points": 1,
+     *                   "options": [{ "id": "a", "text": "var" }, { "id": "b", "text": "let" }] }] }
      */
     this.router.get('/session/:sessionName/quiz', async (req, res, next) => {
       try {
         const { sessionName } = req.params;
-        const forStat = req.query.forStat === 'true';
-        const quiz = this.sessionService.getSessionQuiz(sessionName, forStat);
+        const userCode = req.query.userCode ? String(req.query.userCode) : null;
+        const quiz = this.sessionService.getSessionQuiz(sessionName, userCode);
         return res.json(quiz);
       } catch (err) {
         next(err);
       }
     });
 
+    /**
+     * Start Attempt
+     * @name StartAttempt
+     * @route POST /api/session/:sessionName/start
+     * @description Record when a student starts the quiz. Calling it again keeps the original start.
+     * With a session time limit, submissions are only accepted until start + limit (plus a short grace period).
+     * In sessions with several attempts, each submission ends an attempt and the next call starts a new one
+     * ("maxAttempts" is null if unlimited). "draftAnswers" are the autosaved answers of the attempt (see SaveDraft),
+     * "linearNavigation" tells the quiz page to allow forward navigation only,
+     * "serverTime" is used to time-stamp a submission queued while offline (see SubmitAnswers).
+     * In sessions restricted to a class roster, "userCode" must be a personal code of the roster
+     * (403 NotOnRosterError, also for SubmitAnswers, SaveDraft and CheckAnswer); "participantName"
+     * is the student's name (null in anonymous sessions).
+     *
+     * @example
+     * // Request
+     * { "userCode": "student1" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "startedAt": "2024-01-01T09:00:00.000Z", "serverTime": "2024-01-01T09:00:00.000Z",
+     *   "timeLimitSeconds": 900, "remainingSeconds": 900,
+     *   "attempt": 1, "maxAttempts": 3, "linearNavigation": false, "draftAnswers": [{ "questionId": "q1", "chosen": ["a"] }],
+     *   "participantName": null }
+     */
+    this.router.post('/session/:sessionName/start', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const { userCode } = req.body;
+        const result = this.gradingService.startAttempt(sessionName, userCode);
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
     /**
      * Submit Quiz Answers
      * @name SubmitAnswers
      * @route POST /api/session/:sessionName/submit
-     * @description Submit student answers for grading.
+     * @description Submit student answers for grading. Each submission is stored as its own attempt;
+     * "attemptsLeft" is null if the session allows unlimited attempts.
+     * A submission queued while offline sends "submittedAt" (client time, corrected by the offset to
+     * "serverTime" of StartAttempt); it is checked against the attempt's deadline instead of the arrival
+     * time if it lies between the start of the attempt and now (at most 24 hours ago) and at most 60 seconds
+     * after the participant's last autosaved draft (see SaveDraft). Otherwise the arrival time counts.
+     * In linear sessions the answers of the last draft must be submitted unchanged (422).
      *
      * @example
      * // Request
      * { "userCode": "student1", "answers": [{ "questionId": "q1", "selected": ["a", "c"] }] }
      *
      * @example
+     * // Request (queued while offline)
+     * { "userCode": "student1", "answers": [...], "submittedAt": "2024-01-01T09:14:55.000Z" }
+     *
+     * @example
      * // Response 200 OK
-     * { "ok": true, "score": 8, "maxScore": 10, "resultLink": "result-abc123" }
+     * { "ok": true, "score": 8, "maxScore": 10, "resultLink": "result-abc123", "attempt": 1, "attemptsLeft": 2 }
      */
     this.router.post('/session/:sessionName/submit', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const { userCode, answers, submittedAt } = req.body;
+        const result = this.gradingService.submitAnswers(sessionName, userCode, answers, { submittedAt });
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Save Draft Answers
+     * @name SaveDraft
+     * @route POST /api/session/:sessionName/draft
+     * @description Autosave the answers given so far (replaces the previous draft of the participant).
+     * StartAttempt returns the draft as "draftAnswers", so the participant can resume after a reload
+     * or on another device. Submitting the attempt deletes the draft. In linear sessions the quiz page
+     * saves a draft when the participant moves on, so its answers are final: a later draft that changes
+     * or drops one of them is rejected (422).
+     *
+     * @example
+     * // Request
+     * { "userCode": "student1", "answers": [{ "questionId": "q1", "chosen": ["a"] }] }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "savedAt": "2024-01-01T09:03:12.000Z" }
+     */
+    this.router.post('/session/:sessionName/draft', async (req, res, next) => {
       try {
         const { sessionName } = req.params;
         const { userCode, answers } = req.body;
-        const result = this.gradingService.submitAnswers(sessionName, userCode, answers);
+        const result = this.gradingService.saveDraft(sessionName, userCode, answers);
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Check Practice Answer
+     * @name CheckAnswer
+     * @route POST /api/session/:sessionName/check
+     * @description Grade a single answer of a practice session right away (nothing is stored).
+     * A wrong answer returns only the explanations of the chosen options, so the participant can try again;
+     * "solution" is included once the answer is correct or with "reveal": true.
+     *
+     * @example
+     * // Request
+     * { "userCode": "student1", "answer": { "questionId": "q1", "chosen": ["a"] }, "reveal": false }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "questionId": "q1", "points": 0, "maxPoints": 1, "isCorrect": false, "pending": false,
+     *   "optionReasons": [{ "id": "a", "reason": "3 is one too few" }] }
+     */
+    this.router.post('/session/:sessionName/check', async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const { userCode, answer, reveal } = req.body;
+        const result = this.gradingService.checkAnswer(sessionName, userCode, answer, reveal === true);
         return res.json({ ok: true, ...result });
       } catch (err) {
         next(err);
@@ -159,13 +348,22 @@ class SessionRouter {
      * Get Session Statistics
      * @name GetSessionStats
      * @route GET /api/session/:sessionName/stats
-     * @description Get aggregated statistics for a session.
+     * @authentication Teacher (results.read)
+     * @description Get aggregated statistics for a session. For sessions restricted to a class roster,
+     * "roster" lists every student with their number of attempts and the score that counts under the
+     * session's score policy, as on the result page (null if they have not submitted); it is null for
+     * anonymous sessions.
+     * "feedback" is the session's feedback policy and "resultRelease" whether participants see their
+     * result details yet (see ReleaseSessionResults).
      *
      * @example
      * // Response 200 OK
-     * { "submissionCount": 25, "averageScore": 7.5, "questionStats": [...] }
+     * { "submissionCount": 25, "averageScore": 7.5, "questionStats": [...],
+     *   "roster": { "name": "Class 7b", "students": [{ "name": "Anna Berger", "code": "K7QMX2", "attempts": 1, "score": 8, "maxScore": 10 }] },
+     *   "feedback": { "showScoreImmediately": true, "showSolutions": true, "showExplanations": "all" },
+     *   "resultRelease": { "released": false, "releaseAt": "2024-01-01T17:00:00.000Z", "withheld": false } }
      */
-    this.router.get('/session/:sessionName/stats', async (req, res, next) => {
+    this.router.get('/session/:sessionName/stats', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
       try {
         const { sessionName } = req.params;
         const stats = this.exportService.exportSessionStats(sessionName);
@@ -175,18 +373,43 @@ class SessionRouter {
       }
     });
 
+    /**
+     * Get Teacher Session Quiz
+     * @name GetTeacherSessionQuiz
+     * @route GET /api/teacher/session/:sessionName/quiz
+     * @authentication Teacher (results.read)
+     * @description Complete quiz of a session with solutions and explanations, all questions in authored
+     * order (without shuffling or question draw), e.g. for the statistics page.
+     *
+     * @example
+     * // Response 200 OK
+     * { "id": "abc123", "title": "JavaScript Basics", "language": "en",
+     *   "questions": [{ "id": "q1", "text": "...", "reason": "...",
+     *                   "options": [{ "id": "a", "text": "var", "correct": false }, { "id": "b", "text": "let", "correct": true }] }] }
+     */
+    this.router.get('/teacher/session/:sessionName/quiz', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const { sessionName } = req.params;
+        const quiz = this.sessionService.getTeacherSessionQuiz(sessionName);
+        return res.json(quiz);
+      } catch (err) {
+        next(err);
+      }
+    });
+
     /**
      * Get Session Submissions
      * @name GetSessionSubmissions
      * @route GET /api/teacher/session/:sessionName/submissions
-     * @authentication Teacher
-     * @description Get all submissions for a session.
+     * @authentication Teacher (results.read)
+     * @description Get all submissions for a session. "participant_name" is the student's name in sessions
+     * restricted to a class roster (null otherwise).
      *
      * @example
      * // Response 200 OK
-     * { "submissions": [{ "userCode": "student1", "score": 8, "maxScore": 10 }] }
+     * { "submissions": [{ "user_code": "K7QMX2", "participant_name": "Anna Berger", "score": 8, "max_score": 10 }] }
      */
-    this.router.get('/teacher/session/:sessionName/submissions', teacherOnly, async (req, res, next) => {
+    this.router.get('/teacher/session/:sessionName/submissions', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
       try {
         const { sessionName } = req.params;
         const submissions = this.gradingService.getSessionSubmissions(sessionName);
@@ -196,18 +419,215 @@ class SessionRouter {
       }
     });
 
+    /**
+     * Grade Free-Text Answer
+     * @name GradeFreeTextAnswer
+     * @route POST /api/teacher/session/:sessionName/submissions/:submissionId/grade
+     * @authentication Teacher (results.grade)
+     * @description Manually grade a free-text answer and recompute the submission score.
+     *
+     * @example
+     * // Request
+     * { "questionId": "q9", "points": 1.5, "feedback": "Good, but mention the oceans." }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "score": 10.5, "maxScore": 16, "pendingReview": false }
+     */
+    this.router.post('/teacher/session/:sessionName/submissions/:submissionId/grade', canOnSession(Permission.RESULTS_GRADE), async (req, res, next) => {
+      try {
+        const { sessionName, submissionId } = req.params;
+        const { questionId, points, feedback } = req.body;
+        const result = this.gradingService.gradeManually(sessionName, submissionId, questionId, points, feedback);
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * List Quiz Sessions
+     * @name ListQuizSessions
+     * @route GET /api/teacher/quiz/:quizId/sessions
+     * @authentication Teacher (results.read on the quiz)
+     * @description Sessions of a quiz, newest first, with their join code, status ("scheduled", "open"
+     * or "closed"), time window and the number of participants (user codes) and submissions.
+     * "listed" is false for sessions hidden from the public list of open sessions; "scheduleId" is set
+     * for sessions created by a schedule (see CreateSessionSchedule).
+     *
+     * @example
+     * // Response 200 OK
+     * { "sessions": [{ "sessionName": "2024-01-01-09-00", "joinCode": "K7QMX2", "listed": true,
+     *   "mode": "selfPaced", "status": "open",
+     *   "openFrom": "2024-01-01T09:00:00.000Z", "openUntil": "2024-01-01T10:00:00.000Z",
+     *   "participants": 24, "submissions": 26, "rosterName": null, "scheduleId": null,
+     *   "createdAt": "2024-01-01T09:00:00.000Z" }] }
+     */
+    this.router.get('/teacher/quiz/:quizId/sessions', canOnQuiz(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const sessions = this.sessionService.getQuizSessions(req.params.quizId);
+        return res.json({ sessions });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Update Session
+     * @name UpdateSession
+     * @route PUT /api/teacher/session/:sessionName
+     * @authentication Teacher (session.run)
+     * @description Extend or shorten the time window ("open_from", "open_until"; null = no end) and/or
+     * rename the session ("sessionName": 3-64 letters, digits, - or _) and/or show or hide it in the
+     * public list of open sessions ("listed"). Omitted fields stay unchanged.
+     * Renaming keeps the submissions, result links and the join code, but the old quiz link stops working.
+     * Live sessions are started and ended from the presenter view (422); finished ones can be renamed.
+     *
+     * @example
+     * // Request
+     * { "open_until": "2024-01-01T11:00:00.000Z", "sessionName": "7b-algebra-test" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "session": { "sessionName": "7b-algebra-test", "status": "open", "openUntil": "2024-01-01T11:00:00.000Z", ... } }
+     *
+     * @example
+     * // Response 409 Conflict
+     * { "error": "A session named '7b-algebra-test' already exists", "errorDetails": { "type": "SessionNameTakenError" } }
+     */
+    this.router.put('/teacher/session/:sessionName', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const { open_from, open_until, sessionName, listed } = req.body;
+        const session = this.sessionService.updateSession(req.params.sessionName, {
+          openFrom: open_from, openUntil: open_until, newName: sessionName, listed
+        });
+        return res.json({ ok: true, session });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Close Session
+     * @name CloseSession
+     * @route POST /api/teacher/session/:sessionName/close
+     * @authentication Teacher (session.run)
+     * @description Close the session now: no more starts or submissions, and results are released
+     * unless the session has its own release time (see CreateSession, feedback policy).
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "session": { "sessionName": "2024-01-01-09-00", "status": "closed", "openUntil": "2024-01-01T09:40:00.000Z", ... } }
+     */
+    this.router.post('/teacher/session/:sessionName/close', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const session = this.sessionService.closeSession(req.params.sessionName);
+        return res.json({ ok: true, session });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Reopen Session
+     * @name ReopenSession
+     * @route POST /api/teacher/session/:sessionName/reopen
+     * @authentication Teacher (session.run)
+     * @description Open a closed (or scheduled) session right away until "open_until" (in the future,
+     * null = no end). Results that were already shown wait for the new end (or release time) again.
+     *
+     * @example
+     * // Request
+     * { "open_until": "2024-01-02T10:00:00.000Z" }
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "session": { "sessionName": "2024-01-01-09-00", "status": "open", ... } }
+     */
+    this.router.post('/teacher/session/:sessionName/reopen', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const session = this.sessionService.reopenSession(req.params.sessionName, req.body.open_until ?? null);
+        return res.json({ ok: true, session });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Delete Session
+     * @name DeleteSession
+     * @route DELETE /api/teacher/session/:sessionName
+     * @authentication Teacher (session.delete)
+     * @description Delete the session together with its submissions, attempts and drafts (one transaction).
+     * Result links of the session stop working.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "sessionName": "2024-01-01-09-00", "submissions": 26 }
+     */
+    this.router.delete('/teacher/session/:sessionName', canOnSession(Permission.SESSION_DELETE), async (req, res, next) => {
+      try {
+        const result = this.sessionService.deleteSession(req.params.sessionName);
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Release Session Results
+     * @name ReleaseSessionResults
+     * @route POST /api/teacher/session/:sessionName/results/release
+     * @authentication Teacher (session.run)
+     * @description Show participants their result details now, also if the results were withheld.
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "released": true, "releaseAt": "2024-01-01T16:30:00.000Z", "withheld": false }
+     */
+    this.router.post('/teacher/session/:sessionName/results/release', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const release = this.sessionService.releaseResults(req.params.sessionName);
+        return res.json({ ok: true, ...release });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+     * Withhold Session Results
+     * @name WithholdSessionResults
+     * @route POST /api/teacher/session/:sessionName/results/withhold
+     * @authentication Teacher (session.run)
+     * @description Hide the result details until the teacher releases them with ReleaseSessionResults
+     * (an immediately shown score stays visible).
+     *
+     * @example
+     * // Response 200 OK
+     * { "ok": true, "released": false, "releaseAt": null, "withheld": true }
+     */
+    this.router.post('/teacher/session/:sessionName/results/withhold', canOnSession(Permission.SESSION_RUN), async (req, res, next) => {
+      try {
+        const release = this.sessionService.withholdResults(req.params.sessionName);
+        return res.json({ ok: true, ...release });
+      } catch (err) {
+        next(err);
+      }
+    });
+
     /**
      * Export Session CSV
      * @name ExportSessionCSV
      * @route GET /api/teacher/session/:sessionName/export.csv
-     * @authentication Teacher
-     * @description Download session results as CSV file.
+     * @authentication Teacher (results.read)
+     * @description Download session results as CSV file. Sessions restricted to a class roster
+     * have a "name" column with the student's name after "userCode".
      *
      * @example
      * // Response 200 OK (Content-Type: text/csv)
      * // Downloads: session-name-2024-01-01.csv
      */
-    this.router.get('/teacher/session/:sessionName/export.csv', teacherOnly, async (req, res, next) => {
+    this.router.get('/teacher/session/:sessionName/export.csv', canOnSession(Permission.RESULTS_READ), async (req, res, next) => {
       try {
         const { sessionName } = req.params;
         const { content, filename, contentType } = this.exportService.exportSessionCSV(sessionName);
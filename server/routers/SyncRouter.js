@@ -1,4 +1,5 @@
 const express = require('express');
+const { Permission } = require('../config/permissions');
 
 /**
  * Sync Router
@@ -14,14 +15,14 @@ class SyncRouter {
   }
 
   setupRoutes() {
-    const teacherOnly = this.authService.requireTeacher();
 
     /**
      * Sync from Filesystem
      * @name SyncFromFilesystem
      * @route POST /api/teacher/syncFS
-     * @authentication Teacher
+     * @authentication Teacher (users.manage)
      * @description Import quizzes from /quizzes/*.json files into database.
+     * Imported quizzes have no owner and are only listed for admins.
      *
      * @example
      * // Response 200 OK
@@ -31,7 +32,7 @@ class SyncRouter {
      *   "skipped": 1
      * }
      */
-    this.router.post('/teacher/syncFS', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/syncFS', this.authService.requirePermission(Permission.USERS_MANAGE), async (req, res, next) => {
       try {
         const result = this.syncService.syncFromFilesystem();
         return res.json({ ok: true, ...result });
@@ -44,7 +45,7 @@ class SyncRouter {
      * Export Quiz to Filesystem
      * @name ExportQuiz
      * @route POST /api/teacher/exportQuiz/:quizId
-     * @authentication Teacher
+     * @authentication Teacher (quiz.edit)
      * @description Export quiz from database to /quizzes/{quizId}/quiz.json file.
      *
      * @example
@@ -54,7 +55,7 @@ class SyncRouter {
      *   "path": "quizzes/my-quiz/quiz.json"
      * }
      */
-    this.router.post('/teacher/exportQuiz/:quizId', teacherOnly, async (req, res, next) => {
+    this.router.post('/teacher/exportQuiz/:quizId', this.authService.requireQuizPermission(Permission.QUIZ_EDIT), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         const result = this.syncService.exportQuizToFile(quizId);
@@ -1,4 +1,5 @@
 const express = require('express');
+const { Permission } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -7,9 +8,10 @@ const router = express.Router();
  * @module routers/TranslationRouter
  */
 class TranslationRouter {
-  constructor(translationService, quizService) {
+  constructor(translationService, quizService, authService) {
     this.translationService = translationService;
     this.quizService = quizService;
+    this.authService = authService;
     this.setupRoutes();
   }
 
@@ -18,7 +20,10 @@ class TranslationRouter {
      * Translate Quiz
      * @name TranslateQuiz
      * @route GET /api/translate/quiz/:quizId?lang=de
-     * @description Translate quiz content to target language using DeepL.
+     * @description Translate quiz content to target language using DeepL. Public endpoint for students:
+     * "quiz" is the student projection (see GetSessionQuiz) in authored order, without solutions or
+     * explanations. Question, option and item ids are those of GetSessionQuiz, so the texts can be
+     * applied to the participant's own (shuffled or drawn) quiz.
      *
      * @example
      * // Request
@@ -27,8 +32,8 @@ class TranslationRouter {
      * @example
      * // Response 200 OK
      * {
-     *   "title": "Conceptos básicos de JavaScript",
-     *   "questions": [...]
+     *   "translated": true, "cached": false, "sourceLang": "en", "targetLang": "es",
+     *   "quiz": { "id": "abc123", "title": "Conceptos básicos de JavaScript", "questions": [...] }
      * }
      */
     router.get('/quiz/:quizId', async (req, res, next) => {
@@ -45,8 +50,43 @@ class TranslationRouter {
 
         const quizData = this.quizService.loadQuiz(quizId);
         quizData.id = quizId;
-        const translatedQuiz = await this.translationService.translateQuiz(quizData, lang);
-        res.json(translatedQuiz);
+        const result = await this.translationService.translateQuiz(quizData, lang);
+        res.json({ ...result, quiz: this.quizService.toStudentQuiz(quizId, result.quiz) });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    /**
+     * Translate Quiz for Teachers
+     * @name TranslateTeacherQuiz
+     * @route GET /api/translate/teacher/quiz/:quizId?lang=de
+     * @authentication Teacher (results.read)
+     * @description Like TranslateQuiz, but "quiz" is the complete translated quiz with solutions and
+     * explanations (e.g. for the statistics page).
+     *
+     * @example
+     * // Response 200 OK
+     * {
+     *   "translated": true, "cached": true, "sourceLang": "en", "targetLang": "es",
+     *   "quiz": { "id": "abc123", "title": "Conceptos básicos de JavaScript", "questions": [...] }
+     * }
+     */
+    router.get('/teacher/quiz/:quizId', this.authService.requireQuizPermission(Permission.RESULTS_READ), async (req, res, next) => {
+      try {
+        const { quizId } = req.params;
+        const { lang } = req.query;
+
+        if (!lang) {
+          return res.status(400).json({
+            error: 'Missing language parameter',
+            message: 'Please provide ?lang=de|en|es'
+          });
+        }
+
+        const quizData = this.quizService.loadQuiz(quizId);
+        quizData.id = quizId;
+        res.json(await this.translationService.translateQuiz(quizData, lang));
       } catch (error) {
         next(error);
       }
@@ -56,6 +96,7 @@ class TranslationRouter {
      * Get DeepL Usage
      * @name GetTranslationUsage
      * @route GET /api/translate/usage
+     * @authentication Teacher (users.manage)
      * @description Get DeepL API usage statistics.
      *
      * @example
@@ -65,7 +106,7 @@ class TranslationRouter {
      *   "character_limit": 500000
      * }
      */
-    router.get('/usage', async (req, res, next) => {
+    router.get('/usage', this.authService.requirePermission(Permission.USERS_MANAGE), async (req, res, next) => {
       try {
         const stats = await this.translationService.getUsageStats();
         res.json(stats);
@@ -78,6 +119,7 @@ class TranslationRouter {
      * Clear Translation Cache
      * @name ClearTranslationCache
      * @route DELETE /api/translate/cache/:quizId
+     * @authentication Teacher (quiz.edit)
      * @description Clear cached translations for a quiz.
      *
      * @example
@@ -87,7 +129,7 @@ class TranslationRouter {
      *   "message": "Translation cache cleared for quiz abc123"
      * }
      */
-    router.delete('/cache/:quizId', async (req, res, next) => {
+    router.delete('/cache/:quizId', this.authService.requireQuizPermission(Permission.QUIZ_EDIT), async (req, res, next) => {
       try {
         const { quizId } = req.params;
         this.translationService.clearCache(quizId);
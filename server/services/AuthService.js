@@ -1,54 +1,151 @@
 const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
 const Constants = require('../config/constants');
+const { Role, ACCOUNT_ROLES, SHARE_ROLES, hasPermission, getPermissions } = require('../config/permissions');
 const logger = require('../utils/logger');
-const { AuthenticationError, InvalidCredentialsError } = require('../errors');
+const {
+  AuthenticationError,
+  InvalidCredentialsError,
+  InvalidInputError,
+  TeacherAlreadyExistsError,
+  TeacherNotFoundError,
+  QuizNotFoundError,
+  SessionNotFoundError,
+  PermissionDeniedError
+} = require('../errors');
 
 class AuthService {
-  constructor() {
-    this.teacherPasswordHash = null;
-    this.initializePasswordHash();
+  constructor(teacherRepository, quizRepository = null, sessionRepository = null, quizShareRepository = null, txManager = null,
+    loginThrottleService = null, scheduleRepository = null, rosterRepository = null) {
+    this.teacherRepo = teacherRepository;
+    this.quizRepo = quizRepository;
+    this.sessionRepo = sessionRepository;
+    this.quizShareRepo = quizShareRepository;
+    this.txManager = txManager;
+    this.loginThrottle = loginThrottleService;
+    this.scheduleRepo = scheduleRepository;
+    this.rosterRepo = rosterRepository;
+    // Compared against for unknown usernames, so they take as long as wrong passwords
+    this.dummyHash = null;
+    this.checkAdminPassword();
+    this.ready = this.initializeBuiltInAccounts();
   }
 
-  async initializePasswordHash() {
+  /**
+   * Create the built-in accounts on first start and keep their passwords in sync
+   * with the configuration: 'admin' (TEACHER_PASS) and the read-only 'demo'
+   * account (DEMO_PASSWORD, a viewer, see shareDemoQuiz). The demo account is
+   * shared, so two-factor authentication is never kept on for it.
+   */
+  async initializeBuiltInAccounts() {
     try {
-      this.teacherPasswordHash = await bcrypt.hash(
-        Constants.TEACHER_PASSWORD,
-        Constants.BCRYPT_ROUNDS
-      );
-      logger.info('Teacher password hash initialized');
+      this.dummyHash = await bcrypt.hash(uuidv4(), Constants.BCRYPT_ROUNDS);
+      await this.initializeBuiltInAccount(Constants.ADMIN_USERNAME, 'Admin', Constants.TEACHER_PASSWORD, Role.ADMIN);
+      await this.initializeBuiltInAccount(Constants.DEMO_USERNAME, 'Demo', Constants.DEMO_PASSWORD, Role.VIEWER);
+
+      const demo = this.teacherRepo.findByUsername(Constants.DEMO_USERNAME);
+      if (demo.totp_secret) {
+        this.teacherRepo.updateTwoFactor(demo.id, null, null);
+        logger.warn('Two-factor authentication of the shared demo account turned off', { username: demo.username });
+      }
     } catch (err) {
-      logger.error('Failed to initialize password hash', { error: err.message });
+      logger.error('Failed to initialize built-in accounts', { error: err.message });
       throw err;
     }
   }
 
   /**
-   * Verify teacher password (async with bcrypt)
+   * The admin password (TEACHER_PASS) must be set and long enough. Outside development
+   * (NODE_ENV set to anything but 'development') the server refuses to start without it;
+   * in development a warning is logged.
+   * @throws {Error} Weak admin password outside development
+   */
+  checkAdminPassword() {
+    if (process.env.TEACHER_PASS && Constants.TEACHER_PASSWORD.length >= Constants.TEACHER_PASSWORD_MIN_LENGTH) {
+      return;
+    }
+
+    const message = `Weak admin password - set TEACHER_PASS to at least ${Constants.TEACHER_PASSWORD_MIN_LENGTH} characters`;
+    const nodeEnv = process.env.NODE_ENV || 'development';
+    if (nodeEnv !== 'development') {
+      logger.error(message, { nodeEnv, configured: !!process.env.TEACHER_PASS });
+      throw new Error(`${message} (NODE_ENV=${nodeEnv})`);
+    }
+    logger.warn(message, { configured: !!process.env.TEACHER_PASS });
+  }
+
+  async initializeBuiltInAccount(username, displayName, password, role) {
+    const account = this.teacherRepo.findByUsername(username);
+
+    if (!account) {
+      const passwordHash = await bcrypt.hash(password, Constants.BCRYPT_ROUNDS);
+      this.teacherRepo.create(uuidv4(), username, displayName, passwordHash, role, new Date().toISOString());
+      logger.info('Built-in account created', { username, role });
+    } else if (!await bcrypt.compare(password, account.password_hash)) {
+      this.teacherRepo.updatePassword(account.id, await bcrypt.hash(password, Constants.BCRYPT_ROUNDS));
+      logger.info('Built-in account password updated from configuration', { username });
+    }
+  }
+
+  /**
+   * Give the demo account read access to the sample quiz (DEMO_QUIZ_PATH),
+   * once the quizzes have been synced from disk
+   */
+  async shareDemoQuiz() {
+    await this.ready;
+
+    const demo = this.teacherRepo.findByUsername(Constants.DEMO_USERNAME);
+    const quiz = this.quizRepo.findById(Constants.DEMO_QUIZ_PATH) || this.quizRepo.findByMediaPath(Constants.DEMO_QUIZ_PATH);
+    if (!demo || !quiz) {
+      logger.warn('Demo quiz not shared - quiz or demo account missing', { quizPath: Constants.DEMO_QUIZ_PATH });
+      return;
+    }
+
+    this.quizShareRepo.upsert(quiz.id, demo.id, Role.VIEWER, new Date().toISOString());
+    logger.debug('Demo quiz shared with demo account', { quizId: quiz.id });
+  }
+
+  /**
+   * Verify teacher credentials (async with bcrypt)
+   * Failed attempts are throttled per account and client IP (see LoginThrottleService).
+   * @param {string} username - Username (empty = admin account)
    * @param {string} password - Password to verify
-   * @returns {Promise<boolean>} - True if password is correct
+   * @param {string} [ip] - Client IP address
+   * @returns {Promise<object>} - The teacher row
+   * @throws {LoginThrottledError} After too many failed attempts
    */
-  async verifyTeacherPassword(password) {
+  async verifyTeacherCredentials(username, password, ip) {
     if (!password) {
       logger.warn('Login attempt with empty password');
       throw new InvalidCredentialsError();
     }
 
-    if (!this.teacherPasswordHash) {
-      logger.error('Password hash not initialized');
+    try {
+      await this.ready;
+    } catch (err) {
+      logger.error('Authentication system not initialized', { error: err.message });
       throw new AuthenticationError('Authentication system not ready');
     }
 
+    const name = this.normalizeUsername(username) || Constants.ADMIN_USERNAME;
+    this.loginThrottle?.attempt(name, ip);
+
     try {
-      // Use bcrypt compare instead of plaintext comparison
-      const isValid = await bcrypt.compare(password, this.teacherPasswordHash);
-      
-      if (!isValid) {
-        logger.warn('Failed login attempt - invalid password');
+      const teacher = this.teacherRepo.findByUsername(name);
+      const isValid = await bcrypt.compare(password, teacher ? teacher.password_hash : this.dummyHash);
+
+      if (!teacher || !isValid) {
+        logger.warn('Failed login attempt - invalid credentials', { username: name, ip });
         throw new InvalidCredentialsError();
       }
 
-      logger.info('Successful teacher login');
-      return true;
+      // With two-factor authentication the login only succeeds with the code
+      // (TwoFactorService.verifyLoginCode), so the failure counts stay until then
+      if (!teacher.totp_secret) {
+        this.loginThrottle?.succeed(name, ip);
+      }
+      logger.info('Successful teacher login', { username: name, ip, twoFactor: !!teacher.totp_secret });
+      return teacher;
     } catch (err) {
       if (err instanceof AuthenticationError) {
         throw err;
@@ -58,83 +155,509 @@ class AuthService {
     }
   }
 
+  normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Password step passed for an account with two-factor authentication:
+   * remember the account until the code is entered (not logged in yet)
+   */
+  setPendingTwoFactor(session, teacher) {
+    this.clearTeacherSession(session);
+    session.pendingTwoFactor = {
+      teacherId: teacher.id,
+      expiresAt: Date.now() + Constants.TWO_FACTOR_LOGIN_TIMEOUT_SECONDS * 1000
+    };
+  }
+
+  /**
+   * Account waiting for its two-factor code
+   * @returns {object} Teacher row
+   * @throws {AuthenticationError} Without password step, or if it expired
+   */
+  getPendingTwoFactorTeacher(session) {
+    const pending = session.pendingTwoFactor;
+    const teacher = pending && pending.expiresAt > Date.now() && this.teacherRepo.findById(pending.teacherId);
+    if (!teacher) {
+      delete session.pendingTwoFactor;
+      throw new AuthenticationError('Two-factor login expired. Please log in again.');
+    }
+    return teacher;
+  }
+
+  // ======================
+  // TEACHER ACCOUNTS
+  // ======================
+
+  /**
+   * Register an account (admins only, checked by the router)
+   * @param {string} username - 3-32 characters: lowercase letters, digits, . _ -
+   * @param {string} displayName - Shown in the page header (defaults to the username)
+   * @param {string} password - At least TEACHER_PASSWORD_MIN_LENGTH characters
+   * @param {string} [role] - Account role: 'admin', 'teacher' or 'viewer' (see config/permissions.js)
+   * @returns {Promise<object>} Public view of the new teacher
+   */
+  async registerTeacher(username, displayName, password, role = Role.TEACHER) {
+    const name = this.normalizeUsername(username);
+
+    this.checkPasswordLength('password', password);
+    if (displayName !== undefined && displayName !== null && typeof displayName !== 'string') {
+      throw new InvalidInputError('displayName', 'Display name must be a string');
+    }
+    if (!ACCOUNT_ROLES.includes(role)) {
+      throw new InvalidInputError('role', `Role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+    }
+    if (this.teacherRepo.findByUsername(name)) {
+      throw new TeacherAlreadyExistsError(name);
+    }
+
+    const id = uuidv4();
+    const passwordHash = await bcrypt.hash(password, Constants.BCRYPT_ROUNDS);
+    // Repository validates username and display name
+    this.teacherRepo.create(id, name, displayName ? displayName.trim() : '', passwordHash, role,
+      new Date().toISOString());
+
+    logger.info('Teacher registered', { username: name, role });
+    return this.toPublicTeacher(this.teacherRepo.findById(id));
+  }
+
+  /**
+   * Change the role and/or password of an account (admins only, checked by the router).
+   * The logged-in sessions of the account get the new role with their next request
+   * (refreshTeacherSession). The built-in accounts are set by the configuration.
+   * @param {string} username
+   * @param {object} changes
+   * @param {string} [changes.role] - New account role
+   * @param {string} [changes.password] - New password (at least TEACHER_PASSWORD_MIN_LENGTH characters)
+   * @returns {Promise<object>} Public view of the changed teacher
+   * @throws {TeacherNotFoundError|InvalidInputError}
+   */
+  async updateTeacher(username, changes = {}) {
+    const { role, password } = changes;
+    const teacher = this.teacherRepo.findByUsername(this.normalizeUsername(username));
+    if (!teacher) {
+      throw new TeacherNotFoundError(username);
+    }
+    if (this.isBuiltInAccount(teacher)) {
+      throw new InvalidInputError('username', 'Built-in accounts are set in the server configuration');
+    }
+    if (role === undefined && password === undefined) {
+      throw new InvalidInputError('role', 'Nothing to change: send a role and/or a password');
+    }
+    if (role !== undefined && !ACCOUNT_ROLES.includes(role)) {
+      throw new InvalidInputError('role', `Role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+    }
+    if (password !== undefined) {
+      this.checkPasswordLength('password', password);
+    }
+
+    const passwordHash = password !== undefined ? await bcrypt.hash(password, Constants.BCRYPT_ROUNDS) : null;
+    const updateOperation = () => {
+      if (role !== undefined) this.teacherRepo.updateRole(teacher.id, role);
+      if (passwordHash) this.teacherRepo.updatePassword(teacher.id, passwordHash);
+    };
+
+    if (this.txManager) {
+      this.txManager.transaction(updateOperation, 'UpdateTeacher');
+    } else {
+      updateOperation();
+    }
+
+    logger.info('Teacher updated', { username: teacher.username, role: role || teacher.role, passwordChanged: !!passwordHash });
+    return this.toPublicTeacher(this.teacherRepo.findById(teacher.id));
+  }
+
+  /**
+   * Change the password of the logged-in account. Wrong current passwords are
+   * throttled like failed logins.
+   * @param {string} teacherId
+   * @param {string} currentPassword
+   * @param {string} newPassword - At least TEACHER_PASSWORD_MIN_LENGTH characters
+   * @param {string} [ip] - Client IP address
+   * @throws {InvalidCredentialsError|InvalidInputError|LoginThrottledError}
+   */
+  async changeOwnPassword(teacherId, currentPassword, newPassword, ip) {
+    const teacher = this.teacherRepo.findById(teacherId);
+    if (!teacher) {
+      throw new AuthenticationError('Not logged in');
+    }
+    if (this.isBuiltInAccount(teacher)) {
+      throw new InvalidInputError('password', 'The password of a built-in account is set in the server configuration');
+    }
+    this.checkPasswordLength('newPassword', newPassword);
+
+    this.loginThrottle?.attempt(teacher.username, ip);
+    if (typeof currentPassword !== 'string' || !await bcrypt.compare(currentPassword, teacher.password_hash)) {
+      logger.warn('Password change with wrong current password', { username: teacher.username, ip });
+      throw new InvalidCredentialsError();
+    }
+    this.loginThrottle?.succeed(teacher.username, ip);
+
+    this.teacherRepo.updatePassword(teacher.id, await bcrypt.hash(newPassword, Constants.BCRYPT_ROUNDS));
+    logger.info('Teacher changed their password', { username: teacher.username });
+  }
+
+  /**
+   * 'admin' and 'demo' get their password and role from the configuration
+   * (initializeBuiltInAccounts), so they cannot be changed through the API
+   */
+  isBuiltInAccount(teacher) {
+    return teacher.username === Constants.ADMIN_USERNAME || teacher.username === Constants.DEMO_USERNAME;
+  }
+
+  /**
+   * @throws {InvalidInputError} Password missing or shorter than TEACHER_PASSWORD_MIN_LENGTH
+   */
+  checkPasswordLength(field, password) {
+    if (typeof password !== 'string' || password.length < Constants.TEACHER_PASSWORD_MIN_LENGTH) {
+      throw new InvalidInputError(field,
+        `Password must have at least ${Constants.TEACHER_PASSWORD_MIN_LENGTH} characters`);
+    }
+  }
+
+  getAllTeachers() {
+    return this.teacherRepo.findAll().map(row => ({
+      ...this.toPublicTeacher(row),
+      quizCount: row.quiz_count,
+      twoFactor: !!row.two_factor
+    }));
+  }
+
+  /**
+   * Delete a teacher account. Their quizzes and sessions are kept without owner
+   * (visible to admins), so results are not lost; quizzes shared with them are unshared
+   * and their session schedules are deleted. Their class rosters go to the admin who
+   * deletes the account, so sessions keep their names and the rosters can still be managed.
+   * @param {string} username
+   * @param {string} rosterOwnerId - Account that takes over the rosters (the deleting admin)
+   */
+  deleteTeacher(username, rosterOwnerId) {
+    if (!this.quizRepo || !this.sessionRepo || !this.quizShareRepo) {
+      throw new Error('AuthService requires QuizRepository, SessionRepository and QuizShareRepository for delete operation');
+    }
+
+    const teacher = this.teacherRepo.findByUsername(this.normalizeUsername(username));
+    if (!teacher) {
+      throw new TeacherNotFoundError(username);
+    }
+
+    const deleteOperation = () => {
+      this.quizRepo.clearTeacher(teacher.id);
+      this.sessionRepo.clearTeacher(teacher.id);
+      // Sessions already created stay; no new ones are created for the account
+      this.scheduleRepo?.deleteByTeacherId(teacher.id);
+      this.rosterRepo?.reassignTeacher(teacher.id, rosterOwnerId);
+      this.quizShareRepo.deleteByTeacherId(teacher.id);
+      this.teacherRepo.delete(teacher.id);
+    };
+
+    if (this.txManager) {
+      this.txManager.transaction(deleteOperation, 'DeleteTeacher');
+    } else {
+      deleteOperation();
+    }
+
+    logger.info('Teacher deleted', { username: teacher.username });
+  }
+
+  /**
+   * Teacher fields that may be sent to clients (never the password hash)
+   */
+  toPublicTeacher(row) {
+    return {
+      username: row.username,
+      displayName: row.display_name,
+      role: row.role,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Logged-in account as stored in the session (null when logged out),
+   * with the permissions of its account role
+   */
+  getSessionTeacher(session) {
+    if (!this.isTeacher(session)) return null;
+    return {
+      username: session.teacherName,
+      displayName: session.teacherDisplayName,
+      role: session.role,
+      permissions: getPermissions(session.role),
+      // Built-in accounts cannot change their password (see changeOwnPassword)
+      builtIn: this.isBuiltInAccount({ username: session.teacherName })
+    };
+  }
+
+  /**
+   * Sessions from before account roles (teacher flag without role) must log in again
+   */
   isTeacher(session) {
-    return !!(session && session.teacher);
+    return !!(session && session.teacher && session.teacherId && session.role);
   }
 
-  setTeacherSession(session) {
+  setTeacherSession(session, teacher) {
+    delete session.pendingTwoFactor;
     session.teacher = true;
-    session.demoMode = false;
-    logger.debug('Teacher session set');
+    session.teacherId = teacher.id;
+    session.teacherName = teacher.username;
+    session.teacherDisplayName = teacher.display_name;
+    session.role = teacher.role;
+    logger.debug('Teacher session set', { username: teacher.username, role: teacher.role });
+  }
+
+  /**
+   * Middleware: reload the logged-in account on every request, so a changed role
+   * applies at once and the sessions of a deleted account are logged out
+   */
+  refreshTeacherSession() {
+    return (req, res, next) => {
+      if (!this.isTeacher(req.session)) {
+        return next();
+      }
+
+      try {
+        const teacher = this.teacherRepo.findById(req.session.teacherId);
+        if (!teacher) {
+          logger.warn('Session of a deleted account logged out', {
+            username: req.session.teacherName,
+            correlationId: req.correlationId
+          });
+          this.clearTeacherSession(req.session);
+        } else if (teacher.role !== req.session.role || teacher.username !== req.session.teacherName ||
+          teacher.display_name !== req.session.teacherDisplayName) {
+          this.setTeacherSession(req.session, teacher);
+        }
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
   }
 
   clearTeacherSession(session) {
+    delete session.pendingTwoFactor;
+    delete session.twoFactorEnrollment;
     delete session.teacher;
-    delete session.demoMode;
-    delete session.demoQuizPath;
+    delete session.teacherId;
+    delete session.teacherName;
+    delete session.teacherDisplayName;
+    delete session.role;
     logger.debug('Teacher session cleared');
   }
 
   // ======================
-  // DEMO MODE
+  // QUIZ SHARES
   // ======================
 
   /**
-   * Check if password is the demo password
-   * @param {string} password
-   * @returns {boolean}
+   * @param {string} quizId
+   * @returns {Array<{ username, displayName, role, createdAt }>}
    */
-  isDemoPassword(password) {
-    return password === Constants.DEMO_PASSWORD;
+  getQuizShares(quizId) {
+    return this.quizShareRepo.findByQuizId(quizId).map(row => ({
+      username: row.username,
+      displayName: row.display_name,
+      role: row.role,
+      createdAt: row.created_at
+    }));
   }
 
   /**
-   * Set demo session (limited access)
+   * Share a quiz with another account or change its share role
+   * @param {string} quizId
+   * @param {string} username - Account to share with
+   * @param {string} role - 'coEditor' (edit, run sessions, grade) or 'viewer' (statistics and exports)
+   */
+  shareQuiz(quizId, username, role) {
+    if (!SHARE_ROLES.includes(role)) {
+      throw new InvalidInputError('role', `Role must be one of: ${SHARE_ROLES.join(', ')}`);
+    }
+
+    const teacher = this.teacherRepo.findByUsername(this.normalizeUsername(username));
+    if (!teacher) {
+      throw new TeacherNotFoundError(username);
+    }
+    if (this.quizRepo.findById(quizId)?.teacher_id === teacher.id) {
+      throw new InvalidInputError('username', 'The quiz already belongs to this account');
+    }
+    if (teacher.role === Role.VIEWER && role !== Role.VIEWER) {
+      throw new InvalidInputError('role', 'Viewer accounts can only get viewer access');
+    }
+
+    this.quizShareRepo.upsert(quizId, teacher.id, role, new Date().toISOString());
+    logger.info('Quiz shared', { quizId, username: teacher.username, role });
+  }
+
+  /**
+   * @param {string} quizId
+   * @param {string} username
+   */
+  unshareQuiz(quizId, username) {
+    const teacher = this.teacherRepo.findByUsername(this.normalizeUsername(username));
+    if (!teacher || this.quizShareRepo.delete(quizId, teacher.id) === 0) {
+      throw new TeacherNotFoundError(username);
+    }
+
+    logger.info('Quiz unshared', { quizId, username: teacher.username });
+  }
+
+  // ======================
+  // ROLES AND PERMISSIONS
+  // ======================
+
+  /**
+   * Which quizzes and sessions appear in the lists of the logged-in account
+   * (see utils/ownership.js). Admins also see quizzes without owner.
    * @param {object} session
+   * @returns {{ teacherId: string|null, includeUnowned: boolean }}
    */
-  setDemoSession(session) {
-    session.teacher = true;
-    session.demoMode = true;
-    session.demoQuizPath = Constants.DEMO_QUIZ_PATH;
-    logger.info('Demo session set');
+  getAccessScope(session) {
+    return {
+      teacherId: session?.teacherId || null,
+      includeUnowned: session?.role === Role.ADMIN
+    };
   }
 
   /**
-   * Check if session is in demo mode
+   * Role of the logged-in account for a quiz: its account role for own quizzes,
+   * 'admin' for quizzes without owner, otherwise the share role (null = no access)
    * @param {object} session
-   * @returns {boolean}
+   * @param {object} quiz - Quiz row (id, teacher_id)
+   * @returns {string|null}
    */
-  isDemoMode(session) {
-    return !!(session && session.demoMode);
+  getQuizRole(session, quiz) {
+    if (!this.isTeacher(session) || !quiz) return null;
+
+    if (quiz.teacher_id && quiz.teacher_id === session.teacherId) return session.role;
+    if (!quiz.teacher_id && session.role === Role.ADMIN) return Role.ADMIN;
+    return this.quizShareRepo.findRole(quiz.id, session.teacherId) || null;
   }
 
   /**
-   * Get the demo quiz path from session
+   * Role for a session: the account role for own sessions, otherwise the role for its quiz
    * @param {object} session
+   * @param {object} quizSession - Session row (quiz_id, teacher_id)
    * @returns {string|null}
    */
-  getDemoQuizPath(session) {
-    return session?.demoQuizPath || null;
+  getSessionRole(session, quizSession) {
+    if (!this.isTeacher(session) || !quizSession) return null;
+
+    if (quizSession.teacher_id && quizSession.teacher_id === session.teacherId) return session.role;
+    if (!quizSession.teacher_id && session.role === Role.ADMIN) return Role.ADMIN;
+    const quiz = this.quizRepo.findById(quizSession.quiz_id) || { id: quizSession.quiz_id, teacher_id: null };
+    return this.getQuizRole(session, quiz);
+  }
+
+  /**
+   * Role and permissions to send with a list item
+   * @param {string|null} role
+   * @returns {{ role: string|null, permissions: string[] }}
+   */
+  describeRole(role) {
+    return { role, permissions: getPermissions(role) };
+  }
+
+  /**
+   * Throws PermissionDeniedError unless the role has the permission
+   */
+  checkPermission(role, permission) {
+    if (!hasPermission(role, permission)) {
+      logger.warn('Permission denied', { role, permission });
+      throw new PermissionDeniedError(permission);
+    }
+  }
+
+  /**
+   * Throws QuizNotFoundError without any role for the quiz (quizzes of others
+   * look like they do not exist), PermissionDeniedError without the permission
+   * @returns {string} Role for the quiz
+   */
+  checkQuizPermission(session, quizId, permission) {
+    const role = this.getQuizRole(session, this.quizRepo.findById(quizId));
+    if (!role) {
+      logger.warn('Access to quiz without role denied', { quizId, teacherId: session?.teacherId });
+      throw new QuizNotFoundError(quizId);
+    }
+
+    this.checkPermission(role, permission);
+    return role;
+  }
+
+  /**
+   * Like checkQuizPermission, for sessions (SessionNotFoundError)
+   * @returns {string} Role for the session
+   */
+  checkSessionPermission(session, sessionName, permission) {
+    const role = this.getSessionRole(session, this.sessionRepo.findByName(sessionName));
+    if (!role) {
+      logger.warn('Access to session without role denied', { sessionName, teacherId: session?.teacherId });
+      throw new SessionNotFoundError(sessionName);
+    }
+
+    this.checkPermission(role, permission);
+    return role;
   }
 
   /**
-   * Middleware to require teacher authentication
+   * Middleware factory: 401 without login, then runs the check (which throws 403/404)
+   * @private
    */
-  requireTeacher() {
+  _permissionMiddleware(check) {
     return (req, res, next) => {
-      if (this.isTeacher(req.session)) {
-        return next();
+      if (!this.isTeacher(req.session)) {
+        logger.warn('Unauthorized access attempt', {
+          path: req.path,
+          correlationId: req.correlationId,
+        });
+
+        // Throw error instead of sending response (let errorHandler handle it)
+        return next(new AuthenticationError('Teacher authentication required'));
+      }
+
+      try {
+        check(req);
+        next();
+      } catch (err) {
+        next(err);
       }
-      
-      logger.warn('Unauthorized access attempt', {
-        path: req.path,
-        correlationId: req.correlationId,
-      });
-      
-      // Throw error instead of sending response (let errorHandler handle it)
-      next(new AuthenticationError('Teacher authentication required'));
     };
   }
+
+  /**
+   * Middleware to require a logged-in account (any role)
+   */
+  requireLogin() {
+    return this._permissionMiddleware(() => {});
+  }
+
+  /**
+   * Middleware to require a permission of the account role
+   * @param {string} permission - See Permission in config/permissions.js
+   */
+  requirePermission(permission) {
+    return this._permissionMiddleware(req => this.checkPermission(req.session.role, permission));
+  }
+
+  /**
+   * Middleware to require a permission for the quiz in req.params.quizId (sets req.quizRole)
+   * @param {string} permission
+   */
+  requireQuizPermission(permission) {
+    return this._permissionMiddleware(req => {
+      req.quizRole = this.checkQuizPermission(req.session, req.params.quizId, permission);
+    });
+  }
+
+  /**
+   * Middleware to require a permission for the session in req.params.sessionName (sets req.sessionRole)
+   * @param {string} permission
+   */
+  requireSessionPermission(permission) {
+    return this._permissionMiddleware(req => {
+      req.sessionRole = this.checkSessionPermission(req.session, req.params.sessionName, permission);
+    });
+  }
 }
 
 module.exports = AuthService;
@@ -1,10 +1,13 @@
 const logger = require('../utils/logger');
+const { quoteCell } = require('../utils/csv');
 
 class ExportService {
-  constructor(submissionRepository, sessionService, quizService) {
+  constructor(submissionRepository, sessionService, quizService, rosterRepository = null, gradingService = null) {
     this.submissionRepo = submissionRepository;
     this.sessionService = sessionService;
     this.quizService = quizService;
+    this.rosterRepo = rosterRepository;
+    this.gradingService = gradingService;
   }
   
   exportSessionCSV(sessionName) {
@@ -16,7 +19,11 @@ class ExportService {
     
     try {
       let csv = '';
-      const header = ['userCode', 'questionId', 'keyword', 'correct', 'chosen', 'points', 'maxPoints'];
+      // One block of rows per attempt (sessions with several attempts per participant);
+      // sessions restricted to a roster add the student's name
+      const named = !!session.roster_id;
+      const header = ['userCode', ...(named ? ['name'] : []),
+        'questionId', 'keyword', 'correct', 'chosen', 'points', 'maxPoints', 'attempt'];
       csv += header.join(';') + '\n';
       
       const qMap = {};
@@ -28,13 +35,15 @@ class ExportService {
         const answers = JSON.parse(submission.answers_json);
         for (const answer of answers) {
           const row = [
-            submission.user_code,
-            answer.questionId,
-            `"${(qMap[answer.questionId] || '').replace(/"/g, '""')}"`,
-            (answer.correct || []).join(','),
-            (answer.chosen || []).join(','),
+            quoteCell(submission.user_code),
+            ...(named ? [quoteCell(submission.participant_name || '')] : []),
+            quoteCell(answer.questionId),
+            quoteCell(qMap[answer.questionId] || ''),
+            this._formatAnswerList(answer, answer.correct),
+            this._formatAnswerList(answer, answer.chosen),
             answer.points,
-            answer.maxPoints
+            answer.maxPoints,
+            submission.attempt_number || 1
           ];
           csv += row.join(';') + '\n';
         }
@@ -68,54 +77,116 @@ class ExportService {
     
     try {
       const qstats = {};
+      const gapIds = {};
+      const orderIds = {};
+      const pairIds = {};
       
       for (const q of quiz.questions) {
         qstats[q.id] = {
           id: q.id,
           keyword: q.keyword || q.text.slice(0, 30),
+          scoring: this._scoringLabel(q, quiz),
+          maxPoints: q.points || 1,
+          // Participants who got the question (fewer than all with a question draw)
+          seenCount: 0,
           total: 0,
           correctCount: 0,
+          partialCount: 0,
+          pendingCount: 0,
+          pointsSum: 0,
           optionCounts: {}
         };
-        for (const c of q.options) {
+        for (const c of (q.options || [])) {
           qstats[q.id].optionCounts[c.id] = 0;
         }
+        if (q.type === 'gap') {
+          // Per-gap count of correct entries
+          qstats[q.id].gapCorrectCounts = {};
+          gapIds[q.id] = (q.gaps || []).map(gap => gap.id);
+          for (const gap of (q.gaps || [])) {
+            qstats[q.id].gapCorrectCounts[gap.id] = 0;
+          }
+        }
+        if (q.type === 'match') {
+          // Per-pair count of correct matches
+          qstats[q.id].pairCorrectCounts = {};
+          pairIds[q.id] = (q.pairs || []).map(pair => pair.id);
+          for (const pair of (q.pairs || [])) {
+            qstats[q.id].pairCorrectCounts[pair.id] = 0;
+          }
+        }
+        if (q.type === 'order') {
+          // optionCounts: how often each option was placed at its correct position
+          orderIds[q.id] = (q.options || []).map(option => option.id);
+        }
       }
       
       for (const submission of submissions) {
         const answers = JSON.parse(submission.answers_json);
         for (const answer of answers) {
           if (!qstats[answer.questionId]) continue;
+          qstats[answer.questionId].seenCount += 1;
+          
+          // Free-text answers awaiting manual grading are not scored yet
+          if (answer.pending) {
+            qstats[answer.questionId].pendingCount += 1;
+            continue;
+          }
           
           qstats[answer.questionId].total += 1;
           
-          for (const option of (answer.chosen || [])) {
-            if (qstats[answer.questionId].optionCounts[option] !== undefined) {
-              qstats[answer.questionId].optionCounts[option] += 1;
-            }
-          }
+          (answer.chosen || []).forEach((option, idx) => {
+            if (qstats[answer.questionId].optionCounts[option] === undefined) return;
+            if (orderIds[answer.questionId] && orderIds[answer.questionId][idx] !== option) return;
+            qstats[answer.questionId].optionCounts[option] += 1;
+          });
+          
+          const stat = qstats[answer.questionId];
+          stat.correct = [...new Set(answer.correct || [])];
           
-          const correctSet = new Set(answer.correct || []);
-          qstats[answer.questionId].correct = [...correctSet];
+          if (stat.gapCorrectCounts && Array.isArray(answer.gapResults)) {
+            gapIds[answer.questionId].forEach((gapId, idx) => {
+              if (answer.gapResults[idx]) stat.gapCorrectCounts[gapId] += 1;
+            });
+          }
           
-          const chosenSet = new Set(answer.chosen || []);
-          const isEqual = (correctSet.size === chosenSet.size) 
-            && [...correctSet].every(x => chosenSet.has(x));
+          if (stat.pairCorrectCounts && Array.isArray(answer.pairResults)) {
+            pairIds[answer.questionId].forEach((pairId, idx) => {
+              if (answer.pairResults[idx]) stat.pairCorrectCounts[pairId] += 1;
+            });
+          }
           
-          if (isEqual) qstats[answer.questionId].correctCount += 1;
+          // Fully correct = all points awarded (set comparison fails for gap entries)
+          const isCorrect = answer.maxPoints > 0 && answer.points >= answer.maxPoints;
+          if (isCorrect) stat.correctCount += 1;
+          if (!isCorrect && answer.points > 0) stat.partialCount += 1;
+          stat.pointsSum += answer.points || 0;
         }
       }
       
+      for (const stat of Object.values(qstats)) {
+        stat.pointsSum = Math.round(stat.pointsSum * 100) / 100;
+        stat.avgPoints = stat.total > 0 ? Math.round(100 * stat.pointsSum / stat.total) / 100 : null;
+      }
+      
+      // Per-question counts include every attempt, participants are counted once
+      const participants = new Set(submissions.map(submission => submission.user_code)).size;
+      
       logger.info('Stats export successful', {
         sessionName,
-        participants: submissions.length
+        participants
       });
       
       return {
         sessionName,
         quizTitle: quiz.title,
-        participants: submissions.length,
-        questionStats: Object.values(qstats)
+        participants,
+        submissions: submissions.length,
+        questionStats: Object.values(qstats),
+        roster: this._rosterParticipation(session, submissions),
+        // Feedback policy and whether participants see their result details yet
+        feedback: this.sessionService.getFeedbackPolicy(session),
+        resultRelease: this.sessionService.getResultRelease(session)
       };
     } catch (err) {
       logger.error('Stats export failed', {
@@ -126,6 +197,59 @@ class ExportService {
     }
   }
   
+  /**
+   * Who of the roster has taken part, with the score that counts under the session's
+   * score policy (best, last or average attempt, as the final score of the result page)
+   * @returns {object|null} { name, students: [{ name, code, attempts, score, maxScore }] }, null in anonymous sessions
+   * @private
+   */
+  _rosterParticipation(session, submissions) {
+    const roster = session.roster_id && this.rosterRepo ? this.rosterRepo.findById(session.roster_id) : null;
+    if (!roster) {
+      return null;
+    }
+    
+    const students = this.rosterRepo.findStudents(roster.id).map(student => {
+      const own = submissions
+        .filter(submission => submission.user_code === student.code)
+        .sort((a, b) => (a.attempt_number || 1) - (b.attempt_number || 1));
+      const final = own.length > 0 ? this.gradingService.applyScorePolicy(session.score_policy, own) : null;
+      return {
+        name: student.name,
+        code: student.code,
+        attempts: own.length,
+        score: final ? final.score : null,
+        maxScore: final ? final.maxScore : null
+      };
+    });
+    
+    return { name: roster.name, students };
+  }
+  
+  /**
+   * Effective scoring of a question for the stats export
+   * @private
+   */
+  _scoringLabel(question, quiz) {
+    if (question.type === 'gap') return 'perGap';
+    if (question.type === 'match') return 'perPair';
+    if (question.type === 'numeric') return 'allOrNothing';
+    if (question.type === 'text') return 'manual';
+    if (question.type === 'order') return question.scoring || 'allOrNothing';
+    return question.scoring || quiz.scoring || 'allOrNothing';
+  }
+  
+  /**
+   * Format correct/chosen values for a CSV cell: gap entries and free-text
+   * answers joined with " | ", option and item ids with ","
+   * @private
+   */
+  _formatAnswerList(answer, values) {
+    const list = values || [];
+    const separator = answer.type === 'gap' || answer.type === 'text' ? ' | ' : ',';
+    return quoteCell(list.join(separator));
+  }
+  
   exportQuizJSON(quizId) {
     logger.debug('Exporting quiz to JSON', { quizId });
     
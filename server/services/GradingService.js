@@ -6,13 +6,19 @@ const {
   ValidationError,
   InvalidInputError,
   DuplicateSubmissionError,
+  AttemptLimitReachedError,
   SubmissionNotFoundError,
   SessionClosedError,
-  SessionNotYetOpenError
+  SessionNotYetOpenError,
+  AttemptNotStartedError,
+  TimeLimitExceededError,
+  LiveSessionError,
+  PracticeSessionRequiredError,
+  AnswerLockedError
 } = require('../errors');
 
 class GradingService {
-  constructor(submissionRepository, quizService, sessionService, txManager) {
+  constructor(submissionRepository, quizService, sessionService, txManager, attemptRepository, draftRepository) {
     if (!txManager) {
       throw new Error('GradingService requires TransactionManager');
     }
@@ -21,9 +27,115 @@ class GradingService {
     this.quizService = quizService;
     this.sessionService = sessionService;
     this.txManager = txManager;
+    this.attemptRepo = attemptRepository;
+    this.draftRepo = draftRepository;
   }
   
-  submitAnswers(sessionName, userCode, answers) {
+  /**
+   * Record the start of a participant's attempt. Starting again (e.g. after a reload)
+   * keeps the original start, so the time limit cannot be reset.
+   * In sessions with several attempts, an attempt whose time ran out without a submission
+   * is replaced by a new one.
+   * @returns {object} { startedAt, serverTime, timeLimitSeconds, remainingSeconds, attempt, maxAttempts, linearNavigation, draftAnswers,
+   *   participantName }
+   *   - remainingSeconds is null without time limit, maxAttempts null if unlimited,
+   *     draftAnswers the autosaved answers of the attempt (see saveDraft),
+   *     participantName the student's name in sessions restricted to a roster (otherwise null),
+   *     serverTime lets the client time-stamp a submission queued offline in server time
+   */
+  startAttempt(sessionName, userCode) {
+    logger.info('Attempt start', { sessionName, userCode });
+    
+    if (typeof userCode !== 'string' || !userCode.trim()) {
+      throw new InvalidInputError('userCode', 'userCode is required');
+    }
+    
+    const session = this.sessionService.getSession(sessionName);
+    
+    if (this.sessionService.isLiveSession(session)) {
+      throw new LiveSessionError('Live sessions are joined via the live session endpoints');
+    }
+    this._checkSessionOpen(session);
+    const participant = this.sessionService.checkParticipant(session, userCode);
+    if (participant) {
+      userCode = participant.code;
+    }
+    
+    const maxAttempts = this.sessionService.getMaxAttempts(session);
+    const remainingSecondsOf = attempt => {
+      if (!session.time_limit_seconds) return null;
+      const deadline = this.sessionService.getAttemptDeadline(session, attempt.started_at);
+      return Math.max(0, Math.floor((deadline - Date.now()) / 1000));
+    };
+    
+    const executeStart = () => {
+      const previous = this.submissionRepo.findAllBySessionAndUser(sessionName, userCode);
+      this._checkAttemptsLeft(session, previous.length, userCode);
+      
+      let attempt = this.attemptRepo.findOpenBySessionAndUser(sessionName, userCode);
+      if (attempt && maxAttempts !== 1 && remainingSecondsOf(attempt) === 0) {
+        logger.info('Expired attempt replaced', { sessionName, userCode });
+        this.draftRepo.deleteBySessionAndUser(sessionName, userCode);
+        attempt = null;
+      }
+      if (!attempt) {
+        attempt = { started_at: new Date().toISOString() };
+        this.attemptRepo.create(uuidv4(), session.id, sessionName, userCode, attempt.started_at);
+        logger.info('Attempt started', { sessionName, userCode, attempt: previous.length + 1 });
+      }
+      const draft = this.draftRepo.findBySessionAndUser(sessionName, userCode);
+      return { attempt, number: previous.length + 1, draft };
+    };
+    
+    const { attempt, number, draft } = this.txManager.transaction(executeStart, 'StartAttempt');
+    
+    const remainingSeconds = remainingSecondsOf(attempt);
+    if (remainingSeconds === 0) {
+      throw new TimeLimitExceededError();
+    }
+    
+    return {
+      startedAt: attempt.started_at,
+      serverTime: new Date().toISOString(),
+      timeLimitSeconds: session.time_limit_seconds || null,
+      remainingSeconds,
+      attempt: number,
+      maxAttempts,
+      linearNavigation: !!session.linear_navigation,
+      draftAnswers: draft ? JSON.parse(draft.answers_json) : [],
+      participantName: participant ? participant.name : null
+    };
+  }
+  
+  /**
+   * Throw if the participant has no attempt left
+   * (single-attempt sessions keep the DuplicateSubmissionError)
+   * @private
+   */
+  _checkAttemptsLeft(session, submittedCount, userCode) {
+    const maxAttempts = this.sessionService.getMaxAttempts(session);
+    if (maxAttempts === null || submittedCount < maxAttempts) {
+      return;
+    }
+    
+    logger.warn('No attempt left', { sessionName: session.session_name, userCode, maxAttempts });
+    if (maxAttempts === 1) {
+      throw new DuplicateSubmissionError(userCode, session.session_name);
+    }
+    throw new AttemptLimitReachedError(maxAttempts, session.session_name);
+  }
+  
+  /**
+   * Grade and store the answers of one participant
+   * @param {string} sessionName - Session name
+   * @param {string} userCode - Participant code
+   * @param {Array} answers - Answers ({ questionId, ... } per question)
+   * @param {object} [options]
+   * @param {boolean} [options.fromLiveSession] - Submitted by LiveSessionService when a live session ends
+   * @param {string} [options.submittedAt] - Client time of a submission queued while offline (ISO-8601),
+   *   checked against the deadline instead of the arrival time if the last draft backs it (see _resolveSubmitTime)
+   */
+  submitAnswers(sessionName, userCode, answers, options = {}) {
     logger.info('Submission attempt', { sessionName, userCode });
     
     // Validate answers structure
@@ -34,15 +146,39 @@ class GradingService {
     // Get session (throws if not found)
     const session = this.sessionService.getSession(sessionName);
     
-    // Check if session is open (throws if not)
-    if (!this.sessionService.isSessionOpen(session)) {
-      const now = Date.now();
-      if (session.open_from && Date.parse(session.open_from) > now) {
-        throw new SessionNotYetOpenError();
+    // Answers of live sessions are collected per question by the LiveSessionService
+    if (this.sessionService.isLiveSession(session) && !options.fromLiveSession) {
+      throw new LiveSessionError('Answers of a live session are collected per question');
+    }
+    // Live participants were checked when they joined
+    if (!options.fromLiveSession) {
+      const participant = this.sessionService.checkParticipant(session, userCode);
+      if (participant) {
+        userCode = participant.code;
       }
-      if (session.open_until && Date.parse(session.open_until) < now) {
-        throw new SessionClosedError();
+    }
+    
+    // A started attempt may be submitted until its deadline (plus grace period),
+    // timed sessions require a started attempt
+    const attempt = options.fromLiveSession ? null : this.attemptRepo.findOpenBySessionAndUser(sessionName, userCode);
+    const draft = options.fromLiveSession ? null : this.draftRepo.findBySessionAndUser(sessionName, userCode);
+    if (attempt) {
+      const submitTime = this._resolveSubmitTime(attempt, options.submittedAt, draft);
+      this._checkAttemptDeadline(session, attempt, submitTime);
+      if (options.submittedAt) {
+        logger.info('Offline submission', { sessionName, userCode, submittedAt: options.submittedAt });
       }
+    } else if (session.time_limit_seconds && !options.fromLiveSession) {
+      throw new AttemptNotStartedError();
+    } else {
+      this._checkSessionOpen(session);
+    }
+    this._checkLinearProgress(session, draft, answers);
+    
+    // With a question draw, the participant's drawn questions make up the submission (and maxScore)
+    const drawnIds = this.sessionService.getDrawnQuestionIds(session, userCode);
+    if (drawnIds) {
+      answers = this._restrictToDrawnQuestions(answers, drawnIds);
     }
     
     // Load quiz
@@ -50,16 +186,14 @@ class GradingService {
     
     // Wrap critical section in transaction for atomicity
     const executeSubmission = () => {
-      // Check for duplicate submission (inside transaction for atomicity)
-      const existing = this.submissionRepo.findBySessionAndUser(sessionName, userCode);
-      if (existing) {
-        logger.warn('Duplicate submission attempt', { sessionName, userCode });
-        throw new DuplicateSubmissionError(userCode, sessionName);
-      }
+      // Check for remaining attempts (inside transaction for atomicity)
+      const previous = this.submissionRepo.findAllBySessionAndUser(sessionName, userCode);
+      this._checkAttemptsLeft(session, previous.length, userCode);
+      const attemptNumber = previous.length + 1;
       
       try {
         // Grade answers
-        const keyMap = this.createAnswerKeyMap(quiz);
+        const keyMap = this.createAnswerKeyMap(quiz, session.quiz_id);
         const { perQuestion, total, maxTotal } = this.gradeAnswers(answers, keyMap);
         
         // Save submission
@@ -76,25 +210,35 @@ class GradingService {
           JSON.stringify(perQuestion),
           total,
           maxTotal,
-          createdAt
+          createdAt,
+          attemptNumber
         );
+        if (attempt) {
+          this.attemptRepo.markSubmitted(attempt.id, submissionId);
+        }
+        this.draftRepo.deleteBySessionAndUser(sessionName, userCode);
         
         logger.info('Submission successful', {
           sessionName,
           userCode,
           score: total,
           maxScore: maxTotal,
+          attempt: attemptNumber,
           submissionId
         });
         
         // Build result link with BASE_PATH support
         const basePath = Constants.BASE_PATH || '';
         const resultUrl = `${basePath}/result/?id=${resultLink}`;
+        const maxAttempts = this.sessionService.getMaxAttempts(session);
         
         return {
           resultLink: resultUrl,
           score: total,
-          maxScore: maxTotal
+          maxScore: maxTotal,
+          attempt: attemptNumber,
+          // null = unlimited
+          attemptsLeft: maxAttempts === null ? null : maxAttempts - attemptNumber
         };
       } catch (err) {
         logger.error('Submission failed', {
@@ -109,14 +253,263 @@ class GradingService {
     return this.txManager.transaction(executeSubmission, 'SubmitAnswers');
   }
   
+  /**
+   * Autosave the answers of an attempt in progress (replaces the previous draft).
+   * startAttempt returns the draft, so the participant can resume after a reload
+   * or on another device; submitting the attempt deletes it. In linear sessions
+   * the answers of a draft are final (see _checkLinearProgress).
+   * @param {string} sessionName - Session name
+   * @param {string} userCode - Participant code
+   * @param {Array} answers - Answers given so far ({ questionId, ... } per question)
+   * @returns {object} { savedAt }
+   */
+  saveDraft(sessionName, userCode, answers) {
+    if (typeof userCode !== 'string' || !userCode.trim()) {
+      throw new InvalidInputError('userCode', 'userCode is required');
+    }
+    answers = GradingValidationService.validateAnswers(answers);
+    
+    const session = this.sessionService.getSession(sessionName);
+    
+    if (this.sessionService.isLiveSession(session)) {
+      throw new LiveSessionError('Answers of a live session are collected per question');
+    }
+    const participant = this.sessionService.checkParticipant(session, userCode);
+    if (participant) {
+      userCode = participant.code;
+    }
+    this._checkAnswerTime(session, userCode);
+    
+    const executeSave = () => {
+      const previous = this.submissionRepo.findAllBySessionAndUser(sessionName, userCode);
+      this._checkAttemptsLeft(session, previous.length, userCode);
+      this._checkLinearProgress(session, this.draftRepo.findBySessionAndUser(sessionName, userCode), answers);
+      
+      const savedAt = new Date().toISOString();
+      this.draftRepo.save(uuidv4(), session.id, sessionName, userCode, JSON.stringify(answers), savedAt);
+      return { savedAt };
+    };
+    
+    const result = this.txManager.transaction(executeSave, 'SaveDraft');
+    logger.debug('Draft saved', { sessionName, userCode, answers: answers.length });
+    return result;
+  }
+  
+  /**
+   * Linear sessions only go forward: the quiz page saves a draft whenever the participant moves
+   * on, so every answer in the stored draft belongs to a question they have left. Later drafts
+   * and the submission must contain these answers unchanged.
+   * @param {object} session - Session row
+   * @param {object|null} draft - Stored draft of the participant
+   * @param {Array} answers - New draft or submission
+   * @throws {AnswerLockedError}
+   * @private
+   */
+  _checkLinearProgress(session, draft, answers) {
+    if (!session.linear_navigation || !draft) {
+      return;
+    }
+    
+    const submitted = new Map(answers.map(answer => [answer.questionId, this._answerKey(answer)]));
+    const changed = JSON.parse(draft.answers_json)
+      .find(saved => submitted.get(saved.questionId) !== this._answerKey(saved));
+    if (changed) {
+      logger.warn('Answered question changed in linear session', {
+        sessionName: session.session_name, userCode: draft.user_code, questionId: changed.questionId
+      });
+      throw new AnswerLockedError(changed.questionId);
+    }
+  }
+  
+  /**
+   * Answer as a string for comparisons (independent of the key order)
+   * @private
+   */
+  _answerKey(answer) {
+    const sorted = value => (value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(key => [key, sorted(value[key])]))
+      : value);
+    return JSON.stringify(sorted(answer));
+  }
+  
+  /**
+   * Answers of a participant with a question draw: questions that were not drawn are rejected,
+   * drawn questions without an answer are added as unanswered (0 points)
+   * @private
+   */
+  _restrictToDrawnQuestions(answers, drawnIds) {
+    const notDrawn = answers.find(answer => !drawnIds.has(answer.questionId));
+    if (notDrawn) {
+      throw new InvalidInputError('answers', `question ${notDrawn.questionId} was not drawn for this participant`);
+    }
+    
+    const answered = new Set(answers.map(answer => answer.questionId));
+    const missing = [...drawnIds].filter(id => !answered.has(id)).map(questionId => ({ questionId }));
+    return answers.concat(missing);
+  }
+  
+  /**
+   * Grade a single answer right away (practice sessions). Nothing is stored:
+   * the participant still submits all answers at the end.
+   * A wrong answer only returns the explanations of the chosen options, so the
+   * participant can try again; the solution is included once the answer is
+   * correct or on request (reveal).
+   * @param {string} sessionName - Session name
+   * @param {string} userCode - Participant code
+   * @param {object} answer - { questionId, ... } as in a submission
+   * @param {boolean} [reveal] - Include the solution even if the answer is wrong
+   * @returns {object} { questionId, points, maxPoints, isCorrect, pending, optionReasons,
+   *   solution?: { correct, gapResults?, pairResults?, reason, reasonImage } }
+   */
+  checkAnswer(sessionName, userCode, answer, reveal = false) {
+    if (typeof userCode !== 'string' || !userCode.trim()) {
+      throw new InvalidInputError('userCode', 'userCode is required');
+    }
+    const [validated] = GradingValidationService.validateAnswers([answer]);
+    
+    const session = this.sessionService.getSession(sessionName);
+    
+    if (!this.sessionService.isPracticeSession(session)) {
+      throw new PracticeSessionRequiredError();
+    }
+    
+    const participant = this.sessionService.checkParticipant(session, userCode);
+    if (participant) {
+      userCode = participant.code;
+    }
+    this._checkAnswerTime(session, userCode);
+    
+    const drawnIds = this.sessionService.getDrawnQuestionIds(session, userCode);
+    if (drawnIds && !drawnIds.has(validated.questionId)) {
+      throw new InvalidInputError('answer', `question ${validated.questionId} was not drawn for this participant`);
+    }
+    
+    const quiz = this.quizService.loadQuiz(session.quiz_id);
+    const question = quiz.questions.find(q => q.id === validated.questionId);
+    if (!question) {
+      throw new InvalidInputError('answer', `unknown question ${validated.questionId}`);
+    }
+    
+    const keyMap = this.createAnswerKeyMap(quiz, session.quiz_id);
+    const graded = this.gradeAnswers([validated], keyMap).perQuestion[0];
+    const isCorrect = !graded.pending && graded.points >= graded.maxPoints;
+    const showSolution = isCorrect || reveal === true;
+    
+    // Explanations of the chosen options (choice questions), with the solution also of the correct ones
+    const isChoice = !graded.type;
+    const explained = new Set(isChoice ? graded.chosen : []);
+    if (showSolution && (isChoice || graded.type === 'order')) {
+      graded.correct.forEach(id => explained.add(id));
+    }
+    const optionReasons = (question.options || [])
+      .filter(option => explained.has(option.id) && option.reason)
+      .map(option => ({
+        id: graded.type === 'order' ? this.quizService.maskItemId(session.quiz_id, question.id, option.id) : option.id,
+        reason: option.reason,
+        reasonImage: option.reasonImage
+      }));
+    
+    logger.debug('Practice answer checked', {
+      sessionName,
+      userCode,
+      questionId: validated.questionId,
+      points: graded.points,
+      reveal: showSolution
+    });
+    
+    const result = {
+      questionId: validated.questionId,
+      points: graded.points,
+      maxPoints: graded.maxPoints,
+      isCorrect,
+      pending: !!graded.pending,
+      optionReasons
+    };
+    
+    if (showSolution) {
+      result.solution = {
+        // Match and order questions: the masked ids the participant sees
+        correct: ['match', 'order'].includes(graded.type)
+          ? graded.correct.map(id => this.quizService.maskItemId(session.quiz_id, question.id, id))
+          : graded.correct,
+        gapResults: graded.gapResults,
+        pairResults: graded.pairResults,
+        reason: question.reason,
+        reasonImage: question.reasonImage
+      };
+    }
+    
+    return result;
+  }
+  
   /**
    * Create answer key map from quiz
    * NEW FORMAT: Extracts correct IDs from options[].correct
+   * Gap questions keep their gap definitions (accepted answers per gap),
+   * order questions the option ids in the correct order and the masked ids students submit,
+   * match questions the pair ids and the masked right-hand ids students submit,
+   * free-text questions only their points (graded manually)
    */
-  createAnswerKeyMap(quiz) {
+  createAnswerKeyMap(quiz, quizId) {
     const keyMap = {};
     
     for (const q of quiz.questions) {
+      if (q.type === 'gap') {
+        const gaps = q.gaps || [];
+        keyMap[q.id] = {
+          type: 'gap',
+          gaps,
+          correct: gaps.map(gap => (gap.answers || [])[0]),
+          points: q.points || 1
+        };
+        continue;
+      }
+      
+      if (q.type === 'numeric') {
+        const numeric = q.numeric || {};
+        keyMap[q.id] = {
+          type: 'numeric',
+          numeric,
+          correct: [String(numeric.value)],
+          points: q.points || 1
+        };
+        continue;
+      }
+      
+      if (q.type === 'match') {
+        const pairIds = (q.pairs || []).map(pair => pair.id);
+        keyMap[q.id] = {
+          type: 'match',
+          correct: pairIds,
+          rightIds: new Map(pairIds.map(id => [this.quizService.maskItemId(quizId, q.id, id), id])),
+          points: q.points || 1
+        };
+        continue;
+      }
+      
+      if (q.type === 'text') {
+        keyMap[q.id] = {
+          type: 'text',
+          correct: [],
+          maxLength: q.maxLength || 5000,
+          points: q.points || 1
+        };
+        continue;
+      }
+      
+      if (q.type === 'order') {
+        const optionIds = (q.options || []).map(option => option.id);
+        keyMap[q.id] = {
+          type: 'order',
+          correct: optionIds,
+          itemIds: new Map(optionIds.map(id => [this.quizService.maskItemId(quizId, q.id, id), id])),
+          // The quiz-wide default only applies to choice questions
+          scoring: q.scoring || 'allOrNothing',
+          points: q.points || 1
+        };
+        continue;
+      }
+      
       let correct = [];
       
       // NEW FORMAT: Extract from options[].correct
@@ -132,6 +525,8 @@ class GradingService {
       
       keyMap[q.id] = {
         correct: correct.filter(x => x !== undefined),
+        optionCount: (q.options || []).length,
+        scoring: q.scoring || quiz.scoring || 'allOrNothing',
         points: q.points || 1,
         multiple: !!q.multiple
       };
@@ -147,10 +542,6 @@ class GradingService {
     
     for (const answer of answers) {
       const qid = answer.questionId;
-      const chosen = Array.isArray(answer.chosen) 
-        ? answer.chosen 
-        : (answer.chosen ? [answer.chosen] : []);
-      
       const key = keyMap[qid];
       
       if (!key) {
@@ -164,32 +555,270 @@ class GradingService {
         continue;
       }
       
-      // Check if answer is correct
-      const correctSet = new Set(key.correct);
-      const chosenSet = new Set(chosen);
-      const isEqual = (correctSet.size === chosenSet.size) 
-        && [...correctSet].every(x => chosenSet.has(x));
+      let graded;
+      switch (key.type) {
+        case 'gap':
+          graded = this._gradeGapAnswer(answer, key);
+          break;
+        case 'numeric':
+          graded = this._gradeNumericAnswer(answer, key);
+          break;
+        case 'order':
+          graded = this._gradeOrderAnswer(answer, key);
+          break;
+        case 'match':
+          graded = this._gradeMatchAnswer(answer, key);
+          break;
+        case 'text':
+          graded = this._gradeTextAnswer(answer, key);
+          break;
+        default:
+          graded = this._gradeChoiceAnswer(answer, key);
+      }
       
-      const pts = isEqual ? key.points : 0;
-      total += pts;
+      total += graded.points;
       maxTotal += key.points;
       
-      perQuestion.push({
-        questionId: qid,
-        correct: key.correct,
-        chosen: chosen,
-        points: pts,
-        maxPoints: key.points
-      });
+      perQuestion.push(Object.assign({ questionId: qid }, graded, { maxPoints: key.points }));
       
       logger.debug('Question graded', {
         questionId: qid,
-        isCorrect: isEqual,
-        points: pts
+        isCorrect: graded.points === key.points,
+        points: graded.points
       });
     }
     
-    return { perQuestion, total, maxTotal };
+    return { perQuestion, total: this._roundPoints(total), maxTotal };
+  }
+  
+  /**
+   * Grade a single/multiple choice answer according to the scoring mode:
+   * - allOrNothing: full points only if the chosen set equals the correct set
+   * - perOption: (correct ticks - wrong ticks) / number of correct options, floored at 0
+   * - proportional: share of correct options ticked minus share of incorrect options ticked, floored at 0
+   * @private
+   */
+  _gradeChoiceAnswer(answer, key) {
+    const chosen = Array.isArray(answer.chosen) 
+      ? answer.chosen 
+      : (answer.chosen ? [answer.chosen] : []);
+    
+    const correctSet = new Set(key.correct);
+    const chosenSet = new Set(chosen);
+    const hits = [...chosenSet].filter(x => correctSet.has(x)).length;
+    const wrong = chosenSet.size - hits;
+    const incorrectCount = Math.max(0, key.optionCount - correctSet.size);
+    
+    let fraction;
+    switch (key.scoring) {
+      case 'perOption':
+        fraction = correctSet.size > 0 ? Math.max(0, hits - wrong) / correctSet.size : 0;
+        break;
+      case 'proportional':
+        fraction = correctSet.size > 0
+          ? Math.max(0, hits / correctSet.size - (incorrectCount > 0 ? wrong / incorrectCount : 0))
+          : 0;
+        break;
+      default: {
+        const isEqual = (correctSet.size === chosenSet.size) && hits === correctSet.size;
+        fraction = isEqual ? 1 : 0;
+      }
+    }
+    
+    return {
+      correct: key.correct,
+      chosen: chosen,
+      scoring: key.scoring,
+      points: this._roundPoints(key.points * fraction)
+    };
+  }
+  
+  /**
+   * Grade a gap-fill answer: each gap is worth an equal share of the question's points
+   * @private
+   */
+  _gradeGapAnswer(answer, key) {
+    const entered = answer.gaps || {};
+    const chosen = [];
+    const gapResults = [];
+    
+    for (const gap of key.gaps) {
+      const value = typeof entered[gap.id] === 'string' ? entered[gap.id].trim() : '';
+      chosen.push(value);
+      gapResults.push(this._matchesGap(gap, value));
+    }
+    
+    const correctCount = gapResults.filter(Boolean).length;
+    const points = key.gaps.length > 0
+      ? this._roundPoints(key.points * correctCount / key.gaps.length)
+      : 0;
+    
+    return {
+      type: 'gap',
+      correct: key.correct,
+      chosen,
+      gapResults,
+      points
+    };
+  }
+  
+  /**
+   * Grade a numeric answer: full points if within the tolerance of the target value.
+   * Relative tolerance is given in percent of the target value.
+   * @private
+   */
+  _gradeNumericAnswer(answer, key) {
+    const { value, tolerance = 0, toleranceType = 'absolute' } = key.numeric;
+    const entered = typeof answer.value === 'number' ? answer.value : null;
+    
+    const allowed = toleranceType === 'relative'
+      ? Math.abs(value) * tolerance / 100
+      : tolerance;
+    // Small epsilon so that e.g. 0.1 + 0.2 still matches 0.3
+    const epsilon = 1e-9 * Math.max(1, Math.abs(value));
+    const isCorrect = entered !== null && Math.abs(entered - value) <= allowed + epsilon;
+    
+    return {
+      type: 'numeric',
+      correct: key.correct,
+      chosen: entered !== null ? [String(entered)] : [],
+      points: isCorrect ? key.points : 0
+    };
+  }
+  
+  /**
+   * Grade an order answer (chosen = masked option ids in the submitted order;
+   * the returned chosen lists the option ids):
+   * - allOrNothing: full points only for the exact order
+   * - perPosition: share of options at their correct position
+   * - longestSubsequence: length of the longest sequence of options in correct
+   *   relative order (not necessarily adjacent) / number of options
+   * @private
+   */
+  _gradeOrderAnswer(answer, key) {
+    const chosen = Array.isArray(answer.chosen)
+      ? [...new Set(answer.chosen.map(id => key.itemIds.get(id)))].filter(id => id !== undefined)
+      : [];
+    const total = key.correct.length;
+    
+    let fraction;
+    switch (key.scoring) {
+      case 'perPosition':
+        fraction = chosen.filter((id, idx) => key.correct[idx] === id).length / total;
+        break;
+      case 'longestSubsequence':
+        fraction = this._longestIncreasingSubsequence(chosen.map(id => key.correct.indexOf(id))) / total;
+        break;
+      default: {
+        const isExact = chosen.length === total && chosen.every((id, idx) => key.correct[idx] === id);
+        fraction = isExact ? 1 : 0;
+      }
+    }
+    
+    return {
+      type: 'order',
+      correct: key.correct,
+      chosen,
+      scoring: key.scoring,
+      points: total > 0 ? this._roundPoints(key.points * fraction) : 0
+    };
+  }
+  
+  /**
+   * Grade a match answer (pairs = { leftId: masked right id }):
+   * each correct pair is worth an equal share of the question's points.
+   * chosen lists the pair id whose right-hand item was picked per left item ('' = none).
+   * @private
+   */
+  _gradeMatchAnswer(answer, key) {
+    const entered = answer.pairs || {};
+    const chosen = key.correct.map(leftId => key.rightIds.get(entered[leftId]) || '');
+    const pairResults = chosen.map((pairId, idx) => pairId === key.correct[idx]);
+    
+    const correctCount = pairResults.filter(Boolean).length;
+    const points = key.correct.length > 0
+      ? this._roundPoints(key.points * correctCount / key.correct.length)
+      : 0;
+    
+    return {
+      type: 'match',
+      correct: key.correct,
+      chosen,
+      pairResults,
+      points
+    };
+  }
+  
+  /**
+   * Free-text answers are stored for manual grading: 0 points until the teacher
+   * grades them (see gradeManually). Empty answers need no review.
+   * @private
+   */
+  _gradeTextAnswer(answer, key) {
+    const text = typeof answer.text === 'string' ? answer.text.trim().slice(0, key.maxLength) : '';
+    
+    return {
+      type: 'text',
+      correct: key.correct,
+      chosen: text ? [text] : [],
+      pending: text.length > 0,
+      points: 0
+    };
+  }
+  
+  /**
+   * Length of the longest strictly increasing subsequence (patience sorting)
+   * @private
+   */
+  _longestIncreasingSubsequence(values) {
+    const tails = [];
+    for (const value of values) {
+      let lo = 0;
+      let hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (tails[mid] < value) lo = mid + 1;
+        else hi = mid;
+      }
+      tails[lo] = value;
+    }
+    return tails.length;
+  }
+  
+  /**
+   * Check a gap entry against the gap's accepted answers.
+   * Whitespace is normalized; comparison is case-insensitive unless gap.caseSensitive.
+   * With gap.regex, accepted answers are patterns that must match the whole entry.
+   * @private
+   */
+  _matchesGap(gap, value) {
+    if (!value) return false;
+    
+    const normalize = text => {
+      const collapsed = text.trim().replace(/\s+/g, ' ');
+      return gap.caseSensitive ? collapsed : collapsed.toLowerCase();
+    };
+    const normalizedValue = normalize(value);
+    
+    return (gap.answers || []).some(accepted => {
+      if (gap.regex) {
+        try {
+          return new RegExp(`^(?:${accepted})$`, gap.caseSensitive ? '' : 'i').test(value.trim());
+        } catch (err) {
+          logger.warn('Invalid gap pattern', { gapId: gap.id, error: err.message });
+          return false;
+        }
+      }
+      return normalize(accepted) === normalizedValue;
+    });
+  }
+  
+  /**
+   * Round points to two decimals (partial credit produces fractions)
+   * @private
+   */
+  _roundPoints(value) {
+    return Math.round(value * 100) / 100;
   }
   
   /**
@@ -206,8 +835,11 @@ class GradingService {
         if (!stats[a.questionId]) {
           stats[a.questionId] = { total: 0, correctCount: 0 };
         }
+        // Answers awaiting manual grading are not counted yet
+        if (a.pending) continue;
         stats[a.questionId].total++;
-        if (a.points > 0) {
+        // Only fully correct answers count (partial credit does not)
+        if (a.maxPoints > 0 && a.points >= a.maxPoints) {
           stats[a.questionId].correctCount++;
         }
       }
@@ -216,6 +848,60 @@ class GradingService {
     return stats;
   }
 
+  /**
+   * Quiz of a released result, e.g. to translate the result page
+   * @param {string} resultId - Result link ID
+   * @returns {object} { quiz, result } - full quiz (with id) and the result as returned by getResult
+   *   (not released: quiz is null)
+   */
+  getResultQuiz(resultId) {
+    const result = this.getResult(resultId);
+    if (result.released === false) {
+      return { quiz: null, result };
+    }
+
+    const quiz = this.quizService.loadQuiz(result.quizId);
+    return { quiz: { ...quiz, id: result.quizId }, result };
+  }
+  
+  /**
+   * Texts of a (translated) quiz for the questions of a result: only the explanations
+   * the result shows (see the feedback policy in getResult)
+   * @param {object} quiz - Full quiz
+   * @param {object} result - Released result from getResult
+   * @returns {object} { title, questions: [{ id, keyword, text, reason, options }] }
+   */
+  toResultTexts(quiz, result) {
+    const qmap = new Map(quiz.questions.map(q => [q.id, q]));
+    return {
+      title: quiz.title,
+      questions: result.details
+        .filter(detail => qmap.has(detail.questionId))
+        .map(detail => {
+          const q = qmap.get(detail.questionId);
+          const shownReasons = new Set((detail.options || [])
+            .filter(option => typeof option === 'object' && option !== null && option.reason)
+            .map(option => option.id));
+          return {
+            id: q.id,
+            keyword: q.keyword,
+            text: q.text,
+            reason: detail.reason ? q.reason : undefined,
+            options: Array.isArray(q.options)
+              ? q.options.map(option => (typeof option === 'object' && option !== null
+                ? { id: option.id, text: option.text, reason: shownReasons.has(option.id) ? option.reason : undefined }
+                : option))
+              : undefined
+          };
+        })
+    };
+  }
+  
+  /**
+   * Result of a submission. Before the release (see SessionService.getResultRelease) only
+   * { released: false, open_after, withheld } is returned - plus the score if the session shows it
+   * right away. The released details follow the session's feedback policy (see _applyFeedbackPolicy).
+   */
   getResult(resultId) {
     logger.debug('Getting result', { resultId });
 
@@ -227,14 +913,26 @@ class GradingService {
     }
 
     const session = this.sessionService.getSession(submission.session_name);
+    const release = this.sessionService.getResultRelease(session);
+    const policy = this.sessionService.getFeedbackPolicy(session);
 
-    // Check if results should be shown yet
-    if (session.open_until && Date.parse(session.open_until) > Date.now()) {
-      logger.debug('Result access - session still open', {
+    if (!release.released) {
+      logger.debug('Result access - not released yet', {
         resultId,
-        openUntil: session.open_until
+        releaseAt: release.releaseAt,
+        withheld: release.withheld
       });
-      return { open_after: session.open_until };
+      const pending = { released: false, open_after: release.releaseAt, withheld: release.withheld };
+      if (policy.showScoreImmediately) {
+        Object.assign(pending, {
+          quizTitle: this.quizService.loadQuiz(session.quiz_id).title,
+          userCode: submission.user_code,
+          score: submission.score,
+          maxScore: submission.max_score,
+          pendingReview: JSON.parse(submission.answers_json).some(answer => answer.pending)
+        });
+      }
+      return pending;
     }
 
     const quiz = this.quizService.loadQuiz(session.quiz_id);
@@ -256,17 +954,28 @@ class GradingService {
         questionId: p.questionId,
         keyword: originalQuestion.keyword || p.questionId,
         text: originalQuestion.text,
+        type: originalQuestion.type,
         options: originalQuestion.options,
+        gaps: originalQuestion.gaps,
+        pairs: originalQuestion.pairs,
+        numeric: originalQuestion.numeric,
         reason: originalQuestion.reason,
         correct: p.correct || [],
         chosen: p.chosen || [],
+        gapResults: p.gapResults,
+        pairResults: p.pairResults,
+        scoring: p.scoring,
+        pending: !!p.pending,
+        feedback: p.feedback,
+        // The sample answer is only revealed once the answer has been graded
+        sampleAnswer: p.pending ? undefined : originalQuestion.sampleAnswer,
         points: p.points || 0,
         maxPoints: p.maxPoints || 0,
         avgCorrectPercent: stat.total > 0
           ? Math.round(100 * stat.correctCount / stat.total)
           : null
       };
-    });
+    }).map(detail => this._applyFeedbackPolicy(detail, policy));
 
     logger.debug('Result retrieved', {
       resultId,
@@ -274,17 +983,271 @@ class GradingService {
       maxScore: submission.max_score
     });
 
-    return {
+    const result = {
       quizId: session.quiz_id,
       quizTitle: quiz.title,
+      quizLanguage: quiz.language,
       sessionName: submission.session_name,
       userCode: submission.user_code,
       score: submission.score,
       maxScore: submission.max_score,
+      pendingReview: perQ.some(p => p.pending),
       created_at: submission.created_at,
       details: perQ,
+      released: true,
+      feedback: { showSolutions: policy.showSolutions, showExplanations: policy.showExplanations },
       open_after: true
     };
+
+    // Sessions with several attempts: history and the score that counts
+    if (this.sessionService.getMaxAttempts(session) !== 1) {
+      const history = this.submissionRepo.findAllBySessionAndUser(submission.session_name, submission.user_code);
+      const basePath = Constants.BASE_PATH || '';
+      result.attempt = submission.attempt_number;
+      result.scorePolicy = session.score_policy;
+      result.finalScore = this.applyScorePolicy(session.score_policy, history);
+      result.attempts = history.map(sub => ({
+        attempt: sub.attempt_number,
+        score: sub.score,
+        maxScore: sub.max_score,
+        created_at: sub.created_at,
+        resultLink: `${basePath}/result/?id=${sub.result_link}`,
+        current: sub.id === submission.id
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Result details as the feedback policy of the session shows them.
+   * Without solutions only the participant's answers and points remain: no correct answers,
+   * accepted gap answers, target values, expected pairs or sample answer, and no right/wrong
+   * marks per option, gap or pair (order options follow the participant's order, match answers
+   * become the chosen right-hand items). Explanations are shown for all questions, only for
+   * questions without full points ('wrong') or not at all; without solutions only those of the
+   * chosen options.
+   * @private
+   */
+  _applyFeedbackPolicy(detail, policy) {
+    const fullPoints = detail.maxPoints > 0 && detail.points >= detail.maxPoints;
+    const explain = policy.showExplanations === 'all' ||
+      (policy.showExplanations === 'wrong' && !fullPoints && !detail.pending);
+    const chosen = detail.chosen.map(String);
+
+    let options = Array.isArray(detail.options)
+      ? detail.options.map(option => {
+        if (typeof option !== 'object' || option === null) return option;
+        const { correct, reason, reasonImage, explanation, ...visible } = option;
+        if (policy.showSolutions) visible.correct = correct;
+        if (explain && (reason || explanation) && (policy.showSolutions || chosen.includes(String(option.id)))) {
+          Object.assign(visible, { reason, reasonImage, explanation });
+        }
+        return visible;
+      })
+      : detail.options;
+    const shown = { ...detail, options, reason: explain ? detail.reason : undefined };
+
+    if (policy.showSolutions) {
+      return shown;
+    }
+
+    if (detail.type === 'order' && options) {
+      // Stored in the correct order: show the participant's order instead (unplaced items by text)
+      const position = id => (chosen.includes(String(id)) ? chosen.indexOf(String(id)) : chosen.length);
+      options = [...options].sort((a, b) => position(a.id) - position(b.id) ||
+        String(a.text).localeCompare(String(b.text)));
+    }
+    const pairs = detail.type === 'match' && detail.pairs
+      ? detail.pairs.map((pair, idx) => {
+        const chosenPair = detail.pairs.find(other => String(other.id) === chosen[idx]);
+        return { left: pair.left, chosen: chosenPair ? chosenPair.right : null };
+      })
+      : undefined;
+
+    return {
+      ...shown,
+      options,
+      pairs,
+      chosen: pairs ? pairs.map(pair => (pair.chosen ? pair.chosen.text : '')) : detail.chosen,
+      gaps: detail.gaps ? detail.gaps.map(gap => ({ id: gap.id })) : undefined,
+      numeric: detail.numeric ? { unit: detail.numeric.unit } : undefined,
+      correct: undefined,
+      gapResults: undefined,
+      pairResults: undefined,
+      sampleAnswer: undefined
+    };
+  }
+
+  /**
+   * Score of a participant with several attempts
+   * @param {string} policy - 'best', 'last' or 'average'
+   * @param {Array} submissions - The participant's submissions, first attempt first
+   * @returns {object} { score, maxScore }
+   */
+  applyScorePolicy(policy, submissions) {
+    const last = submissions[submissions.length - 1];
+
+    if (policy === 'last') {
+      return { score: last.score, maxScore: last.max_score };
+    }
+    if (policy === 'average') {
+      const sum = submissions.reduce((total, sub) => total + sub.score, 0);
+      return { score: this._roundPoints(sum / submissions.length), maxScore: last.max_score };
+    }
+
+    const best = submissions.reduce((top, sub) => (sub.score > top.score ? sub : top));
+    return { score: best.score, maxScore: best.max_score };
+  }
+  
+  /**
+   * Manually grade a free-text answer of a submission and recompute its score
+   * @param {string} sessionName - Session the submission belongs to
+   * @param {string} submissionId - Submission ID
+   * @param {string} questionId - Free-text question ID
+   * @param {number} points - Awarded points (0 to the question's max points)
+   * @param {string} [feedback] - Optional feedback for the student
+   * @returns {object} { score, maxScore, pendingReview }
+   */
+  gradeManually(sessionName, submissionId, questionId, points, feedback) {
+    if (typeof points !== 'number' || !Number.isFinite(points)) {
+      throw new InvalidInputError('points', 'must be a number');
+    }
+    if (feedback !== undefined && feedback !== null
+        && (typeof feedback !== 'string' || feedback.length > 2000)) {
+      throw new InvalidInputError('feedback', 'must be a string (max 2000 characters)');
+    }
+    
+    const executeGrading = () => {
+      const submission = this.submissionRepo.findById(submissionId);
+      if (!submission || submission.session_name !== sessionName) {
+        throw new SubmissionNotFoundError(submissionId);
+      }
+      
+      const answers = JSON.parse(submission.answers_json);
+      const answer = answers.find(a => a.questionId === questionId);
+      if (!answer || answer.type !== 'text') {
+        throw new InvalidInputError('questionId', 'must reference a free-text answer of this submission');
+      }
+      if (points < 0 || points > answer.maxPoints) {
+        throw new InvalidInputError('points', `must be between 0 and ${answer.maxPoints}`);
+      }
+      
+      answer.points = this._roundPoints(points);
+      answer.pending = false;
+      answer.gradedAt = new Date().toISOString();
+      if (feedback && feedback.trim()) {
+        answer.feedback = feedback.trim();
+      } else {
+        delete answer.feedback;
+      }
+      
+      const score = this._roundPoints(answers.reduce((sum, a) => sum + (a.points || 0), 0));
+      this.submissionRepo.updateGrading(submissionId, JSON.stringify(answers), score);
+      
+      logger.info('Answer graded manually', { sessionName, submissionId, questionId, points: answer.points });
+      
+      return {
+        score,
+        maxScore: submission.max_score,
+        pendingReview: answers.some(a => a.pending)
+      };
+    };
+    
+    return this.txManager.transaction(executeGrading, 'GradeManually');
+  }
+  
+  /**
+   * Throw unless the session is open
+   * @private
+   */
+  _checkSessionOpen(session) {
+    if (!this.sessionService.isSessionOpen(session)) {
+      const now = Date.now();
+      if (session.open_from && Date.parse(session.open_from) > now) {
+        throw new SessionNotYetOpenError();
+      }
+      if (session.open_until && Date.parse(session.open_until) < now) {
+        throw new SessionClosedError();
+      }
+    }
+  }
+  
+  /**
+   * Same time rules as for a submission: within the deadline of the started attempt,
+   * timed sessions require a started attempt
+   * @private
+   */
+  _checkAnswerTime(session, userCode) {
+    const attempt = this.attemptRepo.findOpenBySessionAndUser(session.session_name, userCode);
+    if (attempt) {
+      this._checkAttemptDeadline(session, attempt);
+    } else if (session.time_limit_seconds) {
+      throw new AttemptNotStartedError();
+    } else {
+      this._checkSessionOpen(session);
+    }
+  }
+  
+  /**
+   * Time a submission counts as made: the arrival time, or the client time of a submission
+   * that was queued while offline. The client time must lie between the attempt's start and
+   * the arrival (plus grace period for clock differences) and may be at most
+   * OFFLINE_SUBMIT_MAX_DELAY_SECONDS old. It is only trusted up to OFFLINE_SUBMIT_MAX_GAP_SECONDS
+   * after the last draft the server stored for the attempt (the participant was provably still
+   * working then); a later or unbacked client time counts as arrival time.
+   * @param {object} attempt - Open attempt
+   * @param {string} [submittedAt] - Client time (ISO-8601)
+   * @param {object} [draft] - Last autosaved draft of the participant
+   * @private
+   * @returns {number} Timestamp in ms
+   */
+  _resolveSubmitTime(attempt, submittedAt, draft = null) {
+    const now = Date.now();
+    if (submittedAt === undefined || submittedAt === null) {
+      return now;
+    }
+    
+    const time = typeof submittedAt === 'string' ? Date.parse(submittedAt) : NaN;
+    if (isNaN(time)) {
+      throw new InvalidInputError('submittedAt', 'submittedAt must be an ISO-8601 timestamp');
+    }
+    if (time < Date.parse(attempt.started_at) || time > now + Constants.SUBMIT_GRACE_SECONDS * 1000) {
+      throw new InvalidInputError('submittedAt', 'submittedAt must lie between the start of the attempt and now');
+    }
+    if (now - time > Constants.OFFLINE_SUBMIT_MAX_DELAY_SECONDS * 1000) {
+      throw new InvalidInputError('submittedAt', 'Offline submission arrived too late');
+    }
+    
+    const lastSaved = draft && Date.parse(draft.updated_at) >= Date.parse(attempt.started_at)
+      ? Date.parse(draft.updated_at)
+      : NaN;
+    if (!(time <= lastSaved + Constants.OFFLINE_SUBMIT_MAX_GAP_SECONDS * 1000)) {
+      logger.warn('Offline submission time not backed by a draft - using arrival time', {
+        sessionName: attempt.session_name, userCode: attempt.user_code, submittedAt, lastSaved: draft?.updated_at
+      });
+      return now;
+    }
+    return time;
+  }
+  
+  /**
+   * Throw if the attempt's deadline (time limit or session end) has passed
+   * by more than the grace period
+   * @param {number} [at] - Time of the answer (default now)
+   * @private
+   */
+  _checkAttemptDeadline(session, attempt, at = Date.now()) {
+    const deadline = this.sessionService.getAttemptDeadline(session, attempt.started_at);
+    if (deadline === null || at <= deadline + Constants.SUBMIT_GRACE_SECONDS * 1000) {
+      return;
+    }
+    
+    logger.warn('Late submission rejected', { sessionName: session.session_name, startedAt: attempt.started_at });
+    if (session.open_until && deadline === Date.parse(session.open_until)) {
+      throw new SessionClosedError();
+    }
+    throw new TimeLimitExceededError();
   }
   
   getSessionSubmissions(sessionName) {
@@ -297,7 +1260,8 @@ class GradingService {
         const detailed = subs.map(s => {
           const row = this.submissionRepo.findById(s.id);
           const details = JSON.parse(row.answers_json);
-          return Object.assign({}, s, { details });
+          const pendingReview = details.some(d => d.pending);
+          return Object.assign({}, s, { details, pendingReview });
         });
         
         logger.debug('Session submissions retrieved', {
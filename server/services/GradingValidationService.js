@@ -58,6 +58,48 @@ class GradingValidation {
           throw new InvalidInputError('answers', `chosen at index ${idx} must be string or array`);
         }
       }
+      
+      // value: number for numeric questions
+      if (answer.value !== undefined && (typeof answer.value !== 'number' || !Number.isFinite(answer.value))) {
+        throw new InvalidInputError('answers', `value at index ${idx} must be a finite number`);
+      }
+      
+      // text: written answer for free-text questions
+      if (answer.text !== undefined && (typeof answer.text !== 'string' || answer.text.length > 5000)) {
+        throw new InvalidInputError('answers', `text at index ${idx} must be a string (max 5000 characters)`);
+      }
+      
+      // pairs: { leftId: rightId } for match questions
+      if (answer.pairs !== undefined) {
+        if (!answer.pairs || typeof answer.pairs !== 'object' || Array.isArray(answer.pairs)) {
+          throw new InvalidInputError('answers', `pairs at index ${idx} must be an object`);
+        }
+        const entries = Object.entries(answer.pairs);
+        if (entries.length > 10) {
+          throw new InvalidInputError('answers', `too many pairs at index ${idx}`);
+        }
+        entries.forEach(([leftId, rightId]) => {
+          if (leftId.length > 20 || typeof rightId !== 'string' || rightId.length > 20) {
+            throw new InvalidInputError('answers', `invalid pair entry at index ${idx}`);
+          }
+        });
+      }
+      
+      // gaps: { gapId: text } for gap-fill questions
+      if (answer.gaps !== undefined) {
+        if (!answer.gaps || typeof answer.gaps !== 'object' || Array.isArray(answer.gaps)) {
+          throw new InvalidInputError('answers', `gaps at index ${idx} must be an object`);
+        }
+        const entries = Object.entries(answer.gaps);
+        if (entries.length > 20) {
+          throw new InvalidInputError('answers', `too many gaps at index ${idx}`);
+        }
+        entries.forEach(([gapId, text]) => {
+          if (gapId.length > 20 || typeof text !== 'string' || text.length > 200) {
+            throw new InvalidInputError('answers', `invalid gap entry at index ${idx}`);
+          }
+        });
+      }
     });
     
     return answers;
@@ -0,0 +1,355 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const GradingValidationService = require('./GradingValidationService');
+const { InvalidInputError, LiveSessionError } = require('../errors');
+
+// Countdown per question (seconds)
+const DEFAULT_SECONDS = 30;
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 600;
+
+/**
+ * LiveSessionService
+ * Teacher-paced sessions: the teacher advances the questions, connected students
+ * receive the current question and answer it before the countdown ends.
+ *
+ * Live state is kept in memory (one server process), keyed by session id. When
+ * the teacher finishes the session, every participant's answers are graded and
+ * stored as a regular submission, so results, statistics and exports work as for
+ * self-paced sessions; the state is dropped once the final update has been sent.
+ *
+ * Emits 'update' (sessionName) whenever the state of a live session changes
+ * and 'shutdown' when the server stops.
+ */
+class LiveSessionService extends EventEmitter {
+  constructor(sessionService, quizService, gradingService, validator, txManager = null) {
+    super();
+    // One listener per connected client (SSE stream)
+    this.setMaxListeners(0);
+
+    this.sessionService = sessionService;
+    this.quizService = quizService;
+    this.gradingService = gradingService;
+    this.validator = validator;
+    this.txManager = txManager;
+    this.live = new Map();
+  }
+
+  /**
+   * Join a live session (rejoining with the same code returns the same participant).
+   * Sessions restricted to a roster only accept its personal codes.
+   * @returns {object} { participantId, participantName } - participantName is null in anonymous sessions
+   */
+  join(sessionName, userCode) {
+    const state = this._getState(sessionName);
+
+    if (state.status === 'finished') {
+      throw new LiveSessionError('This live session has already ended');
+    }
+
+    userCode = this.validator.validate('Submission', { userCode }).userCode;
+    const student = this.sessionService.checkParticipant(this.sessionService.getSession(sessionName), userCode);
+    if (student) {
+      userCode = student.code;
+    }
+
+    let participant = [...state.participants.values()].find(p => p.userCode === userCode);
+    if (!participant) {
+      participant = { id: uuidv4(), userCode, resultLink: null };
+      state.participants.set(participant.id, participant);
+      logger.info('Live session joined', { sessionName, userCode });
+      this._emitUpdate(state);
+    }
+
+    return { participantId: participant.id, participantName: student ? student.name : null };
+  }
+
+  /**
+   * Open the next question with a countdown
+   * @param {number} [seconds] - Answer time (5-600, default 30)
+   */
+  nextQuestion(sessionName, seconds = DEFAULT_SECONDS) {
+    const state = this._getState(sessionName);
+
+    if (state.status === 'finished') {
+      throw new LiveSessionError('This live session has already ended');
+    }
+    if (state.currentIdx + 1 >= state.questions.length) {
+      throw new LiveSessionError('No more questions - finish the session');
+    }
+    if (typeof seconds !== 'number' || !Number.isInteger(seconds) || seconds < MIN_SECONDS || seconds > MAX_SECONDS) {
+      throw new InvalidInputError('seconds', `must be an integer between ${MIN_SECONDS} and ${MAX_SECONDS}`);
+    }
+
+    this._clearTimer(state);
+    state.currentIdx++;
+    state.status = 'question';
+    state.deadline = Date.now() + seconds * 1000;
+    state.timer = setTimeout(() => this._close(state), seconds * 1000);
+    state.timer.unref();
+
+    logger.info('Live question opened', { sessionName, questionIdx: state.currentIdx, seconds });
+    this._emitUpdate(state);
+
+    return this.getPresenterState(sessionName);
+  }
+
+  /**
+   * Stop accepting answers for the current question before the countdown ends
+   */
+  closeQuestion(sessionName) {
+    const state = this._getState(sessionName);
+
+    if (state.status !== 'question') {
+      throw new LiveSessionError('No question is open');
+    }
+
+    this._close(state);
+    return this.getPresenterState(sessionName);
+  }
+
+  /**
+   * Store a participant's answer to the current question (a later answer replaces it)
+   */
+  answer(sessionName, participantId, answer) {
+    const state = this._getState(sessionName);
+    const participant = state.participants.get(participantId);
+
+    if (!participant) {
+      throw new InvalidInputError('participantId', 'unknown participant - please join again');
+    }
+    if (state.status !== 'question' || Date.now() > state.deadline) {
+      throw new LiveSessionError('Answers for this question are closed');
+    }
+
+    const [validated] = GradingValidationService.validateAnswers([answer]);
+    const question = state.questions[state.currentIdx];
+    if (validated.questionId !== question.id) {
+      throw new LiveSessionError('This question is no longer open');
+    }
+
+    state.answers[state.currentIdx].set(participantId, validated);
+    this._emitUpdate(state);
+
+    return { ok: true };
+  }
+
+  /**
+   * End the live session: grade and store every participant's answers, close the session.
+   * All in one transaction, so a failing submission leaves the session open and unchanged.
+   */
+  finish(sessionName) {
+    const state = this._getState(sessionName);
+
+    if (state.status === 'finished') {
+      throw new LiveSessionError('This live session has already ended');
+    }
+
+    const resultLinks = this._transaction(() => {
+      const links = new Map();
+      for (const participant of state.participants.values()) {
+        // Unanswered questions are graded as empty answers (0 points)
+        const answers = state.questions.map((q, idx) =>
+          state.answers[idx].get(participant.id) || { questionId: q.id });
+        const result = this.gradingService.submitAnswers(
+          sessionName, participant.userCode, answers, { fromLiveSession: true });
+        links.set(participant.id, result.resultLink);
+      }
+
+      const session = this.sessionService.getSession(sessionName);
+      this.sessionService.updateSessionTimes(session.id, session.open_from, new Date().toISOString());
+      return links;
+    }, 'FinishLiveSession');
+
+    this._clearTimer(state);
+    for (const participant of state.participants.values()) {
+      participant.resultLink = resultLinks.get(participant.id);
+    }
+    state.status = 'finished';
+    state.deadline = null;
+
+    logger.info('Live session finished', { sessionName, participants: state.participants.size });
+    // Connected clients receive their result links with this update
+    this._emitUpdate(state);
+    const presenterState = this.getPresenterState(sessionName);
+    this.live.delete(state.sessionId);
+
+    return presenterState;
+  }
+
+  /**
+   * Stop all countdowns and ask the routers to end open event streams (server shutdown)
+   */
+  shutdown() {
+    for (const state of this.live.values()) {
+      this._clearTimer(state);
+    }
+    this.emit('shutdown');
+  }
+
+  /**
+   * State for the presenter view: current question, countdown, answer histogram
+   */
+  getPresenterState(sessionName) {
+    const state = this._getState(sessionName);
+    const answers = state.currentIdx >= 0 ? [...state.answers[state.currentIdx].values()] : [];
+
+    return Object.assign(this._baseState(state), {
+      quizTitle: state.quizTitle,
+      participantCount: state.participants.size,
+      answeredCount: answers.length,
+      histogram: state.currentIdx >= 0 ? this._histogram(state, answers) : null
+    });
+  }
+
+  /**
+   * State for one participant: current question, countdown, own answer status, result link
+   */
+  getParticipantState(sessionName, participantId) {
+    const state = this._getState(sessionName);
+    const participant = state.participants.get(participantId);
+
+    if (!participant) {
+      throw new InvalidInputError('participantId', 'unknown participant - please join again');
+    }
+
+    return Object.assign(this._baseState(state), {
+      answered: state.currentIdx >= 0 && state.answers[state.currentIdx].has(participantId),
+      resultLink: participant.resultLink
+    });
+  }
+
+  /**
+   * Fields shared by presenter and participant state
+   * @private
+   */
+  _baseState(state) {
+    return {
+      sessionName: state.sessionName,
+      joinCode: state.joinCode,
+      status: state.status,
+      questionIndex: state.currentIdx,
+      questionCount: state.questions.length,
+      question: state.status === 'question' || state.status === 'closed'
+        ? state.questions[state.currentIdx]
+        : null,
+      // Remaining time instead of the deadline, so client clocks do not matter
+      remainingMs: state.status === 'question' ? Math.max(0, state.deadline - Date.now()) : 0
+    };
+  }
+
+  /**
+   * Answer histogram of the current question:
+   * options counts how often each option was chosen (choice questions),
+   * results counts correct / partially correct / incorrect / pending answers
+   * @private
+   */
+  _histogram(state, answers) {
+    const question = state.questions[state.currentIdx];
+    const options = {};
+    const results = { correct: 0, partial: 0, incorrect: 0, pending: 0 };
+
+    if (!['order', 'gap', 'numeric', 'match', 'text'].includes(question.type)) {
+      for (const option of (question.options || [])) {
+        options[option.id] = 0;
+      }
+    }
+
+    for (const answer of answers) {
+      const chosen = Array.isArray(answer.chosen) ? answer.chosen : (answer.chosen ? [answer.chosen] : []);
+      for (const id of chosen) {
+        if (options[id] !== undefined) options[id]++;
+      }
+
+      const { perQuestion } = this.gradingService.gradeAnswers([answer], state.keyMap);
+      const graded = perQuestion[0];
+      if (graded.pending) results.pending++;
+      else if (graded.maxPoints > 0 && graded.points >= graded.maxPoints) results.correct++;
+      else if (graded.points > 0) results.partial++;
+      else results.incorrect++;
+    }
+
+    return { options, results };
+  }
+
+  /**
+   * Load (or create) the in-memory state of a live session.
+   * Finished sessions get a fresh state that is not kept.
+   * @private
+   */
+  _getState(sessionName) {
+    const session = this.sessionService.getSession(sessionName);
+
+    if (!this.sessionService.isLiveSession(session)) {
+      throw new LiveSessionError('This is not a live session');
+    }
+
+    let state = this.live.get(session.id);
+    if (!state) {
+      // The same (shuffled) projection is sent to every participant
+      const quiz = this.quizService.getStrippedQuiz(session.quiz_id);
+      state = {
+        sessionId: session.id,
+        sessionName: session.session_name,
+        joinCode: session.join_code,
+        quizTitle: quiz.title,
+        questions: quiz.questions,
+        keyMap: this.gradingService.createAnswerKeyMap(this.quizService.loadQuiz(session.quiz_id), session.quiz_id),
+        // Sessions finished before a server restart cannot be resumed
+        status: this.sessionService.isSessionOpen(session) ? 'lobby' : 'finished',
+        currentIdx: -1,
+        deadline: null,
+        timer: null,
+        participants: new Map(),
+        answers: quiz.questions.map(() => new Map())
+      };
+      if (state.status !== 'finished') {
+        this.live.set(session.id, state);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Close the current question (countdown ended or teacher closed it)
+   * @private
+   */
+  _close(state) {
+    this._clearTimer(state);
+    if (state.status !== 'question') return;
+
+    state.status = 'closed';
+    state.deadline = null;
+    logger.info('Live question closed', { sessionName: state.sessionName, questionIdx: state.currentIdx });
+    this._emitUpdate(state);
+  }
+
+  /**
+   * @private
+   */
+  _clearTimer(state) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emitUpdate(state) {
+    this.emit('update', state.sessionName);
+  }
+
+  /**
+   * Run in a transaction if a TransactionManager is available
+   * @private
+   */
+  _transaction(operation, name) {
+    return this.txManager ? this.txManager.transaction(operation, name) : operation();
+  }
+}
+
+module.exports = LiveSessionService;
@@ -0,0 +1,120 @@
+const Constants = require('../config/constants');
+const logger = require('../utils/logger');
+const { LoginThrottledError } = require('../errors');
+
+/**
+ * Brute-force protection for teacher logins
+ *
+ * Failures are counted per account and per client IP. After the free attempts
+ * each failure doubles the wait before the next attempt (exponential backoff);
+ * from the lockout count on, each failure locks logins for LOGIN_LOCKOUT_SECONDS.
+ * Unknown usernames are counted like existing ones, so throttling does not
+ * reveal which accounts exist. A successful login clears the failures of the
+ * account, but only takes back the IP's failures on that same account: logging
+ * into an own account must not reset guessing on the others.
+ */
+class LoginThrottleService {
+  constructor(loginAttemptRepository) {
+    this.loginAttemptRepo = loginAttemptRepository;
+  }
+
+  /**
+   * Throttling keys with their limits for a login attempt
+   * @param {string} username - Normalized username
+   * @param {string} ip - Client IP address
+   */
+  getKeys(username, ip) {
+    return [
+      {
+        key: `account:${username}`,
+        freeAttempts: Constants.LOGIN_FREE_ATTEMPTS_PER_ACCOUNT,
+        lockoutAttempts: Constants.LOGIN_LOCKOUT_ATTEMPTS_PER_ACCOUNT
+      },
+      {
+        key: `ip:${ip || 'unknown'}`,
+        freeAttempts: Constants.LOGIN_FREE_ATTEMPTS_PER_IP,
+        lockoutAttempts: Constants.LOGIN_LOCKOUT_ATTEMPTS_PER_IP
+      }
+    ];
+  }
+
+  /**
+   * Seconds to wait after the given number of failures (0 = no wait)
+   */
+  getDelaySeconds(failures, { freeAttempts, lockoutAttempts }) {
+    if (failures >= lockoutAttempts) {
+      return Constants.LOGIN_LOCKOUT_SECONDS;
+    }
+    if (failures < freeAttempts) {
+      return 0;
+    }
+    return Math.min(
+      Constants.LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - freeAttempts),
+      Constants.LOGIN_BACKOFF_MAX_SECONDS
+    );
+  }
+
+  /**
+   * Reject the login attempt if the account or IP has to wait, otherwise count
+   * it as failed until succeed() is called. Counting before the password check
+   * keeps parallel requests from getting around the backoff.
+   * @param {string} username - Normalized username
+   * @param {string} ip - Client IP address
+   * @throws {LoginThrottledError} If the account or IP has to wait
+   */
+  attempt(username, ip) {
+    const now = Date.now();
+    const keys = this.getKeys(username, ip);
+
+    for (const limits of keys) {
+      const entry = this.loginAttemptRepo.findByKey(limits.key);
+      if (!entry) continue;
+
+      const lastFailure = new Date(entry.last_failure_at).getTime();
+      const retryAt = lastFailure + this.getDelaySeconds(entry.failures, limits) * 1000;
+      if (retryAt > now) {
+        const retryAfterSeconds = Math.ceil((retryAt - now) / 1000);
+        logger.warn('Login throttled', { username, ip, key: limits.key, failures: entry.failures, retryAfterSeconds });
+        throw new LoginThrottledError(retryAfterSeconds);
+      }
+    }
+
+    const failedAt = new Date(now).toISOString();
+    this.loginAttemptRepo.deleteOlderThan(
+      new Date(now - Constants.LOGIN_FAILURE_WINDOW_SECONDS * 1000).toISOString());
+
+    // Not throttled itself: the IP's failures on this account, taken back by succeed()
+    this.loginAttemptRepo.recordFailure(this.getAccountIpKey(username, ip), failedAt);
+    for (const limits of keys) {
+      const failures = this.loginAttemptRepo.recordFailure(limits.key, failedAt);
+      if (failures === limits.lockoutAttempts) {
+        logger.warn('Login locked after repeated failures', {
+          username, ip, key: limits.key, failures, lockoutSeconds: Constants.LOGIN_LOCKOUT_SECONDS
+        });
+      }
+    }
+  }
+
+  /**
+   * Successful login: forget the failures of the account, and those of the IP
+   * that were made on this account (including the attempts of this login)
+   */
+  succeed(username, ip) {
+    const [account, client] = this.getKeys(username, ip);
+    const accountIpKey = this.getAccountIpKey(username, ip);
+    const entry = this.loginAttemptRepo.findByKey(accountIpKey);
+
+    this.loginAttemptRepo.delete(account.key);
+    if (entry) {
+      this.loginAttemptRepo.removeFailures(client.key, entry.failures);
+      this.loginAttemptRepo.delete(accountIpKey);
+    }
+  }
+
+  /** @private */
+  getAccountIpKey(username, ip) {
+    return `account-ip:${username}:${ip || 'unknown'}`;
+  }
+}
+
+module.exports = LoginThrottleService;
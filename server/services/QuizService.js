@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const Constants = require('../config/constants');
@@ -12,15 +13,25 @@ const {
 } = require('../errors');
 
 class QuizService {
-  constructor(quizRepository, sessionRepository = null, submissionRepository = null, txManager = null) {
+  constructor(quizRepository, sessionRepository = null, submissionRepository = null, txManager = null, attemptRepository = null, draftRepository = null, quizShareRepository = null, scheduleRepository = null) {
     this.quizRepo = quizRepository;
     this.sessionRepo = sessionRepository;
     this.submissionRepo = submissionRepository;
     this.txManager = txManager;
+    this.attemptRepo = attemptRepository;
+    this.draftRepo = draftRepository;
+    this.quizShareRepo = quizShareRepository;
+    this.scheduleRepo = scheduleRepository;
   }
   
-  createQuiz(title, imagePath, language = 'de') {
-    logger.debug('Creating quiz', { title, imagePath, language });
+  /**
+   * @param {string} title
+   * @param {string} imagePath - Media directory name
+   * @param {string} [language] - 'de', 'en' or 'es'
+   * @param {string|null} [teacherId] - Owning teacher
+   */
+  createQuiz(title, imagePath, language = 'de', teacherId = null) {
+    logger.debug('Creating quiz', { title, imagePath, language, teacherId });
 
     // Validation happens in QuizRepository
 
@@ -55,7 +66,8 @@ class QuizService {
         filename,
         imagePath,
         JSON.stringify(emptyQuiz),
-        createdAt
+        createdAt,
+        teacherId
       );
 
       this.ensureMediaDirectory(imagePath.trim());
@@ -74,7 +86,12 @@ class QuizService {
     }
   }
   
-  saveQuiz(quiz, quizId = null) {
+  /**
+   * Create (without quizId) or update a quiz.
+   * Updates must be checked with AuthService.checkQuizPermission first.
+   * @param {string|null} [teacherId] - Owner of a new quiz
+   */
+  saveQuiz(quiz, quizId = null, teacherId = null) {
     logger.debug('Saving quiz', { quizId, hasQuestions: quiz?.questions?.length });
     
     if (!quiz || !quiz.questions) {
@@ -105,7 +122,8 @@ class QuizService {
           filename, 
           mediaPath, 
           JSON.stringify(quiz), 
-          createdAt
+          createdAt,
+          teacherId
         );
         logger.info('New quiz saved', { quizId: id, title: validatedTitle });
       } else {
@@ -128,7 +146,7 @@ class QuizService {
     }
   }
   
-  uploadQuiz(quiz) {
+  uploadQuiz(quiz, teacherId = null) {
     logger.debug('Uploading quiz', { title: quiz?.title });
     
     if (!quiz || !quiz.questions || !Array.isArray(quiz.questions)) {
@@ -200,11 +218,14 @@ class QuizService {
     return metadata;
   }
   
-  getAllQuizzes() {
-    logger.debug('Getting all quizzes');
+  /**
+   * @param {object|null} [scope] - Access scope (see utils/ownership.js), null = all quizzes
+   */
+  getAllQuizzes(scope = null) {
+    logger.debug('Getting all quizzes', { teacherId: scope?.teacherId });
     
     try {
-      const quizzes = this.quizRepo.findAll();
+      const quizzes = this.quizRepo.findAll(scope);
       logger.debug('Quizzes retrieved', { count: quizzes.length });
       return quizzes;
     } catch (err) {
@@ -213,41 +234,214 @@ class QuizService {
     }
   }
   
-  getStrippedQuiz(quizId) {
+  /**
+   * Quiz as sent to participants: the student projection without solutions.
+   * Options keep only id, text and image (no correct flags, no explanations), so
+   * neither the answer key nor the number of correct options reaches the browser.
+   * Solutions and explanations are only sent with the released result (and the
+   * per-answer feedback of practice sessions).
+   * @param {string} quizId - Quiz ID
+   * @param {object} [options]
+   * @param {string} [options.seed] - Makes all shuffling reproducible (e.g. per participant)
+   * @param {boolean} [options.shuffleQuestions] - Shuffle the question order
+   * @param {boolean} [options.shuffleOptions] - Shuffle choice options (unless the question pins them)
+   * @param {Array} [options.draw] - Draw rules: only a random subset of the questions (requires a seed)
+   * @param {Array} [options.drawPool] - Questions to draw from ({ id, tag, keyword }, default: the current questions)
+   * @returns {object} Stripped quiz
+   */
+  getStrippedQuiz(quizId, options = {}) {
+    const { seed = null, shuffleQuestions = false, shuffleOptions = false, draw = null, drawPool = null } = options;
     const quiz = this.loadQuiz(quizId);
+    const random = seed ? this._seededRandom(`${quizId}:${seed}`) : Math.random;
+    const drawn = draw ? new Set(this.drawQuestions(quizId, drawPool || quiz.questions, draw, seed).map(q => q.id)) : null;
+    const sourceQuestions = drawn ? quiz.questions.filter(q => drawn.has(q.id)) : quiz.questions;
+    
+    const questions = sourceQuestions.map(q => this._studentQuestion(quizId, q, shuffleOptions, random));
     
     return {
       id: quizId,
       title: quiz.title,
-      questions: quiz.questions.map(q => {
-        // Extract correct answer IDs - supports both formats
-        let correctAnswers = [];
-
-        // NEW FORMAT: options[].correct = true/false
-        if (q.options && Array.isArray(q.options)) {
-          correctAnswers = q.options
-            .filter(option => typeof option === 'object' && option.correct === true)
-            .map(option => option.id);
-        }
-        // OLD FORMAT fallback: q.correct array
-        if (correctAnswers.length === 0 && q.correct) {
-          correctAnswers = Array.isArray(q.correct) ? q.correct : [q.correct];
-        }
-
-        const isMultiple = (correctAnswers.length > 1) || !!q.multiple;
-        
-        return {
-          id: q.id,
-          keyword: q.keyword || (q.text.length > 30 ? q.text.slice(0, 30) + '...' : q.text),
-          text: q.text,
-          image: q.image,
-          reason: q.reason,
-          reasonImage: q.reasonImage,
-          options: q.options,
-          points: q.points || 1,
-          multiple: isMultiple
-        };
-      })
+      language: quiz.language,
+      questions: shuffleQuestions ? this._permute(questions, random) : questions
+    };
+  }
+  
+  /**
+   * Student projection of a whole quiz in authored order (e.g. a translated quiz).
+   * Question, option and item ids match getStrippedQuiz, so texts can be mapped by id.
+   * @param {string} quizId - Quiz ID
+   * @param {object} quiz - Full quiz
+   * @returns {object} Stripped quiz
+   */
+  toStudentQuiz(quizId, quiz) {
+    return {
+      id: quizId,
+      title: quiz.title,
+      language: quiz.language,
+      questions: (quiz.questions || []).map(q => this._studentQuestion(quizId, q, false, Math.random))
+    };
+  }
+  
+  /**
+   * One question as participants see it (see getStrippedQuiz)
+   * @private
+   */
+  _studentQuestion(quizId, q, shuffleOptions, random) {
+    return {
+      id: q.id,
+      keyword: q.keyword || (q.text.length > 30 ? q.text.slice(0, 30) + '...' : q.text),
+      text: q.text,
+      image: q.image,
+      type: q.type,
+      options: this._participantOptions(quizId, q, shuffleOptions, random),
+      // Gap questions: only the gap ids, never the accepted answers
+      gaps: q.type === 'gap' ? (q.gaps || []).map(gap => ({ id: gap.id })) : undefined,
+      // Numeric questions: only the unit, never the target value or tolerance
+      unit: q.type === 'numeric' && q.numeric ? q.numeric.unit : undefined,
+      // Match questions: left items by pair id, right items shuffled with masked ids
+      leftItems: q.type === 'match' ? (q.pairs || []).map(pair => ({
+        id: pair.id, text: pair.left.text, image: pair.left.image
+      })) : undefined,
+      rightItems: q.type === 'match' ? this._shuffleItems((q.pairs || []).map(pair => ({
+        id: this.maskItemId(quizId, q.id, pair.id), text: pair.right.text, image: pair.right.image
+      })), random) : undefined,
+      // Free-text questions: only the length limit, never the sample answer
+      maxLength: q.type === 'text' ? (q.maxLength || 5000) : undefined,
+      points: q.points || 1
+    };
+  }
+  
+  /**
+   * Random subset of questions according to draw rules ({ count, tag?, keyword? }).
+   * Rules with a filter are applied first, so an unfiltered rule draws from the rest.
+   * The same seed always draws the same questions; they keep the authored order.
+   * @param {string} quizId - Quiz ID (part of the seed)
+   * @param {Array} questions - All questions of the quiz
+   * @param {Array} rules - Draw rules (validated by SessionService)
+   * @param {string} seed - Participant seed
+   * @returns {Array} Drawn questions
+   */
+  drawQuestions(quizId, questions, rules, seed) {
+    // Separate generator, so shuffling the drawn questions does not change the draw
+    const random = this._seededRandom(`${quizId}:${seed}:draw`);
+    const filtered = rules.filter(rule => rule.tag !== undefined || rule.keyword !== undefined);
+    const unfiltered = rules.filter(rule => rule.tag === undefined && rule.keyword === undefined);
+    const drawn = new Set();
+    
+    for (const rule of filtered.concat(unfiltered)) {
+      const candidates = questions.filter(q => !drawn.has(q.id) && this.matchesDrawRule(q, rule));
+      // Questions may match several rules, so a later rule can find fewer than requested
+      this._permute(candidates, random)
+        .slice(0, rule.count)
+        .forEach(q => drawn.add(q.id));
+    }
+    
+    return questions.filter(q => drawn.has(q.id));
+  }
+  
+  /**
+   * Whether a question can be drawn by a draw rule (tag/keyword filter)
+   */
+  matchesDrawRule(question, rule) {
+    if (rule.tag !== undefined) return question.tag === rule.tag;
+    if (rule.keyword !== undefined) return question.keyword === rule.keyword;
+    return true;
+  }
+  
+  /**
+   * Options in the order a participant sees them.
+   * Order questions are stored in the correct order, so they are always shuffled
+   * and get masked ids (authored ids are often numbered in the correct order);
+   * choice options only if the session asks for it and the question does not pin them.
+   * @private
+   */
+  _participantOptions(quizId, question, shuffleOptions, random) {
+    if (!Array.isArray(question.options)) {
+      return question.options;
+    }
+    const options = question.options.map(option => this._studentOption(option));
+    if (question.type === 'order') {
+      return this._shuffleItems(options.map(option => (typeof option === 'object' && option !== null
+        ? { ...option, id: this.maskItemId(quizId, question.id, option.id) }
+        : option)), random);
+    }
+    if (shuffleOptions && !question.pinOptions) {
+      return this._permute(options, random);
+    }
+    return options;
+  }
+  
+  /**
+   * Option without correct flag and explanation (legacy string options carry neither)
+   * @private
+   */
+  _studentOption(option) {
+    if (typeof option !== 'object' || option === null) {
+      return option;
+    }
+    return { id: option.id, text: option.text, image: option.image };
+  }
+  
+  /**
+   * Id under which students see the right-hand item of a match pair or an order option.
+   * Keyed with the server secret so pairs cannot be matched and the order cannot be read by id.
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {string} itemId - Pair ID (match) or option ID (order)
+   * @returns {string} Masked id (8 hex chars)
+   */
+  maskItemId(quizId, questionId, itemId) {
+    return crypto.createHmac('sha256', Constants.SESSION_SECRET)
+      .update(`${quizId}:${questionId}:${itemId}`)
+      .digest('hex')
+      .slice(0, 8);
+  }
+  
+  /**
+   * Shuffle order options or match items.
+   * Never returns the original (correct) order itself.
+   * @private
+   */
+  _shuffleItems(options, random = Math.random) {
+    const shuffled = this._permute(options, random);
+    
+    if (shuffled.length > 1 && shuffled.every((option, idx) => option === options[idx])) {
+      shuffled.push(shuffled.shift());
+    }
+    
+    return shuffled;
+  }
+  
+  /**
+   * Shuffled copy of items (Fisher-Yates)
+   * @private
+   */
+  _permute(items, random = Math.random) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+  
+  /**
+   * Deterministic random number generator (mulberry32) for a seed string.
+   * The seed is keyed with the server secret so the order cannot be predicted from the user code.
+   * @private
+   * @returns {function(): number} Numbers in [0, 1)
+   */
+  _seededRandom(seed) {
+    let state = crypto.createHmac('sha256', Constants.SESSION_SECRET)
+      .update(seed)
+      .digest()
+      .readUInt32LE(0);
+    
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     };
   }
   
@@ -361,11 +555,24 @@ class QuizService {
       }
       logger.debug('Submissions deleted', { count: submissionsDeleted });
       
-      // Step 3: Delete all sessions for this quiz
+      if (this.attemptRepo) {
+        this.attemptRepo.deleteBySessionIds(sessionIds);
+      }
+      if (this.draftRepo) {
+        this.draftRepo.deleteBySessionIds(sessionIds);
+      }
+      
+      // Step 3: Delete all sessions for this quiz (and the schedules that create them)
+      if (this.scheduleRepo) {
+        this.scheduleRepo.deleteByQuizId(quizId);
+      }
       const sessionsDeleted = this.sessionRepo.deleteByQuizId(quizId);
       logger.debug('Sessions deleted', { count: sessionsDeleted });
       
-      // Step 4: Delete the quiz itself
+      // Step 4: Delete the quiz itself (and its shares)
+      if (this.quizShareRepo) {
+        this.quizShareRepo.deleteByQuizId(quizId);
+      }
       this.quizRepo.delete(quizId);
       logger.info('Quiz deleted', { quizId });
       
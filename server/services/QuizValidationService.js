@@ -5,6 +5,13 @@
 
 const logger = require('../utils/logger');
 
+// Gap placeholders in question text: {{1}}, {{city}}, ...
+const GAP_PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+// Scoring modes per question type (the Question rules accept the union)
+const CHOICE_SCORING = ['allOrNothing', 'perOption', 'proportional'];
+const ORDER_SCORING = ['allOrNothing', 'perPosition', 'longestSubsequence'];
+
 class QuizValidationService {
   /**
    * @param {ObjectValidator} validator - Global validator instance (shared across app)
@@ -18,7 +25,7 @@ class QuizValidationService {
     
     // Rules are registered by QuizRepository during its initialization
     // Here we just check if they're available
-    const requiredRules = ['Quiz', 'QuizContent', 'Question', 'Option'];
+    const requiredRules = ['Quiz', 'QuizContent', 'Question', 'Gap', 'NumericAnswer', 'MatchPair', 'MatchItem', 'Option'];
     const missingRules = requiredRules.filter(type => !validator.hasRules(type));
     
     if (missingRules.length > 0) {
@@ -74,20 +81,47 @@ class QuizValidationService {
       // Validate question structure
       this.validator.validate('Question', question);
       
-      // Check for at least one correct answer
-      let hasCorrect = false;
-      
-      question.options.forEach((option, optIdx) => {
-        this.validateOption(option, index, optIdx);
-        
-        // Track if we found a correct answer
-        if (typeof option === 'object' && option.correct) {
-          hasCorrect = true;
-        }
-      });
+      // Order and match items are always shuffled, other types have no options
+      if (question.pinOptions && !['single', 'multiple'].includes(question.type)) {
+        throw new Error('Pinning the option order only applies to choice questions');
+      }
       
-      if (!hasCorrect) {
-        throw new Error('Question must have at least one correct answer');
+      switch (question.type) {
+        case 'gap':
+          if (question.scoring) {
+            throw new Error('Scoring mode only applies to choice questions (gaps are graded individually)');
+          }
+          this.validateGaps(question);
+          break;
+        case 'numeric':
+          if (question.scoring) {
+            throw new Error('Scoring mode only applies to choice questions');
+          }
+          this.validateNumeric(question);
+          break;
+        case 'order':
+          if (question.scoring && !ORDER_SCORING.includes(question.scoring)) {
+            throw new Error(`Order questions support the scoring modes ${ORDER_SCORING.join(', ')}`);
+          }
+          this.validateOrder(question, index);
+          break;
+        case 'match':
+          if (question.scoring) {
+            throw new Error('Scoring mode only applies to choice and order questions (pairs are graded individually)');
+          }
+          this.validateMatch(question);
+          break;
+        case 'text':
+          // Free text is graded manually by the teacher
+          if (question.scoring) {
+            throw new Error('Scoring mode does not apply to free-text questions (graded manually)');
+          }
+          break;
+        default:
+          if (question.scoring && !CHOICE_SCORING.includes(question.scoring)) {
+            throw new Error(`Choice questions support the scoring modes ${CHOICE_SCORING.join(', ')}`);
+          }
+          this.validateOptions(question, index);
       }
       
     } catch (err) {
@@ -95,6 +129,170 @@ class QuizValidationService {
     }
   }
   
+  /**
+   * Validates the options of a choice question
+   * @param {object} question - Question object (type single/multiple)
+   * @param {number} index - Question index (for error messages)
+   * @throws {Error}
+   */
+  validateOptions(question, index) {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      throw new Error('Question must have 2-10 options');
+    }
+    
+    // Check for at least one correct answer
+    let hasCorrect = false;
+    
+    question.options.forEach((option, optIdx) => {
+      this.validateOption(option, index, optIdx);
+      
+      // Track if we found a correct answer
+      if (typeof option === 'object' && option.correct) {
+        hasCorrect = true;
+      }
+    });
+    
+    if (!hasCorrect) {
+      throw new Error('Question must have at least one correct answer');
+    }
+  }
+  
+  /**
+   * Validates the options of an order question.
+   * The options are stored in the correct order; correct flags are not used.
+   * @param {object} question - Question object (type order)
+   * @param {number} index - Question index (for error messages)
+   * @throws {Error}
+   */
+  validateOrder(question, index) {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      throw new Error('Order question must have 2-10 options');
+    }
+    
+    const ids = new Set();
+    question.options.forEach((option, optIdx) => {
+      if (typeof option !== 'object') {
+        throw new Error(`Option ${optIdx + 1}: order questions need option objects with an id`);
+      }
+      this.validateOption(option, index, optIdx);
+      
+      if (ids.has(option.id)) {
+        throw new Error(`Duplicate option id "${option.id}"`);
+      }
+      ids.add(option.id);
+    });
+  }
+  
+  /**
+   * Validates the pairs of a match question.
+   * Pair ids must be unique and right-hand items distinguishable.
+   * @param {object} question - Question object (type match)
+   * @throws {Error}
+   */
+  validateMatch(question) {
+    if (!Array.isArray(question.pairs) || question.pairs.length < 2) {
+      throw new Error('Match question must have 2-10 pairs');
+    }
+    
+    const ids = new Set();
+    const rightItems = new Set();
+    question.pairs.forEach((pair, pairIdx) => {
+      try {
+        this.validator.validate('MatchPair', pair);
+        for (const side of ['left', 'right']) {
+          if (!pair[side] || typeof pair[side] !== 'object' || Array.isArray(pair[side])) {
+            throw new Error(`${side} item is missing`);
+          }
+          this.validator.validate('MatchItem', pair[side]);
+        }
+      } catch (err) {
+        throw new Error(`Pair ${pairIdx + 1}: ${err.message}`);
+      }
+      
+      if (ids.has(pair.id)) {
+        throw new Error(`Duplicate pair id "${pair.id}"`);
+      }
+      ids.add(pair.id);
+      
+      const rightKey = `${pair.right.text.trim()}|${pair.right.image || ''}`;
+      if (rightItems.has(rightKey)) {
+        throw new Error(`Pair ${pairIdx + 1}: right-hand items must be distinct`);
+      }
+      rightItems.add(rightKey);
+    });
+  }
+  
+  /**
+   * Validates the gaps of a gap question.
+   * Every {{id}} placeholder in the text needs exactly one gap definition and vice versa.
+   * @param {object} question - Question object (type gap)
+   * @throws {Error}
+   */
+  validateGaps(question) {
+    if (!Array.isArray(question.gaps) || question.gaps.length === 0) {
+      throw new Error('Gap question must have at least one gap');
+    }
+    
+    const placeholderIds = [...question.text.matchAll(GAP_PLACEHOLDER)].map(m => m[1]);
+    const gapIds = new Set();
+    
+    question.gaps.forEach((gap, gapIdx) => {
+      try {
+        this.validator.validate('Gap', gap);
+      } catch (err) {
+        throw new Error(`Gap ${gapIdx + 1}: ${err.message}`);
+      }
+      
+      if (gapIds.has(gap.id)) {
+        throw new Error(`Duplicate gap id "${gap.id}"`);
+      }
+      gapIds.add(gap.id);
+      
+      if (!placeholderIds.includes(gap.id)) {
+        throw new Error(`Gap "${gap.id}" has no {{${gap.id}}} placeholder in the question text`);
+      }
+      
+      gap.answers.forEach(answer => {
+        if (answer.trim().length === 0) {
+          throw new Error(`Gap "${gap.id}" has an empty accepted answer`);
+        }
+        if (gap.regex) {
+          try {
+            new RegExp(answer);
+          } catch (err) {
+            throw new Error(`Gap "${gap.id}" has an invalid pattern: ${err.message}`);
+          }
+        }
+      });
+    });
+    
+    const undefinedGap = placeholderIds.find(id => !gapIds.has(id));
+    if (undefinedGap) {
+      throw new Error(`Placeholder {{${undefinedGap}}} has no gap definition`);
+    }
+  }
+  
+  /**
+   * Validates the target value of a numeric question
+   * @param {object} question - Question object (type numeric)
+   * @throws {Error}
+   */
+  validateNumeric(question) {
+    const numeric = question.numeric;
+    if (!numeric || typeof numeric !== 'object' || Array.isArray(numeric)) {
+      throw new Error('Numeric question must have a numeric answer definition');
+    }
+    
+    this.validator.validate('NumericAnswer', numeric);
+    
+    if (!Number.isFinite(numeric.value)) {
+      throw new Error('Numeric answer value must be a finite number');
+    }
+    if (numeric.toleranceType === 'relative' && numeric.value === 0 && numeric.tolerance > 0) {
+      throw new Error('Relative tolerance needs a target value other than 0');
+    }
+  }
+  
   /**
    * Validates single option
    * @param {object|string} option - Option object or string (legacy)
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { quoteCell } = require('../utils/csv');
+const {
+  InvalidInputError,
+  RosterNotFoundError,
+  RosterInUseError
+} = require('../errors');
+
+// Students per roster and per import
+const MAX_STUDENTS = 500;
+
+// Generated personal codes: upper case letters and digits without 0/O, 1/I/L
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// First cell of an optional header line
+const HEADER_NAMES = ['name', 'student'];
+
+/**
+ * Class rosters of a teacher
+ *
+ * A roster is imported from a CSV student list (one student per line: name and
+ * optionally an own code). Students without code get a generated personal code
+ * that stays the same for every session restricted to the roster, so results
+ * can be shown with the student's name. Rosters belong to the teacher who
+ * created them; SessionService checks the codes when students take part.
+ */
+class RosterService {
+  constructor(rosterRepository, sessionRepository, txManager) {
+    this.rosterRepo = rosterRepository;
+    this.sessionRepo = sessionRepository;
+    this.txManager = txManager;
+  }
+
+  /**
+   * @param {string} teacherId
+   * @returns {Array} [{ id, name, studentCount, sessionCount, createdAt }]
+   */
+  getRosters(teacherId) {
+    return this.rosterRepo.findByTeacher(teacherId).map(row => ({
+      id: row.id,
+      name: row.name,
+      studentCount: row.student_count,
+      sessionCount: row.session_count,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Roster with its students and their personal codes
+   * @returns {{ id, name, createdAt, students: Array<{ id, name, code }> }}
+   */
+  getRoster(rosterId, teacherId) {
+    const roster = this.getOwnRoster(rosterId, teacherId);
+    return {
+      id: roster.id,
+      name: roster.name,
+      createdAt: roster.created_at,
+      students: this.rosterRepo.findStudents(roster.id).map(student => this.toPublicStudent(student))
+    };
+  }
+
+  /**
+   * Create a roster from a CSV student list (see parseStudentList)
+   * @param {string} name - Roster name (e.g. the class)
+   * @param {string} csv - Student list, may be empty
+   * @param {string} teacherId - Owning teacher
+   * @returns {object} The roster as returned by getRoster
+   */
+  createRoster(name, csv, teacherId) {
+    const students = this.parseStudentList(csv || '');
+    const id = uuidv4();
+
+    this.txManager.transaction(() => {
+      this.rosterRepo.create(id, typeof name === 'string' ? name : '', teacherId, new Date().toISOString());
+      this.insertStudents(id, students);
+    }, 'CreateRoster');
+
+    logger.info('Roster created', { rosterId: id, students: students.length });
+    return this.getRoster(id, teacherId);
+  }
+
+  /**
+   * Add students from a CSV student list to a roster
+   * @returns {object} The roster as returned by getRoster
+   */
+  addStudents(rosterId, csv, teacherId) {
+    const roster = this.getOwnRoster(rosterId, teacherId);
+    const students = this.parseStudentList(csv);
+    if (students.length === 0) {
+      throw new InvalidInputError('csv', 'No students in the list');
+    }
+
+    this.txManager.transaction(() => this.insertStudents(roster.id, students), 'AddRosterStudents');
+
+    logger.info('Students added to roster', { rosterId: roster.id, students: students.length });
+    return this.getRoster(roster.id, teacherId);
+  }
+
+  /**
+   * Remove a student. Their submissions are kept, but are no longer shown with a name.
+   */
+  deleteStudent(rosterId, studentId, teacherId) {
+    const roster = this.getOwnRoster(rosterId, teacherId);
+    if (this.rosterRepo.deleteStudent(roster.id, studentId) === 0) {
+      throw new InvalidInputError('studentId', 'No such student in the roster');
+    }
+    logger.info('Student removed from roster', { rosterId: roster.id, studentId });
+  }
+
+  /**
+   * Delete a roster that no session uses (results would lose the names)
+   */
+  deleteRoster(rosterId, teacherId) {
+    const roster = this.getOwnRoster(rosterId, teacherId);
+    const sessionCount = this.sessionRepo.countByRosterId(roster.id);
+    if (sessionCount > 0) {
+      throw new RosterInUseError(roster.name, sessionCount);
+    }
+
+    this.txManager.transaction(() => this.rosterRepo.delete(roster.id), 'DeleteRoster');
+    logger.info('Roster deleted', { rosterId: roster.id });
+  }
+
+  /**
+   * Names and personal codes as CSV, e.g. to print code slips for the class
+   * @returns {{ content: string, filename: string, contentType: string }}
+   */
+  exportCodesCSV(rosterId, teacherId) {
+    const roster = this.getRoster(rosterId, teacherId);
+    let csv = 'name;code\n';
+    for (const student of roster.students) {
+      csv += `${quoteCell(student.name)};${quoteCell(student.code)}\n`;
+    }
+
+    return {
+      content: csv,
+      filename: `${roster.name.replace(/[^a-zA-Z0-9_-]+/g, '_')}_codes.csv`,
+      contentType: 'text/csv'
+    };
+  }
+
+  /**
+   * Roster of the teacher (rosters of others look like they do not exist)
+   * @throws {RosterNotFoundError}
+   */
+  getOwnRoster(rosterId, teacherId) {
+    const roster = rosterId ? this.rosterRepo.findById(String(rosterId)) : null;
+    if (!roster || !teacherId || roster.teacher_id !== teacherId) {
+      throw new RosterNotFoundError(rosterId);
+    }
+    return roster;
+  }
+
+  /**
+   * Parse a student list: one student per line, "name" or "name;code"
+   * (separated by semicolon, tab or - without semicolons and tabs - comma).
+   * Empty lines and a header line ("name;code") are skipped; codes are case-insensitive.
+   * @param {string} csv
+   * @returns {Array<{ name: string, code: string|null, line: number }>}
+   * @throws {InvalidInputError} For lines without a name or with a duplicate code
+   */
+  parseStudentList(csv) {
+    if (typeof csv !== 'string') {
+      throw new InvalidInputError('csv', 'must be a text with one student per line');
+    }
+
+    const lines = csv.split(/\r?\n/);
+    const separator = [';', '\t'].find(sep => csv.includes(sep)) || ',';
+    const students = [];
+
+    lines.forEach((line, idx) => {
+      if (!line.trim()) return;
+      const [name = '', code = ''] = line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+      if (students.length === 0 && HEADER_NAMES.includes(name.toLowerCase())) return;
+
+      if (!name) {
+        throw new InvalidInputError('csv', `line ${idx + 1}: name is missing`);
+      }
+      students.push({ name, code: code ? code.toUpperCase() : null, line: idx + 1 });
+    });
+
+    if (students.length > MAX_STUDENTS) {
+      throw new InvalidInputError('csv', `at most ${MAX_STUDENTS} students per roster`);
+    }
+    return students;
+  }
+
+  /**
+   * Insert parsed students, generating the missing codes (run inside a transaction)
+   * @private
+   */
+  insertStudents(rosterId, students) {
+    const existing = this.rosterRepo.findStudents(rosterId);
+    if (existing.length + students.length > MAX_STUDENTS) {
+      throw new InvalidInputError('csv', `at most ${MAX_STUDENTS} students per roster`);
+    }
+
+    const usedCodes = new Set(existing.map(student => student.code));
+    for (const student of students) {
+      if (student.code && usedCodes.has(student.code)) {
+        throw new InvalidInputError('csv', `line ${student.line}: code ${student.code} is used twice`);
+      }
+      if (student.code) usedCodes.add(student.code);
+    }
+
+    const createdAt = new Date().toISOString();
+    for (const student of students) {
+      let code = student.code;
+      if (!code) {
+        do {
+          code = this.generateCode();
+        } while (usedCodes.has(code));
+        usedCodes.add(code);
+      }
+      // Repository validates name and code
+      this.rosterRepo.addStudent(uuidv4(), rosterId, student.name, code, createdAt);
+    }
+  }
+
+  /**
+   * Random personal code like "K7QMX2"
+   * @private
+   */
+  generateCode() {
+    return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  /** @private */
+  toPublicStudent(row) {
+    return { id: row.id, name: row.name, code: row.code };
+  }
+}
+
+module.exports = RosterService;
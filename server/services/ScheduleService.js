@@ -0,0 +1,301 @@
+const { v4: uuidv4 } = require('uuid');
+const Constants = require('../config/constants');
+const logger = require('../utils/logger');
+const {
+  InvalidInputError,
+  ScheduleNotFoundError
+} = require('../errors');
+
+// Weekday names in the order of Date.getDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurring sessions (e.g. every Monday and Wednesday 08:00-08:45 until the end of term)
+ *
+ * A schedule stores the rule and the settings of its sessions. The sessions are
+ * created ahead of time (SCHEDULE_HORIZON_DAYS) by generateAll(), which runs on
+ * startup and periodically; until then they are ordinary scheduled sessions that
+ * can be changed or deleted one by one. Times of day are in the server's time zone.
+ */
+class ScheduleService {
+  constructor(scheduleRepository, sessionService, sessionRepository, txManager = null) {
+    this.scheduleRepo = scheduleRepository;
+    this.sessionService = sessionService;
+    this.sessionRepo = sessionRepository;
+    this.txManager = txManager;
+    this.timer = null;
+  }
+
+  /**
+   * Create the upcoming sessions now and check every SCHEDULE_CHECK_INTERVAL_MINUTES
+   */
+  start() {
+    this.generateAll();
+    this.timer = setInterval(() => this.generateAll(), Constants.SCHEDULE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} quizId
+   * @returns {Array} [{ id, weekdays, startTime, endTime, startsOn, until, settings, upcomingSessions, nextOpenFrom, createdAt }]
+   */
+  getSchedules(quizId) {
+    return this.scheduleRepo.findByQuizId(quizId, new Date().toISOString()).map(row => this._toScheduleInfo(row));
+  }
+
+  /**
+   * Create a schedule and its sessions of the next SCHEDULE_HORIZON_DAYS
+   * @param {string} quizId
+   * @param {object} rule
+   * @param {string[]} rule.weekdays - e.g. ['mon', 'wed']
+   * @param {string} rule.startTime - Time of day the sessions open ('HH:MM', server time)
+   * @param {string} rule.endTime - Time of day the sessions close, after startTime
+   * @param {string} [rule.startsOn] - First date ('YYYY-MM-DD', default today)
+   * @param {string} rule.until - Last date, at most SCHEDULE_MAX_DAYS after startsOn
+   * @param {object} [rule.settings] - Session settings as for SessionService.createSession (no live mode, no releaseAt)
+   * @param {string|null} [teacherId] - Owning teacher of the sessions
+   * @returns {object} The schedule as listed by getSchedules, with the names of the created sessions (sessionNames)
+   */
+  createSchedule(quizId, rule = {}, teacherId = null) {
+    const { weekdays, startTime, endTime, startsOn, until, settings = {} } = rule;
+
+    const days = this._parseWeekdays(weekdays);
+    const start = this._parseTime('startTime', startTime);
+    const end = this._parseTime('endTime', endTime);
+    if (end <= start) {
+      throw new InvalidInputError('endTime', 'must be after startTime');
+    }
+
+    const today = this._formatDate(new Date());
+    const firstDate = startsOn ? this._parseDate('startsOn', startsOn) : today;
+    const lastDate = this._parseDate('until', until);
+    if (lastDate < firstDate || lastDate < today) {
+      throw new InvalidInputError('until', 'must not be before startsOn or in the past');
+    }
+    if (this._daysBetween(firstDate, lastDate) >= Constants.SCHEDULE_MAX_DAYS) {
+      throw new InvalidInputError('until', `a schedule may cover at most ${Constants.SCHEDULE_MAX_DAYS} days`);
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new InvalidInputError('settings', 'must be an object');
+    }
+    if (settings.mode === 'live') {
+      throw new InvalidInputError('mode', 'Live sessions are started by the teacher and cannot be scheduled');
+    }
+    if (settings.releaseAt) {
+      throw new InvalidInputError('releaseAt', 'Scheduled sessions release their results when they close');
+    }
+    const sessionSettings = this.sessionService.validateSettings(quizId, settings, teacherId);
+    delete sessionSettings.releaseAt;
+
+    const id = uuidv4();
+    const sessionNames = this._transaction(() => {
+      this.scheduleRepo.create({
+        id,
+        quizId,
+        teacherId,
+        weekdays: days,
+        startTime: start,
+        endTime: end,
+        startsOn: firstDate,
+        endsOn: lastDate,
+        settings: sessionSettings,
+        generatedUntil: this._formatDate(this._addDays(this._toLocalDate(firstDate), -1)),
+        createdAt: new Date().toISOString()
+      });
+      return this._generate(this.scheduleRepo.findById(id));
+    }, 'CreateSchedule');
+
+    logger.info('Schedule created', { scheduleId: id, quizId, weekdays: days, startTime: start, endTime: end,
+      startsOn: firstDate, until: lastDate, sessions: sessionNames.length });
+
+    const schedule = this.getSchedules(quizId).find(row => row.id === id);
+    return { ...schedule, sessionNames };
+  }
+
+  /**
+   * Create the sessions that have come within SCHEDULE_HORIZON_DAYS. A failing
+   * schedule (e.g. its roster was deleted) is logged and does not stop the others.
+   * @param {Date} [now]
+   * @returns {number} Number of created sessions
+   */
+  generateAll(now = new Date()) {
+    let created = 0;
+    for (const schedule of this.scheduleRepo.findUnfinished()) {
+      try {
+        created += this._transaction(() => this._generate(schedule, now), 'GenerateScheduledSessions').length;
+      } catch (err) {
+        logger.error('Failed to create scheduled sessions', { scheduleId: schedule.id, quizId: schedule.quiz_id, error: err.message });
+      }
+    }
+    if (created > 0) {
+      logger.info('Scheduled sessions created', { count: created });
+    }
+    return created;
+  }
+
+  /**
+   * Delete a schedule and its sessions that have not started yet; the others are kept with their results
+   * @param {string} quizId - Quiz of the schedule (the router checks the permission for it)
+   * @param {string} scheduleId
+   * @returns {{ deletedSessions: number }}
+   * @throws {ScheduleNotFoundError}
+   */
+  deleteSchedule(quizId, scheduleId) {
+    const schedule = scheduleId ? this.scheduleRepo.findById(String(scheduleId)) : null;
+    if (!schedule || schedule.quiz_id !== quizId) {
+      throw new ScheduleNotFoundError(scheduleId);
+    }
+
+    const deletedSessions = this._transaction(() => {
+      const deleted = this.sessionRepo.deleteUpcomingByScheduleId(schedule.id, new Date().toISOString());
+      this.scheduleRepo.delete(schedule.id);
+      return deleted;
+    }, 'DeleteSchedule');
+
+    logger.info('Schedule deleted', { scheduleId: schedule.id, quizId, deletedSessions });
+    return { deletedSessions };
+  }
+
+  /**
+   * Create the sessions from the day after generated_until up to the horizon
+   * (or the schedule's last date); sessions that would already be over are skipped
+   * @returns {string[]} Names of the created sessions
+   * @private
+   */
+  _generate(schedule, now = new Date()) {
+    const horizon = this._formatDate(this._addDays(now, Constants.SCHEDULE_HORIZON_DAYS));
+    const lastDate = schedule.ends_on < horizon ? schedule.ends_on : horizon;
+    const days = schedule.weekdays.split(',');
+    const settings = { ...JSON.parse(schedule.settings), scheduleId: schedule.id };
+    const sessionNames = [];
+
+    let date = this._addDays(this._toLocalDate(schedule.generated_until), 1);
+    for (; this._formatDate(date) <= lastDate; date = this._addDays(date, 1)) {
+      if (!days.includes(WEEKDAYS[date.getDay()])) continue;
+
+      const openFrom = this._atTime(date, schedule.start_time);
+      const openUntil = this._atTime(date, schedule.end_time);
+      if (openUntil <= now) continue;
+
+      const { sessionName } = this.sessionService.createSession(
+        schedule.quiz_id, openFrom.toISOString(), openUntil.toISOString(), settings, schedule.teacher_id);
+      sessionNames.push(sessionName);
+    }
+
+    if (lastDate > schedule.generated_until) {
+      this.scheduleRepo.updateGeneratedUntil(schedule.id, lastDate);
+    }
+    return sessionNames;
+  }
+
+  /** @private */
+  _parseWeekdays(weekdays) {
+    if (!Array.isArray(weekdays) || weekdays.length === 0) {
+      throw new InvalidInputError('weekdays', `must be a list of weekdays (${WEEKDAYS.join(', ')})`);
+    }
+    const days = weekdays.map(day => String(day).trim().toLowerCase().slice(0, 3));
+    const invalid = days.find(day => !WEEKDAYS.includes(day));
+    if (invalid !== undefined) {
+      throw new InvalidInputError('weekdays', `must be a list of weekdays (${WEEKDAYS.join(', ')})`);
+    }
+    // Unique, in calendar order
+    return WEEKDAYS.filter(day => days.includes(day));
+  }
+
+  /**
+   * @returns {string} 'HH:MM'
+   * @private
+   */
+  _parseTime(field, value) {
+    const match = typeof value === 'string' ? value.trim().match(TIME_PATTERN) : null;
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new InvalidInputError(field, 'must be a time of day (HH:MM)');
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * @returns {string} 'YYYY-MM-DD'
+   * @private
+   */
+  _parseDate(field, value) {
+    const match = typeof value === 'string' ? value.trim().match(DATE_PATTERN) : null;
+    if (!match || this._formatDate(this._toLocalDate(match[0])) !== match[0]) {
+      throw new InvalidInputError(field, 'must be a date (YYYY-MM-DD)');
+    }
+    return match[0];
+  }
+
+  /**
+   * Midnight (server time) of a 'YYYY-MM-DD' date
+   * @private
+   */
+  _toLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /** @private */
+  _formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Same time of day, n days later (also across daylight saving changes)
+   * @private
+   */
+  _addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /** @private */
+  _atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+  }
+
+  /** @private */
+  _daysBetween(first, last) {
+    return Math.round((this._toLocalDate(last) - this._toLocalDate(first)) / DAY_MS);
+  }
+
+  /** @private */
+  _toScheduleInfo(row) {
+    return {
+      id: row.id,
+      weekdays: row.weekdays.split(','),
+      startTime: row.start_time,
+      endTime: row.end_time,
+      startsOn: row.starts_on,
+      until: row.ends_on,
+      settings: JSON.parse(row.settings),
+      upcomingSessions: row.upcoming_count,
+      nextOpenFrom: row.next_open_from || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Run in a transaction if a TransactionManager is available
+   * @private
+   */
+  _transaction(operation, name) {
+    return this.txManager ? this.txManager.transaction(operation, name) : operation();
+  }
+}
+
+module.exports = ScheduleService;
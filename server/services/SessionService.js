@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const { 
@@ -5,48 +6,132 @@ const {
   InvalidInputError,
   SessionNotFoundError,
   SessionClosedError,
-  SessionNotYetOpenError
+  SessionNotYetOpenError,
+  LiveSessionError,
+  RosterNotFoundError,
+  NotOnRosterError,
+  SessionNameTakenError
 } = require('../errors');
 
+// 'selfPaced': students work through the quiz within the time window,
+// 'practice': like selfPaced, with immediate feedback per answer (see GradingService.checkAnswer),
+// 'live': the teacher advances the questions (see LiveSessionService)
+const SESSION_MODES = ['selfPaced', 'practice', 'live'];
+
+// Per-participant time limit (seconds)
+const MIN_TIME_LIMIT = 10;
+const MAX_TIME_LIMIT = 24 * 60 * 60;
+
+// Question draw: rules per session
+const MAX_DRAW_RULES = 20;
+
+// Attempts per participant (0 = unlimited) and the attempt that counts for the score
+const MAX_ATTEMPTS = 100;
+const SCORE_POLICIES = ['best', 'last', 'average'];
+
+// Feedback policy: explanations in the released result for all questions,
+// only for questions without full points, or none
+const EXPLANATION_POLICIES = ['all', 'wrong', 'none'];
+
+// Join codes: upper case letters and digits without 0/O, 1/I/L, easy to read out and type
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_JOIN_CODE_TRIES = 20;
+
 class SessionService {
-  constructor(sessionRepository, quizService) {
+  constructor(sessionRepository, quizService, rosterRepository = null,
+    submissionRepository = null, attemptRepository = null, draftRepository = null, txManager = null) {
     this.sessionRepo = sessionRepository;
     this.quizService = quizService;
+    this.rosterRepo = rosterRepository;
+    this.submissionRepo = submissionRepository;
+    this.attemptRepo = attemptRepository;
+    this.draftRepo = draftRepository;
+    this.txManager = txManager;
   }
   
-  createSession(quizId, openFrom = null, openUntil = null) {
-    logger.debug('Creating session', { quizId, openFrom, openUntil });
+  /**
+   * Create a session for a quiz
+   * @param {object} [settings]
+   * @param {string} [settings.mode] - 'selfPaced' (default), 'practice' or 'live'
+   * @param {number} [settings.timeLimitSeconds] - Time limit per participant
+   * @param {boolean} [settings.shuffleQuestions] - Question order per participant
+   * @param {boolean} [settings.shuffleOptions] - Option order per participant (except pinned questions)
+   * @param {Array} [settings.draw] - Question draw rules ({ count, tag?, keyword? }), see validateDrawRules
+   * @param {number} [settings.maxAttempts] - Attempts per participant (1 = exam, default; 0 = unlimited)
+   * @param {string} [settings.scorePolicy] - Score of a participant with several attempts: 'best', 'last' or 'average'
+   * @param {boolean} [settings.linearNavigation] - Forward only, no going back and no review before submitting
+   * @param {string} [settings.rosterId] - Only the personal codes of this roster (of the teacher) may take part
+   * @param {string} [settings.releaseAt] - When participants see their result details (default: when the session closes)
+   * @param {boolean} [settings.withholdResults] - No result details until the teacher releases them
+   * @param {boolean} [settings.showScoreImmediately] - Show the score right after submitting, before the release
+   * @param {boolean} [settings.showSolutions] - Show the correct answers in the released result (default true)
+   * @param {string} [settings.showExplanations] - Explanations in the released result: 'all' (default), 'wrong' or 'none'
+   * @param {boolean} [settings.listed] - Show in the public list of open sessions (default true, false = only via join code)
+   * @param {string} [settings.scheduleId] - Schedule that creates the session (see ScheduleService)
+   * @param {string|null} [teacherId] - Owning teacher (the router checks that they own the quiz)
+   * @returns {{ sessionId: string, sessionName: string, joinCode: string }}
+   */
+  createSession(quizId, openFrom = null, openUntil = null, settings = {}, teacherId = null) {
+    logger.debug('Creating session', { quizId, openFrom, openUntil, settings });
     
-    if (!quizId) {
-      throw new InvalidInputError('quizId', 'quizId is required');
+    const {
+      mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw, maxAttempts, scorePolicy, linearNavigation,
+      rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+    } = this.validateSettings(quizId, settings, teacherId);
+    const scheduleId = settings.scheduleId || null;
+    
+    // Live sessions end when the teacher finishes them, not at a fixed time
+    if (mode === 'live') {
+      openUntil = null;
     }
     
     try {
-      // Verify quiz exists
-      this.quizService.getQuizMetadata(quizId);
-      
       const now = new Date();
-      const sessionName = this.generateSessionName(now);
+      // Occurrences of a schedule are named after their start
+      const sessionName = this.generateUniqueSessionName(scheduleId ? new Date(openFrom) : now);
+      const joinCode = this.generateJoinCode();
       const id = uuidv4();
       const createdAt = now.toISOString();
+      // Later changes to the quiz do not change what participants draw
+      const drawPool = draw ? this.quizService.loadQuiz(quizId).questions.map(q => ({
+        id: q.id, tag: q.tag, keyword: q.keyword
+      })) : null;
       
       this.sessionRepo.create(
         id, 
         sessionName, 
         quizId, 
-        null, 
+        teacherId, 
         openFrom || createdAt, 
         openUntil || null, 
-        createdAt
+        createdAt,
+        { mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, drawRules: draw, drawPool, maxAttempts, scorePolicy,
+          linearNavigation, rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, joinCode, listed,
+          scheduleId }
       );
       
       logger.info('Session created', { 
         sessionId: id, 
         sessionName, 
-        quizId 
+        quizId,
+        mode,
+        timeLimitSeconds,
+        shuffleQuestions,
+        shuffleOptions,
+        draw,
+        maxAttempts,
+        scorePolicy,
+        linearNavigation,
+        rosterId,
+        releaseAt,
+        withholdResults,
+        showExplanations,
+        listed,
+        scheduleId
       });
       
-      return { sessionId: id, sessionName };
+      return { sessionId: id, sessionName, joinCode };
     } catch (err) {
       logger.error('Session creation failed', { 
         error: err.message, 
@@ -56,6 +141,234 @@ class SessionService {
     }
   }
   
+  /**
+   * Check the settings of a new session (see createSession) and fill in the defaults
+   * @param {string} quizId
+   * @param {object} [settings]
+   * @param {string|null} [teacherId] - Teacher creating the session (owner of the roster)
+   * @returns {object} Complete settings (mode, timeLimitSeconds, ..., listed)
+   * @throws {InvalidInputError|QuizNotFoundError|RosterNotFoundError}
+   */
+  validateSettings(quizId, settings = {}, teacherId = null) {
+    let {
+      mode = 'selfPaced', timeLimitSeconds = null, shuffleQuestions = false, shuffleOptions = false, draw = null,
+      maxAttempts = 1, scorePolicy = 'best', linearNavigation = false, rosterId = null,
+      releaseAt = null, withholdResults = false, showScoreImmediately = false, showSolutions = true,
+      showExplanations = 'all', listed = true
+    } = settings;
+    
+    if (!quizId) {
+      throw new InvalidInputError('quizId', 'quizId is required');
+    }
+    
+    if (!SESSION_MODES.includes(mode)) {
+      throw new InvalidInputError('mode', `mode must be one of ${SESSION_MODES.join(', ')}`);
+    }
+    
+    if (timeLimitSeconds !== null && timeLimitSeconds !== undefined) {
+      if (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds < MIN_TIME_LIMIT || timeLimitSeconds > MAX_TIME_LIMIT) {
+        throw new InvalidInputError('timeLimitSeconds', `must be an integer between ${MIN_TIME_LIMIT} and ${MAX_TIME_LIMIT}`);
+      }
+    } else {
+      timeLimitSeconds = null;
+    }
+    
+    if (typeof shuffleQuestions !== 'boolean') {
+      throw new InvalidInputError('shuffleQuestions', 'must be true or false');
+    }
+    if (typeof shuffleOptions !== 'boolean') {
+      throw new InvalidInputError('shuffleOptions', 'must be true or false');
+    }
+    if (typeof linearNavigation !== 'boolean') {
+      throw new InvalidInputError('linearNavigation', 'must be true or false');
+    }
+    
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 0 || maxAttempts > MAX_ATTEMPTS) {
+      throw new InvalidInputError('maxAttempts', `must be an integer between 1 and ${MAX_ATTEMPTS} (0 = unlimited)`);
+    }
+    if (!SCORE_POLICIES.includes(scorePolicy)) {
+      throw new InvalidInputError('scorePolicy', `must be one of ${SCORE_POLICIES.join(', ')}`);
+    }
+    
+    if (releaseAt !== null && releaseAt !== undefined && releaseAt !== '') {
+      if (typeof releaseAt !== 'string' || isNaN(Date.parse(releaseAt))) {
+        throw new InvalidInputError('releaseAt', 'must be a date and time');
+      }
+      releaseAt = new Date(releaseAt).toISOString();
+    } else {
+      releaseAt = null;
+    }
+    for (const [field, value] of Object.entries({ withholdResults, showScoreImmediately, showSolutions, listed })) {
+      if (typeof value !== 'boolean') {
+        throw new InvalidInputError(field, 'must be true or false');
+      }
+    }
+    if (!EXPLANATION_POLICIES.includes(showExplanations)) {
+      throw new InvalidInputError('showExplanations', `must be one of ${EXPLANATION_POLICIES.join(', ')}`);
+    }
+    // Practice sessions show the solution and explanations after each answer (GradingService.checkAnswer)
+    if (mode === 'practice' && !showSolutions) {
+      throw new InvalidInputError('showSolutions', 'practice sessions always show the solutions');
+    }
+    if (mode === 'practice' && showExplanations !== 'all') {
+      throw new InvalidInputError('showExplanations', 'practice sessions always show all explanations');
+    }
+    
+    // Rosters are private, like quizzes of other teachers
+    if (rosterId) {
+      const roster = this.rosterRepo ? this.rosterRepo.findById(String(rosterId)) : null;
+      if (!roster || !teacherId || roster.teacher_id !== teacherId) {
+        throw new RosterNotFoundError(rosterId);
+      }
+    } else {
+      rosterId = null;
+    }
+    
+    // Live sessions: the teacher sets the time per question and presents every question to everyone
+    if (mode === 'live') {
+      timeLimitSeconds = null;
+      draw = null;
+      maxAttempts = 1;
+      linearNavigation = false;
+    }
+    
+    // Verify quiz exists
+    this.quizService.getQuizMetadata(quizId);
+    
+    if (draw !== null && draw !== undefined) {
+      this.validateDrawRules(draw, this.quizService.loadQuiz(quizId));
+    } else {
+      draw = null;
+    }
+    
+    return {
+      mode, timeLimitSeconds, shuffleQuestions, shuffleOptions, draw, maxAttempts, scorePolicy, linearNavigation,
+      rosterId, releaseAt, withholdResults, showScoreImmediately, showSolutions, showExplanations, listed
+    };
+  }
+  
+  /**
+   * Draw rules select a random subset of the quiz questions per participant.
+   * Each rule draws "count" questions, optionally only among questions with the given
+   * "tag" or "keyword" (stratified draw); a question is drawn at most once.
+   * @param {Array} rules - e.g. [{ count: 3, tag: 'algebra' }, { count: 2, tag: 'geometry' }]
+   * @param {object} quiz - Quiz the rules are checked against
+   * @throws {InvalidInputError} if a rule is malformed or asks for more questions than available
+   */
+  validateDrawRules(rules, quiz) {
+    if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_DRAW_RULES) {
+      throw new InvalidInputError('draw', `must be a list of 1-${MAX_DRAW_RULES} rules`);
+    }
+    
+    let total = 0;
+    rules.forEach((rule, idx) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new InvalidInputError('draw', `rule ${idx + 1} must be an object`);
+      }
+      const unknown = Object.keys(rule).filter(key => !['count', 'tag', 'keyword'].includes(key));
+      if (unknown.length > 0) {
+        throw new InvalidInputError('draw', `rule ${idx + 1} has unknown fields: ${unknown.join(', ')}`);
+      }
+      if (!Number.isInteger(rule.count) || rule.count < 1) {
+        throw new InvalidInputError('draw', `rule ${idx + 1}: count must be a positive integer`);
+      }
+      if (rule.tag !== undefined && rule.keyword !== undefined) {
+        throw new InvalidInputError('draw', `rule ${idx + 1}: filter by tag or keyword, not both`);
+      }
+      for (const field of ['tag', 'keyword']) {
+        if (rule[field] !== undefined && (typeof rule[field] !== 'string' || !rule[field].trim())) {
+          throw new InvalidInputError('draw', `rule ${idx + 1}: ${field} must be a non-empty string`);
+        }
+      }
+      
+      const available = quiz.questions.filter(q => this.quizService.matchesDrawRule(q, rule)).length;
+      if (rule.count > available) {
+        throw new InvalidInputError('draw', `rule ${idx + 1} asks for ${rule.count} questions, but only ${available} match`);
+      }
+      total += rule.count;
+    });
+    
+    if (total > quiz.questions.length) {
+      throw new InvalidInputError('draw', `draws ${total} questions, but the quiz has only ${quiz.questions.length}`);
+    }
+  }
+  
+  /**
+   * In a session restricted to a roster, only the personal codes of its students may take part.
+   * Codes are case-insensitive: callers continue with the stored code (student.code), so
+   * attempts, drafts and submissions of "k7qmx2" and "K7QMX2" belong to the same student.
+   * @returns {object|null} Roster student ({ name, code }), null in anonymous sessions
+   * @throws {NotOnRosterError} If the code is not on the roster
+   */
+  checkParticipant(session, userCode) {
+    if (!session.roster_id) {
+      return null;
+    }
+    
+    const student = this.rosterRepo.findStudentByCode(session.roster_id, String(userCode || '').trim().toUpperCase());
+    if (!student) {
+      logger.warn('Code not on the roster of the session', { sessionName: session.session_name, userCode });
+      throw new NotOnRosterError(session.session_name);
+    }
+    return student;
+  }
+  
+  /**
+   * Seed for everything that differs per participant (question draw, shuffled order)
+   * @private
+   */
+  _participantSeed(session, userCode) {
+    // Renamed sessions keep the seed of their original name
+    return `${session.seed || session.session_name}:${userCode}`;
+  }
+  
+  /**
+   * Questions drawn for a participant of a session with draw rules, from the
+   * questions the quiz had when the session was created (draw_pool). Drawn
+   * questions that were deleted from the quiz since are left out.
+   * @returns {Set<string>|null} Question ids, or null if the session has no draw
+   */
+  getDrawnQuestionIds(session, userCode) {
+    if (!session.draw_rules) {
+      return null;
+    }
+    
+    const quiz = this.quizService.loadQuiz(session.quiz_id);
+    const pool = session.draw_pool ? JSON.parse(session.draw_pool) : quiz.questions;
+    const drawn = new Set(this.quizService.drawQuestions(
+      session.quiz_id, pool, JSON.parse(session.draw_rules), this._participantSeed(session, userCode)).map(q => q.id));
+    return new Set(quiz.questions.filter(q => drawn.has(q.id)).map(q => q.id));
+  }
+  
+  /**
+   * Session name of the current minute, with a suffix (-2, -3, ...) if another
+   * session was created in the same minute (e.g. a live session next to a regular one)
+   */
+  generateUniqueSessionName(date) {
+    const baseName = this.generateSessionName(date);
+    let sessionName = baseName;
+    
+    for (let n = 2; this.sessionRepo.findByName(sessionName); n++) {
+      sessionName = `${baseName}-${n}`;
+    }
+    
+    return sessionName;
+  }
+  
+  /**
+   * Random join code like "K7QMX2" that no other session has
+   */
+  generateJoinCode() {
+    for (let tries = 0; tries < MAX_JOIN_CODE_TRIES; tries++) {
+      const code = Array.from(crypto.randomBytes(JOIN_CODE_LENGTH),
+        byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+      if (!this.sessionRepo.findByJoinCode(code)) {
+        return code;
+      }
+    }
+    throw new Error('Could not generate a unique join code');
+  }
+  
   generateSessionName(date) {
     const pad = n => String(n).padStart(2, '0');
     return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}`;
@@ -76,34 +389,57 @@ class SessionService {
     return session;
   }
   
-  getSessionQuiz(sessionName, forStat = false) {
-    logger.debug('Getting session quiz', { sessionName, forStat });
+  /**
+   * Quiz of a session as a participant sees it (student projection, see QuizService.getStrippedQuiz).
+   * With a userCode, shuffled sessions return the participant's own (stable) order.
+   * Sessions with a question draw need the userCode and return only the drawn questions.
+   * Sessions restricted to a roster need a personal code of the roster.
+   */
+  getSessionQuiz(sessionName, userCode = null) {
+    logger.debug('Getting session quiz', { sessionName, userCode });
     
     const session = this.getSession(sessionName);
     
-    // Check session timing (unless for statistics)
-    if (!forStat) {
-      const now = Date.now();
-      
-      if (session.open_from && Date.parse(session.open_from) > now) {
-        logger.warn('Session not yet open', { 
-          sessionName, 
-          openFrom: session.open_from 
-        });
-        throw new SessionNotYetOpenError();
-      }
-      
-      if (session.open_until && Date.parse(session.open_until) < now) {
-        logger.warn('Session closed', { 
-          sessionName, 
-          openUntil: session.open_until 
-        });
-        throw new SessionClosedError();
-      }
+    // Live sessions send one question at a time
+    if (this.isLiveSession(session)) {
+      throw new LiveSessionError('Questions of a live session are sent by the teacher');
+    }
+    
+    const now = Date.now();
+    
+    if (session.open_from && Date.parse(session.open_from) > now) {
+      logger.warn('Session not yet open', { 
+        sessionName, 
+        openFrom: session.open_from 
+      });
+      throw new SessionNotYetOpenError();
+    }
+    
+    if (session.open_until && Date.parse(session.open_until) < now) {
+      logger.warn('Session closed', { 
+        sessionName, 
+        openUntil: session.open_until 
+      });
+      throw new SessionClosedError();
+    }
+    
+    const draw = session.draw_rules ? JSON.parse(session.draw_rules) : null;
+    if (draw && !userCode) {
+      throw new InvalidInputError('userCode', 'userCode is required for sessions with a question draw');
+    }
+    const student = this.checkParticipant(session, userCode);
+    if (student) {
+      userCode = student.code;
     }
     
     try {
-      const quiz = this.quizService.getStrippedQuiz(session.quiz_id);
+      const quiz = this.quizService.getStrippedQuiz(session.quiz_id, {
+        seed: userCode ? this._participantSeed(session, userCode) : null,
+        shuffleQuestions: !!session.shuffle_questions,
+        shuffleOptions: !!session.shuffle_options,
+        draw,
+        drawPool: session.draw_pool ? JSON.parse(session.draw_pool) : null
+      });
       logger.debug('Session quiz retrieved', { 
         sessionName, 
         quizTitle: quiz.title 
@@ -119,6 +455,105 @@ class SessionService {
     }
   }
   
+  /**
+   * Complete quiz of a session with solutions and explanations, in authored order
+   * and with all questions (statistics, teachers only)
+   */
+  getTeacherSessionQuiz(sessionName) {
+    const session = this.getSession(sessionName);
+    const quiz = this.quizService.loadQuiz(session.quiz_id);
+    return { ...quiz, id: session.quiz_id };
+  }
+  
+  /**
+   * What participants see of their results (see GradingService.getResult)
+   * @param {object} session - Session row
+   * @returns {{ showScoreImmediately: boolean, showSolutions: boolean, showExplanations: string }}
+   */
+  getFeedbackPolicy(session) {
+    return {
+      showScoreImmediately: !!session.show_score_immediately,
+      showSolutions: session.show_solutions === undefined || session.show_solutions === null || !!session.show_solutions,
+      showExplanations: session.show_explanations || 'all'
+    };
+  }
+  
+  /**
+   * Whether participants see their result details yet. They are released at the release time
+   * of the session (default: when it closes), right away in practice sessions and in sessions
+   * without end, and never while the teacher withholds them.
+   * @param {object} session - Session row
+   * @returns {{ released: boolean, releaseAt: string|null, withheld: boolean }}
+   *   releaseAt: when the details are (or were) released, null if withheld or without release time
+   */
+  getResultRelease(session) {
+    const withheld = !!session.results_withheld;
+    const releaseAt = withheld || this.isPracticeSession(session)
+      ? null
+      : (session.release_at || session.open_until || null);
+    return {
+      released: !withheld && (!releaseAt || Date.parse(releaseAt) <= Date.now()),
+      releaseAt,
+      withheld
+    };
+  }
+  
+  /**
+   * Release the result details now (also ends withholding)
+   * @returns {object} Release state as returned by getResultRelease
+   */
+  releaseResults(sessionName) {
+    const session = this.getSession(sessionName);
+    const releaseAt = new Date().toISOString();
+    this.sessionRepo.updateResultRelease(session.id, releaseAt, false);
+    logger.info('Session results released', { sessionName });
+    return this.getResultRelease({ ...session, release_at: releaseAt, results_withheld: 0 });
+  }
+  
+  /**
+   * Withhold the result details until the teacher releases them
+   * @returns {object} Release state as returned by getResultRelease
+   */
+  withholdResults(sessionName) {
+    const session = this.getSession(sessionName);
+    this.sessionRepo.updateResultRelease(session.id, session.release_at, true);
+    logger.info('Session results withheld', { sessionName });
+    return this.getResultRelease({ ...session, results_withheld: 1 });
+  }
+  
+  isLiveSession(session) {
+    return session.mode === 'live';
+  }
+  
+  isPracticeSession(session) {
+    return session.mode === 'practice';
+  }
+  
+  /**
+   * Attempts a participant may submit (null = unlimited)
+   */
+  getMaxAttempts(session) {
+    const maxAttempts = session.max_attempts ?? 1;
+    return maxAttempts === 0 ? null : maxAttempts;
+  }
+  
+  /**
+   * End of a participant's attempt: start + time limit, but not after the session closes
+   * @returns {number|null} Timestamp (ms) or null if neither applies
+   */
+  getAttemptDeadline(session, startedAt) {
+    const deadlines = [];
+    
+    if (session.time_limit_seconds) {
+      deadlines.push(Date.parse(startedAt) + session.time_limit_seconds * 1000);
+    }
+    if (session.open_until) {
+      deadlines.push(Date.parse(session.open_until));
+    }
+    
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+  }
+  
   isSessionOpen(session) {
     const now = Date.now();
     
@@ -133,11 +568,15 @@ class SessionService {
     return true;
   }
   
-  getAllSessions(limit = 100) {
-    logger.debug('Getting all sessions', { limit });
+  /**
+   * @param {number} [limit]
+   * @param {object|null} [scope] - Access scope (see utils/ownership.js), null = all sessions
+   */
+  getAllSessions(limit = 100, scope = null) {
+    logger.debug('Getting all sessions', { limit, teacherId: scope?.teacherId });
     
     try {
-      const sessions = this.sessionRepo.findAll(limit);
+      const sessions = this.sessionRepo.findAll(limit, scope);
       logger.debug('Sessions retrieved', { count: sessions.length });
       return sessions;
     } catch (err) {
@@ -159,6 +598,55 @@ class SessionService {
     }
   }
   
+  /**
+   * Open session for a join code (also unlisted sessions), in the form of the open sessions list
+   * @param {string} joinCode - Case-insensitive, spaces and hyphens are ignored
+   * @returns {object} See getPublicSession
+   * @throws {SessionNotFoundError|SessionNotYetOpenError|SessionClosedError}
+   */
+  getSessionByJoinCode(joinCode) {
+    const code = String(joinCode || '').toUpperCase().replace(/[\s-]/g, '');
+    const session = code ? this.sessionRepo.findByJoinCode(code) : null;
+    if (!session) {
+      logger.warn('Unknown join code', { joinCode });
+      throw new SessionNotFoundError(joinCode);
+    }
+    
+    if (session.open_from && Date.parse(session.open_from) > Date.now()) {
+      throw new SessionNotYetOpenError();
+    }
+    if (!this.isSessionOpen(session)) {
+      throw new SessionClosedError();
+    }
+    
+    return this._toPublicSession(session);
+  }
+  
+  /**
+   * Session as anyone may see it, by name (no join code, owner, roster or draw)
+   * @param {string} sessionName
+   * @returns {object} { session_name, quiz_id, title, open_from, open_until, mode, time_limit_seconds, max_attempts, roster_required }
+   * @throws {SessionNotFoundError}
+   */
+  getPublicSession(sessionName) {
+    return this._toPublicSession(this.getSession(sessionName));
+  }
+  
+  /** @private */
+  _toPublicSession(session) {
+    return {
+      session_name: session.session_name,
+      quiz_id: session.quiz_id,
+      title: this.quizService.getQuizMetadata(session.quiz_id).title,
+      open_from: session.open_from,
+      open_until: session.open_until,
+      mode: session.mode,
+      time_limit_seconds: session.time_limit_seconds,
+      max_attempts: session.max_attempts,
+      roster_required: session.roster_id ? 1 : 0
+    };
+  }
+  
   updateSessionTimes(sessionId, openFrom, openUntil) {
     logger.debug('Updating session times', { sessionId, openFrom, openUntil });
     
@@ -175,21 +663,185 @@ class SessionService {
     }
   }
   
-  deleteSession(sessionId) {
-    logger.debug('Deleting session', { sessionId });
+  /**
+   * Sessions of a quiz with their participants, e.g. for the session management of the editor
+   * @param {string} quizId
+   * @returns {Array} [{ sessionName, joinCode, listed, mode, status, openFrom, openUntil, participants, submissions, rosterName, scheduleId, createdAt }]
+   */
+  getQuizSessions(quizId) {
+    return this.sessionRepo.findByQuizId(quizId).map(session => this._toSessionInfo(session));
+  }
+  
+  /**
+   * @returns {string} 'scheduled' (not open yet), 'open' or 'closed'
+   */
+  getSessionStatus(session) {
+    if (session.open_from && Date.parse(session.open_from) > Date.now()) {
+      return 'scheduled';
+    }
+    return this.isSessionOpen(session) ? 'open' : 'closed';
+  }
+  
+  /**
+   * Change the time window, the name and/or the listing of a session. Fields that are undefined stay as they are.
+   * Renaming moves submissions, attempts and drafts to the new name; result links stay valid.
+   * @param {string} sessionName
+   * @param {object} changes
+   * @param {string} [changes.openFrom] - Start of the time window
+   * @param {string|null} [changes.openUntil] - End of the time window (null = no end)
+   * @param {string} [changes.newName] - New session name (3-64 letters, digits, - _)
+   * @param {boolean} [changes.listed] - Show in the public list of open sessions
+   * @returns {object} The session as listed by getQuizSessions
+   * @throws {LiveSessionError} Live sessions run from the presenter view (only finished ones can be renamed)
+   * @throws {SessionNameTakenError}
+   */
+  updateSession(sessionName, { openFrom, openUntil, newName, listed } = {}) {
+    const session = this.getSession(sessionName);
+    
+    if (listed !== undefined && typeof listed !== 'boolean') {
+      throw new InvalidInputError('listed', 'must be true or false');
+    }
+    
+    const name = newName !== undefined ? String(newName).trim() : session.session_name;
+    const timesChanged = openFrom !== undefined || openUntil !== undefined;
+    // Participants and presenter reach a running live session under its name
+    if (this.isLiveSession(session) && (timesChanged || (name !== session.session_name && this.isSessionOpen(session)))) {
+      throw new LiveSessionError('Live sessions are started and ended from the presenter view');
+    }
+    
+    const from = openFrom !== undefined ? this._parseSessionTime('open_from', openFrom) : session.open_from;
+    const until = openUntil !== undefined ? this._parseSessionTime('open_until', openUntil) : session.open_until;
+    if (openFrom !== undefined && !from) {
+      throw new InvalidInputError('open_from', 'must be a date and time');
+    }
+    if (from && until && Date.parse(until) <= Date.parse(from)) {
+      throw new InvalidInputError('open_until', 'must be after open_from');
+    }
+    
+    if (name !== session.session_name && this.sessionRepo.findByName(name)) {
+      throw new SessionNameTakenError(name);
+    }
+    
+    this._transaction(() => {
+      if (timesChanged) {
+        this.sessionRepo.update(session.id, from, until);
+      }
+      if (listed !== undefined) {
+        this.sessionRepo.updateListed(session.id, listed);
+      }
+      if (name !== session.session_name) {
+        this.sessionRepo.rename(session.id, name, session.seed || session.session_name);
+        this.submissionRepo?.renameSession(session.session_name, name);
+        this.attemptRepo?.renameSession(session.session_name, name);
+        this.draftRepo?.renameSession(session.session_name, name);
+      }
+    }, 'UpdateSession');
+    
+    logger.info('Session updated', { sessionName, newName: name, openFrom: from, openUntil: until, listed });
+    return this._toSessionInfo(this.sessionRepo.findByQuizId(session.quiz_id).find(row => row.id === session.id));
+  }
+  
+  /**
+   * End a session now: no more submissions, results are released (unless the policy says otherwise)
+   * @returns {object} The session as listed by getQuizSessions
+   */
+  closeSession(sessionName) {
+    const session = this.getSession(sessionName);
+    if (this.getSessionStatus(session) === 'closed') {
+      return this._toSessionInfo(this.sessionRepo.findByQuizId(session.quiz_id).find(row => row.id === session.id));
+    }
+    
+    const now = new Date().toISOString();
+    const openFrom = Date.parse(session.open_from) > Date.now() ? now : session.open_from;
+    return this.updateSession(sessionName, { openFrom, openUntil: now });
+  }
+  
+  /**
+   * Open a session again (also a scheduled one right away)
+   * @param {string} sessionName
+   * @param {string|null} openUntil - New end in the future, null = no end
+   * @returns {object} The session as listed by getQuizSessions
+   */
+  reopenSession(sessionName, openUntil = null) {
+    const session = this.getSession(sessionName);
+    const until = this._parseSessionTime('open_until', openUntil);
+    if (until && Date.parse(until) <= Date.now()) {
+      throw new InvalidInputError('open_until', 'must be in the future');
+    }
+    
+    const now = new Date().toISOString();
+    const openFrom = session.open_from && Date.parse(session.open_from) < Date.now() ? session.open_from : now;
+    return this.updateSession(sessionName, { openFrom, openUntil: until });
+  }
+  
+  /**
+   * Delete a session with its submissions, attempts and drafts
+   * @param {string} sessionName
+   * @returns {{ sessionName: string, submissions: number }} Number of deleted submissions
+   */
+  deleteSession(sessionName) {
+    const session = this.getSession(sessionName);
+    logger.debug('Deleting session', { sessionName });
     
     try {
-      const result = this.sessionRepo.delete(sessionId);
-      logger.info('Session deleted', { sessionId });
-      return result;
+      const submissions = this._transaction(() => {
+        const deleted = this.submissionRepo ? this.submissionRepo.deleteBySessionIds([session.id]) : 0;
+        this.attemptRepo?.deleteBySessionIds([session.id]);
+        this.draftRepo?.deleteBySessionIds([session.id]);
+        this.sessionRepo.delete(session.id);
+        return deleted;
+      }, 'DeleteSession');
+      
+      logger.info('Session deleted', { sessionName, submissions });
+      return { sessionName, submissions };
     } catch (err) {
       logger.error('Failed to delete session', { 
-        sessionId, 
+        sessionName, 
         error: err.message 
       });
       throw err;
     }
   }
+  
+  /**
+   * Time of a session window as ISO string (null/empty = none)
+   * @private
+   */
+  _parseSessionTime(field, value) {
+    if (value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+      throw new InvalidInputError(field, 'must be a date and time');
+    }
+    return new Date(value).toISOString();
+  }
+  
+  /** @private */
+  _toSessionInfo(session) {
+    return {
+      sessionName: session.session_name,
+      joinCode: session.join_code,
+      listed: session.listed === 1,
+      mode: session.mode,
+      status: this.getSessionStatus(session),
+      openFrom: session.open_from,
+      openUntil: session.open_until,
+      participants: session.participant_count,
+      submissions: session.submission_count,
+      rosterName: session.roster_name || null,
+      scheduleId: session.schedule_id || null,
+      createdAt: session.created_at
+    };
+  }
+  
+  /**
+   * Run in a transaction if a TransactionManager is available
+   * @private
+   */
+  _transaction(operation, name) {
+    return this.txManager ? this.txManager.transaction(operation, name) : operation();
+  }
 }
 
-module.exports = SessionService;
\ No newline at end of file
+module.exports = SessionService;
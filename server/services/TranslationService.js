@@ -141,9 +141,10 @@ class TranslationService {
               textMap.push({ type: 'option', qIdx, oIdx, field: 'text' });
 
               // Option explanation (if exists)
-              if (option.explanation) {
-                textsToTranslate.push(option.explanation);
-                textMap.push({ type: 'option', qIdx, oIdx, field: 'explanation' });
+              const optionExplanation = option.reason || option.explanation;
+              if (optionExplanation) {
+                textsToTranslate.push(optionExplanation);
+                textMap.push({ type: 'option', qIdx, oIdx, field: option.reason ? 'reason' : 'explanation' });
               }
             }
           });
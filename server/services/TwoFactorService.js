@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const Constants = require('../config/constants');
+const logger = require('../utils/logger');
+const totp = require('../utils/totp');
+const {
+  InvalidInputError,
+  InvalidTwoFactorCodeError,
+  TeacherNotFoundError,
+  TwoFactorAlreadyEnabledError,
+  TwoFactorNotAllowedError
+} = require('../errors');
+
+/**
+ * Optional two-factor authentication for teacher accounts (TOTP, RFC 6238)
+ *
+ * Enrollment: startEnrollment() keeps a new secret in the session until the
+ * teacher confirms it with a code from their app (enable()), which also creates
+ * the recovery codes. Each recovery code works once, instead of an app code.
+ * Shared accounts (the demo account) cannot enroll, so nobody can lock the others out.
+ * The login step itself (password, then code) is handled by AuthService/AuthRouter.
+ */
+class TwoFactorService {
+  constructor(teacherRepository, loginThrottleService = null) {
+    this.teacherRepo = teacherRepository;
+    this.loginThrottle = loginThrottleService;
+  }
+
+  isEnabled(teacher) {
+    return !!(teacher && teacher.totp_secret);
+  }
+
+  /**
+   * Accounts whose password is public and used by many people
+   */
+  isSharedAccount(teacher) {
+    return teacher.username === Constants.DEMO_USERNAME;
+  }
+
+  /**
+   * @param {string} teacherId
+   * @returns {{ enabled: boolean, recoveryCodesLeft: number }}
+   */
+  getStatus(teacherId) {
+    const teacher = this.getTeacher(teacherId);
+    return {
+      enabled: this.isEnabled(teacher),
+      recoveryCodesLeft: this.getRecoveryCodeHashes(teacher).length
+    };
+  }
+
+  /**
+   * Create a secret for the logged-in teacher and keep it in the session
+   * until it is confirmed with enable()
+   * @param {object} session - Express session of the logged-in teacher
+   * @returns {{ secret: string, otpauthUri: string }} For manual entry and the QR code
+   */
+  startEnrollment(session) {
+    const teacher = this.getTeacher(session.teacherId);
+    if (this.isSharedAccount(teacher)) {
+      throw new TwoFactorNotAllowedError(teacher.username);
+    }
+    if (this.isEnabled(teacher)) {
+      throw new TwoFactorAlreadyEnabledError();
+    }
+
+    const secret = totp.generateSecret();
+    session.twoFactorEnrollment = secret;
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(Constants.TWO_FACTOR_ISSUER, teacher.username, secret)
+    };
+  }
+
+  /**
+   * Confirm the enrollment with a code from the authenticator app
+   * @param {object} session - Express session with the secret from startEnrollment()
+   * @param {string} code - Current code from the app
+   * @returns {string[]} Recovery codes (only shown now, stored as hashes)
+   */
+  enable(session, code) {
+    const teacher = this.getTeacher(session.teacherId);
+    const secret = session.twoFactorEnrollment;
+
+    if (this.isSharedAccount(teacher)) {
+      throw new TwoFactorNotAllowedError(teacher.username);
+    }
+    if (this.isEnabled(teacher)) {
+      throw new TwoFactorAlreadyEnabledError();
+    }
+    if (!secret) {
+      throw new InvalidInputError('code', 'Start the two-factor setup first');
+    }
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw new InvalidInputError('code', 'Invalid code - check that the time on your device is correct');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    this.teacherRepo.updateTwoFactor(teacher.id, secret,
+      JSON.stringify(recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))));
+    this.teacherRepo.updateTotpLastStep(teacher.id, step);
+    delete session.twoFactorEnrollment;
+
+    logger.info('Two-factor authentication enabled', { username: teacher.username });
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off; needs a current code or a recovery code
+   * @param {string} teacherId
+   * @param {string} code
+   */
+  disable(teacherId, code) {
+    const teacher = this.getTeacher(teacherId);
+    if (!this.isEnabled(teacher)) {
+      return;
+    }
+    if (!this.checkCode(teacher, code)) {
+      throw new InvalidInputError('code', 'Invalid two-factor code');
+    }
+
+    this.teacherRepo.updateTwoFactor(teacher.id, null, null);
+    logger.info('Two-factor authentication disabled', { username: teacher.username });
+  }
+
+  /**
+   * Turn two-factor authentication off for a teacher who lost their device (admins)
+   * @param {string} username
+   */
+  reset(username) {
+    const teacher = this.teacherRepo.findByUsername(String(username || '').trim().toLowerCase());
+    if (!teacher) {
+      throw new TeacherNotFoundError(username);
+    }
+
+    this.teacherRepo.updateTwoFactor(teacher.id, null, null);
+    logger.warn('Two-factor authentication reset by admin', { username: teacher.username });
+  }
+
+  /**
+   * Second login step. Codes count as login attempts (LoginThrottleService),
+   * so they cannot be guessed.
+   * @param {object} teacher - Teacher row that passed the password step
+   * @param {string} code - App code or recovery code
+   * @param {string} [ip] - Client IP address
+   * @returns {{ recoveryCodeUsed: boolean, recoveryCodesLeft: number }}
+   * @throws {InvalidTwoFactorCodeError}
+   */
+  verifyLoginCode(teacher, code, ip) {
+    this.loginThrottle?.attempt(teacher.username, ip);
+
+    const result = this.checkCode(teacher, code);
+    if (!result) {
+      logger.warn('Failed login attempt - invalid two-factor code', { username: teacher.username, ip });
+      throw new InvalidTwoFactorCodeError();
+    }
+
+    this.loginThrottle?.succeed(teacher.username, ip);
+    if (result.recoveryCodeUsed) {
+      logger.warn('Recovery code used for login', {
+        username: teacher.username,
+        recoveryCodesLeft: result.recoveryCodesLeft
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Check an app code (each works once) or consume a recovery code
+   * @returns {{ recoveryCodeUsed: boolean, recoveryCodesLeft: number }|null} null if invalid
+   * @private
+   */
+  checkCode(teacher, code) {
+    if (!this.isEnabled(teacher)) return null;
+    const hashes = this.getRecoveryCodeHashes(teacher);
+
+    const step = totp.verifyCode(teacher.totp_secret, code, teacher.totp_last_step);
+    if (step !== null) {
+      this.teacherRepo.updateTotpLastStep(teacher.id, step);
+      return { recoveryCodeUsed: false, recoveryCodesLeft: hashes.length };
+    }
+
+    const hash = this.hashRecoveryCode(code);
+    if (hashes.includes(hash)) {
+      const left = hashes.filter(h => h !== hash);
+      this.teacherRepo.updateRecoveryCodes(teacher.id, JSON.stringify(left));
+      return { recoveryCodeUsed: true, recoveryCodesLeft: left.length };
+    }
+
+    return null;
+  }
+
+  /**
+   * Random recovery codes like "k7qm-x2ra" (letters and digits without 0/o, 1/l)
+   * @private
+   */
+  generateRecoveryCodes() {
+    const alphabet = 'abcdefghijkmnpqrstuvwxyz23456789';
+    return Array.from({ length: Constants.TWO_FACTOR_RECOVERY_CODES }, () => {
+      const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+      return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+  }
+
+  /**
+   * Recovery codes have 40 random bits, so a plain SHA-256 hash is enough
+   * @private
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /** @private */
+  getRecoveryCodeHashes(teacher) {
+    return teacher && teacher.totp_recovery_codes ? JSON.parse(teacher.totp_recovery_codes) : [];
+  }
+
+  /** @private */
+  getTeacher(teacherId) {
+    const teacher = this.teacherRepo.findById(teacherId);
+    if (!teacher) {
+      throw new TeacherNotFoundError(teacherId);
+    }
+    return teacher;
+  }
+}
+
+module.exports = TwoFactorService;
@@ -9,7 +9,8 @@
  * 5. Simulate 4 participants with different answers
  * 6. Verify statistics
  * 7. Fetch result for one user
- * 8. Delete test data (unless --keep is specified)
+ * 8. Grade further question types (gap fill, ..., free text) and partial-credit scoring
+ * 9. Delete test data (unless --keep is specified)
  *
  * Usage:
  *   cd server
@@ -23,6 +24,9 @@
  * On error: Script aborts immediately, test data remains in DB for inspection.
  */
 
+// Computes the authenticator app codes for the two-factor tests
+const totp = require('../utils/totp');
+
 const BASE_URL = process.env.TEST_BASE_URL || 'http://localhost:37373';
 // Use TEACHER_PASS env var, default matches .env.sample
 const TEACHER_PASSWORD = process.env.TEACHER_PASS || 'test';
@@ -71,7 +75,59 @@ async function request(method, path, body = null) {
     data = text;
   }
 
-  return { status: response.status, data, ok: response.ok };
+  return { status: response.status, data, ok: response.ok, headers: response.headers };
+}
+
+/**
+ * Read the first Server-Sent Event of a stream, then close the connection.
+ * With an action, run it after the first event and return the next event instead.
+ */
+async function readFirstEvent(path, action = null) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  const headers = sessionCookie ? { 'Cookie': sessionCookie } : {};
+
+  try {
+    const response = await fetch(`${BASE_URL}${path}`, { headers, signal: controller.signal });
+    if (!response.ok) {
+      return { status: response.status, data: await response.json(), ok: false };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const readMessage = async () => {
+      while (!buffer.includes('\n\n')) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+      }
+      const end = buffer.indexOf('\n\n');
+      const message = end >= 0 ? buffer.slice(0, end) : buffer;
+      buffer = end >= 0 ? buffer.slice(end + 2) : '';
+      return message;
+    };
+
+    let message = await readMessage();
+    if (action) {
+      await action();
+      // Skip heartbeats
+      do {
+        message = await readMessage();
+      } while (message.startsWith(':'));
+    }
+    await reader.cancel();
+
+    const dataLine = message.split('\n').find(line => line.startsWith('data: '));
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      data: JSON.parse(dataLine.slice('data: '.length)),
+      ok: true
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
 }
 
 /**
@@ -337,8 +393,1726 @@ async function step8_fetchResult(resultLinks) {
   return result;
 }
 
-async function step9_cleanup(quizId) {
-  console.log('\n📋 Step 9: Cleanup (delete test quiz)');
+async function step9_questionTypes(quizId, quiz, sessionName) {
+  console.log('\n📋 Step 9: Question types (gap fill, numeric, order, match, free text) and scoring modes');
+
+  const typedQuiz = Object.assign({}, quiz, {
+    scoring: 'proportional',
+    questions: quiz.questions.concat([
+      {
+        id: 'q3',
+        keyword: 'Lücken',
+        text: 'Hauptstadt von Frankreich: {{1}}, von Spanien: {{2}}, Wiedervereinigung: {{3}}',
+        type: 'gap',
+        points: 3,
+        gaps: [
+          { id: '1', answers: ['Paris'] },
+          { id: '2', answers: ['Madrid'] },
+          { id: '3', answers: ['(19)?90'], regex: true }
+        ]
+      },
+      {
+        id: 'q4',
+        keyword: 'Primzahlen',
+        text: 'Welche Zahlen sind Primzahlen?',
+        type: 'multiple',
+        scoring: 'perOption',
+        points: 3,
+        options: [
+          { id: 'A', text: '2', correct: true },
+          { id: 'B', text: '3', correct: true },
+          { id: 'C', text: '5', correct: true },
+          { id: 'D', text: '9', correct: false }
+        ]
+      },
+      {
+        id: 'q5',
+        keyword: 'Edelgase',
+        text: 'Welche Elemente sind Edelgase?',
+        type: 'multiple',
+        points: 2,
+        options: [
+          { id: 'A', text: 'Helium', correct: true },
+          { id: 'B', text: 'Neon', correct: true },
+          { id: 'C', text: 'Sauerstoff', correct: false },
+          { id: 'D', text: 'Stickstoff', correct: false }
+        ]
+      },
+      {
+        id: 'q6',
+        keyword: 'Everest',
+        text: 'Wie hoch ist der Mount Everest?',
+        type: 'numeric',
+        points: 1,
+        numeric: { value: 8849, tolerance: 1, toleranceType: 'relative', unit: 'm' }
+      },
+      {
+        id: 'q7',
+        keyword: 'Schalen',
+        text: 'Ordne die Schalen der Erde von außen nach innen.',
+        type: 'order',
+        scoring: 'longestSubsequence',
+        points: 4,
+        options: [
+          { id: 'A', text: 'Kruste' },
+          { id: 'B', text: 'Mantel' },
+          { id: 'C', text: 'äußerer Kern' },
+          { id: 'D', text: 'innerer Kern' }
+        ]
+      },
+      {
+        id: 'q8',
+        keyword: 'Hauptstädte',
+        text: 'Ordne die Hauptstädte zu.',
+        type: 'match',
+        points: 3,
+        pairs: [
+          { id: '1', left: { text: 'Frankreich' }, right: { text: 'Paris' } },
+          { id: '2', left: { text: 'Spanien' }, right: { text: 'Madrid' } },
+          { id: '3', left: { text: 'Italien' }, right: { text: 'Rom' } }
+        ]
+      },
+      {
+        id: 'q9',
+        keyword: 'Jahreszeiten',
+        text: 'Warum gibt es Jahreszeiten?',
+        type: 'text',
+        points: 2,
+        sampleAnswer: 'Die Erdachse ist geneigt.',
+        maxLength: 500
+      }
+    ])
+  });
+
+  let res = await request('POST', '/api/teacher/saveQuiz', {
+    quizId,
+    quiz: Object.assign({}, typedQuiz, { scoring: 'generous' })
+  });
+  assert(!res.ok, `Unknown scoring mode rejected (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: typedQuiz });
+  assert(res.ok, `Quiz with gap question and scoring modes saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/saveQuiz', {
+    quizId,
+    quiz: Object.assign({}, typedQuiz, {
+      questions: typedQuiz.questions.concat([
+        { id: 'qx', text: 'Null?', type: 'numeric', numeric: { value: 0, tolerance: 5, toleranceType: 'relative' } }
+      ])
+    })
+  });
+  assert(!res.ok, `Relative tolerance on target 0 rejected (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/saveQuiz', {
+    quizId,
+    quiz: Object.assign({}, typedQuiz, {
+      questions: typedQuiz.questions.map(q => q.id === 'q7' ? Object.assign({}, q, { scoring: 'perOption' }) : q)
+    })
+  });
+  assert(!res.ok, `Choice scoring mode on order question rejected (status ${res.status})`);
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', `/api/session/${sessionName}/quiz`);
+  assert(res.ok, 'Student quiz fetched');
+  const gapQuestion = res.data.questions.find(q => q.id === 'q3');
+  assertEqual(gapQuestion.type, 'gap', 'Gap question type is passed to students');
+  assert(gapQuestion.gaps.every(gap => gap.answers === undefined), 'Accepted gap answers are not sent to students');
+  const numericQuestion = res.data.questions.find(q => q.id === 'q6');
+  assertEqual(numericQuestion.unit, 'm', 'Unit of numeric question is passed to students');
+  assert(numericQuestion.numeric === undefined, 'Numeric target value is not sent to students');
+  const orderQuestion = res.data.questions.find(q => q.id === 'q7');
+  assertEqual(orderQuestion.options.length, 4, 'Order question options are sent to students');
+  assert(orderQuestion.options.map(o => o.id).join('') !== 'ABCD', 'Order question options are shuffled');
+  assert(orderQuestion.options.every(option => !['A', 'B', 'C', 'D'].includes(option.id)),
+    'Order options have masked ids, so the authored ids do not reveal the order');
+  const orderId = text => orderQuestion.options.find(option => option.text === text).id;
+  const matchQuestion = res.data.questions.find(q => q.id === 'q8');
+  assert(matchQuestion.pairs === undefined, 'Match pairs are not sent to students');
+  assert(matchQuestion.rightItems.every(item => !['1', '2', '3'].includes(item.id)), 'Right-hand items have masked ids');
+  const rightId = text => matchQuestion.rightItems.find(item => item.text === text).id;
+  const textQuestion = res.data.questions.find(q => q.id === 'q9');
+  assertEqual(textQuestion.maxLength, 500, 'Length limit of free-text question is passed to students');
+  assert(textQuestion.sampleAnswer === undefined, 'Sample answer is not sent to students');
+
+  // q3 gap 1: case/whitespace-insensitive match, gap 2: wrong, gap 3: regex match → 2/3 points
+  // q4 perOption: 2 correct ticks - 1 wrong tick = 1 of 3 correct options → 1/3 points
+  // q5 proportional (quiz default): 1/2 correct ticked - 0 wrong → 1/2 points
+  // q6 numeric: 8800 is within 1 % of 8849 → 1 point
+  // q7 longestSubsequence: A, C, B, D keeps A-B-D (or A-C-D) in order → 3/4 of 4 points
+  // q8 match: 1 of 3 pairs correct → 1 point
+  // q9 free text: 0 points until graded manually
+  res = await request('POST', `/api/session/${sessionName}/submit`, {
+    userCode: 'lueckentest',
+    answers: [
+      { questionId: 'q3', gaps: { '1': ' paris ', '2': 'Madird', '3': '1990' } },
+      { questionId: 'q4', chosen: ['A', 'B', 'D'] },
+      { questionId: 'q5', chosen: ['A'] },
+      { questionId: 'q6', value: 8800 },
+      { questionId: 'q7', chosen: [orderId('Kruste'), orderId('äußerer Kern'), orderId('Mantel'), orderId('innerer Kern')] },
+      { questionId: 'q8', pairs: { '1': rightId('Paris'), '2': rightId('Rom'), '3': rightId('Madrid') } },
+      { questionId: 'q9', text: 'Weil die Erde um die Sonne kreist.' }
+    ]
+  });
+  assert(res.ok, `Answers accepted (status ${res.status})`);
+  assertEqual(res.data.score, 9, 'Partial credit: 2 + 1 + 1 + 1 + 3 + 1 + 0 points');
+  assertEqual(res.data.maxScore, 18, 'Max score: 3 + 3 + 2 + 1 + 4 + 3 + 2 points');
+
+  const resultId = res.data.resultLink.split('id=')[1];
+  res = await request('GET', `/api/result/${resultId}`);
+  assert(res.ok, 'Gap result fetched');
+  const gapDetail = res.data.details.find(d => d.questionId === 'q3');
+  assertEqual(JSON.stringify(gapDetail.gapResults), '[true,false,true]', 'Result lists per-gap correctness');
+  const perOptionDetail = res.data.details.find(d => d.questionId === 'q4');
+  assertEqual(perOptionDetail.points, 1, 'perOption question: 1 point');
+  assertEqual(perOptionDetail.scoring, 'perOption', 'Result shows the scoring mode');
+  const proportionalDetail = res.data.details.find(d => d.questionId === 'q5');
+  assertEqual(proportionalDetail.scoring, 'proportional', 'Quiz-level scoring mode applies');
+  const numericDetail = res.data.details.find(d => d.questionId === 'q6');
+  assertEqual(numericDetail.points, 1, 'Numeric answer within tolerance earns full points');
+  const orderDetail = res.data.details.find(d => d.questionId === 'q7');
+  assertEqual(orderDetail.chosen.join(''), 'ACBD', 'Result keeps the submitted order');
+  assertEqual(orderDetail.correct.join(''), 'ABCD', 'Result shows the correct order');
+  const matchDetail = res.data.details.find(d => d.questionId === 'q8');
+  assertEqual(JSON.stringify(matchDetail.pairResults), '[true,false,false]', 'Result lists per-pair correctness');
+  assertEqual(matchDetail.chosen.join(','), '1,3,2', 'Result maps chosen items back to pairs');
+  assertEqual(res.data.pendingReview, true, 'Result is marked as awaiting review');
+  let textDetail = res.data.details.find(d => d.questionId === 'q9');
+  assertEqual(textDetail.pending, true, 'Free-text answer is pending');
+  assert(textDetail.sampleAnswer === undefined, 'Sample answer is hidden until graded');
+
+  res = await request('POST', `/api/teacher/session/${sessionName}/submissions/${resultId}/grade`, {
+    questionId: 'q9', points: 1.5, feedback: 'Stichwort: Neigung der Erdachse'
+  });
+  assertEqual(res.status, 401, 'Grading requires teacher login');
+
+  sessionCookie = savedCookie;
+
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  assert(res.ok, 'Statistics with gap question fetched');
+  const gapStats = res.data.questionStats.find(q => q.id === 'q3');
+  assertEqual(gapStats.gapCorrectCounts['2'], 0, 'Stats count correct entries per gap');
+  const perOptionStats = res.data.questionStats.find(q => q.id === 'q4');
+  assertEqual(perOptionStats.scoring, 'perOption', 'Stats report the scoring mode');
+  assertEqual(perOptionStats.partialCount, 1, 'Stats count partial credit');
+  assertEqual(perOptionStats.correctCount, 0, 'Partial credit is not counted as correct');
+  const orderStats = res.data.questionStats.find(q => q.id === 'q7');
+  assertEqual(orderStats.optionCounts.A + orderStats.optionCounts.B, 1, 'Order stats count correct placements only');
+  const matchStats = res.data.questionStats.find(q => q.id === 'q8');
+  assertEqual(matchStats.pairCorrectCounts['1'], 1, 'Stats count correct matches per pair');
+  let textStats = res.data.questionStats.find(q => q.id === 'q9');
+  assertEqual(textStats.pendingCount, 1, 'Stats count pending free-text answers');
+  assertEqual(textStats.total, 0, 'Pending answers are not scored in stats');
+
+  const gradeUrl = `/api/teacher/session/${sessionName}/submissions/${resultId}/grade`;
+  res = await request('POST', gradeUrl, { questionId: 'q9', points: 3 });
+  assert(!res.ok, `Points above the maximum rejected (status ${res.status})`);
+  res = await request('POST', gradeUrl, { questionId: 'q8', points: 1 });
+  assert(!res.ok, `Manual grading of a non-text question rejected (status ${res.status})`);
+
+  res = await request('POST', gradeUrl, {
+    questionId: 'q9', points: 1.5, feedback: 'Stichwort: Neigung der Erdachse'
+  });
+  assert(res.ok, `Free-text answer graded (status ${res.status})`);
+  assertEqual(res.data.score, 10.5, 'Score recalculated after grading');
+  assertEqual(res.data.pendingReview, false, 'No answers left to review');
+
+  res = await request('GET', `/api/result/${resultId}`);
+  assertEqual(res.data.score, 10.5, 'Result shows the updated score');
+  textDetail = res.data.details.find(d => d.questionId === 'q9');
+  assertEqual(textDetail.feedback, 'Stichwort: Neigung der Erdachse', 'Result shows the teacher feedback');
+  assertEqual(textDetail.sampleAnswer, 'Die Erdachse ist geneigt.', 'Sample answer is shown once graded');
+
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  textStats = res.data.questionStats.find(q => q.id === 'q9');
+  assertEqual(textStats.pendingCount, 0, 'Graded answer is no longer pending');
+  assertEqual(textStats.avgPoints, 1.5, 'Stats include the graded points');
+}
+
+async function step10_liveSession(quizId) {
+  console.log('\n📋 Step 10: Live session (teacher-paced, pushed via SSE)');
+
+  let res = await request('POST', '/api/teacher/createSession', { quizId, mode: 'presentation' });
+  assertEqual(res.status, 400, 'Unknown session mode rejected');
+
+  // Created in the same minute as the regular session
+  res = await request('POST', '/api/teacher/createSession', { quizId, mode: 'live' });
+  assert(res.ok, `Live session created (status ${res.status})`);
+  const liveName = res.data.sessionName;
+  assert(/-\d+$/.test(liveName.slice(16)), `Same-minute session gets a suffix (${liveName})`);
+  const livePath = `/api/live/${liveName}`;
+  const controlPath = `/api/teacher/live/${liveName}`;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', `/api/session/${liveName}/quiz`);
+  assertEqual(res.status, 422, 'Live session does not hand out the whole quiz');
+  res = await request('POST', `/api/session/${liveName}/submit`, {
+    userCode: 'live1', answers: [{ questionId: 'q1', chosen: ['C'] }]
+  });
+  assertEqual(res.status, 422, 'Direct submission to a live session rejected');
+
+  res = await request('POST', `${livePath}/join`, { userCode: 'live1' });
+  assert(res.ok, `Participant joined (status ${res.status})`);
+  const p1 = res.data.participantId;
+  res = await request('POST', `${livePath}/join`, { userCode: 'live1' });
+  assertEqual(res.data.participantId, p1, 'Rejoining returns the same participant');
+  res = await request('POST', `${livePath}/join`, { userCode: 'live2' });
+  const p2 = res.data.participantId;
+  assert(p2 && p2 !== p1, 'Second participant joined');
+
+  let event = await readFirstEvent(`${livePath}/events?participant=${p1}`);
+  assert(event.contentType.startsWith('text/event-stream'), 'Participant receives an event stream');
+  assertEqual(event.data.status, 'lobby', 'Participant waits in the lobby');
+  assertEqual(event.data.question, null, 'No question before the teacher starts');
+  event = await readFirstEvent(`${livePath}/events?participant=unknown`);
+  assertEqual(event.status, 400, 'Unknown participant gets no stream');
+
+  res = await request('POST', `${livePath}/answer`, { participantId: p1, answer: { questionId: 'q1', chosen: ['C'] } });
+  assertEqual(res.status, 422, 'Answer before the first question rejected');
+  res = await request('POST', `${controlPath}/next`, { seconds: 30 });
+  assertEqual(res.status, 401, 'Live control requires teacher login');
+
+  sessionCookie = savedCookie;
+  res = await request('POST', `${controlPath}/next`, { seconds: 2 });
+  assertEqual(res.status, 400, 'Countdown below 5 seconds rejected');
+  res = await request('POST', `${controlPath}/next`, { seconds: 30 });
+  assert(res.ok, `First question opened (status ${res.status})`);
+  assertEqual(res.data.question.id, 'q1', 'Presenter shows the first question');
+  assert(res.data.remainingMs > 25000, 'Countdown is running');
+
+  sessionCookie = null;
+  res = await request('POST', `${livePath}/answer`, { participantId: p1, answer: { questionId: 'q1', chosen: ['C'] } });
+  assert(res.ok, `live1 answered (status ${res.status})`);
+  await request('POST', `${livePath}/answer`, { participantId: p2, answer: { questionId: 'q1', chosen: ['B'] } });
+  res = await request('POST', `${livePath}/answer`, { participantId: p2, answer: { questionId: 'q1', chosen: ['A'] } });
+  assert(res.ok, 'live2 changed the answer');
+  res = await request('POST', `${livePath}/answer`, { participantId: p2, answer: { questionId: 'q2', chosen: ['A'] } });
+  assertEqual(res.status, 422, 'Answer to another question rejected');
+
+  event = await readFirstEvent(`${livePath}/events?participant=${p1}`);
+  assertEqual(event.data.status, 'question', 'Participant receives the open question');
+  assertEqual(event.data.question.id, 'q1', 'Participant sees the current question');
+  assertEqual(event.data.answered, true, 'Participant state shows the saved answer');
+
+  sessionCookie = savedCookie;
+  event = await readFirstEvent(`${controlPath}/events`);
+  assertEqual(event.data.participantCount, 2, 'Presenter stream counts participants');
+  res = await request('GET', controlPath);
+  assertEqual(res.data.answeredCount, 2, 'Presenter counts answers');
+  assertEqual(res.data.histogram.options.A, 1, 'Histogram counts the replaced answer');
+  assertEqual(res.data.histogram.options.B, 0, 'Replaced answer is not counted');
+  assertEqual(res.data.histogram.options.C, 1, 'Histogram counts option C');
+  assertEqual(res.data.histogram.results.correct, 1, 'Histogram counts correct answers');
+  assertEqual(res.data.histogram.results.incorrect, 1, 'Histogram counts incorrect answers');
+
+  res = await request('POST', `${controlPath}/close`);
+  assertEqual(res.data.status, 'closed', 'Question closed by the teacher');
+  sessionCookie = null;
+  res = await request('POST', `${livePath}/answer`, { participantId: p1, answer: { questionId: 'q1', chosen: ['A'] } });
+  assertEqual(res.status, 422, 'Answer after closing rejected');
+
+  event = await readFirstEvent(`${livePath}/events?participant=${p1}`, async () => {
+    sessionCookie = savedCookie;
+    res = await request('POST', `${controlPath}/finish`);
+    sessionCookie = null;
+  });
+  assert(res.ok, `Live session finished (status ${res.status})`);
+  assertEqual(res.data.status, 'finished', 'Live state is finished');
+  assertEqual(event.data.status, 'finished', 'Participant is told the session ended');
+  assert(event.data.resultLink, 'Participant receives the result link');
+  const resultLink = event.data.resultLink;
+  event = await readFirstEvent(`${livePath}/events?participant=${p1}`);
+  assertEqual(event.status, 400, 'Live state is dropped once the session has finished');
+
+  sessionCookie = savedCookie;
+
+  res = await request('GET', `/api/teacher/session/${liveName}/submissions`);
+  assertEqual(res.data.submissions.length, 2, 'A submission is stored per participant');
+  const live1 = res.data.submissions.find(sub => sub.user_code === 'live1');
+  assertEqual(live1.score, 1, 'Live answers are graded (unanswered questions count 0)');
+  assertEqual(live1.max_score, 20, 'Max score covers all questions');
+
+  res = await request('GET', controlPath);
+  assertEqual(res.data.status, 'finished', 'Presenter still sees the finished session');
+  assertEqual(res.data.participantCount, 0, 'Finished session keeps no participants in memory');
+
+  sessionCookie = null;
+  res = await request('GET', `/api/result/${resultLink.split('id=')[1]}`);
+  assertEqual(res.data.score, 1, 'Result page shows the live score');
+  res = await request('POST', `${livePath}/join`, { userCode: 'live3' });
+  assertEqual(res.status, 422, 'Joining a finished live session rejected');
+  sessionCookie = savedCookie;
+}
+
+async function step11_timeLimit(quizId) {
+  console.log('\n📋 Step 11: Time limit per participant (waits for the limit to expire)');
+
+  let res = await request('POST', '/api/teacher/createSession', { quizId, timeLimitSeconds: 5 });
+  assertEqual(res.status, 400, 'Time limit below 10 seconds rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, timeLimitSeconds: 10 });
+  assert(res.ok, `Timed session created (status ${res.status})`);
+  const timedName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  const answers = [{ questionId: 'q1', chosen: ['C'] }];
+  res = await request('POST', `/api/session/${timedName}/submit`, { userCode: 'timed1', answers });
+  assertEqual(res.status, 422, 'Submission without started attempt rejected');
+
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed1' });
+  assert(res.ok, `Attempt started (status ${res.status})`);
+  assertEqual(res.data.timeLimitSeconds, 10, 'Start returns the time limit');
+  assert(res.data.remainingSeconds > 0 && res.data.remainingSeconds <= 10, 'Start returns the remaining time');
+  const startedAt = res.data.startedAt;
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed1' });
+  assertEqual(res.data.startedAt, startedAt, 'Starting again keeps the original start');
+
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed2' });
+  assert(res.ok, 'Second attempt started');
+
+  // Submitted offline within the time limit, sent after it (queued by the quiz page)
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed3' });
+  assert(!isNaN(Date.parse(res.data.serverTime)), 'Start returns the server time');
+  const offlineStart = Date.parse(res.data.startedAt);
+  const submitOffline = (submittedAt) =>
+    request('POST', `/api/session/${timedName}/submit`, { userCode: 'timed3', answers, submittedAt });
+  res = await submitOffline('soon');
+  assertEqual(res.status, 400, 'Invalid submittedAt rejected');
+  res = await submitOffline(new Date(offlineStart - 60000).toISOString());
+  assertEqual(res.status, 400, 'submittedAt before the start of the attempt rejected');
+  res = await submitOffline(new Date(Date.now() + 120000).toISOString());
+  assertEqual(res.status, 400, 'submittedAt in the future rejected');
+  // The quiz page autosaved a draft before the connection was lost
+  res = await request('POST', `/api/session/${timedName}/draft`, { userCode: 'timed3', answers });
+  assert(res.ok, `Draft saved before going offline (status ${res.status})`);
+  const draftSavedAt = Date.parse(res.data.savedAt);
+
+  // Backdated submission without a draft: nothing backs the client time
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed4' });
+  const backdatedStart = Date.parse(res.data.startedAt);
+
+  res = await request('POST', `/api/session/${timedName}/submit`, { userCode: 'timed1', answers });
+  assert(res.ok, `Submission within the time limit accepted (status ${res.status})`);
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed1' });
+  assertEqual(res.status, 409, 'No new attempt after submitting');
+
+  // Time limit (10 s) plus grace period (10 s)
+  await new Promise(resolve => setTimeout(resolve, 21000));
+  res = await request('POST', `/api/session/${timedName}/submit`, { userCode: 'timed2', answers });
+  assertEqual(res.status, 422, 'Late submission rejected');
+  assert(/time limit/i.test(res.data.error), 'Error names the expired time limit');
+  res = await request('POST', `/api/session/${timedName}/start`, { userCode: 'timed2' });
+  assertEqual(res.status, 422, 'Expired attempt cannot be restarted');
+  res = await request('POST', `/api/session/${timedName}/submit`,
+    { userCode: 'timed4', answers, submittedAt: new Date(backdatedStart + 1000).toISOString() });
+  assertEqual(res.status, 422, 'Backdated submittedAt without a draft rejected');
+  res = await submitOffline(new Date(Math.max(offlineStart, draftSavedAt) + 2000).toISOString());
+  assert(res.ok, `Offline submission made shortly after the last draft accepted (status ${res.status})`);
+
+  sessionCookie = savedCookie;
+}
+
+async function step12_shuffle(quizId, quiz) {
+  console.log('\n📋 Step 12: Shuffled question and option order per participant');
+
+  // Six choice questions; the last one pins its options ("all of the above")
+  const questions = [1, 2, 3, 4, 5, 6].map(n => ({
+    id: `s${n}`,
+    text: `Frage ${n}?`,
+    type: 'single',
+    options: ['A', 'B', 'C', 'D'].map(id => ({ id, text: `${n}${id}`, correct: id === 'D' })),
+    pinOptions: n === 6 ? true : undefined
+  }));
+  const shuffleQuiz = Object.assign({}, quiz, { questions });
+
+  let res = await request('POST', '/api/teacher/saveQuiz', {
+    quizId,
+    quiz: Object.assign({}, shuffleQuiz, {
+      questions: questions.concat([{ id: 'sx', text: 'Wert?', type: 'numeric', numeric: { value: 1 }, pinOptions: true }])
+    })
+  });
+  assert(!res.ok, `Pinned options on a numeric question rejected (status ${res.status})`);
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: shuffleQuiz });
+  assert(res.ok, `Quiz with pinned options saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, shuffleQuestions: 'yes' });
+  assertEqual(res.status, 400, 'Non-boolean shuffle flag rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, shuffleQuestions: true, shuffleOptions: true });
+  assert(res.ok, `Shuffled session created (status ${res.status})`);
+  const shuffledName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  const order = studentQuiz => studentQuiz.questions.map(q => q.id + ':' + q.options.map(o => o.id).join('')).join(' ');
+  const fetchQuiz = userCode => request('GET', `/api/session/${shuffledName}/quiz?userCode=${userCode}`);
+
+  res = await fetchQuiz('shuffle1');
+  assert(res.ok, 'Shuffled quiz fetched');
+  const first = res.data;
+  res = await fetchQuiz('shuffle1');
+  assertEqual(order(res.data), order(first), 'Same user code gets the same order again');
+
+  const orders = new Set();
+  for (let i = 0; i < 10; i++) {
+    orders.add(order((await fetchQuiz(`shuffle-${i}`)).data));
+  }
+  assert(orders.size > 1, 'Different user codes get different orders');
+  assert([...orders].every(o => o.includes('s6:ABCD')), 'Pinned options keep the authored order');
+  const questionOrders = new Set([...orders].map(o => o.split(' ').map(entry => entry.split(':')[0]).join()));
+  assert(questionOrders.size > 1, 'Question order is shuffled');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/teacher/session/${shuffledName}/quiz`);
+  assertEqual(res.data.questions.map(q => q.id).join(), 's1,s2,s3,s4,s5,s6', 'Statistics use the authored order');
+  sessionCookie = null;
+
+  // Answers in the participant's order are graded by id
+  const answers = first.questions.map(q => ({ questionId: q.id, chosen: ['D'] }));
+  res = await request('POST', `/api/session/${shuffledName}/submit`, { userCode: 'shuffle1', answers });
+  assert(res.ok, `Shuffled submission accepted (status ${res.status})`);
+  res = await request('GET', `/api/result/${res.data.resultLink.split('id=')[1]}`);
+  assertEqual(res.data.score, 6, 'Shuffled answers graded by question and option id');
+
+  sessionCookie = savedCookie;
+}
+
+async function step13_questionDraw(quizId, quiz) {
+  console.log('\n📋 Step 13: Random question draw per participant');
+
+  // Question bank: 4 questions tagged "a", 4 tagged "b", 2 without tag
+  const questions = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => ({
+    id: `d${n}`,
+    text: `Frage ${n}?`,
+    type: 'single',
+    tag: n <= 4 ? 'a' : n <= 8 ? 'b' : undefined,
+    options: [{ id: 'A', text: 'ja', correct: true }, { id: 'B', text: 'nein', correct: false }]
+  }));
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Tagged question bank saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, draw: [{ count: 5, tag: 'a' }] });
+  assertEqual(res.status, 400, 'Drawing more questions than match rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, draw: [{ count: 1, level: 'hard' }] });
+  assertEqual(res.status, 400, 'Unknown draw rule field rejected');
+  const draw = [{ count: 2, tag: 'a' }, { count: 1, tag: 'b' }, { count: 1 }];
+  res = await request('POST', '/api/teacher/createSession', { quizId, draw });
+  assert(res.ok, `Session with question draw created (status ${res.status})`);
+  const drawName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', `/api/session/${drawName}/quiz`);
+  assertEqual(res.status, 400, 'Drawn quiz requires a user code');
+
+  const drawnIds = async userCode =>
+    (await request('GET', `/api/session/${drawName}/quiz?userCode=${userCode}`)).data.questions.map(q => q.id);
+  const ids = await drawnIds('draw1');
+  assertEqual(ids.length, 4, 'Participant gets the drawn number of questions');
+  const number = id => Number(id.slice(1));
+  // The rule without tag may add a third question from tag a
+  assert(ids.filter(id => number(id) <= 4).length >= 2, 'Two questions drawn from tag a');
+  assert(ids.filter(id => number(id) >= 5 && number(id) <= 8).length >= 1, 'At least one question drawn from tag b');
+  assertEqual((await drawnIds('draw1')).join(), ids.join(), 'Same user code draws the same questions');
+
+  const draws = new Set();
+  for (let i = 0; i < 10; i++) {
+    draws.add((await drawnIds(`draw-${i}`)).join());
+  }
+  assert(draws.size > 1, 'Different user codes draw different questions');
+
+  const notDrawn = questions.find(q => !ids.includes(q.id)).id;
+  res = await request('POST', `/api/session/${drawName}/submit`, {
+    userCode: 'draw1', answers: [{ questionId: notDrawn, chosen: ['A'] }]
+  });
+  assertEqual(res.status, 400, 'Answer to a question that was not drawn rejected');
+
+  res = await request('POST', `/api/session/${drawName}/submit`, {
+    userCode: 'draw1', answers: [{ questionId: ids[0], chosen: ['A'] }]
+  });
+  assert(res.ok, `Drawn submission accepted (status ${res.status})`);
+  assertEqual(res.data.score, 1, 'Drawn answer graded');
+  assertEqual(res.data.maxScore, 4, 'Max score covers the drawn questions only');
+
+  const otherIds = await drawnIds('draw-0');
+  res = await request('POST', `/api/session/${drawName}/submit`, {
+    userCode: 'draw-0', answers: otherIds.map(questionId => ({ questionId, chosen: ['A'] }))
+  });
+  assertEqual(res.data.maxScore, 4, 'Second participant scored on their own draw');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/teacher/session/${drawName}/quiz`);
+  assertEqual(res.data.questions.length, 10, 'Statistics get the whole question bank');
+  res = await request('GET', `/api/session/${drawName}/stats`);
+  const seen = res.data.questionStats.reduce((sum, q) => sum + q.seenCount, 0);
+  assertEqual(seen, 8, 'Each question counts only the participants who drew it');
+  const first = res.data.questionStats.find(q => q.id === ids[0]);
+  assertEqual(first.correctCount, first.total, 'Statistics of a drawn question use its own participant count');
+
+  // The session draws from the questions it was created with
+  const edited = questions.map(q => Object.assign({}, q, { tag: q.tag === 'a' ? 'b' : 'a' }))
+    .concat([11, 12].map(n => Object.assign({}, questions[0], { id: `d${n}`, tag: 'a' })));
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions: edited }) });
+  assert(res.ok, `Question bank changed during the session (status ${res.status})`);
+  sessionCookie = null;
+  assertEqual((await drawnIds('draw1')).join(), ids.join(), 'Changing the quiz keeps the drawn questions');
+  sessionCookie = savedCookie;
+}
+
+async function step14_multipleAttempts(quizId, quiz) {
+  console.log('\n📋 Step 14: Multiple attempts per participant');
+
+  const questions = [1, 2].map(n => ({
+    id: `m${n}`,
+    text: `Frage ${n}?`,
+    type: 'single',
+    options: [{ id: 'A', text: 'ja', correct: true }, { id: 'B', text: 'nein', correct: false }]
+  }));
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Quiz for attempts saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, maxAttempts: 101 });
+  assertEqual(res.status, 400, 'Too many attempts rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, maxAttempts: 2, scorePolicy: 'worst' });
+  assertEqual(res.status, 400, 'Unknown score policy rejected');
+
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  const singleName = res.data.sessionName;
+  res = await request('POST', '/api/teacher/createSession', { quizId, maxAttempts: 2, scorePolicy: 'best' });
+  assert(res.ok, `Session with two attempts created (status ${res.status})`);
+  const multiName = res.data.sessionName;
+  res = await request('POST', '/api/teacher/createSession', { quizId, maxAttempts: 0, scorePolicy: 'average' });
+  const unlimitedName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  const submit = (sessionName, correctCount) => request('POST', `/api/session/${sessionName}/submit`, {
+    userCode: 'retry1',
+    answers: questions.map((q, i) => ({ questionId: q.id, chosen: [i < correctCount ? 'A' : 'B'] }))
+  });
+
+  res = await submit(singleName, 2);
+  assert(res.ok, `Single-attempt submission accepted (status ${res.status})`);
+  res = await submit(singleName, 2);
+  assertEqual(res.status, 409, 'Second submission rejected by default');
+
+  res = await request('POST', `/api/session/${multiName}/start`, { userCode: 'retry1' });
+  assertEqual(res.data.attempt, 1, 'First attempt started');
+  assertEqual(res.data.maxAttempts, 2, 'Start reports the attempt limit');
+  res = await submit(multiName, 2);
+  assert(res.ok, `First attempt submitted (status ${res.status})`);
+  assertEqual(res.data.attemptsLeft, 1, 'One attempt left');
+
+  res = await request('POST', `/api/session/${multiName}/start`, { userCode: 'retry1' });
+  assertEqual(res.data.attempt, 2, 'Second attempt started after submitting');
+  res = await submit(multiName, 1);
+  assert(res.ok, `Second attempt submitted (status ${res.status})`);
+  assertEqual(res.data.attempt, 2, 'Submission numbered as second attempt');
+  assertEqual(res.data.attemptsLeft, 0, 'No attempts left');
+  const resultId = res.data.resultLink.split('id=')[1];
+
+  res = await submit(multiName, 2);
+  assertEqual(res.status, 409, 'Attempt beyond the limit rejected');
+  res = await request('POST', `/api/session/${multiName}/start`, { userCode: 'retry1' });
+  assertEqual(res.status, 409, 'No new attempt can be started');
+
+  res = await request('GET', `/api/result/${resultId}`);
+  assertEqual(res.data.attempts.length, 2, 'Result lists both attempts');
+  assert(res.data.attempts[1].current, 'Viewed attempt is marked');
+  assertEqual(res.data.score, 1, 'Result shows the score of the viewed attempt');
+  assertEqual(res.data.finalScore.score, 2, 'Final score is the best attempt');
+
+  for (const correctCount of [2, 1, 1]) {
+    res = await submit(unlimitedName, correctCount);
+    assert(res.ok, `Unlimited attempt submitted (status ${res.status})`);
+    assertEqual(res.data.attemptsLeft, null, 'Unlimited attempts left');
+  }
+  res = await request('GET', `/api/result/${res.data.resultLink.split('id=')[1]}`);
+  assertEqual(res.data.finalScore.score, 1.33, 'Final score is the average of all attempts');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/teacher/session/${multiName}/export.csv`);
+  const lines = res.data.trim().split('\n');
+  assert(lines[0].endsWith('attempt'), 'CSV export has an attempt column');
+  assertEqual(lines.length, 1 + 2 * questions.length, 'CSV export has the rows of both attempts');
+  res = await request('GET', `/api/session/${multiName}/stats`);
+  assertEqual(res.data.participants, 1, 'Statistics count the participant once');
+  assertEqual(res.data.submissions, 2, 'Statistics count every attempt as a submission');
+}
+
+async function step15_practiceMode(quizId, quiz) {
+  console.log('\n📋 Step 15: Practice session with immediate feedback');
+
+  const questions = [
+    {
+      id: 'p1', text: 'Wie viel ist 2 + 2?', type: 'single', reason: 'Grundrechenarten',
+      options: [
+        { id: 'A', text: '4', correct: true, reason: '2 + 2 = 4' },
+        { id: 'B', text: '5', correct: false, reason: 'Eins zu viel' },
+        { id: 'C', text: '3', correct: false, reason: 'Eins zu wenig' }
+      ]
+    },
+    { id: 'p2', text: 'Wie viel ist 3 * 3?', type: 'numeric', numeric: { value: 9 } }
+  ];
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Practice quiz saved (status ${res.status})`);
+
+  const openUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil });
+  const examName = res.data.sessionName;
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, mode: 'practice', showSolutions: false });
+  assertEqual(res.status, 400, 'Practice session without solutions is rejected (feedback would reveal them)');
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, mode: 'practice', showExplanations: 'none' });
+  assertEqual(res.status, 400, 'Practice session without explanations is rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, mode: 'practice' });
+  assert(res.ok, `Practice session created (status ${res.status})`);
+  const practiceName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  const check = (sessionName, answer, extra = {}) => request('POST', `/api/session/${sessionName}/check`,
+    Object.assign({ userCode: 'practice1', answer }, extra));
+
+  res = await check(examName, { questionId: 'p1', chosen: ['A'] });
+  assertEqual(res.status, 422, 'Single answers are not checked in regular sessions');
+  res = await check(practiceName, { questionId: 'p1', chosen: ['A'] }, { userCode: '' });
+  assertEqual(res.status, 400, 'Check requires a user code');
+  res = await check(practiceName, { questionId: 'unknown', chosen: ['A'] });
+  assertEqual(res.status, 400, 'Unknown question rejected');
+
+  res = await check(practiceName, { questionId: 'p1', chosen: ['B'] });
+  assert(res.ok, `Wrong answer checked (status ${res.status})`);
+  assertEqual(res.data.isCorrect, false, 'Wrong answer recognized');
+  assert(!res.data.solution, 'Wrong answer does not reveal the solution');
+  assertEqual(res.data.optionReasons.map(o => o.id).join(), 'B', 'Only the chosen option is explained');
+  assertEqual(res.data.optionReasons[0].reason, 'Eins zu viel', 'Option reason returned');
+
+  res = await check(practiceName, { questionId: 'p1', chosen: ['B'] }, { reveal: true });
+  assertEqual(res.data.solution.correct.join(), 'A', 'Solution revealed on request');
+  assertEqual(res.data.solution.reason, 'Grundrechenarten', 'Question reason revealed with the solution');
+  assertEqual(res.data.optionReasons.map(o => o.id).sort().join(), 'A,B', 'Correct option explained with the solution');
+
+  res = await check(practiceName, { questionId: 'p1', chosen: ['A'] });
+  assertEqual(res.data.isCorrect, true, 'Corrected answer accepted');
+  assertEqual(res.data.points, 1, 'Checked answer scored');
+  assert(res.data.solution, 'Correct answer includes the solution');
+
+  res = await check(practiceName, { questionId: 'p2', value: 9 });
+  assertEqual(res.data.isCorrect, true, 'Numeric answer checked');
+
+  res = await request('POST', `/api/session/${practiceName}/submit`, {
+    userCode: 'practice1', answers: [{ questionId: 'p1', chosen: ['A'] }, { questionId: 'p2', value: 9 }]
+  });
+  assert(res.ok, `Practice submission accepted (status ${res.status})`);
+  res = await request('GET', `/api/result/${res.data.resultLink.split('id=')[1]}`);
+  assert(res.data.details, 'Practice result visible before the session ends');
+  assertEqual(res.data.score, 2, 'Practice result score');
+
+  sessionCookie = savedCookie;
+}
+
+async function step16_drafts(quizId, quiz) {
+  console.log('\n📋 Step 16: Draft answers (resume an attempt in progress)');
+
+  const questions = [1, 2, 3].map(n => ({
+    id: `r${n}`,
+    text: `Frage ${n}?`,
+    type: 'single',
+    options: [{ id: 'A', text: 'ja', correct: true }, { id: 'B', text: 'nein', correct: false }]
+  }));
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Quiz for drafts saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, maxAttempts: 2 });
+  const draftName = res.data.sessionName;
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  const singleName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  const start = (sessionName) => request('POST', `/api/session/${sessionName}/start`, { userCode: 'draft1' });
+  const saveDraft = (sessionName, answers, userCode = 'draft1') =>
+    request('POST', `/api/session/${sessionName}/draft`, { userCode, answers });
+  const answers = questions.map(q => ({ questionId: q.id, chosen: ['A'] }));
+
+  res = await start(draftName);
+  assertEqual(res.data.draftAnswers.length, 0, 'New attempt has no draft');
+
+  res = await saveDraft(draftName, answers.slice(0, 1), '');
+  assertEqual(res.status, 400, 'Draft requires a user code');
+  res = await saveDraft(draftName, 'A');
+  assertEqual(res.status, 400, 'Draft answers must be an array');
+
+  res = await saveDraft(draftName, answers.slice(0, 1));
+  assert(res.ok && res.data.savedAt, `Draft saved (status ${res.status})`);
+  res = await saveDraft(draftName, answers.slice(0, 2));
+  assert(res.ok, `Draft replaced (status ${res.status})`);
+
+  res = await start(draftName);
+  assertEqual(res.data.attempt, 1, 'Reload continues the same attempt');
+  assertEqual(res.data.draftAnswers.map(a => a.questionId).join(), 'r1,r2', 'Reload returns the latest draft');
+
+  res = await request('POST', `/api/session/${draftName}/submit`, { userCode: 'draft1', answers });
+  assert(res.ok, `Attempt with draft submitted (status ${res.status})`);
+  res = await start(draftName);
+  assertEqual(res.data.attempt, 2, 'Next attempt started');
+  assertEqual(res.data.draftAnswers.length, 0, 'Submitting discards the draft');
+
+  res = await request('POST', `/api/session/${singleName}/submit`, { userCode: 'draft1', answers });
+  res = await saveDraft(singleName, answers.slice(0, 1));
+  assertEqual(res.status, 409, 'No draft after the last attempt');
+
+  sessionCookie = savedCookie;
+}
+
+async function step17_navigation(quizId, quiz) {
+  console.log('\n📋 Step 17: Question navigation (linear sessions, skipped questions)');
+
+  const questions = [1, 2, 3].map(n => ({
+    id: `n${n}`,
+    text: `Frage ${n}?`,
+    type: 'single',
+    options: [{ id: 'A', text: 'ja', correct: true }, { id: 'B', text: 'nein', correct: false }]
+  }));
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Quiz for navigation saved (status ${res.status})`);
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, linearNavigation: 'yes' });
+  assertEqual(res.status, 400, 'linearNavigation must be a boolean');
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, linearNavigation: true });
+  assert(res.ok, `Linear session created (status ${res.status})`);
+  const linearName = res.data.sessionName;
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  const freeName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('POST', `/api/session/${linearName}/start`, { userCode: 'nav1' });
+  assertEqual(res.data.linearNavigation, true, 'Linear session is announced on start');
+  res = await request('POST', `/api/session/${freeName}/start`, { userCode: 'nav1' });
+  assertEqual(res.data.linearNavigation, false, 'Free navigation is the default');
+
+  // Answered out of order, the second question skipped
+  const answers = [
+    { questionId: 'n3', chosen: ['A'] },
+    { questionId: 'n2' },
+    { questionId: 'n1', chosen: ['A'] }
+  ];
+  res = await request('POST', `/api/session/${freeName}/submit`, { userCode: 'nav1', answers });
+  assert(res.ok, `Submission with a skipped question accepted (status ${res.status})`);
+  assertEqual(res.data.score, 2, 'Skipped question scores no points');
+  assertEqual(res.data.maxScore, 3, 'Skipped question still counts towards the maximum');
+
+  // Linear sessions: answers the participant moved on from are final
+  const draft = answers => request('POST', `/api/session/${linearName}/draft`, { userCode: 'nav1', answers });
+  res = await draft([{ questionId: 'n1', chosen: ['B'] }]);
+  assert(res.ok, `First answer saved on moving on (status ${res.status})`);
+  res = await draft([{ questionId: 'n1', chosen: ['B'] }, { questionId: 'n2', chosen: ['A'] }]);
+  assert(res.ok, `Next answer saved with the first one unchanged (status ${res.status})`);
+  res = await draft([{ questionId: 'n1', chosen: ['A'] }, { questionId: 'n2', chosen: ['A'] }]);
+  assertEqual(res.status, 422, 'Going back to change an answer is rejected');
+  res = await request('POST', `/api/session/${linearName}/submit`, {
+    userCode: 'nav1', answers: [{ questionId: 'n1', chosen: ['A'] }, { questionId: 'n2', chosen: ['A'] }, { questionId: 'n3', chosen: ['A'] }]
+  });
+  assertEqual(res.status, 422, 'Submission with a changed answer is rejected');
+  res = await request('POST', `/api/session/${linearName}/submit`, {
+    userCode: 'nav1', answers: [{ questionId: 'n2', chosen: ['A'] }, { questionId: 'n3', chosen: ['A'] }]
+  });
+  assertEqual(res.status, 422, 'Submission without an answered question is rejected');
+  res = await request('POST', `/api/session/${linearName}/submit`, {
+    userCode: 'nav1', answers: [{ questionId: 'n1', chosen: ['B'] }, { questionId: 'n2', chosen: ['A'] }, { questionId: 'n3', chosen: ['A'] }]
+  });
+  assert(res.ok, `Submission keeping the saved answers accepted (status ${res.status})`);
+  assertEqual(res.data.score, 2, 'First answer counts as saved');
+
+  sessionCookie = savedCookie;
+}
+
+async function step18_teacherAccounts(quizId, sessionName) {
+  console.log('\n📋 Step 18: Teacher accounts and quiz ownership');
+
+  const username = 'e2e-teacher';
+  const password = 'e2e-teacher-pass';
+  const ownQuizTitle = 'E2E-Teacher-Quiz';
+  const ownRosterName = 'E2E-Teacher-Roster';
+
+  // Leftovers of an aborted run: the account, then its (now unowned) quiz and its roster
+  await request('DELETE', `/api/teacher/admin/teachers/${username}`);
+  let res = await request('GET', '/api/teacher/quizzes');
+  const leftover = res.data.find(q => q.title === ownQuizTitle);
+  if (leftover) {
+    await request('DELETE', `/api/teacher/quiz/${leftover.id}`);
+  }
+  res = await request('GET', '/api/teacher/rosters');
+  for (const roster of res.data.rosters.filter(r => r.name === ownRosterName)) {
+    await request('DELETE', `/api/teacher/rosters/${roster.id}`);
+  }
+
+  res = await request('POST', '/api/teacher/admin/teachers', { username: 'E2E-Teacher', displayName: 'E2E Teacher', password });
+  assert(res.ok, `Teacher registered by admin (status ${res.status})`);
+  assertEqual(res.data.teacher.username, username, 'Username is stored in lowercase');
+  assert(res.data.teacher.password_hash === undefined && res.data.teacher.passwordHash === undefined,
+    'Password hash is not returned');
+
+  res = await request('POST', '/api/teacher/admin/teachers', { username, password });
+  assertEqual(res.status, 409, 'Duplicate username is rejected');
+  res = await request('POST', '/api/teacher/admin/teachers', { username: 'e2e-short', password: 'short' });
+  assertEqual(res.status, 400, 'Short password is rejected');
+  res = await request('POST', '/api/teacher/admin/teachers', { username: 'no spaces', password });
+  assertEqual(res.status, 400, 'Invalid username is rejected');
+  res = await request('DELETE', '/api/teacher/admin/teachers/admin');
+  assertEqual(res.status, 400, 'Admin cannot delete their own account');
+
+  res = await request('GET', '/api/teacher/admin/teachers');
+  assert(res.data.teachers.some(t => t.username === username), 'Teacher is listed for admins');
+
+  const adminCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', '/api/sessions/all');
+  assertEqual(res.status, 401, 'Session list requires login');
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  assertEqual(res.status, 401, 'Session statistics require login');
+
+  res = await request('POST', '/api/teacher/login', { username, password: 'wrong-password' });
+  assertEqual(res.status, 401, 'Wrong teacher password is rejected');
+  // Unique name: failed logins are throttled per username across test runs
+  res = await request('POST', '/api/teacher/login', { username: `e2e-nobody-${Date.now()}`, password });
+  assertEqual(res.status, 401, 'Unknown username is rejected');
+  res = await request('POST', '/api/teacher/login', { username, password });
+  assert(res.ok, `Teacher logged in (status ${res.status})`);
+  assertEqual(res.data.teacher.role, 'teacher', 'New accounts get the teacher role');
+  assert(!res.data.teacher.permissions.includes('users.manage'), 'Teachers cannot manage accounts');
+
+  res = await request('GET', '/api/teacher/admin/teachers');
+  assertEqual(res.status, 403, 'Teacher cannot manage accounts');
+
+  // The admin's test quiz and session look like they do not exist
+  res = await request('GET', '/api/teacher/quizzes');
+  assert(!res.data.some(q => q.id === quizId), 'Quizzes of other teachers are not listed');
+  res = await request('GET', `/api/teacher/quiz/${quizId}`);
+  assertEqual(res.status, 404, 'Quiz of another teacher cannot be opened');
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: { title: 'Taken', questions: [] } });
+  assertEqual(res.status, 404, 'Quiz of another teacher cannot be saved');
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  assertEqual(res.status, 404, 'No sessions for quizzes of other teachers');
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  assertEqual(res.status, 404, 'Statistics of other teachers are hidden');
+  res = await request('GET', `/api/teacher/session/${sessionName}/submissions`);
+  assertEqual(res.status, 404, 'Submissions of other teachers are hidden');
+
+  res = await request('POST', '/api/teacher/createQuiz', { title: ownQuizTitle, imagePath: 'e2e-teacher-quiz' });
+  assert(res.ok, `Teacher created a quiz (status ${res.status})`);
+  const ownQuizId = res.data.quizId;
+  res = await request('POST', '/api/teacher/rosters', { name: ownRosterName, csv: 'Anna Berger' });
+  assert(res.ok, `Teacher imported a roster (status ${res.status})`);
+  const ownRosterId = res.data.roster.id;
+  res = await request('POST', '/api/teacher/createSession', { quizId: ownQuizId, rosterId: ownRosterId });
+  assert(res.ok, `Teacher created a session (status ${res.status})`);
+  const ownSession = res.data.sessionName;
+
+  res = await request('GET', '/api/teacher/quizzes');
+  assertEqual(res.data.map(q => q.id).join(), ownQuizId, 'Teacher sees only their own quiz');
+  res = await request('GET', '/api/sessions/all');
+  assertEqual(res.data.sessions.map(s => s.session_name).join(), ownSession, 'Teacher sees only their own session');
+  res = await request('GET', `/api/session/${ownSession}/stats`);
+  assert(res.ok, `Teacher sees statistics of their own session (status ${res.status})`);
+
+  // Back to the admin: the teacher's quiz is theirs until the account is deleted
+  const teacherCookie = sessionCookie;
+  sessionCookie = adminCookie;
+  res = await request('GET', '/api/teacher/quizzes');
+  assert(!res.data.some(q => q.id === ownQuizId), "Admin's list does not include other teachers' quizzes");
+
+  // Role and password changes keep the account and its quizzes
+  res = await request('PATCH', '/api/teacher/admin/teachers/admin', { role: 'viewer' });
+  assertEqual(res.status, 400, 'Admin cannot change their own role');
+  res = await request('PATCH', '/api/teacher/admin/teachers/demo', { password });
+  assertEqual(res.status, 400, 'Built-in accounts cannot be changed');
+  res = await request('PATCH', `/api/teacher/admin/teachers/${username}`, { role: 'owner' });
+  assertEqual(res.status, 400, 'Unknown role rejected');
+  res = await request('PATCH', `/api/teacher/admin/teachers/${username}`, { role: 'viewer' });
+  assertEqual(res.data.teacher.role, 'viewer', 'Admin changed the role');
+  sessionCookie = teacherCookie;
+  res = await request('GET', '/api/teacher/status');
+  assertEqual(res.data.teacher.role, 'viewer', 'Changed role applies to the logged-in session');
+  res = await request('POST', '/api/teacher/createQuiz', { title: 'E2E-Demoted' });
+  assertEqual(res.status, 403, 'Demoted account cannot create quizzes');
+  sessionCookie = adminCookie;
+  const newPassword = `${password}-new`;
+  res = await request('PATCH', `/api/teacher/admin/teachers/${username}`, { role: 'teacher', password: newPassword });
+  assert(res.ok && res.data.teacher.role === 'teacher', `Role and password changed (status ${res.status})`);
+
+  sessionCookie = teacherCookie;
+  res = await request('PUT', '/api/teacher/password', { currentPassword: password, newPassword: password });
+  assertEqual(res.status, 401, 'Own password change needs the current password');
+  res = await request('PUT', '/api/teacher/password', { currentPassword: newPassword, newPassword: 'short' });
+  assertEqual(res.status, 400, 'Short new password rejected');
+  res = await request('PUT', '/api/teacher/password', { currentPassword: newPassword, newPassword: password });
+  assert(res.ok, `Teacher changed their own password (status ${res.status})`);
+  sessionCookie = null;
+  res = await request('POST', '/api/teacher/login', { username, password });
+  assert(res.ok, `Teacher logged in with the changed password (status ${res.status})`);
+  res = await request('GET', '/api/teacher/quizzes');
+  assertEqual(res.data.map(q => q.id).join(), ownQuizId, 'Changed account still owns its quiz');
+  sessionCookie = adminCookie;
+
+  res = await request('DELETE', `/api/teacher/admin/teachers/${username}`);
+  assert(res.ok, `Teacher deleted (status ${res.status})`);
+  res = await request('DELETE', `/api/teacher/admin/teachers/${username}`);
+  assertEqual(res.status, 404, 'Deleted teacher is gone');
+
+  sessionCookie = teacherCookie;
+  res = await request('GET', `/api/session/${ownSession}/stats`);
+  assertEqual(res.status, 401, 'Session of the deleted teacher no longer works');
+  res = await request('GET', '/api/teacher/status');
+  assertEqual(res.data.authenticated, false, 'Deleted teacher is logged out');
+  sessionCookie = adminCookie;
+
+  res = await request('GET', '/api/teacher/quizzes');
+  assert(res.data.some(q => q.id === ownQuizId), 'Quiz of a deleted teacher is kept for admins');
+  res = await request('GET', '/api/teacher/rosters');
+  const takenOver = res.data.rosters.find(r => r.id === ownRosterId);
+  assert(takenOver && takenOver.sessionCount === 1, "Deleting admin takes over the deleted teacher's roster");
+  res = await request('DELETE', `/api/teacher/quiz/${ownQuizId}`);
+  assert(res.ok, `Admin deleted the orphaned quiz (status ${res.status})`);
+  res = await request('DELETE', `/api/teacher/rosters/${ownRosterId}`);
+  assert(res.ok, `Admin deleted the taken-over roster once no session uses it (status ${res.status})`);
+}
+
+async function step19_rolesAndSharing(quizId, sessionName) {
+  console.log('\n📋 Step 19: Roles and quiz sharing (co-editor, viewer, demo account)');
+
+  const password = 'e2e-role-pass';
+  const coEditor = 'e2e-coeditor';
+  const viewer = 'e2e-viewer';
+  const loginAs = async (username, pw = password) => {
+    sessionCookie = null;
+    const login = await request('POST', '/api/teacher/login', { username, password: pw });
+    assert(login.ok, `${username} logged in (status ${login.status})`);
+    return login.data.teacher;
+  };
+
+  // Leftovers of an aborted run
+  await request('DELETE', `/api/teacher/admin/teachers/${coEditor}`);
+  await request('DELETE', `/api/teacher/admin/teachers/${viewer}`);
+
+  let res = await request('POST', '/api/teacher/admin/teachers', { username: coEditor, password });
+  assert(res.ok, `Co-editor account registered (status ${res.status})`);
+  res = await request('POST', '/api/teacher/admin/teachers', { username: viewer, password, role: 'viewer' });
+  assertEqual(res.data.teacher.role, 'viewer', 'Viewer account registered');
+  res = await request('POST', '/api/teacher/admin/teachers', { username: 'e2e-boss', password, role: 'boss' });
+  assertEqual(res.status, 400, 'Unknown account role is rejected');
+
+  res = await request('PUT', `/api/teacher/quiz/${quizId}/shares/${coEditor}`, { role: 'coEditor' });
+  assert(res.ok, `Quiz shared with co-editor (status ${res.status})`);
+  res = await request('PUT', `/api/teacher/quiz/${quizId}/shares/${viewer}`, { role: 'coEditor' });
+  assertEqual(res.status, 400, 'Viewer accounts cannot become co-editors');
+  res = await request('PUT', `/api/teacher/quiz/${quizId}/shares/${viewer}`, { role: 'viewer' });
+  assert(res.ok, `Quiz shared with viewer (status ${res.status})`);
+  res = await request('PUT', `/api/teacher/quiz/${quizId}/shares/admin`, { role: 'viewer' });
+  assertEqual(res.status, 400, 'Quiz cannot be shared with its owner');
+  res = await request('PUT', `/api/teacher/quiz/${quizId}/shares/e2e-nobody`, { role: 'viewer' });
+  assertEqual(res.status, 404, 'Quiz cannot be shared with unknown accounts');
+  res = await request('GET', `/api/teacher/quiz/${quizId}/shares`);
+  assertEqual(res.data.shares.map(share => `${share.username}:${share.role}`).join(),
+    `${coEditor}:coEditor,${viewer}:viewer`, 'Shares are listed for the owner');
+  const adminCookie = sessionCookie;
+
+  // Co-editor: edits and runs sessions, but does not delete or share
+  await loginAs(coEditor);
+  res = await request('GET', '/api/teacher/quizzes');
+  const shared = res.data.find(q => q.id === quizId);
+  assertEqual(shared && shared.role, 'coEditor', 'Shared quiz is listed with the co-editor role');
+  assert(shared.permissions.includes('quiz.edit') && !shared.permissions.includes('quiz.delete'),
+    'Co-editors may edit, but not delete');
+  res = await request('GET', `/api/teacher/quiz/${quizId}`);
+  assert(res.ok, `Co-editor opens the shared quiz (status ${res.status})`);
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: res.data });
+  assert(res.ok, `Co-editor saves the shared quiz (status ${res.status})`);
+  res = await request('DELETE', `/api/teacher/quiz/${quizId}`);
+  assertEqual(res.status, 403, 'Co-editor cannot delete the quiz');
+  res = await request('GET', `/api/teacher/quiz/${quizId}/shares`);
+  assertEqual(res.status, 403, 'Co-editor cannot share the quiz');
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  assert(res.ok, `Co-editor sees statistics of the quiz's sessions (status ${res.status})`);
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  assert(res.ok, `Co-editor creates a session (status ${res.status})`);
+
+  // Viewer: statistics and exports only
+  const viewerAccount = await loginAs(viewer);
+  assert(!viewerAccount.permissions.includes('quiz.create'), 'Viewer accounts cannot create quizzes');
+  res = await request('GET', '/api/sessions/all');
+  assert(res.data.sessions.some(s => s.session_name === sessionName && s.role === 'viewer'),
+    'Sessions of the shared quiz are listed with the viewer role');
+  res = await request('GET', `/api/session/${sessionName}/stats`);
+  assert(res.ok, `Viewer sees statistics (status ${res.status})`);
+  res = await request('GET', `/api/teacher/session/${sessionName}/export.csv`);
+  assert(res.ok, `Viewer exports results (status ${res.status})`);
+  res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: { title: 'Taken', questions: [] } });
+  assertEqual(res.status, 403, 'Viewer cannot save the quiz');
+  res = await request('POST', '/api/teacher/createSession', { quizId });
+  assertEqual(res.status, 403, 'Viewer cannot create sessions');
+  res = await request('POST', `/api/teacher/session/${sessionName}/submissions/unknown/grade`, { questionId: 'q1', points: 1 });
+  assertEqual(res.status, 403, 'Viewer cannot grade');
+  res = await request('POST', '/api/teacher/createQuiz', { title: 'E2E-Viewer-Quiz' });
+  assertEqual(res.status, 403, 'Viewer cannot create quizzes');
+  res = await request('POST', '/api/teacher/syncFS');
+  assertEqual(res.status, 403, 'Only admins sync quizzes from disk');
+
+  // Demo account: a viewer without access to other quizzes
+  const demo = await loginAs('demo', 'demo');
+  assertEqual(demo.role, 'viewer', 'Demo account is a viewer');
+  res = await request('GET', `/api/teacher/quiz/${quizId}`);
+  assertEqual(res.status, 404, 'Demo account does not see unshared quizzes');
+  res = await request('POST', '/api/teacher/2fa/setup');
+  assertEqual(res.status, 403, 'Shared demo account cannot set up two-factor authentication');
+  assertEqual(res.data.errorDetails.type, 'TwoFactorNotAllowedError', 'Two-factor setup on the demo account has its own error type');
+  res = await request('POST', '/api/teacher/2fa/enable', { code: '123456' });
+  assertEqual(res.status, 403, 'Shared demo account cannot enable two-factor authentication');
+
+  sessionCookie = adminCookie;
+  res = await request('DELETE', `/api/teacher/quiz/${quizId}/shares/${coEditor}`);
+  assertEqual(res.data.shares.map(share => share.username).join(), viewer, 'Share revoked');
+  res = await request('DELETE', `/api/teacher/admin/teachers/${coEditor}`);
+  assert(res.ok, `Co-editor account deleted (status ${res.status})`);
+  res = await request('DELETE', `/api/teacher/admin/teachers/${viewer}`);
+  assert(res.ok, `Viewer account deleted (status ${res.status})`);
+  res = await request('GET', `/api/teacher/quiz/${quizId}/shares`);
+  assertEqual(res.data.shares.length, 0, 'Shares of deleted accounts are removed');
+}
+
+async function step20_loginThrottling() {
+  console.log('\n📋 Step 20: Login throttling after failed attempts');
+
+  const username = `e2e-throttled-${Date.now()}`;
+  const password = 'e2e-throttle-pass';
+  let res = await request('POST', '/api/teacher/admin/teachers', { username, password });
+  assert(res.ok, `Account registered (status ${res.status})`);
+  const adminCookie = sessionCookie;
+
+  sessionCookie = null;
+  for (let i = 1; i <= 3; i++) {
+    res = await request('POST', '/api/teacher/login', { username, password: 'wrong-password' });
+    assertEqual(res.status, 401, `Failed attempt ${i} is rejected as wrong password`);
+  }
+  res = await request('POST', '/api/teacher/login', { username, password });
+  assertEqual(res.status, 429, 'Correct password is throttled after repeated failures');
+  assertEqual(res.data.errorDetails.type, 'LoginThrottledError', 'Throttled login has its own error type');
+  const retryAfter = res.data.errorDetails.details.retryAfterSeconds;
+  assert(retryAfter > 0 && retryAfter <= 5, `Client has to wait a few seconds (${retryAfter} s)`);
+  assertEqual(res.headers.get('retry-after'), String(retryAfter), 'Retry-After header is set');
+
+  await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+  res = await request('POST', '/api/teacher/login', { username, password });
+  assert(res.ok, `Login works again after the wait (status ${res.status})`);
+  res = await request('POST', '/api/teacher/login', { username, password: 'wrong-password' });
+  assertEqual(res.status, 401, 'Successful login resets the failure count');
+  // Also takes back the client IP's failures on this account
+  res = await request('POST', '/api/teacher/login', { username, password });
+  assert(res.ok, `Login after a single failure (status ${res.status})`);
+
+  sessionCookie = adminCookie;
+  res = await request('DELETE', `/api/teacher/admin/teachers/${username}`);
+  assert(res.ok, `Account deleted (status ${res.status})`);
+}
+
+async function step21_twoFactor() {
+  console.log('\n📋 Step 21: Two-factor authentication (TOTP and recovery codes)');
+
+  const username = `e2e-2fa-${Date.now()}`;
+  const password = 'e2e-2fa-pass';
+  let res = await request('POST', '/api/teacher/admin/teachers', { username, password });
+  assert(res.ok, `Account registered (status ${res.status})`);
+  const adminCookie = sessionCookie;
+
+  const loginWithPassword = async () => {
+    sessionCookie = null;
+    const login = await request('POST', '/api/teacher/login', { username, password });
+    assert(login.ok, `Password accepted (status ${login.status})`);
+    return login.data;
+  };
+
+  await loginWithPassword();
+  res = await request('GET', '/api/teacher/2fa');
+  assertEqual(res.data.enabled, false, 'Two-factor authentication is off by default');
+  res = await request('POST', '/api/teacher/2fa/enable', { code: '123456' });
+  assertEqual(res.status, 400, 'Enabling needs the setup first');
+
+  res = await request('POST', '/api/teacher/2fa/setup');
+  assert(res.data.otpauthUri.startsWith(`otpauth://totp/AIDE%20Quiz:${username}?secret=${res.data.secret}`),
+    'Setup returns the otpauth URI for the QR code');
+  const secret = res.data.secret;
+  res = await request('POST', '/api/teacher/2fa/enable', { code: totp.generateCode(secret, totp.getStep() + 5) });
+  assertEqual(res.status, 400, 'Wrong code does not enable two-factor authentication');
+  const enableStep = totp.getStep();
+  res = await request('POST', '/api/teacher/2fa/enable', { code: totp.generateCode(secret, enableStep) });
+  assert(res.ok, `Two-factor authentication enabled (status ${res.status})`);
+  const recoveryCodes = res.data.recoveryCodes;
+  assertEqual(recoveryCodes.length, 10, 'Ten recovery codes are returned');
+  res = await request('POST', '/api/teacher/2fa/setup');
+  assertEqual(res.status, 409, 'Setup is rejected while enabled');
+
+  // Password alone does not log in
+  let login = await loginWithPassword();
+  assertEqual(login.twoFactorRequired, true, 'Login asks for the two-factor code');
+  assertEqual(login.teacher, undefined, 'No teacher before the code');
+  res = await request('GET', '/api/teacher/status');
+  assertEqual(res.data.authenticated, false, 'Not logged in before the code');
+  res = await request('POST', '/api/teacher/login/2fa', { code: totp.generateCode(secret, enableStep) });
+  assertEqual(res.status, 401, 'A code cannot be used twice');
+  assertEqual(res.data.errorDetails.type, 'InvalidTwoFactorCodeError', 'Wrong code has its own error type');
+  res = await request('POST', '/api/teacher/login/2fa', { code: totp.generateCode(secret, enableStep + 1) });
+  assert(res.ok, `Logged in with the app code (status ${res.status})`);
+  assertEqual(res.data.teacher.username, username, 'Two-factor login returns the teacher');
+
+  // Recovery codes work once
+  await loginWithPassword();
+  res = await request('POST', '/api/teacher/login/2fa', { code: recoveryCodes[0].toUpperCase() });
+  assertEqual(res.data.recoveryCodesLeft, 9, 'Recovery code logs in (case-insensitive)');
+  await loginWithPassword();
+  res = await request('POST', '/api/teacher/login/2fa', { code: recoveryCodes[0] });
+  assertEqual(res.status, 401, 'Recovery code cannot be used twice');
+  res = await request('POST', '/api/teacher/login/2fa', { code: recoveryCodes[1] });
+  assert(res.ok, `Logged in with another recovery code (status ${res.status})`);
+
+  res = await request('DELETE', '/api/teacher/2fa', { code: '12345' });
+  assertEqual(res.status, 400, 'Disabling needs a valid code');
+  res = await request('DELETE', '/api/teacher/2fa', { code: recoveryCodes[2] });
+  assert(res.ok, `Two-factor authentication disabled (status ${res.status})`);
+  res = await request('GET', '/api/teacher/2fa');
+  assertEqual(res.data.enabled, false, 'Two-factor authentication is off again');
+
+  // Admins reset it for teachers who lost their device
+  res = await request('POST', '/api/teacher/2fa/setup');
+  res = await request('POST', '/api/teacher/2fa/enable', { code: totp.generateCode(res.data.secret, totp.getStep()) });
+  assert(res.ok, `Two-factor authentication enabled again (status ${res.status})`);
+  sessionCookie = adminCookie;
+  res = await request('GET', '/api/teacher/admin/teachers');
+  assertEqual(res.data.teachers.find(t => t.username === username).twoFactor, true, 'Admins see who uses two-factor authentication');
+  res = await request('DELETE', `/api/teacher/admin/teachers/${username}/2fa`);
+  assert(res.ok, `Admin reset two-factor authentication (status ${res.status})`);
+  login = await loginWithPassword();
+  assertEqual(login.teacher.username, username, 'Password alone logs in after the reset');
+
+  sessionCookie = null;
+  res = await request('POST', '/api/teacher/login/2fa', { code: '123456' });
+  assertEqual(res.status, 401, 'Two-factor step needs the password step first');
+
+  sessionCookie = adminCookie;
+  res = await request('DELETE', `/api/teacher/admin/teachers/${username}`);
+  assert(res.ok, `Account deleted (status ${res.status})`);
+}
+
+async function step22_rosters(quizId) {
+  console.log('\n📋 Step 22: Class rosters with personal codes');
+
+  // Rosters of earlier runs (their sessions were deleted with the test quiz)
+  let res = await request('GET', '/api/teacher/rosters');
+  for (const leftover of res.data.rosters.filter(r => r.name.startsWith('E2E-Class') && r.sessionCount === 0)) {
+    await request('DELETE', `/api/teacher/rosters/${leftover.id}`);
+  }
+
+  const rosterName = `E2E-Class-${Date.now()}`;
+  res = await request('POST', '/api/teacher/rosters', { name: rosterName, csv: 'name;code\nAnna Berger\n\nBen Cohen;ben-4711\n"Diaz, Clara"' });
+  assert(res.ok, `Roster imported (status ${res.status})`);
+  const roster = res.data.roster;
+  assertEqual(roster.students.length, 3, 'Header and empty lines are skipped');
+  const student = name => roster.students.find(s => s.name === name);
+  assert(/^[A-Z2-9]{6}$/.test(student('Anna Berger').code), 'Students without code get a generated personal code');
+  assertEqual(student('Ben Cohen').code, 'BEN-4711', 'Own codes are kept (in upper case)');
+  assert(student('Diaz, Clara'), 'Quoted names may contain commas');
+  const annaCode = student('Anna Berger').code;
+
+  res = await request('POST', `/api/teacher/rosters/${roster.id}/students`, { csv: 'Eve Fischer;BEN-4711' });
+  assertEqual(res.status, 400, 'Codes already used in the roster are rejected');
+  res = await request('POST', `/api/teacher/rosters/${roster.id}/students`, { csv: ';X1234' });
+  assertEqual(res.status, 400, 'Lines without a name are rejected');
+  res = await request('POST', `/api/teacher/rosters/${roster.id}/students`, { csv: 'Eve Fischer;no' });
+  assertEqual(res.status, 400, 'Too short own codes are rejected');
+  res = await request('GET', '/api/teacher/rosters');
+  assertEqual(res.data.rosters.find(r => r.id === roster.id).studentCount, 3, 'Roster is listed with its students');
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, rosterId: 'no-such-roster' });
+  assertEqual(res.status, 404, 'Unknown roster is rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, rosterId: roster.id, maxAttempts: 2 });
+  assert(res.ok, `Session restricted to the roster created (status ${res.status})`);
+  const rosterSession = res.data.sessionName;
+  res = await request('GET', '/api/sessions/open');
+  assertEqual(res.data.find(s => s.session_name === rosterSession).roster_required, 1, 'Open sessions tell that a personal code is required');
+  res = await request('DELETE', `/api/teacher/rosters/${roster.id}`);
+  assertEqual(res.status, 409, 'Roster used by a session cannot be deleted');
+
+  const adminCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('POST', `/api/session/${rosterSession}/start`, { userCode: 'nobody' });
+  assertEqual(res.status, 403, 'Codes that are not on the roster cannot start');
+  assertEqual(res.data.errorDetails.type, 'NotOnRosterError', 'Unknown code has its own error type');
+  res = await request('GET', `/api/session/${rosterSession}/quiz`);
+  assertEqual(res.status, 403, 'Quiz of a roster session needs a personal code');
+  res = await request('GET', `/api/session/${rosterSession}/quiz?userCode=${annaCode}`);
+  assert(res.ok, `Quiz loaded with a personal code (status ${res.status})`);
+  const answers = res.data.questions.map(q => ({ questionId: q.id, chosen: [] }));
+  // The quiz of step 17: the first option is correct
+  const rightAnswers = res.data.questions.map(q => ({ questionId: q.id, chosen: [q.options[0].id] }));
+  res = await request('POST', `/api/session/${rosterSession}/start`, { userCode: annaCode });
+  assert(res.ok, `Attempt started with a personal code (status ${res.status})`);
+  assertEqual(res.data.participantName, 'Anna Berger', 'Start returns the student name');
+  res = await request('POST', `/api/session/${rosterSession}/draft`, { userCode: 'nobody', answers });
+  assertEqual(res.status, 403, 'Unknown code cannot save drafts');
+  res = await request('POST', `/api/session/${rosterSession}/submit`, { userCode: 'nobody', answers });
+  assertEqual(res.status, 403, 'Unknown code cannot submit');
+  // Personal codes are case-insensitive on every entry point
+  res = await request('POST', `/api/session/${rosterSession}/draft`, { userCode: annaCode.toLowerCase(), answers });
+  assert(res.ok, `Draft saved with a lower-case code (status ${res.status})`);
+  res = await request('POST', `/api/session/${rosterSession}/submit`, { userCode: annaCode.toLowerCase(), answers: rightAnswers });
+  assert(res.ok, `Submission with a lower-case personal code accepted (status ${res.status})`);
+  const bestScore = res.data.score;
+  assert(bestScore > 0, `First attempt scores points (${bestScore})`);
+  res = await request('POST', `/api/session/${rosterSession}/submit`, { userCode: annaCode, answers });
+  assertEqual(res.data.score, 0, 'Second attempt without answers scores nothing');
+
+  sessionCookie = adminCookie;
+  res = await request('GET', `/api/teacher/session/${rosterSession}/submissions`);
+  assertEqual(res.data.submissions[0].participant_name, 'Anna Berger', 'Submissions show the student name');
+  assertEqual(res.data.submissions[0].user_code, annaCode, 'Submission is stored under the roster code');
+  res = await request('GET', `/api/session/${rosterSession}/stats`);
+  assertEqual(res.data.roster.name, rosterName, 'Statistics include the roster');
+  assertEqual(res.data.roster.students.length, 3, 'Statistics list every student');
+  const anna = res.data.roster.students.find(s => s.name === 'Anna Berger');
+  assertEqual(anna.attempts, 2, 'Statistics count the attempts per student');
+  assertEqual(anna.score, bestScore, 'Statistics show the score of the session policy (best attempt)');
+  assertEqual(res.data.roster.students.find(s => s.name === 'Ben Cohen').score, null, 'Students without submission have no score');
+  res = await request('GET', `/api/teacher/session/${rosterSession}/export.csv`);
+  assert(res.data.startsWith('userCode;name;questionId'), 'CSV export has a name column');
+  assert(res.data.includes(`"${annaCode}";"Anna Berger";`), 'CSV export shows the student name');
+
+  // Live sessions check the code when joining
+  res = await request('POST', '/api/teacher/createSession', { quizId, mode: 'live', rosterId: roster.id });
+  const liveSession = res.data.sessionName;
+  sessionCookie = null;
+  res = await request('POST', `/api/live/${liveSession}/join`, { userCode: 'nobody' });
+  assertEqual(res.status, 403, 'Unknown code cannot join a live roster session');
+  res = await request('POST', `/api/live/${liveSession}/join`, { userCode: 'ben-4711' });
+  assertEqual(res.data.participantName, 'Ben Cohen', 'Joining returns the student name');
+  sessionCookie = adminCookie;
+  res = await request('POST', `/api/teacher/live/${liveSession}/finish`);
+  assert(res.ok, `Live roster session finished (status ${res.status})`);
+
+  res = await request('DELETE', `/api/teacher/rosters/${roster.id}/students/${student('Diaz, Clara').id}`);
+  assert(res.ok, `Student removed (status ${res.status})`);
+  res = await request('GET', `/api/teacher/rosters/${roster.id}/codes.csv`);
+  assertEqual(res.data.trim().split('\n').length, 3, 'Code list has a header and the remaining students');
+  assert(res.data.includes('"Ben Cohen";"BEN-4711"'), 'Code list has names and codes');
+  res = await request('POST', `/api/teacher/rosters/${roster.id}/students`, { csv: '=1+1;-X1234' });
+  assert(res.ok, `Student with a formula as name added (status ${res.status})`);
+  res = await request('GET', `/api/teacher/rosters/${roster.id}/codes.csv`);
+  assert(res.data.includes(`"'=1+1";"'-X1234"`), 'Code list cells starting with = or - are not formulas');
+
+  // Rosters are private and need the rosters.manage permission
+  sessionCookie = null;
+  res = await request('POST', '/api/teacher/login', { username: 'demo', password: 'demo' });
+  assert(res.ok, `Demo viewer logged in (status ${res.status})`);
+  res = await request('GET', '/api/teacher/rosters');
+  assertEqual(res.status, 403, 'Viewers cannot manage rosters');
+  sessionCookie = adminCookie;
+}
+
+/**
+ * Paths of solution fields in a student payload (empty if it contains none)
+ */
+function findAnswerKeyFields(value, path = '') {
+  const solutionFields = ['correct', 'reason', 'reasonImage', 'explanation', 'multiple',
+    'answers', 'numeric', 'pairs', 'sampleAnswer'];
+  if (Array.isArray(value)) {
+    return value.flatMap((item, idx) => findAnswerKeyFields(item, `${path}[${idx}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => (solutionFields.includes(key) && item !== undefined
+      ? [`${path}.${key}`]
+      : findAnswerKeyFields(item, `${path}.${key}`)));
+  }
+  return [];
+}
+
+async function step23_answerKeyProjection(quizId, quiz) {
+  console.log('\n📋 Step 23: Student quiz payload without answer key');
+
+  const questions = [
+    {
+      id: 'k1', text: 'Welche Stadt ist die Hauptstadt?', type: 'single', reason: 'Seit 1990', reasonImage: 'map.png',
+      options: [
+        { id: 'A', text: 'Berlin', correct: true, reason: 'Richtig' },
+        { id: 'B', text: 'Bonn', correct: false, reason: 'Bis 1990' }
+      ]
+    },
+    {
+      id: 'k2', text: 'Welche Farben hat die Flagge?', type: 'multiple', multiple: true,
+      options: [
+        { id: 'A', text: 'Schwarz', correct: true },
+        { id: 'B', text: 'Rot', correct: true },
+        { id: 'C', text: 'Blau', correct: false, explanation: 'Nicht dabei' }
+      ]
+    },
+    { id: 'k3', text: 'Hauptstadt: {{1}}', type: 'gap', gaps: [{ id: '1', answers: ['Berlin'] }] },
+    { id: 'k4', text: 'Wie viel ist 6 * 7?', type: 'numeric', numeric: { value: 42, tolerance: 0, unit: 'Stück' } },
+    { id: 'k5', text: 'Sortiere', type: 'order', options: [{ id: 'A', text: 'eins' }, { id: 'B', text: 'zwei' }] },
+    {
+      id: 'k6', text: 'Ordne zu', type: 'match',
+      pairs: [{ id: '1', left: { text: 'DE' }, right: { text: 'Berlin' } }, { id: '2', left: { text: 'FR' }, right: { text: 'Paris' } }]
+    },
+    { id: 'k7', text: 'Erkläre', type: 'text', sampleAnswer: 'Musterlösung' }
+  ];
+  let res = await request('POST', '/api/teacher/saveQuiz', { quizId, quiz: Object.assign({}, quiz, { questions }) });
+  assert(res.ok, `Quiz with solutions saved (status ${res.status})`);
+  const openUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, shuffleOptions: true });
+  assert(res.ok, `Session created (status ${res.status})`);
+  const keyName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', `/api/session/${keyName}/quiz?userCode=key1`);
+  assert(res.ok, `Student quiz loaded (status ${res.status})`);
+  assertEqual(findAnswerKeyFields(res.data).join(', '), '', 'Student quiz contains no solution fields');
+  const choice = res.data.questions.find(q => q.id === 'k2');
+  assertEqual(Object.keys(choice.options[0]).sort().join(), 'id,text', 'Options only have id and text');
+  assertEqual(res.data.questions.find(q => q.id === 'k4').unit, 'Stück', 'Numeric question keeps its unit');
+  const orderIds = studentQuiz => studentQuiz.questions.find(q => q.id === 'k5').options.map(o => o.id).sort().join();
+  const sessionOrderIds = orderIds(res.data);
+
+  res = await request('GET', `/api/session/${keyName}/quiz?forStat=true`);
+  assertEqual(findAnswerKeyFields(res.data).join(', '), '', 'forStat no longer returns the solutions');
+  res = await request('GET', `/api/translate/quiz/${quizId}?lang=es`);
+  assert(res.ok, `Translation loaded (status ${res.status})`);
+  assertEqual(findAnswerKeyFields(res.data.quiz).join(', '), '', 'Translated student quiz contains no solution fields');
+  assertEqual(orderIds(res.data.quiz), sessionOrderIds, 'Translated order options keep the masked ids');
+
+  res = await request('POST', `/api/session/${keyName}/submit`, {
+    userCode: 'key1', answers: [{ questionId: 'k1', chosen: ['A'] }]
+  });
+  assert(res.ok, `Submission accepted (status ${res.status})`);
+  const resultId = res.data.resultLink.split('id=')[1];
+  res = await request('GET', `/api/result/${resultId}/translation?lang=es`);
+  assertEqual(res.data.open_after, openUntil, 'Result translation waits for the release as well');
+  res = await request('GET', `/api/teacher/session/${keyName}/quiz`);
+  assertEqual(res.status, 401, 'Complete quiz requires teacher login');
+  res = await request('GET', `/api/translate/teacher/quiz/${quizId}?lang=es`);
+  assertEqual(res.status, 401, 'Complete translation requires teacher login');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/teacher/session/${keyName}/quiz`);
+  assert(res.ok, `Teacher quiz loaded (status ${res.status})`);
+  assertEqual(res.data.questions[0].options[0].correct, true, 'Teachers get the solutions');
+  assertEqual(res.data.questions[0].options.map(o => o.id).join(''), 'AB', 'Teachers get the authored option order');
+  res = await request('GET', `/api/translate/teacher/quiz/${quizId}?lang=es`);
+  assertEqual(res.data.quiz.questions[0].options[0].correct, true, 'Teacher translation has the solutions');
+}
+
+async function step24_feedbackPolicy(quizId) {
+  console.log('\n📋 Step 24: Feedback policy and result release');
+
+  const openUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const releaseAt = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  let res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, showExplanations: 'some' });
+  assertEqual(res.status, 400, 'Unknown explanation policy is rejected');
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, releaseAt: 'soon' });
+  assertEqual(res.status, 400, 'Invalid release time is rejected');
+  res = await request('POST', '/api/teacher/createSession', {
+    quizId, open_until: openUntil, releaseAt, showScoreImmediately: true, showSolutions: false, showExplanations: 'wrong'
+  });
+  assert(res.ok, `Session with feedback policy created (status ${res.status})`);
+  const feedbackName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+
+  res = await request('GET', `/api/session/${feedbackName}/quiz?userCode=feedback1`);
+  const matchQuestion = res.data.questions.find(q => q.id === 'k6');
+  const rightId = text => matchQuestion.rightItems.find(item => item.text === text).id;
+  const orderQuestion = res.data.questions.find(q => q.id === 'k5');
+  const orderId = text => orderQuestion.options.find(option => option.text === text).id;
+  // k1 wrong, k2 correct, k3 wrong gap, k4 wrong value, k5 wrong order, k6 both pairs swapped
+  res = await request('POST', `/api/session/${feedbackName}/submit`, {
+    userCode: 'feedback1',
+    answers: [
+      { questionId: 'k1', chosen: ['B'] },
+      { questionId: 'k2', chosen: ['A', 'B'] },
+      { questionId: 'k3', gaps: { '1': 'Bonn' } },
+      { questionId: 'k4', value: 41 },
+      { questionId: 'k5', chosen: [orderId('zwei'), orderId('eins')] },
+      { questionId: 'k6', pairs: { '1': rightId('Paris'), '2': rightId('Berlin') } }
+    ]
+  });
+  assert(res.ok, `Submission accepted (status ${res.status})`);
+  const resultId = res.data.resultLink.split('id=')[1];
+
+  res = await request('GET', `/api/result/${resultId}`);
+  assertEqual(res.data.released, false, 'Details wait for the release time');
+  assertEqual(res.data.open_after, releaseAt, 'Result names the configured release time');
+  assertEqual(res.data.score, 1, 'Score is shown immediately');
+  assert(res.data.details === undefined, 'No details before the release');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/session/${feedbackName}/stats`);
+  assertEqual(res.data.resultRelease.released, false, 'Stats show that the results are not released');
+  assertEqual(res.data.feedback.showExplanations, 'wrong', 'Stats show the feedback policy');
+  res = await request('POST', `/api/teacher/session/${feedbackName}/results/release`);
+  assert(res.ok && res.data.released, `Results released now (status ${res.status})`);
+  sessionCookie = null;
+
+  res = await request('GET', `/api/result/${resultId}`);
+  assertEqual(res.data.released, true, 'Details are shown after the release');
+  assertEqual(res.data.feedback.showSolutions, false, 'Result names the feedback policy');
+  const details = Object.fromEntries(res.data.details.map(detail => [detail.questionId, detail]));
+  assertEqual(JSON.stringify(res.data.details).includes('"correct"'), false, 'No correct answers or marks');
+  assertEqual(details.k1.reason, 'Seit 1990', 'Explanation of a wrong answer is shown');
+  assertEqual(details.k1.options.map(o => o.reason || '-').join(), '-,Bis 1990', 'Only the chosen option is explained');
+  assert(details.k2.reason === undefined && details.k2.options.every(o => o.explanation === undefined),
+    'Fully correct question has no explanations');
+  assert(details.k3.gapResults === undefined && details.k3.gaps[0].answers === undefined, 'Gap answers are hidden');
+  assertEqual(JSON.stringify(details.k4.numeric), '{"unit":"Stück"}', 'Numeric target value is hidden');
+  assertEqual(details.k5.options.map(o => o.id).join(''), 'BA', 'Order shows the participant\'s order');
+  assertEqual(details.k6.chosen.join(), 'Paris,Berlin', 'Match shows the chosen right-hand items');
+  assert(details.k6.pairs.every(pair => pair.right === undefined), 'Expected pairs are hidden');
+  res = await request('GET', `/api/result/${resultId}/translation?lang=es`);
+  const texts = Object.fromEntries(res.data.quiz.questions.map(q => [q.id, q]));
+  assert(texts.k1.reason && texts.k2.reason === undefined, 'Result translation only has the shown explanations');
+
+  sessionCookie = savedCookie;
+  res = await request('POST', `/api/teacher/session/${feedbackName}/results/withhold`);
+  assert(res.ok && res.data.withheld, `Results withheld (status ${res.status})`);
+  sessionCookie = null;
+  res = await request('GET', `/api/result/${resultId}`);
+  assert(res.data.released === false && res.data.withheld && res.data.open_after === null,
+    'Withheld results wait for the teacher');
+  res = await request('POST', `/api/teacher/session/${feedbackName}/results/release`);
+  assertEqual(res.status, 401, 'Releasing results requires teacher login');
+  sessionCookie = savedCookie;
+}
+
+async function step25_sessionManagement(quizId) {
+  console.log('\n📋 Step 25: Session management (edit, close, reopen, rename, delete)');
+
+  const openUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  let res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, shuffleQuestions: true });
+  assert(res.ok, `Session created (status ${res.status})`);
+  let name = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+  res = await request('GET', `/api/session/${name}/quiz?userCode=manage3`);
+  const shuffledIds = res.data.questions.map(q => q.id).join();
+  res = await request('POST', `/api/session/${name}/submit`, {
+    userCode: 'manage1',
+    answers: [{ questionId: 'k1', chosen: ['A'] }]
+  });
+  assert(res.ok, `Submission accepted (status ${res.status})`);
+  const resultId = res.data.resultLink.split('id=')[1];
+  sessionCookie = savedCookie;
+
+  res = await request('GET', `/api/teacher/quiz/${quizId}/sessions`);
+  let listed = res.data.sessions.find(s => s.sessionName === name);
+  assert(listed && listed.status === 'open' && listed.participants === 1 && listed.submissions === 1,
+    'Session is listed as open with its participant and submission');
+
+  const laterUntil = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+  res = await request('PUT', `/api/teacher/session/${name}`, { open_until: laterUntil });
+  assertEqual(res.data.session && res.data.session.openUntil, laterUntil, 'End of the session extended');
+  res = await request('PUT', `/api/teacher/session/${name}`, { open_from: laterUntil, open_until: openUntil });
+  assertEqual(res.status, 400, 'End before the start is rejected');
+
+  res = await request('POST', `/api/teacher/session/${name}/close`);
+  assertEqual(res.data.session && res.data.session.status, 'closed', 'Session closed early');
+  sessionCookie = null;
+  res = await request('POST', `/api/session/${name}/submit`, {
+    userCode: 'manage2',
+    answers: [{ questionId: 'k1', chosen: ['A'] }]
+  });
+  assertEqual(res.status, 422, 'Closed session rejects submissions');
+  sessionCookie = savedCookie;
+
+  res = await request('POST', `/api/teacher/session/${name}/reopen`, { open_until: openUntil.replace(/^\d{4}/, '2000') });
+  assertEqual(res.status, 400, 'Reopening with an end in the past is rejected');
+  res = await request('POST', `/api/teacher/session/${name}/reopen`, { open_until: null });
+  assert(res.data.session && res.data.session.status === 'open' && res.data.session.openUntil === null,
+    'Session reopened without end');
+
+  res = await request('PUT', `/api/teacher/session/${name}`, { sessionName: 'no spaces!' });
+  assertEqual(res.status, 400, 'Invalid session name is rejected');
+  const takenName = (await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil })).data.sessionName;
+  res = await request('PUT', `/api/teacher/session/${name}`, { sessionName: takenName });
+  assertEqual(res.status, 409, 'Session name already taken');
+  await request('DELETE', `/api/teacher/session/${takenName}`);
+
+  const newName = `e2e-renamed-${Date.now()}`;
+  res = await request('PUT', `/api/teacher/session/${name}`, { sessionName: newName });
+  assertEqual(res.data.session && res.data.session.sessionName, newName, 'Session renamed');
+  res = await request('GET', `/api/session/${name}/stats`);
+  assertEqual(res.status, 404, 'Old session name no longer exists');
+  res = await request('GET', `/api/session/${newName}/stats`);
+  assertEqual(res.data.participants, 1, 'Submissions moved to the new name');
+  name = newName;
+
+  sessionCookie = null;
+  res = await request('GET', `/api/result/${resultId}`);
+  assert(res.ok, `Result link still works after renaming (status ${res.status})`);
+  res = await request('GET', `/api/session/${name}/quiz?userCode=manage3`);
+  assertEqual(res.data.questions.map(q => q.id).join(), shuffledIds, 'Participant keeps their questions after renaming');
+  res = await request('DELETE', `/api/teacher/session/${name}`);
+  assertEqual(res.status, 401, 'Deleting sessions requires teacher login');
+  sessionCookie = savedCookie;
+
+  res = await request('DELETE', `/api/teacher/session/${name}`);
+  assert(res.ok && res.data.submissions === 1, `Session deleted with its submission (status ${res.status})`);
+  res = await request('GET', `/api/teacher/quiz/${quizId}/sessions`);
+  listed = res.data.sessions.find(s => s.sessionName === name);
+  assertEqual(listed, undefined, 'Deleted session is no longer listed');
+  sessionCookie = null;
+  res = await request('GET', `/api/result/${resultId}`);
+  assertEqual(res.status, 404, 'Result of the deleted session is gone');
+  sessionCookie = savedCookie;
+}
+
+async function step26_joinCodes(quizId) {
+  console.log('\n📋 Step 26: Join codes and unlisted sessions');
+
+  const openUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  let res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, listed: 'no' });
+  assertEqual(res.status, 400, 'Non-boolean listing flag rejected');
+
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil, listed: false });
+  assert(res.ok, `Unlisted session created (status ${res.status})`);
+  const { sessionName, joinCode } = res.data;
+  assert(/^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{6}$/.test(joinCode), `Join code has 6 unambiguous characters (${joinCode})`);
+  res = await request('POST', '/api/teacher/createSession', { quizId, open_until: openUntil });
+  assert(res.data.sessionName !== sessionName && res.data.joinCode !== joinCode,
+    'Sessions of the same minute get different names and join codes');
+  const listedName = res.data.sessionName;
+
+  const savedCookie = sessionCookie;
+  sessionCookie = null;
+  res = await request('GET', '/api/sessions/open');
+  const openNames = res.data.map(s => s.session_name);
+  assert(openNames.includes(listedName) && !openNames.includes(sessionName),
+    'Unlisted session is missing from the open sessions list');
+
+  const typed = `${joinCode.slice(0, 3).toLowerCase()}-${joinCode.slice(3)}`;
+  res = await request('GET', `/api/join/${typed}`);
+  assertEqual(res.data.session_name, sessionName, 'Join code finds the unlisted session (case and hyphen ignored)');
+  assertEqual(res.data.roster_required, 0, 'Join code returns the session like the open sessions list');
+  res = await request('GET', '/api/join/ZZZZZZ');
+  assertEqual(res.status, 404, 'Unknown join code rejected');
+
+  const redirect = await fetch(`${BASE_URL}/join/${joinCode}`, { redirect: 'manual' });
+  assert(redirect.status === 302 && redirect.headers.get('location').endsWith(`/quiz/?join=${joinCode}`),
+    `Join link redirects to the quiz page (status ${redirect.status})`);
+
+  res = await request('GET', `/api/session/${sessionName}/quiz?userCode=join1`);
+  assert(res.ok, `Unlisted session can be taken (status ${res.status})`);
+  res = await request('GET', `/api/session/${sessionName}`);
+  assert(res.ok && res.data.session_name === sessionName, `Session details are public (status ${res.status})`);
+  assert(!JSON.stringify(res.data).includes(joinCode) && !('teacher_id' in res.data) && !('seed' in res.data),
+    'Session details contain no join code or owner');
+
+  sessionCookie = savedCookie;
+  res = await request('GET', `/api/teacher/quiz/${quizId}/sessions`);
+  const listed = res.data.sessions.find(s => s.sessionName === sessionName);
+  assert(listed && listed.joinCode === joinCode && listed.listed === false, 'Session list shows join code and listing');
+  res = await request('PUT', `/api/teacher/session/${sessionName}`, { listed: true });
+  assertEqual(res.data.session && res.data.session.listed, true, 'Session added to the open sessions list');
+  res = await request('GET', '/api/sessions/open');
+  assert(res.data.some(s => s.session_name === sessionName), 'Listed session appears in the open sessions list');
+
+  res = await request('POST', `/api/teacher/session/${sessionName}/close`);
+  assert(res.ok, `Session closed (status ${res.status})`);
+  sessionCookie = null;
+  res = await request('GET', `/api/join/${joinCode}`);
+  assertEqual(res.status, 422, 'Join code of a closed session rejected');
+  sessionCookie = savedCookie;
+
+  await request('DELETE', `/api/teacher/session/${sessionName}`);
+  await request('DELETE', `/api/teacher/session/${listedName}`);
+}
+
+async function step27_schedules(quizId) {
+  console.log('\n📋 Step 27: Session schedules');
+
+  const pad = n => String(n).padStart(2, '0');
+  const localDate = days => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+  const everyDay = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  const rule = { weekdays: everyDay, startTime: '10:00', endTime: '10:45', startsOn: localDate(1), until: localDate(20) };
+
+  let res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, { ...rule, weekdays: [] });
+  assertEqual(res.status, 400, 'Schedule without weekdays rejected');
+  res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, { ...rule, endTime: '09:00' });
+  assertEqual(res.status, 400, 'Schedule ending before it starts rejected');
+  res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, { ...rule, until: localDate(400) });
+  assertEqual(res.status, 400, 'Schedule longer than a year rejected');
+  res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, { ...rule, mode: 'live' });
+  assertEqual(res.status, 400, 'Live sessions cannot be scheduled');
+
+  res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, { ...rule, weekdays: ['Monday', 'wed', 'fri'] });
+  assert(res.ok, `Schedule for three weekdays created (status ${res.status})`);
+  assertEqual(res.data.schedule.weekdays.join(','), 'mon,wed,fri', 'Weekday names normalized');
+  await request('DELETE', `/api/teacher/quiz/${quizId}/schedules/${res.data.schedule.id}`);
+
+  res = await request('POST', `/api/teacher/quiz/${quizId}/schedules`, rule);
+  assert(res.ok, `Daily schedule created (status ${res.status})`);
+  const schedule = res.data.schedule;
+  assertEqual(schedule.sessionNames.length, 14, 'Sessions created two weeks ahead (not until the last date)');
+  assertEqual(schedule.sessionNames[0], `${localDate(1)}-10-00`, 'Sessions named after their start');
+  assertEqual(schedule.upcomingSessions, 14, 'Schedule counts its upcoming sessions');
+
+  res = await request('GET', `/api/teacher/quiz/${quizId}/sessions`);
+  const occurrences = res.data.sessions.filter(s => s.scheduleId === schedule.id);
+  assert(occurrences.length === 14 && occurrences.every(s => s.status === 'scheduled'),
+    'Scheduled sessions appear in the session list');
+  const first = occurrences.find(s => s.sessionName === schedule.sessionNames[0]);
+  assertEqual(new Date(first.openUntil) - new Date(first.openFrom), 45 * 60 * 1000, 'Sessions open for the scheduled time');
+
+  // Single sessions can be moved or cancelled without affecting the others
+  const movedFrom = new Date(first.openFrom);
+  movedFrom.setHours(11, 0, 0, 0);
+  const movedUntil = new Date(movedFrom.getTime() + 30 * 60 * 1000);
+  res = await request('PUT', `/api/teacher/session/${first.sessionName}`,
+    { open_from: movedFrom.toISOString(), open_until: movedUntil.toISOString() });
+  assertEqual(res.data.session && res.data.session.openFrom, movedFrom.toISOString(), 'Scheduled session moved');
+  res = await request('DELETE', `/api/teacher/session/${schedule.sessionNames[1]}`);
+  assert(res.ok, `Scheduled session cancelled (status ${res.status})`);
+
+  res = await request('GET', `/api/teacher/quiz/${quizId}/schedules`);
+  const listed = res.data.schedules.find(s => s.id === schedule.id);
+  assert(listed && listed.upcomingSessions === 13 && listed.until === localDate(20), 'Schedule list shows the remaining sessions');
+
+  res = await request('DELETE', `/api/teacher/quiz/${quizId}/schedules/unknown-schedule`);
+  assertEqual(res.status, 404, 'Unknown schedule not found');
+  res = await request('DELETE', `/api/teacher/quiz/${quizId}/schedules/${schedule.id}`);
+  assertEqual(res.data.deletedSessions, 13, 'Deleting the schedule deletes its upcoming sessions');
+  res = await request('GET', `/api/teacher/quiz/${quizId}/sessions`);
+  assert(!res.data.sessions.some(s => schedule.sessionNames.includes(s.sessionName)), 'No scheduled sessions left');
+  res = await request('GET', `/api/teacher/quiz/${quizId}/schedules`);
+  assertEqual(res.data.schedules.length, 0, 'Schedule deleted');
+}
+
+async function step28_cleanup(quizId) {
+  console.log('\n📋 Step 28: Cleanup (delete test quiz)');
 
   const res = await request('DELETE', `/api/teacher/quiz/${quizId}`);
   assert(res.ok, `Test quiz deleted (status ${res.status})`);
@@ -361,17 +2135,36 @@ async function runTests() {
     await step1_login();
     await step2_deleteExistingQuiz();
     const quizId = await step3_createQuiz();
-    await step4_saveQuizContent(quizId);
+    const quiz = await step4_saveQuizContent(quizId);
     const sessionName = await step5_createSession(quizId);
     const resultLinks = await step6_simulateParticipants(sessionName);
     await step7_verifyStatistics(sessionName);
     await step8_fetchResult(resultLinks);
+    await step9_questionTypes(quizId, quiz, sessionName);
+    await step10_liveSession(quizId);
+    await step11_timeLimit(quizId);
+    await step12_shuffle(quizId, quiz);
+    await step13_questionDraw(quizId, quiz);
+    await step14_multipleAttempts(quizId, quiz);
+    await step15_practiceMode(quizId, quiz);
+    await step16_drafts(quizId, quiz);
+    await step17_navigation(quizId, quiz);
+    await step18_teacherAccounts(quizId, sessionName);
+    await step19_rolesAndSharing(quizId, sessionName);
+    await step20_loginThrottling();
+    await step21_twoFactor();
+    await step22_rosters(quizId);
+    await step23_answerKeyProjection(quizId, quiz);
+    await step24_feedbackPolicy(quizId);
+    await step25_sessionManagement(quizId);
+    await step26_joinCodes(quizId);
+    await step27_schedules(quizId);
 
     if (KEEP_DATA) {
-      console.log('\n📋 Step 9: Skipped cleanup (--keep flag)');
+      console.log('\n📋 Step 27: Skipped cleanup (--keep flag)');
       console.log(`  Quiz "${TEST_QUIZ_TITLE}" remains in database`);
     } else {
-      await step9_cleanup(quizId);
+      await step28_cleanup(quizId);
     }
 
     console.log('\n═══════════════════════════════════════════════════════');
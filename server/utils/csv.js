@@ -0,0 +1,23 @@
+/**
+ * CSV cells for the exports (results, roster code lists)
+ *
+ * The exports contain text from participants and quiz authors (user codes,
+ * student names, free-text answers). Spreadsheets may run a cell that starts
+ * with = + - @, a tab or a carriage return as a formula, so such cells get a
+ * leading ' and are shown as text.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV cell: doubles embedded quotes and neutralises formulas
+ * @param {*} value - Cell value (converted to a string)
+ * @returns {string} Quoted cell, e.g. "Anna" or "'=SUM(A1)"
+ */
+function quoteCell(value) {
+  const text = String(value);
+  const safe = FORMULA_START.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+module.exports = { quoteCell };
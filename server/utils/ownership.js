@@ -0,0 +1,46 @@
+/**
+ * Ownership and sharing of quizzes and sessions
+ *
+ * Quizzes and sessions belong to the teacher who created them (teacher_id).
+ * Other accounts get access to a quiz and its sessions through a share
+ * (quiz_shares). Rows without owner (synced from disk, created before teacher
+ * accounts, owner deleted) are only accessible to admins and by share.
+ *
+ * AuthService.getQuizRole / getSessionRole resolve the role for a single row;
+ * the SQL conditions here select the same rows for lists. An access scope is
+ * { teacherId, includeUnowned } (see AuthService.getAccessScope); null means
+ * no restriction.
+ */
+
+/**
+ * SQL condition: quizzes the scope has any role on
+ * @param {string} idColumn - Quiz id column (e.g. 'quizzes.id')
+ * @param {string} ownerColumn - Owner column (e.g. 'quizzes.teacher_id')
+ * @param {object|null} scope - Access scope
+ * @returns {{ sql: string, params: Array }}
+ */
+function quizAccessCondition(idColumn, ownerColumn, scope) {
+  if (!scope) return { sql: '1 = 1', params: [] };
+  return {
+    sql: `(${ownerColumn} = ? OR (${ownerColumn} IS NULL AND ? = 1)
+           OR ${idColumn} IN (SELECT quiz_id FROM quiz_shares WHERE teacher_id = ?))`,
+    params: [scope.teacherId || null, scope.includeUnowned ? 1 : 0, scope.teacherId || null]
+  };
+}
+
+/**
+ * SQL condition: sessions the scope has any role on (own sessions and
+ * sessions of accessible quizzes). Requires quiz_sessions LEFT JOIN quizzes.
+ * @param {object|null} scope - Access scope
+ * @returns {{ sql: string, params: Array }}
+ */
+function sessionAccessCondition(scope) {
+  if (!scope) return { sql: '1 = 1', params: [] };
+  const quiz = quizAccessCondition('quiz_sessions.quiz_id', 'quizzes.teacher_id', scope);
+  return {
+    sql: `(quiz_sessions.teacher_id = ? OR (quiz_sessions.teacher_id IS NULL AND ? = 1) OR ${quiz.sql})`,
+    params: [scope.teacherId || null, scope.includeUnowned ? 1 : 0, ...quiz.params]
+  };
+}
+
+module.exports = { quizAccessCondition, sessionAccessCondition };
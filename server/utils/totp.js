@@ -0,0 +1,124 @@
+/**
+ * Time-based one-time passwords (TOTP, RFC 6238) with node's crypto module
+ *
+ * Uses the defaults all authenticator apps support: HMAC-SHA1, 6 digits,
+ * 30 second steps. Secrets are exchanged base32-encoded (RFC 4648) in an
+ * otpauth:// URI, which the editor shows as QR code. Works without network access.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step for a point in time
+ * @param {number} [time] - Milliseconds since epoch (default: now)
+ */
+function getStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * One-time password for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and one step before and after
+ * (clock drift). Steps up to lastUsedStep are rejected, so a code works only once.
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code
+ * @returns {number|null} Matching step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getStep();
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (shown as QR code)
+ * @param {string} issuer - Application name shown in the app
+ * @param {string} account - Account name shown in the app
+ * @param {string} secret - Base32-encoded secret
+ */
+function buildOtpauthUri(issuer, account, secret) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+}
+
+module.exports = { generateSecret, getStep, generateCode, verifyCode, buildOtpauthUri };